@@ -0,0 +1,67 @@
+import express from 'express';
+import cors from 'cors';
+import publicRouter from './routes/public.js';
+import adminRouter from './routes/admin.js';
+import healthRouter from './routes/health.js';
+import requestId from './middleware/requestId.js';
+import requestLogger from './middleware/requestLogger.js';
+import { notFoundHandler, errorHandler } from './middleware/errorHandler.js';
+import { localStorageDir } from './lib/storage.js';
+import { setLogLevel } from './lib/logger.js';
+import { selectDataStore } from './lib/repositories/index.js';
+
+// --------------------------------------------
+// Express application
+// --------------------------------------------
+// Builds the app from a configuration (see lib/config.js) without listening,
+// so it can be mounted into another server or driven by tests. index.js
+// starts it as a standalone server.
+
+export const createApp = (config) => {
+    setLogLevel(config.logLevel);
+    selectDataStore(config.dataStore);
+
+    const app = express();
+    app.locals.config = config;
+    app.locals.shuttingDown = false;
+
+    // Behind a proxy the client IP (used for rate limits and fraud screening)
+    // comes from X-Forwarded-For, which is only trusted when configured
+    if (config.trustProxy) {
+        app.set('trust proxy', config.trustProxy);
+    }
+
+    // Middleware
+    app.use(requestId);
+
+    // Probes come before request logging so they do not flood the logs
+    app.use(healthRouter);
+
+    app.use(requestLogger);
+    app.use(cors({
+        origin: config.corsOrigins,
+        credentials: true,
+    }));
+
+    app.use(express.json());
+
+    // Uploaded images, when stored on this server's disk (development)
+    if (config.features.serveUploads) {
+        app.use('/uploads', express.static(localStorageDir()));
+    }
+
+    // Routes
+    app.use('/api/public', publicRouter); // Open access
+    app.use('/api/admin', adminRouter);   // Protected access
+
+    // Simple health check route
+    app.get('/', (req, res) => {
+        res.send('Award Nomination Backend is Running!');
+    });
+
+    // Errors (must come after all routes)
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    return app;
+};
@@ -1,33 +1,59 @@
-import express from 'express';
-import cors from 'cors';
-import dotenv from 'dotenv';
-import publicRouter from './routes/public.js';
-import adminRouter from './routes/admin.js';
+import { loadConfig, ConfigError } from './lib/config.js';
+import { logger } from './lib/logger.js';
+import { createApp } from './app.js';
+import { closeAllStreams } from './lib/resultsStream.js';
+import { startNoticeSweeps } from './lib/notifications.js';
 
-// Load .env variables from the root directory
-dotenv.config({ path: './.env' }); 
+// --------------------------------------------
+// Standalone server
+// --------------------------------------------
+// Validates the configuration, starts the app from app.js and shuts down
+// gracefully on SIGTERM / SIGINT: readiness turns 503, live results streams
+// and notice sweeps are ended, in-flight requests get SHUTDOWN_TIMEOUT_MS to
+// finish, then the process exits.
 
-const app = express();
-const PORT = process.env.PORT || 3001;
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(error.message);
+    process.exit(1);
+}
 
-// Middleware
-app.use(cors({
-    origin: ['http://localhost:5173', 'https://edenfuturesfrontend.vercel.app'], // Allow CORS from both local dev and Vercel
-    credentials: true,
-}));
+const app = createApp(config);
 
-app.use(express.json());
+const server = app.listen(config.port, () => {
+    logger.info(`Express server running on port ${server.address().port}`, {
+        port: server.address().port,
+        dataStore: config.dataStore
+    });
+});
 
-// Routes
-app.use('/api/public', publicRouter); // Open access
-app.use('/api/admin', adminRouter);   // Protected access
+const stopNoticeSweeps = config.noticeSweepIntervalMs > 0 ? startNoticeSweeps(config.noticeSweepIntervalMs) : () => {};
 
-// Simple health check route
-app.get('/', (req, res) => {
-    res.send('Award Nomination Backend is Running!');
-});
+const shutdown = (signal) => {
+    if (app.locals.shuttingDown) return;
+    app.locals.shuttingDown = true;
+    logger.info('Shutting down', { signal, timeoutMs: config.shutdownTimeoutMs });
+
+    const forceExit = setTimeout(() => {
+        logger.warn('Requests still open after the shutdown timeout; closing them');
+        server.closeAllConnections();
+        process.exit(1);
+    }, config.shutdownTimeoutMs);
+    forceExit.unref();
+
+    server.close((error) => {
+        if (error) logger.error('Error while closing the server', { error });
+        logger.info('Server stopped');
+        process.exit(error ? 1 : 0);
+    });
+
+    stopNoticeSweeps();
+    closeAllStreams();
+    server.closeIdleConnections();
+};
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`Express server running on port ${PORT}`);
-});
\ No newline at end of file
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,52 @@
+import { admins } from './repositories/index.js';
+import { signToken, verifyToken } from './tokens.js';
+import { hashPassword, verifyPassword } from './passwords.js';
+
+const ADMIN_AUDIENCE = 'admin';
+
+// Ordered from least to most privileged; each role can do everything the
+// roles before it can.
+export const ADMIN_ROLES = ['viewer', 'editor', 'owner'];
+
+const sessionTtlSeconds = () => Number(process.env.ADMIN_SESSION_TTL_SECONDS) || 8 * 60 * 60;
+const tokenSecret = () => process.env.ADMIN_TOKEN_SECRET;
+
+// Compared against when the email is unknown, so a failed sign-in takes the
+// same time whether or not the account exists.
+const dummyHash = hashPassword('not-a-real-password');
+
+export const hasRole = (admin, role) => ADMIN_ROLES.indexOf(admin.role) >= ADMIN_ROLES.indexOf(role);
+
+/**
+ * Returns the active admin with these credentials, or null.
+ */
+export const authenticateAdmin = async (email, password) => {
+    const admin = await admins.findByEmailWithPassword(email.toLowerCase());
+
+    const matches = await verifyPassword(password, admin ? admin.password_hash : await dummyHash);
+    if (!admin || !matches || !admin.is_active) return null;
+
+    return admins.update(admin.id, { last_login_at: new Date().toISOString() });
+};
+
+/**
+ * Loads the admin a verified token belongs to. Role and active flag are read
+ * fresh, so demoting or deactivating an account applies to existing sessions.
+ */
+export const loadActiveAdmin = async (adminId) => {
+    const admin = await admins.findById(adminId);
+    return admin && admin.is_active ? admin : null;
+};
+
+export const issueAdminToken = (admin) => {
+    const expiresInSeconds = sessionTtlSeconds();
+    const token = signToken(
+        { sub: admin.id, email: admin.email },
+        { secret: tokenSecret(), audience: ADMIN_AUDIENCE, expiresInSeconds }
+    );
+
+    return { token, expiresAt: new Date(Date.now() + expiresInSeconds * 1000).toISOString() };
+};
+
+export const verifyAdminToken = (token) =>
+    verifyToken(token, { secret: tokenSecret(), audience: ADMIN_AUDIENCE });
@@ -0,0 +1,7 @@
+// Express 4 does not forward rejected promises to error middleware;
+// wrap async route handlers so thrown errors reach the central handler.
+const asyncHandler = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+export default asyncHandler;
@@ -0,0 +1,25 @@
+import { auditLog } from './repositories/index.js';
+
+// --------------------------------------------
+// Admin audit log
+// --------------------------------------------
+// Every mutating admin route records who did what, with the affected record
+// before and after the change. The table is append-only (migration 013).
+
+/**
+ * Records one change made by `req.admin`. Entity ids are stored as text so
+ * non-uuid keys (e.g. event slugs) fit too.
+ */
+export const recordAudit = async (req, { action, entityType, entityId = null, before = null, after = null }) => {
+    await auditLog.append({
+        actor_id: req.admin.id,
+        actor_email: req.admin.email,
+        action,
+        entity_type: entityType,
+        entity_id: entityId === null ? null : String(entityId),
+        event_id: req.event?.id ?? null,
+        before,
+        after,
+        request_id: req.id
+    });
+};
@@ -0,0 +1,135 @@
+import dotenv from 'dotenv';
+
+dotenv.config({ path: './.env' });
+
+// --------------------------------------------
+// Server configuration
+// --------------------------------------------
+// Reads and validates the settings the server needs to start, so a bad .env
+// fails at boot with every problem listed instead of at the first request
+// that happens to use a setting. See .env.example for the variables.
+//
+// Settings used only inside one feature (rate limits, mail, storage paths,
+// results caching...) are still read where they are used.
+
+export const DEFAULT_CORS_ORIGINS = ['http://localhost:5173', 'https://edenfuturesfrontend.vercel.app'];
+
+export const DATA_STORES = ['supabase', 'memory'];
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+export class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// Each reader returns the parsed value or records a problem and returns undefined
+const readers = (env, problems) => {
+    const text = (name, fallback = '') => {
+        const value = env[name];
+        return value === undefined || value.trim() === '' ? fallback : value.trim();
+    };
+
+    const oneOf = (name, allowed, fallback) => {
+        const value = text(name, fallback);
+        if (!allowed.includes(value)) problems.push(`${name} must be one of ${allowed.join(', ')} (got "${value}").`);
+        return value;
+    };
+
+    const integer = (name, { min, max, fallback }) => {
+        const value = text(name, String(fallback));
+        const number = Number(value);
+        if (!/^\d+$/.test(value) || number < min || number > max) {
+            problems.push(`${name} must be a whole number from ${min} to ${max} (got "${value}").`);
+        }
+        return number;
+    };
+
+    const flag = (name, fallback = false) => {
+        const value = text(name, String(fallback));
+        if (value !== 'true' && value !== 'false') problems.push(`${name} must be true or false (got "${value}").`);
+        return value === 'true';
+    };
+
+    const required = (name, why) => {
+        const value = text(name);
+        if (!value) problems.push(`${name} is required${why ? ` ${why}` : ''}.`);
+        return value;
+    };
+
+    return { text, oneOf, integer, flag, required };
+};
+
+// CORS_ORIGINS: comma-separated origins such as https://awards.example.com
+const readOrigins = (value, problems) => {
+    if (!value) return DEFAULT_CORS_ORIGINS;
+
+    const origins = value.split(',').map(origin => origin.trim()).filter(Boolean);
+
+    for (const origin of origins) {
+        let parsed;
+        try {
+            parsed = new URL(origin);
+        } catch {
+            parsed = null;
+        }
+        if (!parsed || parsed.origin !== origin) {
+            problems.push(`CORS_ORIGINS entries must be origins like https://example.com, without a path or trailing slash (got "${origin}").`);
+        }
+    }
+    return origins;
+};
+
+// TRUST_PROXY: true, a hop count, or a list of trusted addresses / subnets
+const readTrustProxy = (value) => {
+    if (!value) return false;
+    if (value === 'true') return true;
+    return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+/**
+ * Builds the configuration from `env`, throwing a ConfigError that lists every
+ * invalid or missing setting.
+ */
+export const loadConfig = (env = process.env) => {
+    const problems = [];
+    const { text, oneOf, integer, flag, required } = readers(env, problems);
+
+    const dataStore = oneOf('DATA_STORE', DATA_STORES, 'supabase');
+    const storageDriver = text('STORAGE_DRIVER', 'local');
+    const needsSupabase = dataStore === 'supabase' || storageDriver === 'supabase';
+    const supabaseReason = dataStore === 'supabase' ? 'with DATA_STORE=supabase' : 'with STORAGE_DRIVER=supabase';
+
+    const config = {
+        port: integer('PORT', { min: 0, max: 65535, fallback: 3001 }),
+        corsOrigins: readOrigins(text('CORS_ORIGINS'), problems),
+        trustProxy: readTrustProxy(text('TRUST_PROXY')),
+        dataStore,
+        supabase: {
+            url: needsSupabase ? required('SUPABASE_URL', supabaseReason) : text('SUPABASE_URL'),
+            serviceRoleKey: needsSupabase ? required('SUPABASE_SERVICE_ROLE_KEY', supabaseReason) : text('SUPABASE_SERVICE_ROLE_KEY')
+        },
+        adminTokenSecret: required('ADMIN_TOKEN_SECRET', 'to sign admin sessions'),
+        voterTokenSecret: required('VOTER_TOKEN_SECRET', 'to sign voter sessions'),
+        features: {
+            publicResultsStream: flag('PUBLIC_RESULTS_STREAM'),
+            // Uploaded images are served by this server only with the local storage driver
+            serveUploads: storageDriver === 'local'
+        },
+        logLevel: oneOf('LOG_LEVEL', LOG_LEVELS, 'info'),
+        readinessTimeoutMs: integer('READINESS_TIMEOUT_MS', { min: 100, max: 60000, fallback: 3000 }),
+        shutdownTimeoutMs: integer('SHUTDOWN_TIMEOUT_MS', { min: 0, max: 300000, fallback: 10000 }),
+        // How often voter notices are sent (lib/notifications.js); 0 turns them off
+        noticeSweepIntervalMs: integer('NOTICE_SWEEP_INTERVAL_MS', { min: 0, max: 86400000, fallback: 60000 })
+    };
+
+    if (config.supabase.url && !/^https?:\/\//.test(config.supabase.url)) {
+        problems.push(`SUPABASE_URL must be an http(s) URL (got "${config.supabase.url}").`);
+    }
+
+    if (problems.length > 0) throw new ConfigError(problems);
+
+    return Object.freeze(config);
+};
@@ -0,0 +1,89 @@
+// --------------------------------------------
+// CSV parsing (RFC 4180)
+// --------------------------------------------
+// Handles quoted fields with embedded commas, quotes ("") and line breaks,
+// CRLF or LF line endings and a leading byte order mark.
+
+/**
+ * Parses CSV text into rows of fields.
+ */
+export const parseCsvRows = (text) => {
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) throw new SyntaxError('Unterminated quoted field.');
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parses CSV text with a header row into objects keyed by the (trimmed,
+ * lowercased) column names. Each object also gets its `row` number, counting
+ * the header as row 1, for error reporting.
+ */
+export const parseCsv = (text) => {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim().toLowerCase());
+
+    return rows.map((fields, index) => ({
+        row: index + 2,
+        ...Object.fromEntries(columns.map((column, i) => [column, (fields[i] ?? '').trim()]))
+    }));
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvField = (value) => {
+    if (value === null || value === undefined) return '';
+
+    let text = Array.isArray(value) ? value.join(';') : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats one CSV line (with CRLF). Arrays become `;`-separated lists; text
+ * that a spreadsheet would treat as a formula is prefixed with a quote.
+ */
+export const toCsvRow = (values) => `${values.map(csvField).join(',')}\r\n`;
@@ -0,0 +1,102 @@
+// --------------------------------------------
+// Application errors
+// --------------------------------------------
+// Route handlers throw these (or let database errors propagate); the central
+// error handler in middleware/errorHandler.js turns them into responses shaped
+// `{ code, message, ...extra, requestId }`. `code` is stable and machine-readable;
+// `extra` carries safe, error-specific fields such as per-field validation errors.
+
+export class AppError extends Error {
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', extra, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.extra = extra;
+    }
+}
+
+export class ValidationError extends AppError {
+    constructor(message = 'Validation failed.', errors = [], options = {}) {
+        super(message, { status: 400, code: 'VALIDATION_FAILED', extra: errors.length ? { errors } : undefined, ...options });
+    }
+}
+
+export class UnauthorizedError extends AppError {
+    constructor(message = 'Unauthorized.', options = {}) {
+        super(message, { status: 401, code: 'UNAUTHORIZED', ...options });
+    }
+}
+
+export class ForbiddenError extends AppError {
+    constructor(message = 'Forbidden.', options = {}) {
+        super(message, { status: 403, code: 'FORBIDDEN', ...options });
+    }
+}
+
+export class NotFoundError extends AppError {
+    constructor(message = 'Not found.', options = {}) {
+        super(message, { status: 404, code: 'NOT_FOUND', ...options });
+    }
+}
+
+export class ConflictError extends AppError {
+    constructor(message = 'Conflict.', options = {}) {
+        super(message, { status: 409, code: 'CONFLICT', ...options });
+    }
+}
+
+export class TooManyRequestsError extends AppError {
+    constructor(message = 'Too many requests.', options = {}) {
+        super(message, { status: 429, code: 'TOO_MANY_REQUESTS', ...options });
+    }
+}
+
+export const UNIQUE_VIOLATION = '23505';
+
+// PostgreSQL / PostgREST error codes with a meaningful client-facing status.
+// Anything not listed is treated as an internal error. The EF4xx codes are
+// raised by our own database functions (see migrations/) with the stable
+// client-facing code in HINT.
+const DATABASE_ERRORS = {
+    'EF400': (error) => new ValidationError(error.message, [], { code: error.hint || 'VALIDATION_FAILED' }),
+    'EF404': (error) => new NotFoundError(error.message, { code: error.hint || 'NOT_FOUND' }),
+    'EF409': (error) => new ConflictError(error.message, { code: error.hint || 'CONFLICT' }),
+    '23505': () => new ConflictError('A record with these values already exists.', { code: 'DUPLICATE' }),
+    '23503': () => new ConflictError('The record is referenced by, or references, data that does not allow this change.', { code: 'REFERENCE_CONSTRAINT' }),
+    '23502': () => new ValidationError('A required value is missing.'),
+    '23514': (error) => new ValidationError(error.message || 'A value is outside its allowed range.'),
+    '22P02': () => new ValidationError('A value has an invalid format.'),
+    '22007': () => new ValidationError('A date or time value has an invalid format.'),
+    '22008': () => new ValidationError('A date or time value is out of range.'),
+    '22001': () => new ValidationError('A value is too long.'),
+    'P0002': (error) => new NotFoundError(error.message || 'Not found.'),
+    'PGRST116': () => new NotFoundError('The requested record was not found.')
+};
+
+const isDatabaseError = (error) =>
+    error && typeof error === 'object' && typeof error.code === 'string' && 'details' in error && 'hint' in error;
+
+/**
+ * Normalizes anything thrown by a handler into an AppError.
+ * The original error is kept as `cause` for logging.
+ */
+export const toAppError = (error) => {
+    if (error instanceof AppError) return error;
+
+    // express.json() body parser failures
+    if (error?.type === 'entity.parse.failed') {
+        return new ValidationError('Request body is not valid JSON.', [], { code: 'INVALID_JSON', cause: error });
+    }
+    if (error?.type === 'entity.too.large') {
+        return new AppError('Request body is too large.', { status: 413, code: 'PAYLOAD_TOO_LARGE', cause: error });
+    }
+
+    if (isDatabaseError(error) && DATABASE_ERRORS[error.code]) {
+        const appError = DATABASE_ERRORS[error.code](error);
+        appError.cause = error;
+        return appError;
+    }
+
+    return new AppError('Something went wrong. Please try again later.', { cause: error });
+};
@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+import { once } from 'events';
+import { categories as categoryRecords, votes as voteRecords } from './repositories/index.js';
+import { effectiveStatus } from './lifecycle.js';
+import { toCsvRow } from './csv.js';
+
+// --------------------------------------------
+// Data exports
+// --------------------------------------------
+// Exports are written row by row with backpressure, and votes are read from the
+// data store in batches, so even large events never sit in memory at once.
+
+const VOTE_BATCH_SIZE = 1000;
+
+const hashSecret = () => process.env.EXPORT_HASH_SECRET;
+
+/**
+ * The event's categories matching the export filters, with their effective status.
+ */
+export const exportCategories = async (eventId, { categoryId, status } = {}) => {
+    const data = await categoryRecords.list(eventId, { archived: false, ids: categoryId ? [categoryId] : undefined });
+
+    return data
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(category => ({
+            id: category.id,
+            name: category.name,
+            voting_mode: category.voting_mode,
+            opens_at: category.opens_at,
+            closes_at: category.closes_at,
+            status: effectiveStatus(category)
+        }))
+        .filter(category => !status || category.status === status);
+};
+
+// --- Results ---
+
+export const RESULT_COLUMNS = [
+    'category_id', 'category_name', 'status', 'voting_mode', 'nominee_id', 'nominee_name',
+    'vote_count', 'percentage', 'public_share', 'jury_score', 'weighted_score', 'is_winner'
+];
+
+/**
+ * Flattens results from lib/results.js into one row per nominee.
+ */
+export const resultRows = (results) => results.flatMap(category => category.fullTally.map(nominee => ({
+    category_id: category.categoryId,
+    category_name: category.categoryName,
+    status: category.status,
+    voting_mode: category.votingMode,
+    nominee_id: nominee.id,
+    nominee_name: nominee.name,
+    vote_count: nominee.voteCount,
+    percentage: nominee.percentage,
+    public_share: nominee.publicShare,
+    jury_score: nominee.juryScore,
+    weighted_score: nominee.weightedScore,
+    is_winner: category.winners.some(winner => winner.id === nominee.id)
+})));
+
+// --- Anonymized votes ---
+
+export const VOTE_COLUMNS = ['category_id', 'category_name', 'voting_mode', 'voter_hash', 'choices', 'cast_at', 'counted'];
+
+/**
+ * A stable pseudonym for a voter within one event. Keyed with EXPORT_HASH_SECRET,
+ * so ids cannot be recovered by hashing known voter ids, and salted with the
+ * event so dumps of different events cannot be linked.
+ */
+export const voterHash = (eventId, voterId) =>
+    crypto.createHmac('sha256', hashSecret()).update(`${eventId}:${voterId}`).digest('hex');
+
+// Reads votes in keyset-paginated batches (by id) and yields them one by one
+async function* voteRows(eventId, categories) {
+    if (categories.length === 0) return;
+
+    const categoriesById = new Map(categories.map(category => [category.id, category]));
+    let lastId = null;
+
+    for (;;) {
+        const votes = await voteRecords.exportBatch(eventId, [...categoriesById.keys()], { afterId: lastId, limit: VOTE_BATCH_SIZE });
+
+        for (const vote of votes) {
+            const category = categoriesById.get(vote.category_id);
+            const choices = vote.selections && vote.selections.length > 0
+                ? [...vote.selections].sort((a, b) => (a.rank ?? 0) - (b.rank ?? 0)).map(s => s.nominee_id)
+                : [vote.nominee_id];
+
+            yield {
+                category_id: vote.category_id,
+                category_name: category.name,
+                voting_mode: category.voting_mode,
+                voter_hash: voterHash(eventId, vote.voter_id),
+                choices,
+                cast_at: vote.created_at,
+                counted: !vote.invalidated_at
+            };
+        }
+
+        if (votes.length < VOTE_BATCH_SIZE) return;
+        lastId = votes[votes.length - 1].id;
+    }
+}
+
+/**
+ * Async iterable of the anonymized votes of the given categories, one row per
+ * vote. `choices` lists the nominee ids in rank order (one id for single-choice votes).
+ */
+export const anonymizedVotes = (eventId, categories) => {
+    if (!hashSecret()) throw new Error('EXPORT_HASH_SECRET must be set in .env');
+    return voteRows(eventId, categories);
+};
+
+// --- Writing ---
+
+const writeChunk = async (res, chunk) => {
+    if (!res.write(chunk)) await once(res, 'drain');
+};
+
+/**
+ * Streams `rows` (any iterable or async iterable of objects) as a CSV or JSON
+ * array download. If reading fails midway the connection is cut rather than
+ * ended, so a partial file is never mistaken for a complete one.
+ */
+export const sendExport = async (res, { format, filename, columns, rows }) => {
+    res.status(200);
+    res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+    try {
+        await writeChunk(res, format === 'csv' ? toCsvRow(columns) : '[');
+
+        let first = true;
+        for await (const row of rows) {
+            if (res.destroyed) return;
+
+            const chunk = format === 'csv'
+                ? toCsvRow(columns.map(column => row[column]))
+                : `${first ? '' : ','}\n${JSON.stringify(row)}`;
+
+            first = false;
+            await writeChunk(res, chunk);
+        }
+
+        res.end(format === 'csv' ? '' : '\n]\n');
+    } catch (error) {
+        res.destroy(error);
+        throw error;
+    }
+};
+
+// --- Printable report ---
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const REPORT_STYLE = `
+    body { font-family: Georgia, serif; margin: 2rem auto; max-width: 48rem; color: #111; }
+    h1, h2 { text-align: center; }
+    .category { page-break-after: always; break-after: page; }
+    .category:last-child { page-break-after: auto; break-after: auto; }
+    .winner { text-align: center; font-size: 1.5rem; margin: 1.5rem 0; }
+    .meta { text-align: center; color: #555; }
+    table { width: 100%; border-collapse: collapse; margin-top: 1rem; }
+    th, td { border-bottom: 1px solid #ccc; padding: 0.4rem; text-align: left; }
+    td.number { text-align: right; }
+    @media print { body { margin: 0; } }
+`;
+
+const reportCategory = (category) => {
+    const weighted = category.juryWeight > 0;
+    const winnerNames = category.winners.map(winner => escapeHtml(winner.name)).join(' &amp; ');
+
+    const rows = category.fullTally.map(nominee => `
+            <tr>
+                <td>${escapeHtml(nominee.name)}</td>
+                <td class="number">${nominee.voteCount}</td>
+                <td class="number">${nominee.percentage}%</td>
+                ${weighted ? `<td class="number">${nominee.weightedScore}</td>` : ''}
+            </tr>`).join('');
+
+    return `
+    <section class="category">
+        <h2>${escapeHtml(category.categoryName)}</h2>
+        <p class="winner">${winnerNames ? `${category.isTie ? 'Joint winners' : 'Winner'}: <strong>${winnerNames}</strong>` : 'No winner'}</p>
+        <p class="meta">${category.voterCount} voters${weighted ? ` &middot; ${category.jurorCount} jurors, jury weight ${category.juryWeight}%` : ''} &middot; ${escapeHtml(category.status)}</p>
+        <table>
+            <thead>
+                <tr><th>Nominee</th><th>Votes</th><th>Share</th>${weighted ? '<th>Weighted score</th>' : ''}</tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+        </table>
+    </section>`;
+};
+
+/**
+ * A self-contained HTML results report, one printed page per category so each
+ * can double as a winner's certificate. Browsers save it as PDF via print.
+ */
+export const resultsReport = (event, results, generatedAt = new Date()) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(event.name)} results</title>
+    <style>${REPORT_STYLE}</style>
+</head>
+<body>
+    <h1>${escapeHtml(event.name)}</h1>
+    <p class="meta">Official results &middot; generated ${escapeHtml(generatedAt.toISOString())}</p>
+${results.map(reportCategory).join('\n')}
+</body>
+</html>
+`;
@@ -0,0 +1,97 @@
+import fs from 'fs';
+import { votes as voteRecords, voteFlags } from './repositories/index.js';
+
+// --------------------------------------------
+// Vote screening (anomaly rules)
+// --------------------------------------------
+// Runs after votes are recorded and flags suspicious ones into vote_flags for
+// an admin to review. Flags never block or remove a vote by themselves.
+//
+// Rules (override any setting in a JSON file named by FRAUD_RULES_FILE):
+// - sharedIp:        more than maxVotersPerIp voters voting from one IP within windowMinutes
+// - nomineeBurst:    more than maxVotes votes choosing one nominee (at any rank)
+//                    cast or changed within windowMinutes
+// - disposableEmail: voter email on one of the listed throwaway domains (or a subdomain)
+
+const DEFAULT_RULES = {
+    sharedIp: { enabled: true, maxVotersPerIp: 5, windowMinutes: 60 },
+    nomineeBurst: { enabled: true, maxVotes: 50, windowMinutes: 5 },
+    disposableEmail: {
+        enabled: true,
+        domains: [
+            '10minutemail.com', 'dispostable.com', 'getnada.com', 'guerrillamail.com', 'mailinator.com',
+            'maildrop.cc', 'sharklasers.com', 'tempmail.com', 'temp-mail.org', 'trashmail.com', 'yopmail.com'
+        ]
+    }
+};
+
+let rules;
+
+export const fraudRules = () => {
+    if (!rules) {
+        const file = process.env.FRAUD_RULES_FILE;
+        const overrides = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+
+        rules = Object.fromEntries(Object.entries(DEFAULT_RULES)
+            .map(([name, defaults]) => [name, { ...defaults, ...overrides[name] }]));
+    }
+    return rules;
+};
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+const isDisposable = (email, domains) => {
+    const domain = String(email).split('@').pop().toLowerCase();
+    return domains.some(listed => domain === listed || domain.endsWith(`.${listed}`));
+};
+
+/**
+ * Checks freshly recorded votes of one voter against the rules and stores a
+ * flag for every rule a vote trips. Returns the flags written.
+ * `votes` is a list of `{ id, categoryId, nomineeIds }`, every choice of the vote.
+ */
+export const screenVotes = async ({ eventId, voterId, voterEmail, ipAddress, votes }) => {
+    const { sharedIp, nomineeBurst, disposableEmail } = fraudRules();
+    const flags = [];
+
+    const flag = (vote, rule, details) => flags.push({
+        event_id: eventId,
+        category_id: vote.categoryId,
+        vote_id: vote.id,
+        voter_id: voterId,
+        rule,
+        details
+    });
+
+    const disposable = disposableEmail.enabled && voterEmail && isDisposable(voterEmail, disposableEmail.domains);
+
+    const ipVoterCount = sharedIp.enabled && ipAddress
+        ? await voteRecords.distinctVotersFromIp(eventId, ipAddress, minutesAgo(sharedIp.windowMinutes))
+        : 0;
+
+    for (const vote of votes) {
+        if (disposable) {
+            flag(vote, 'disposable_email', { domain: voterEmail.split('@').pop().toLowerCase() });
+        }
+
+        if (ipVoterCount > sharedIp.maxVotersPerIp) {
+            flag(vote, 'shared_ip', { ipAddress, voterCount: ipVoterCount, windowMinutes: sharedIp.windowMinutes });
+        }
+
+        if (nomineeBurst.enabled) {
+            // One flag per vote, listing every chosen nominee in a burst
+            const bursts = [];
+            for (const nomineeId of vote.nomineeIds) {
+                const voteCount = await voteRecords.countRecentForNominee(vote.categoryId, nomineeId, minutesAgo(nomineeBurst.windowMinutes));
+                if (voteCount > nomineeBurst.maxVotes) bursts.push({ nomineeId, voteCount });
+            }
+            if (bursts.length > 0) {
+                flag(vote, 'nominee_burst', { nominees: bursts, windowMinutes: nomineeBurst.windowMinutes });
+            }
+        }
+    }
+
+    if (flags.length === 0) return [];
+
+    return voteFlags.record(flags);
+};
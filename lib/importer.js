@@ -0,0 +1,282 @@
+import { events, categories as categoryRecords, nominees as nomineeRecords, nominations as nominationRecords } from './repositories/index.js';
+import { parseCsv } from './csv.js';
+import { normalizeName } from './names.js';
+
+// --------------------------------------------
+// Bulk import of categories, nominees and nominations
+// --------------------------------------------
+// Both input formats are turned into the same list of entries, each a category
+// with the nominees to link to it:
+//
+//   CSV  (one nomination per row; a row without a nominee only sets up the category)
+//        category,description,nominee        (category_id / nominee_id columns may
+//        "Best Film","Feature films",Dune     reference existing records instead of names)
+//
+//   JSON { "categories": [{ "name": "Best Film", "description": "...",
+//                           "nominees": [{ "name": "Dune" }, { "id": "<uuid>" }] }] }
+//
+// planImport() compares the entries with the event's current data and returns
+// the diff; applyImport() writes the plan in one transaction. Categories and
+// nominees are matched by normalized name (see lib/names.js), so a person
+// nominated in several categories maps to a single nominees row. A name that
+// only matches an archived record is a conflict rather than a new record:
+// restore or rename the archived one first.
+
+export const MAX_CSV_ROWS = 5000;
+
+/**
+ * Parses the CSV text into rows keyed by column. Throws a SyntaxError for
+ * malformed CSV.
+ */
+export const readCsv = (text) => {
+    const rows = parseCsv(text);
+    if (rows.length > MAX_CSV_ROWS) {
+        throw new SyntaxError(`The file has more than ${MAX_CSV_ROWS} rows.`);
+    }
+    return rows;
+};
+
+/**
+ * Groups CSV rows from readCsv(), once validated, into entries.
+ */
+export const entriesFromCsv = (rows) => {
+    const entries = new Map();
+
+    for (const row of rows) {
+        const source = `row ${row.row}`;
+        const categoryRef = row.category_id || normalizeName(row.category || '');
+        const description = row.description || row.category_description;
+
+        if (!entries.has(categoryRef)) {
+            entries.set(categoryRef, {
+                source,
+                category: { id: row.category_id || undefined, name: row.category || undefined },
+                nominees: []
+            });
+        }
+
+        const entry = entries.get(categoryRef);
+        if (description) entry.category.description = description;
+
+        if (row.nominee || row.nominee_id) {
+            entry.nominees.push({ source, id: row.nominee_id || undefined, name: row.nominee || undefined });
+        }
+    }
+
+    return [...entries.values()];
+};
+
+/**
+ * Turns the validated JSON body into entries.
+ */
+export const entriesFromJson = ({ categories }) =>
+    categories.map((category, index) => ({
+        source: `categories.${index}`,
+        category: { id: category.id, name: category.name, description: category.description ?? undefined },
+        nominees: (category.nominees || []).map((nominee, i) => ({
+            source: `categories.${index}.nominees.${i}`,
+            id: nominee.id,
+            name: nominee.name
+        }))
+    }));
+
+// Archived categories and nominees are loaded too, to catch names that would
+// otherwise recreate them
+const loadEventData = async (eventId) => {
+    const [allCategories, allNominees, links] = await Promise.all([
+        categoryRecords.list(eventId),
+        nomineeRecords.list(eventId),
+        // Archived links still occupy their (category, nominee) pair, so they count as existing
+        nominationRecords.list(eventId)
+    ]);
+
+    return {
+        categories: allCategories.map(({ id, name, description, archived_at }) => ({ id, name, description, archived: Boolean(archived_at) })),
+        nominees: allNominees.map(({ id, name, archived_at }) => ({ id, name, archived: Boolean(archived_at) })),
+        nominations: links.map(({ category_id, nominee_id }) => ({ category_id, nominee_id }))
+    };
+};
+
+// Name lookup; when existing names already collide, the first record wins
+const byNormalizedName = (records) => {
+    const map = new Map();
+    for (const record of records) {
+        const key = normalizeName(record.name);
+        if (!map.has(key)) map.set(key, record);
+    }
+    return map;
+};
+
+/**
+ * Works out what importing `entries` into the event would change.
+ * References are `{ id, name }` for existing records and `{ key, name }` for
+ * records the import creates.
+ */
+export const planImport = async (eventId, entries) => {
+    const existing = await loadEventData(eventId);
+    const active = (records) => records.filter(record => !record.archived);
+    const archived = (records) => records.filter(record => record.archived);
+
+    const categoriesById = new Map(active(existing.categories).map(c => [c.id, c]));
+    const categoriesByName = byNormalizedName(active(existing.categories));
+    const archivedCategoriesByName = byNormalizedName(archived(existing.categories));
+    const nomineesById = new Map(active(existing.nominees).map(n => [n.id, n]));
+    const nomineesByName = byNormalizedName(active(existing.nominees));
+    const archivedNomineesByName = byNormalizedName(archived(existing.nominees));
+    const linked = new Set(existing.nominations.map(n => `${n.category_id}:${n.nominee_id}`));
+
+    const plan = {
+        categories: { create: [], update: [], unchanged: [] },
+        nominees: { create: [], existing: [] },
+        nominations: { create: [], existing: [] },
+        duplicates: [],
+        conflicts: [],
+        unknownReferences: [],
+        invalidEntries: []
+    };
+
+    const newCategories = new Map();
+    const newNominees = new Map();
+    const seenCategories = new Set();
+    const seenNominees = new Set();
+    const seenNominations = new Set();
+
+    const resolveCategory = ({ id, name }, source) => {
+        if (id) {
+            const category = categoriesById.get(id);
+            if (!category) plan.unknownReferences.push({ source, type: 'category', id });
+            return category ? { id: category.id, name: category.name } : null;
+        }
+        if (!name) {
+            plan.invalidEntries.push({ source, message: 'A category name or id is required.' });
+            return null;
+        }
+
+        const key = normalizeName(name);
+        const category = categoriesByName.get(key);
+        if (category) return { id: category.id, name: category.name };
+
+        const archivedCategory = archivedCategoriesByName.get(key);
+        if (archivedCategory) {
+            plan.conflicts.push({ source, type: 'category', name, archived: { id: archivedCategory.id, name: archivedCategory.name } });
+            return null;
+        }
+
+        if (!newCategories.has(key)) {
+            const created = { key: `category-${newCategories.size + 1}`, name: name.trim() };
+            newCategories.set(key, created);
+            plan.categories.create.push(created);
+        }
+        const { key: ref, name: createdName } = newCategories.get(key);
+        return { key: ref, name: createdName };
+    };
+
+    const resolveNominee = ({ id, name, source }) => {
+        if (id) {
+            const nominee = nomineesById.get(id);
+            if (!nominee) plan.unknownReferences.push({ source, type: 'nominee', id });
+            return nominee ? { id: nominee.id, name: nominee.name } : null;
+        }
+        if (!name) {
+            plan.invalidEntries.push({ source, message: 'A nominee name or id is required.' });
+            return null;
+        }
+
+        const key = normalizeName(name);
+        const nominee = nomineesByName.get(key);
+        if (nominee) return { id: nominee.id, name: nominee.name };
+
+        const archivedNominee = archivedNomineesByName.get(key);
+        if (archivedNominee) {
+            plan.conflicts.push({ source, type: 'nominee', name, archived: { id: archivedNominee.id, name: archivedNominee.name } });
+            return null;
+        }
+
+        if (!newNominees.has(key)) {
+            const created = { key: `nominee-${newNominees.size + 1}`, name: name.trim() };
+            newNominees.set(key, created);
+            plan.nominees.create.push(created);
+        }
+        const { key: ref, name: createdName } = newNominees.get(key);
+        return { key: ref, name: createdName };
+    };
+
+    for (const entry of entries) {
+        const category = resolveCategory(entry.category, entry.source);
+        if (!category) continue;
+
+        const { description } = entry.category;
+        const current = category.id && categoriesById.get(category.id);
+
+        if (current && !seenCategories.has(current.id)) {
+            seenCategories.add(current.id);
+            if (description !== undefined && description !== (current.description ?? '')) {
+                plan.categories.update.push({
+                    id: current.id,
+                    name: current.name,
+                    before: { description: current.description },
+                    after: { description }
+                });
+            } else {
+                plan.categories.unchanged.push({ id: current.id, name: current.name });
+            }
+        } else if (!current && description !== undefined) {
+            plan.categories.create.find(c => c.key === category.key).description = description;
+        }
+
+        for (const nomineeEntry of entry.nominees) {
+            const nominee = resolveNominee(nomineeEntry);
+            if (!nominee) continue;
+
+            if (nominee.id && !seenNominees.has(nominee.id)) {
+                seenNominees.add(nominee.id);
+                plan.nominees.existing.push(nominee);
+            }
+
+            const link = `${category.id || category.key}:${nominee.id || nominee.key}`;
+
+            if (seenNominations.has(link)) {
+                plan.duplicates.push({ source: nomineeEntry.source, category, nominee });
+            } else if (linked.has(link)) {
+                plan.nominations.existing.push({ category, nominee });
+            } else {
+                plan.nominations.create.push({ category, nominee });
+            }
+            seenNominations.add(link);
+        }
+    }
+
+    plan.summary = {
+        categories: {
+            create: plan.categories.create.length,
+            update: plan.categories.update.length,
+            unchanged: plan.categories.unchanged.length
+        },
+        nominees: { create: plan.nominees.create.length, existing: plan.nominees.existing.length },
+        nominations: { create: plan.nominations.create.length, existing: plan.nominations.existing.length },
+        duplicates: plan.duplicates.length,
+        conflicts: plan.conflicts.length,
+        unknownReferences: plan.unknownReferences.length,
+        invalidEntries: plan.invalidEntries.length
+    };
+
+    return plan;
+};
+
+/**
+ * Writes a plan from planImport() in one transaction. Returns the counts of
+ * records created and updated.
+ */
+export const applyImport = async (eventId, plan) => {
+    const ref = (record, prefix) => (record.id ? { [`${prefix}_id`]: record.id } : { [`${prefix}_key`]: record.key });
+
+    return events.importData(eventId, {
+        create_categories: plan.categories.create.map(({ key, name, description }) => ({ key, name, description })),
+        update_categories: plan.categories.update.map(({ id, after }) => ({ id, description: after.description })),
+        create_nominees: plan.nominees.create.map(({ key, name }) => ({ key, name })),
+        create_nominations: plan.nominations.create.map(({ category, nominee }) => ({
+            ...ref(category, 'category'),
+            ...ref(nominee, 'nominee')
+        }))
+    });
+};
@@ -0,0 +1,72 @@
+// --------------------------------------------
+// Category voting lifecycle: draft → open → closed → published
+// --------------------------------------------
+// The stored `status` only ever moves forward. `opens_at` / `closes_at` schedule
+// the draft → open and open → closed transitions; they are applied when the
+// category is read, so no background job is needed for them to take effect.
+
+export const LIFECYCLE_STATES = ['draft', 'open', 'closed', 'published'];
+
+const rank = (status) => LIFECYCLE_STATES.indexOf(status);
+
+/**
+ * Returns the state the category is in at `now`, taking its schedule into account.
+ */
+export const effectiveStatus = (category, now = new Date()) => {
+    let status = category.status || 'draft';
+
+    if (status === 'draft' && category.opens_at && new Date(category.opens_at) <= now) {
+        status = 'open';
+    }
+    if (status === 'open' && category.closes_at && new Date(category.closes_at) <= now) {
+        status = 'closed';
+    }
+
+    return status;
+};
+
+export const isValidStatus = (status) => rank(status) !== -1;
+
+// Transitions are forward-only; skipping states (e.g. draft → closed) is allowed.
+export const canTransition = (from, to) => isValidStatus(to) && rank(to) > rank(from);
+
+/**
+ * Explains why a vote in this category cannot be accepted right now,
+ * or returns null when voting is open.
+ */
+export const votingUnavailableReason = (category, now = new Date()) => {
+    const status = effectiveStatus(category, now);
+
+    if (status === 'open') return null;
+
+    if (status === 'draft') {
+        return {
+            code: 'VOTING_NOT_OPEN',
+            message: 'Voting is not open yet for this category.',
+            opensAt: category.opens_at || null
+        };
+    }
+
+    return {
+        code: 'VOTING_CLOSED',
+        message: 'Voting has closed for this category.',
+        closedAt: category.closes_at || null
+    };
+};
+
+/**
+ * Validates an `{ opens_at, closes_at }` schedule. Returns an error message or null.
+ */
+export const validateSchedule = ({ opens_at, closes_at }) => {
+    for (const [field, value] of Object.entries({ opens_at, closes_at })) {
+        if (value !== undefined && value !== null && Number.isNaN(Date.parse(value))) {
+            return `${field} must be an ISO 8601 timestamp or null.`;
+        }
+    }
+
+    if (opens_at && closes_at && new Date(closes_at) <= new Date(opens_at)) {
+        return 'closes_at must be later than opens_at.';
+    }
+
+    return null;
+};
@@ -0,0 +1,47 @@
+// --------------------------------------------
+// Structured logging
+// --------------------------------------------
+// One JSON object per line: { time, level, msg, ...fields }. Info and debug go
+// to stdout, warnings and errors to stderr. LOG_LEVEL (see lib/config.js)
+// sets the lowest level written; `silent` turns logging off.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+let threshold = LEVELS.info;
+
+export const setLogLevel = (level) => {
+    if (!(level in LEVELS)) throw new Error(`Unknown log level "${level}".`);
+    threshold = LEVELS[level];
+};
+
+// Errors do not survive JSON.stringify, so they are flattened first
+const serialize = (value) => {
+    if (!(value instanceof Error)) return value;
+
+    return {
+        name: value.name,
+        message: value.message,
+        ...(value.code !== undefined && { code: value.code }),
+        stack: value.stack,
+        ...(value.cause && { cause: serialize(value.cause) })
+    };
+};
+
+const write = (level, msg, fields = {}) => {
+    if (LEVELS[level] < threshold) return;
+
+    const entry = { time: new Date().toISOString(), level, msg };
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) entry[key] = serialize(value);
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+export const logger = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+};
@@ -0,0 +1,4 @@
+// Canonical form used to match names typed by different people:
+// Unicode-normalized, trimmed, inner whitespace collapsed, case-insensitive.
+export const normalizeName = (name) =>
+    String(name).normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
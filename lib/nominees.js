@@ -0,0 +1,97 @@
+import { nominees } from './repositories/index.js';
+import { normalizeName } from './names.js';
+
+/**
+ * The event's active nominee whose name matches `name` once normalized (see
+ * lib/names.js), as `{ id, name }`, or null. Archived nominees are ignored.
+ */
+export const findNomineeByName = async (eventId, name) => {
+    const active = await nominees.list(eventId, { archived: false });
+
+    const key = normalizeName(name);
+    const match = active.find(nominee => normalizeName(nominee.name) === key);
+    return match ? { id: match.id, name: match.name } : null;
+};
+
+// --------------------------------------------
+// Duplicate detection
+// --------------------------------------------
+// Two nominees are likely the same person or entity when their names are equal
+// once normalized, use the same words in another order ("Doe, Jane"), or are
+// within a few typos of each other (similarity >= threshold, where similarity
+// is 1 - edit distance / length of the longer name).
+
+export const DEFAULT_DUPLICATE_THRESHOLD = 0.85;
+
+// Normalized name without punctuation, so "J. Doe" and "J Doe" compare equal
+const comparableName = (name) => normalizeName(name).replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+
+const sortedWords = (text) => text.split(' ').sort().join(' ');
+
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+const compareNames = (a, b, threshold) => {
+    if (a.comparable === b.comparable) return { reason: 'same_name', similarity: 1 };
+    if (a.words === b.words) return { reason: 'reordered_name', similarity: 1 };
+
+    const longest = Math.max(a.comparable.length, b.comparable.length);
+    // Names whose lengths alone rule out the threshold are not worth comparing
+    if (longest === 0 || Math.abs(a.comparable.length - b.comparable.length) / longest > 1 - threshold) return null;
+
+    const similarity = 1 - editDistance(a.comparable, b.comparable) / longest;
+    return similarity >= threshold ? { reason: 'similar_name', similarity: Math.round(similarity * 100) / 100 } : null;
+};
+
+/**
+ * Groups `nominees` ({ id, name, ... }) that are likely duplicates of each
+ * other. Each group lists its nominees and the pairwise matches that linked them.
+ */
+export const findDuplicateNominees = (nominees, { threshold = DEFAULT_DUPLICATE_THRESHOLD } = {}) => {
+    const entries = nominees.map(nominee => {
+        const comparable = comparableName(nominee.name);
+        return { nominee, comparable, words: sortedWords(comparable) };
+    });
+
+    // Union-find, so chains of matches end up in one group
+    const parent = entries.map((_, i) => i);
+    const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+    const matches = [];
+
+    for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+            const match = compareNames(entries[i], entries[j], threshold);
+            if (!match) continue;
+
+            matches.push({ ids: [entries[i].nominee.id, entries[j].nominee.id], ...match, group: i });
+            parent[root(j)] = root(i);
+        }
+    }
+
+    const groups = new Map();
+    entries.forEach((entry, i) => {
+        const key = root(i);
+        if (!groups.has(key)) groups.set(key, { nominees: [], matches: [] });
+        groups.get(key).nominees.push(entry.nominee);
+    });
+    for (const { group, ...match } of matches) {
+        groups.get(root(group)).matches.push(match);
+    }
+
+    return [...groups.values()].filter(group => group.nominees.length > 1);
+};
@@ -0,0 +1,149 @@
+import { sendMail } from './mailer.js';
+import { logger } from './logger.js';
+import { events, categories, voters } from './repositories/index.js';
+
+// --------------------------------------------
+// Voter notifications
+// --------------------------------------------
+// Every message to voters is rendered from one of the templates below and
+// delivered through lib/mailer.js, so the transport (file, SMTP, webhook...)
+// is chosen in one place. Templated messages carry their `template` name and
+// `data`, for webhook receivers that render their own.
+//
+// Sign-in codes and vote receipts go to every voter. The notices (voting opens
+// soon, voting closes soon, winners announced) only go to voters who opted in,
+// at their first sign-in or later; sendDueNotices() sends whatever is due and runs every
+// NOTICE_SWEEP_INTERVAL_MS while the server is up (see index.js).
+
+const noticeLeadMinutes = () => Number(process.env.NOTICE_LEAD_MINUTES) || 60;
+
+const greeting = (name) => `Hello ${name},`;
+
+const categoryLines = (list, at) => list.map(category => `- ${category.name}${at ? ` (${category[at]})` : ''}`).join('\n');
+
+// Each template turns its data into { subject, text }
+export const TEMPLATES = {
+    signinCode: ({ code, expiresAt }) => ({
+        subject: 'Your sign-in code',
+        text: `Your sign-in code is ${code}. It expires at ${expiresAt}.`
+    }),
+
+    // receipts: [{ categoryName, choices, code }]; choices is the nominee names, best first
+    voteReceipt: ({ voterName, eventName, receipts }) => ({
+        subject: `Your vote receipt for ${eventName}`,
+        text: [
+            greeting(voterName),
+            '',
+            `Thank you for voting in ${eventName}. Your votes are recorded:`,
+            '',
+            ...receipts.map(receipt => `${receipt.categoryName}: ${receipt.choices}\n  Receipt code: ${receipt.code}`),
+            '',
+            'You can check a receipt code at any time to confirm the vote is still recorded. The check never shows who you voted for.'
+        ].join('\n')
+    }),
+
+    votingOpensSoon: ({ voterName, eventName, categories: list }) => ({
+        subject: `Voting opens soon in ${eventName}`,
+        text: `${greeting(voterName)}\n\nVoting opens soon in these categories of ${eventName}:\n\n${categoryLines(list, 'opens_at')}`
+    }),
+
+    votingClosesSoon: ({ voterName, eventName, categories: list }) => ({
+        subject: `Voting closes soon in ${eventName}`,
+        text: `${greeting(voterName)}\n\nVoting closes soon in these categories of ${eventName}. Make sure your vote is in:\n\n${categoryLines(list, 'closes_at')}`
+    }),
+
+    winnersAnnounced: ({ voterName, eventName, categories: list }) => ({
+        subject: `Winners announced in ${eventName}`,
+        text: `${greeting(voterName)}\n\nThe winners of ${eventName} have been announced in:\n\n${categoryLines(list)}`
+    })
+};
+
+/**
+ * Renders `template` with `data` and sends it to `to`.
+ */
+export const notify = async (template, to, data) => {
+    const render = TEMPLATES[template];
+    if (!render) throw new Error(`Unknown notification template "${template}".`);
+
+    await sendMail({ to, ...render(data), template, data });
+};
+
+// --------------------------------------------
+// Scheduled notices
+// --------------------------------------------
+
+// Per notice kind: the template, and the category field holding the time it is about
+const NOTICES = {
+    opening: { template: 'votingOpensSoon', at: 'opens_at' },
+    closing: { template: 'votingClosesSoon', at: 'closes_at' },
+    results: { template: 'winnersAnnounced' }
+};
+
+/**
+ * Sends the notices that are due: for categories opening or closing within
+ * NOTICE_LEAD_MINUTES, and for newly published ones. Each voter gets one
+ * message per event and kind. Categories are marked as notified before
+ * sending, so a notice is never sent twice; failed deliveries are logged.
+ * Resolves to the number of messages sent.
+ */
+export const sendDueNotices = async () => {
+    const until = new Date(Date.now() + noticeLeadMinutes() * 60 * 1000).toISOString();
+    let recipients;
+    let eventsById;
+    let sent = 0;
+
+    for (const [kind, { template, at }] of Object.entries(NOTICES)) {
+        const due = await categories.claimNotices(kind, { until });
+        if (due.length === 0) continue;
+
+        recipients ??= await voters.notificationRecipients();
+        eventsById ??= new Map((await events.list()).map(event => [event.id, event]));
+
+        const byEvent = new Map();
+        for (const category of due) {
+            byEvent.set(category.event_id, [...(byEvent.get(category.event_id) || []), category]);
+        }
+
+        for (const [eventId, eventCategories] of byEvent) {
+            const eventName = eventsById.get(eventId)?.name;
+            const list = eventCategories.map(category => ({ name: category.name, ...(at && { [at]: category[at] }) }));
+
+            for (const voter of recipients) {
+                try {
+                    await notify(template, voter.email, { voterName: voter.name, eventName, categories: list });
+                    sent += 1;
+                } catch (error) {
+                    logger.error('Notice delivery failed', { template, eventId, voterId: voter.id, error });
+                }
+            }
+        }
+
+        logger.info('Notices sent', { kind, categories: due.length, recipients: recipients.length });
+    }
+
+    return sent;
+};
+
+/**
+ * Runs sendDueNotices() every `intervalMs`. Returns a function that stops it.
+ */
+export const startNoticeSweeps = (intervalMs) => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+        // A slow sweep is not overlapped by the next one
+        if (running) return;
+        running = true;
+
+        try {
+            await sendDueNotices();
+        } catch (error) {
+            logger.error('Notice sweep failed', { error });
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+    timer.unref();
+
+    return () => clearInterval(timer);
+};
@@ -0,0 +1,68 @@
+// --------------------------------------------
+// Paginated admin lists
+// --------------------------------------------
+// The admin category, nominee, nomination and voter lists share one set of
+// query options and one response shape:
+//
+//   ?q=          case-insensitive name search (nominations: the nominee's name;
+//                voters: name or email)
+//   ?sort=       one of the list's sort keys below; &order=asc|desc
+//   ?limit=      page size (default 50, at most 200); &offset= rows to skip
+//   ?archived=   true lists only archived records instead of active ones
+//                (not for voters)
+//
+//   { items: [...], total, limit, offset, nextOffset }
+//
+// `total` counts every match, not just this page; `nextOffset` is null on the
+// last page. Pagination is by offset, so rows added while paging can shift
+// later pages by a row.
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+export const SORT_ORDERS = ['asc', 'desc'];
+
+// Per list: the fields searched by ?q=, and the fields each sort key orders by.
+// Dotted fields belong to the embedded category / nominee of a nomination.
+// Both data stores read these, so the lists behave the same on either.
+export const LISTS = {
+    categories: {
+        search: ['name'],
+        sorts: { display_order: ['display_order', 'name'], name: ['name'], created_at: ['created_at'] },
+        defaultSort: 'display_order'
+    },
+    nominees: {
+        search: ['name'],
+        sorts: { name: ['name'], organization: ['organization', 'name'], created_at: ['created_at'] },
+        defaultSort: 'name'
+    },
+    nominations: {
+        search: ['nominee.name'],
+        sorts: { category: ['category.name', 'nominee.name'], nominee: ['nominee.name', 'category.name'], created_at: ['created_at'] },
+        defaultSort: 'category'
+    },
+    voters: {
+        search: ['name', 'email'],
+        sorts: { created_at: ['created_at'], name: ['name'], email: ['email'] },
+        defaultSort: 'created_at',
+        defaultOrder: 'desc'
+    }
+};
+
+/**
+ * The paging part of a validated list query, with defaults filled in.
+ */
+export const pageQuery = (list, { q, sort, order, limit, offset }) => ({
+    search: q,
+    sort: sort || LISTS[list].defaultSort,
+    order: order || LISTS[list].defaultOrder || 'asc',
+    limit: limit || DEFAULT_PAGE_SIZE,
+    offset: offset || 0
+});
+
+export const listResponse = ({ items, total }, { limit, offset }) => ({
+    items,
+    total,
+    limit,
+    offset,
+    nextOffset: offset + items.length < total ? offset + items.length : null
+});
@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+// --------------------------------------------
+// Password hashing (scrypt, no external dependency)
+// --------------------------------------------
+// Hashes are stored as `scrypt$N$r$p$salt$hash` so the cost parameters can be
+// raised later without invalidating existing passwords.
+
+const scrypt = promisify(crypto.scrypt);
+
+const COST = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+export const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH, COST);
+
+    return ['scrypt', COST.N, COST.r, COST.p, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+/**
+ * Returns true when `password` matches `stored`. Malformed hashes never match.
+ */
+export const verifyPassword = async (password, stored) => {
+    const [algorithm, N, r, p, salt, hash] = String(stored).split('$');
+    if (algorithm !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p)
+    });
+
+    return crypto.timingSafeEqual(expected, actual);
+};
@@ -0,0 +1,55 @@
+// --------------------------------------------
+// Instant-runoff counting for ranked categories
+// --------------------------------------------
+// Each round, every ballot counts for its highest-ranked nominee still in the
+// race. A nominee with more than half of the round's counted ballots wins.
+// Otherwise the nominee(s) with the fewest votes are eliminated together and
+// the next round begins. If every remaining nominee is level, they tie.
+
+/**
+ * @param {string[]} candidateIds Nominees in the category
+ * @param {string[][]} ballots Each ballot's nominee ids in preference order
+ * @returns {{ winners: string[], rounds: Array<{ round: number, tallies: Object<string, number>, exhausted: number, eliminated: string[] }> }}
+ */
+export const instantRunoff = (candidateIds, ballots) => {
+    const continuing = new Set(candidateIds);
+    const rounds = [];
+
+    while (continuing.size > 0) {
+        const tallies = Object.fromEntries([...continuing].map(id => [id, 0]));
+        let exhausted = 0;
+
+        for (const ballot of ballots) {
+            const choice = ballot.find(id => continuing.has(id));
+            if (choice) tallies[choice] += 1;
+            else exhausted += 1;
+        }
+
+        const counted = ballots.length - exhausted;
+        const round = { round: rounds.length + 1, tallies, exhausted, eliminated: [] };
+        rounds.push(round);
+
+        if (counted === 0) {
+            return { winners: [], rounds };
+        }
+
+        const counts = Object.values(tallies);
+        const highest = Math.max(...counts);
+        const lowest = Math.min(...counts);
+        const leaders = Object.keys(tallies).filter(id => tallies[id] === highest);
+
+        if (highest * 2 > counted || continuing.size === 1) {
+            return { winners: leaders, rounds };
+        }
+
+        // Everyone left is level: nobody can be eliminated fairly
+        if (highest === lowest) {
+            return { winners: leaders, rounds };
+        }
+
+        round.eliminated = Object.keys(tallies).filter(id => tallies[id] === lowest);
+        round.eliminated.forEach(id => continuing.delete(id));
+    }
+
+    return { winners: [], rounds };
+};
@@ -0,0 +1,59 @@
+import { TooManyRequestsError } from './errors.js';
+
+// --------------------------------------------
+// In-memory rate limiting
+// --------------------------------------------
+// Fixed-window counters per key, kept in this process. Behind a load balancer
+// each instance counts separately, which is acceptable for abuse protection.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// name -> Map(key -> { count, resetAt })
+const buckets = new Map();
+
+setInterval(() => {
+    const now = Date.now();
+    for (const counters of buckets.values()) {
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now) counters.delete(key);
+        }
+    }
+}, SWEEP_INTERVAL_MS).unref();
+
+/**
+ * Returns middleware allowing `max` requests per `windowMs` for each value of
+ * `key(req)`. Requests whose key is empty are not counted. `max` may be a
+ * function so limits can come from the environment.
+ */
+export const rateLimit = ({ name, windowMs, max, key }) => {
+    const counters = new Map();
+    buckets.set(name, counters);
+
+    return (req, res, next) => {
+        const id = key(req);
+        if (!id) return next();
+
+        const limit = typeof max === 'function' ? max() : max;
+        const now = Date.now();
+        let counter = counters.get(id);
+
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + windowMs };
+            counters.set(id, counter);
+        }
+
+        counter.count += 1;
+
+        if (counter.count > limit) {
+            const retryAfterSeconds = Math.ceil((counter.resetAt - now) / 1000);
+            res.set('Retry-After', String(retryAfterSeconds));
+            return next(new TooManyRequestsError('Too many requests. Please try again later.', {
+                code: 'RATE_LIMITED',
+                extra: { retryAfterSeconds }
+            }));
+        }
+
+        next();
+    };
+};
+
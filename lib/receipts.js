@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import { receipts, voters, nominees } from './repositories/index.js';
+import { notify } from './notifications.js';
+import { logger } from './logger.js';
+
+// --------------------------------------------
+// Vote receipts
+// --------------------------------------------
+// Each recorded vote gets a receipt code, returned by the voting routes and
+// mailed to the voter. Anyone holding the code can check that the vote is
+// still recorded and counted (GET /api/public/receipts/:code); the check
+// names the event and category, never the nominees chosen, so a receipt
+// cannot be used to prove to someone else how the voter voted.
+//
+// A receipt stands for one version of a vote: changing the vote issues a new
+// code, and earlier codes then report `superseded`.
+
+// Crockford base32: no I, L, O or U, so codes survive being read out or retyped
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 12;
+
+const grouped = (characters) => characters.match(/.{4}/g).join('-');
+
+// 60 random bits, shown in groups of four: 7KQ2-M9XD-4TRA
+const generateCode = () => grouped([...crypto.randomBytes(CODE_LENGTH)]
+    .map(byte => ALPHABET[byte % ALPHABET.length])
+    .join(''));
+
+/**
+ * The stored form of a typed receipt code (any case, with or without dashes,
+ * O for 0 and I or L for 1), or null when it cannot be a receipt code.
+ */
+export const normalizeReceiptCode = (input) => {
+    const characters = input.toUpperCase().replace(/[\s-]/g, '').replace(/O/g, '0').replace(/[IL]/g, '1');
+
+    if (characters.length !== CODE_LENGTH || [...characters].some(character => !ALPHABET.includes(character))) {
+        return null;
+    }
+    return grouped(characters);
+};
+
+// Timestamps are compared as instants; null is a vote that was never changed
+const sameVersion = (a, b) => (a && b ? new Date(a).getTime() === new Date(b).getTime() : !a && !b);
+
+// The latest receipt if the vote has not changed since it was issued, otherwise a new one
+const receiptFor = async (eventId, vote) => {
+    const latest = await receipts.latestForVote(vote.id);
+    if (latest && sameVersion(latest.vote_updated_at, vote.updated_at)) return latest;
+
+    return receipts.create({
+        code: generateCode(),
+        event_id: eventId,
+        category_id: vote.category_id,
+        vote_id: vote.id,
+        vote_updated_at: vote.updated_at ?? null
+    });
+};
+
+const mailReceipts = async (event, voterId, entries, issued) => {
+    const [voter, eventNominees] = await Promise.all([voters.findById(voterId), nominees.list(event.id)]);
+    if (!voter || voter.anonymized_at) return;
+
+    const names = new Map(eventNominees.map(nominee => [nominee.id, nominee.name]));
+
+    await notify('voteReceipt', voter.email, {
+        voterName: voter.name,
+        eventName: event.name,
+        receipts: entries.map(({ category, nomineeIds }, index) => ({
+            categoryName: category.name,
+            choices: nomineeIds.map(id => names.get(id)).join(', '),
+            code: issued[index].code
+        }))
+    });
+};
+
+/**
+ * Issues receipts for the votes the signed-in voter just cast or changed and
+ * mails them in one message. `entries`: [{ vote, category, nomineeIds }], where
+ * vote has at least id, category_id and updated_at. A recorded vote must stand
+ * whatever happens here, so failures are only logged. Resolves to one
+ * `{ code, issuedAt }` (or null) per entry.
+ */
+export const issueReceipts = async (req, entries) => {
+    let issued;
+    try {
+        issued = await Promise.all(entries.map(({ vote }) => receiptFor(req.event.id, vote)));
+    } catch (error) {
+        logger.error('Issuing vote receipts failed', { requestId: req.id, error });
+        return entries.map(() => null);
+    }
+
+    try {
+        await mailReceipts(req.event, req.voter.id, entries, issued);
+    } catch (error) {
+        logger.error('Mailing vote receipts failed', { requestId: req.id, error });
+    }
+
+    return issued.map(receipt => ({ code: receipt.code, issuedAt: receipt.created_at }));
+};
+
+/**
+ * What the public may learn from a receipt code, or null if it is unknown.
+ * status: counted, superseded (the vote was changed since), invalidated
+ * (after fraud review), withdrawn (the vote or the voter was removed) or
+ * archived (the category was withdrawn from the event).
+ */
+export const checkReceipt = async (code) => {
+    const receipt = await receipts.findByCode(code);
+    if (!receipt) return null;
+
+    const { vote, category } = receipt;
+    let status = 'counted';
+
+    if (!vote) status = 'withdrawn';
+    else if (vote.invalidated_at) status = 'invalidated';
+    else if (category.archived_at) status = 'archived';
+    else if (!sameVersion(receipt.vote_updated_at, vote.updated_at)) status = 'superseded';
+
+    return {
+        code: receipt.code,
+        status,
+        counted: status === 'counted',
+        issuedAt: receipt.created_at,
+        event: { slug: receipt.event.slug, name: receipt.event.name },
+        category: { id: category.id, name: category.name }
+    };
+};
@@ -0,0 +1,66 @@
+import { createSupabaseStore } from './supabaseStore.js';
+import { createMemoryStore } from './memoryStore.js';
+
+// --------------------------------------------
+// Data access
+// --------------------------------------------
+// Routes and services read and write all application data (events, admin
+// accounts, the audit log, voters, the catalogue of categories, nominees and
+// nominations, nomination submissions, votes and their change log, fraud
+// flags, jury scores and vote receipts) through these repositories rather than
+// through the Supabase client. createApp() selects the implementation named by
+// the validated configuration (config.dataStore, from DATA_STORE):
+// - supabase (default): the tables and functions in migrations/
+// - memory: in-process, for offline development and tests (see memoryStore.js)
+//
+// Only scripts/create_admin.js, which bootstraps accounts in a Supabase
+// project, and the supabase storage driver in lib/storage.js use the client
+// directly.
+
+const STORES = {
+    supabase: createSupabaseStore,
+    memory: createMemoryStore
+};
+
+let selected = null;
+
+/**
+ * Selects the data store named by `dataStore` (see lib/config.js). Selecting
+ * the store already in use keeps it, with its data.
+ */
+export const selectDataStore = (dataStore) => {
+    if (!STORES[dataStore]) {
+        throw new Error(`Unknown DATA_STORE "${dataStore}".`);
+    }
+    if (selected?.name !== dataStore) {
+        selected = { name: dataStore, store: STORES[dataStore]() };
+    }
+};
+
+const currentStore = () => {
+    if (!selected) throw new Error('No data store selected: create the app with createApp() first.');
+    return selected.store;
+};
+
+// Modules import the repositories when they load, before the app is created,
+// so each one forwards to whichever store is selected at the time of the call
+const repository = (name) => new Proxy({}, {
+    get: (target, method) => currentStore()[name][method]
+});
+
+export const events = repository('events');
+export const admins = repository('admins');
+export const auditLog = repository('auditLog');
+export const voters = repository('voters');
+export const categories = repository('categories');
+export const nominees = repository('nominees');
+export const nominations = repository('nominations');
+export const submissions = repository('submissions');
+export const votes = repository('votes');
+export const voteChanges = repository('voteChanges');
+export const voteFlags = repository('voteFlags');
+export const juryScores = repository('juryScores');
+export const receipts = repository('receipts');
+
+// Resolves when the store can serve queries (used by /readyz)
+export const ping = () => currentStore().ping();
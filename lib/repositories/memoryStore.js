@@ -0,0 +1,1255 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { UNIQUE_VIOLATION } from '../errors.js';
+import { LISTS } from '../pagination.js';
+import { effectiveStatus } from '../lifecycle.js';
+
+// --------------------------------------------
+// In-memory data store
+// --------------------------------------------
+// The same repositories as supabaseStore.js, kept in plain objects inside the
+// server process, for offline development and the HTTP tests. Everything is
+// lost on restart. The checks the Postgres functions make (nominations,
+// voting modes, vote change policies, archived records) are repeated here,
+// and failures are thrown in the PostgREST error shape so lib/errors.js
+// answers them exactly like the database's.
+//
+// MEMORY_STORE_SEED may name a JSON file of rows to start from, keyed by
+// table name: { "events": [...], "admin_users": [...], ... }.
+
+const now = () => new Date().toISOString();
+
+const databaseError = (code, message, hint = null) => Object.assign(new Error(message), { code, details: null, hint });
+
+const notFound = () => databaseError('PGRST116', 'JSON object requested, multiple (or no) rows returned');
+
+const copy = (row) => (row ? structuredClone(row) : null);
+
+const withoutUndefined = (fields) =>
+    Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+
+const pick = (row, columns) => row && Object.fromEntries(columns.map(column => [column, row[column] ?? null]));
+
+const ARCHIVABLE = { archived_at: null, archived_by: null };
+
+// Column defaults, as in migrations/
+const DEFAULTS = {
+    events: { year: null, is_current: false },
+    admin_users: { is_active: true, updated_at: null, last_login_at: null },
+    admin_audit_log: { entity_id: null, event_id: null, before: null, after: null, request_id: null },
+    voters: { phone: null, role: 'public', notifications_opt_in: false, anonymized_at: null, email_hash: null },
+    voter_login_codes: { attempts: 0, consumed_at: null },
+    categories: {
+        description: null,
+        is_active: true,
+        status: 'draft',
+        opens_at: null,
+        closes_at: null,
+        vote_change_policy: 'immutable',
+        max_vote_changes: null,
+        voting_mode: 'single',
+        max_choices: null,
+        jury_weight: 0,
+        display_order: 0,
+        icon_path: null,
+        icon_url: null,
+        nominations_open: false,
+        opening_notice_sent_at: null,
+        closing_notice_sent_at: null,
+        results_notice_sent_at: null,
+        ...ARCHIVABLE
+    },
+    nominees: { bio: null, organization: null, links: [], photo_path: null, photo_url: null, merged_into_id: null, ...ARCHIVABLE },
+    nominations: { ...ARCHIVABLE },
+    nomination_submissions: {
+        matched_nominee_id: null,
+        status: 'pending',
+        resolved_nominee_id: null,
+        rejection_reason: null,
+        reviewed_by: null,
+        reviewed_at: null
+    },
+    votes: { ip_address: null, updated_at: null, invalidated_at: null },
+    vote_selections: { rank: null },
+    vote_changes: { from_nominee_id: null, to_nominee_id: null, from_selection: null, to_selection: null },
+    vote_flags: { details: {}, status: 'open', reviewed_at: null, reviewed_by: null },
+    jury_scores: { updated_at: null },
+    vote_receipts: { vote_id: null, vote_updated_at: null }
+};
+
+// Unique constraints besides the primary key
+const UNIQUE = {
+    events: [['slug']],
+    admin_users: [['email']],
+    voters: [['email']],
+    nominations: [['category_id', 'nominee_id']],
+    nomination_submissions: [['voter_id', 'category_id', 'normalized_name']],
+    votes: [['voter_id', 'category_id']],
+    vote_flags: [['vote_id', 'rule']],
+    jury_scores: [['juror_id', 'category_id', 'nominee_id']],
+    vote_receipts: [['code']]
+};
+
+const createTable = (name) => {
+    const rows = new Map();
+    let sequence = 0;
+
+    const assertUnique = (row) => {
+        for (const columns of UNIQUE[name] || []) {
+            const clash = [...rows.values()].some(other =>
+                other.id !== row.id && columns.every(column => other[column] === row[column]));
+
+            if (clash) {
+                throw databaseError(UNIQUE_VIOLATION, `duplicate key value violates unique constraint on ${name} (${columns.join(', ')})`);
+            }
+        }
+    };
+
+    return {
+        all: () => [...rows.values()],
+        get: (id) => rows.get(id) || null,
+        insert(fields) {
+            sequence += 1;
+            const row = {
+                // The audit log has an identity key and its own timestamp column
+                id: name === 'admin_audit_log' ? sequence : crypto.randomUUID(),
+                ...(name === 'admin_audit_log' ? { occurred_at: now() } : { created_at: now() }),
+                ...structuredClone(DEFAULTS[name] || {}),
+                ...withoutUndefined(fields)
+            };
+            assertUnique(row);
+            rows.set(row.id, row);
+            return row;
+        },
+        update(row, changes) {
+            const updated = { ...row, ...withoutUndefined(changes) };
+            assertUnique(updated);
+            rows.set(row.id, updated);
+            return updated;
+        },
+        remove(id) {
+            return rows.delete(id);
+        }
+    };
+};
+
+const createTables = () => Object.fromEntries(Object.keys(DEFAULTS).map(name => [name, createTable(name)]));
+
+const seedTables = (tables, file) => {
+    const seed = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    for (const [name, rows] of Object.entries(seed)) {
+        if (!tables[name]) throw new Error(`MEMORY_STORE_SEED: unknown table "${name}".`);
+        rows.forEach(row => tables[name].insert(row));
+    }
+};
+
+// true: archived records only, false: unarchived only, undefined: both
+const matchesArchived = (row, archived) => archived === undefined || Boolean(row.archived_at) === archived;
+
+const byDisplayOrder = (a, b) => a.display_order - b.display_order || a.name.localeCompare(b.name);
+
+const byCreatedAt = (a, b) => a.created_at.localeCompare(b.created_at);
+
+// A field of a row; dotted fields reach into embedded records (category.name)
+const fieldOf = (row, field) => field.split('.').reduce((value, key) => value?.[key], row);
+
+// Postgres order: nulls after every value when ascending
+const compareValues = (a, b) => {
+    if (a == null || b == null) return (a == null) - (b == null);
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b));
+};
+
+/**
+ * One page of an admin list (see lib/pagination.js) as { items, total }.
+ */
+const pageOf = (rows, list, { search, sort, order, limit, offset }) => {
+    const { search: searchFields, sorts } = LISTS[list];
+    const needle = search?.toLowerCase();
+    const direction = order === 'desc' ? -1 : 1;
+
+    const matching = needle
+        ? rows.filter(row => searchFields.some(field => String(fieldOf(row, field) ?? '').toLowerCase().includes(needle)))
+        : rows;
+
+    const sorted = [...matching].sort((a, b) => {
+        for (const field of sorts[sort]) {
+            const difference = compareValues(fieldOf(a, field), fieldOf(b, field));
+            if (difference !== 0) return difference * direction;
+        }
+        return a.id.localeCompare(b.id);
+    });
+
+    return { items: sorted.slice(offset, offset + limit).map(copy), total: matching.length };
+};
+
+export const createMemoryStore = ({ seedFile = process.env.MEMORY_STORE_SEED } = {}) => {
+    const tables = createTables();
+    if (seedFile) seedTables(tables, seedFile);
+
+    const eventRows = (table, eventId) => tables[table].all().filter(row => row.event_id === eventId);
+
+    const findEventRow = (table, eventId, id) => {
+        const row = tables[table].get(id);
+        return row && row.event_id === eventId ? row : null;
+    };
+
+    const eventRecords = (table) => ({
+        find: async (eventId, id) => copy(findEventRow(table, eventId, id)),
+
+        create: async (fields) => copy(tables[table].insert(fields)),
+
+        update: async (eventId, id, changes) => {
+            const row = findEventRow(table, eventId, id);
+            if (!row) throw notFound();
+            return copy(tables[table].update(row, changes));
+        }
+    });
+
+    // --- Votes ---
+
+    // A nomination only takes votes while it, its category and its nominee are unarchived
+    const isActiveNomination = (eventId, categoryId, nomineeId) => tables.nominations.all().some(link =>
+        link.event_id === eventId
+        && link.category_id === categoryId
+        && link.nominee_id === nomineeId
+        && !link.archived_at
+        && !tables.categories.get(categoryId)?.archived_at
+        && !tables.nominees.get(nomineeId)?.archived_at);
+
+    const assertValidChoices = (eventId, categoryId, nomineeIds) => {
+        const category = findEventRow('categories', eventId, categoryId);
+
+        if (!category || category.archived_at) {
+            throw databaseError('EF404', 'Category not found.', 'NOT_FOUND');
+        }
+        if (nomineeIds.length === 0) {
+            throw databaseError('EF400', 'At least one choice is required.', 'NO_CHOICES');
+        }
+        if (category.voting_mode === 'single' && nomineeIds.length > 1) {
+            throw databaseError('EF400', 'This category accepts a single choice.', 'TOO_MANY_CHOICES');
+        }
+        if (category.max_choices !== null && nomineeIds.length > category.max_choices) {
+            throw databaseError('EF400', `This category accepts at most ${category.max_choices} choices.`, 'TOO_MANY_CHOICES');
+        }
+        if (new Set(nomineeIds).size !== nomineeIds.length) {
+            throw databaseError('EF400', 'Each nominee can only be chosen once.', 'DUPLICATE_CHOICE');
+        }
+        if (!nomineeIds.every(nomineeId => isActiveNomination(eventId, categoryId, nomineeId))) {
+            throw databaseError('EF400', 'Invalid vote: Nominee is not nominated in this category.', 'NOT_NOMINATED');
+        }
+
+        return category;
+    };
+
+    const selectionsOf = (voteId) => tables.vote_selections.all().filter(selection => selection.vote_id === voteId);
+
+    // The voter's choices for a vote, in rank order for ranked votes
+    const voteChoices = (vote) => {
+        const selections = selectionsOf(vote.id)
+            .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+
+        return selections.length > 0 ? selections.map(selection => selection.nominee_id) : [vote.nominee_id];
+    };
+
+    const writeSelections = (vote, mode, nomineeIds) => {
+        if (mode === 'single') return;
+
+        nomineeIds.forEach((nomineeId, index) => tables.vote_selections.insert({
+            vote_id: vote.id,
+            event_id: vote.event_id,
+            category_id: vote.category_id,
+            nominee_id: nomineeId,
+            rank: mode === 'ranked' ? index + 1 : null
+        }));
+    };
+
+    // Receipts outlive their vote, as with `on delete set null`
+    const removeVote = (voteId) => {
+        selectionsOf(voteId).forEach(selection => tables.vote_selections.remove(selection.id));
+        tables.vote_flags.all().filter(flag => flag.vote_id === voteId).forEach(flag => tables.vote_flags.remove(flag.id));
+        tables.vote_receipts.all()
+            .filter(receipt => receipt.vote_id === voteId)
+            .forEach(receipt => tables.vote_receipts.update(receipt, { vote_id: null }));
+        tables.votes.remove(voteId);
+    };
+
+    const findVote = (eventId, voterId, categoryId) => tables.votes.all().find(vote =>
+        vote.event_id === eventId && vote.voter_id === voterId && vote.category_id === categoryId) || null;
+
+    const assertVoteChangeAllowed = (voterId, categoryId) => {
+        const category = tables.categories.get(categoryId);
+
+        if (category.vote_change_policy === 'immutable') {
+            throw databaseError('EF409', 'Votes in this category cannot be changed.', 'VOTE_LOCKED');
+        }
+
+        if (category.vote_change_policy === 'limited') {
+            const changes = tables.vote_changes.all()
+                .filter(change => change.voter_id === voterId && change.category_id === categoryId).length;
+
+            if (changes >= category.max_vote_changes) {
+                throw databaseError('EF409', `You have used all ${category.max_vote_changes} allowed vote changes in this category.`, 'CHANGE_LIMIT_REACHED');
+            }
+        }
+    };
+
+    const castVote = ({ eventId, voterId, categoryId, nomineeIds, ipAddress = null }) => {
+        const category = assertValidChoices(eventId, categoryId, nomineeIds);
+
+        const vote = tables.votes.insert({
+            event_id: eventId,
+            voter_id: voterId,
+            category_id: categoryId,
+            nominee_id: nomineeIds[0],
+            ip_address: ipAddress
+        });
+
+        writeSelections(vote, category.voting_mode, nomineeIds);
+        return vote;
+    };
+
+    // Votes that count: never invalidated ones, in unarchived categories, and
+    // with excludeFlagged also none that still have an open flag
+    const countedVotes = (eventId, { excludeFlagged = false } = {}) => {
+        const flagged = new Set(excludeFlagged
+            ? eventRows('vote_flags', eventId).filter(flag => flag.status === 'open').map(flag => flag.vote_id)
+            : []);
+
+        return eventRows('votes', eventId).filter(vote => !vote.invalidated_at
+            && !tables.categories.get(vote.category_id)?.archived_at
+            && !flagged.has(vote.id));
+    };
+
+    const distinctCount = (values) => new Set(values).size;
+
+    // --- Repositories ---
+
+    const events = {
+        list: async () => tables.events.all().sort((a, b) => byCreatedAt(b, a)).map(copy),
+
+        findBySlug: async (slug) => copy(tables.events.all().find(event => event.slug === slug)),
+
+        findCurrent: async () => copy(tables.events.all().find(event => event.is_current)),
+
+        create: async (fields) => copy(tables.events.insert(fields)),
+
+        update: async (slug, changes) => {
+            const event = tables.events.all().find(row => row.slug === slug);
+            return event ? copy(tables.events.update(event, changes)) : null;
+        },
+
+        clearCurrent: async ({ exceptSlug } = {}) => {
+            tables.events.all()
+                .filter(event => event.is_current && event.slug !== exceptSlug)
+                .forEach(event => tables.events.update(event, { is_current: false }));
+        },
+
+        clone: async ({ sourceEventId, slug, name, year }) => {
+            const event = tables.events.insert({ slug, name, year: year ?? null });
+            const categoryIds = new Map();
+            const nomineeIds = new Map();
+
+            eventRows('categories', sourceEventId)
+                .filter(category => !category.archived_at)
+                .forEach(({ id, name: categoryName, description, is_active, display_order }) => categoryIds.set(id, tables.categories.insert({
+                    event_id: event.id, name: categoryName, description, is_active, display_order
+                }).id));
+
+            eventRows('nominees', sourceEventId)
+                .filter(nominee => !nominee.archived_at)
+                .forEach(({ id, name: nomineeName, bio, organization, links }) => nomineeIds.set(id, tables.nominees.insert({
+                    event_id: event.id, name: nomineeName, bio, organization, links
+                }).id));
+
+            eventRows('nominations', sourceEventId)
+                .filter(link => !link.archived_at && categoryIds.has(link.category_id) && nomineeIds.has(link.nominee_id))
+                .forEach(link => tables.nominations.insert({
+                    event_id: event.id,
+                    category_id: categoryIds.get(link.category_id),
+                    nominee_id: nomineeIds.get(link.nominee_id)
+                }));
+
+            return copy(event);
+        },
+
+        // Nominations that appeared since the plan was made are skipped
+        importData: async (eventId, plan) => {
+            const categoryIds = new Map(plan.create_categories.map(({ key, name, description }) =>
+                [key, tables.categories.insert({ event_id: eventId, name, description }).id]));
+
+            const updated = plan.update_categories
+                .map(({ id, description }) => ({ category: findEventRow('categories', eventId, id), description }))
+                .filter(({ category }) => category);
+            updated.forEach(({ category, description }) => tables.categories.update(category, { description: description ?? null }));
+
+            const nomineeIds = new Map(plan.create_nominees.map(({ key, name }) =>
+                [key, tables.nominees.insert({ event_id: eventId, name }).id]));
+
+            let nominationsCreated = 0;
+            for (const link of plan.create_nominations) {
+                const categoryId = link.category_id ?? categoryIds.get(link.category_key);
+                const nomineeId = link.nominee_id ?? nomineeIds.get(link.nominee_key);
+
+                if (!tables.nominations.all().some(row => row.category_id === categoryId && row.nominee_id === nomineeId)) {
+                    tables.nominations.insert({ event_id: eventId, category_id: categoryId, nominee_id: nomineeId });
+                    nominationsCreated += 1;
+                }
+            }
+
+            return {
+                categoriesCreated: categoryIds.size,
+                categoriesUpdated: updated.length,
+                nomineesCreated: nomineeIds.size,
+                nominationsCreated
+            };
+        }
+    };
+
+    const publicAdmin = (admin) => {
+        if (!admin) return null;
+        const { password_hash: _hash, ...account } = copy(admin);
+        return account;
+    };
+
+    const admins = {
+        list: async () => tables.admin_users.all().sort(byCreatedAt).map(publicAdmin),
+
+        findById: async (id) => publicAdmin(tables.admin_users.get(id)),
+
+        findByEmailWithPassword: async (email) => copy(tables.admin_users.all().find(admin => admin.email === email)),
+
+        create: async (fields) => publicAdmin(tables.admin_users.insert(fields)),
+
+        update: async (id, changes) => {
+            const admin = tables.admin_users.get(id);
+            if (!admin) throw notFound();
+            return publicAdmin(tables.admin_users.update(admin, changes));
+        }
+    };
+
+    const auditLog = {
+        append: async (entry) => {
+            tables.admin_audit_log.insert(structuredClone(entry));
+        },
+
+        list: async ({ actorId, action, entityType, entityId, eventId, since, until, limit }) => tables.admin_audit_log.all()
+            .filter(entry => (!actorId || entry.actor_id === actorId)
+                && (!action || entry.action === action)
+                && (!entityType || entry.entity_type === entityType)
+                && (!entityId || entry.entity_id === entityId)
+                && (!eventId || entry.event_id === eventId)
+                && (!since || entry.occurred_at >= since)
+                && (!until || entry.occurred_at < until))
+            .sort((a, b) => b.occurred_at.localeCompare(a.occurred_at) || b.id - a.id)
+            .slice(0, limit)
+            .map(copy)
+    };
+
+    const publicVoter = (voter) => voter && {
+        id: voter.id,
+        name: voter.name,
+        email: voter.email,
+        phone: voter.phone,
+        role: voter.role,
+        notifications_opt_in: voter.notifications_opt_in,
+        created_at: voter.created_at,
+        anonymized_at: voter.anonymized_at
+    };
+
+    const voters = {
+        page: async ({ role, ...paging }) => pageOf(
+            tables.voters.all().filter(voter => !role || voter.role === role).map(publicVoter),
+            'voters',
+            paging),
+
+        findById: async (id) => publicVoter(tables.voters.get(id)),
+
+        findByEmail: async (email) => publicVoter(tables.voters.all().find(voter => voter.email === email)),
+
+        create: async (fields) => publicVoter(tables.voters.insert(fields)),
+
+        update: async (id, changes) => {
+            const voter = tables.voters.get(id);
+            return voter ? publicVoter(tables.voters.update(voter, changes)) : null;
+        },
+
+        replaceLoginCode: async (voterId, { codeHash, expiresAt }) => {
+            tables.voter_login_codes.all()
+                .filter(code => code.voter_id === voterId && !code.consumed_at)
+                .forEach(code => tables.voter_login_codes.remove(code.id));
+
+            tables.voter_login_codes.insert({ voter_id: voterId, code_hash: codeHash, expires_at: expiresAt });
+        },
+
+        latestLoginCode: async (voterId) => {
+            const [latest] = tables.voter_login_codes.all()
+                .filter(code => code.voter_id === voterId && !code.consumed_at)
+                .sort((a, b) => byCreatedAt(b, a));
+
+            return latest ? { id: latest.id, code_hash: latest.code_hash, attempts: latest.attempts, expires_at: latest.expires_at } : null;
+        },
+
+        updateLoginCode: async (id, changes) => {
+            const code = tables.voter_login_codes.get(id);
+            if (code) tables.voter_login_codes.update(code, changes);
+        },
+
+        anonymize: async (id, { emailHash }) => {
+            const voter = tables.voters.get(id);
+            if (!voter) throw databaseError('EF404', 'Voter not found.', 'NOT_FOUND');
+
+            const anonymized = tables.voters.update(voter, {
+                name: 'Anonymized voter',
+                email: `anonymized-${id}@invalid`,
+                phone: null,
+                email_hash: voter.email_hash || emailHash,
+                anonymized_at: voter.anonymized_at || now()
+            });
+
+            tables.voter_login_codes.all()
+                .filter(code => code.voter_id === id)
+                .forEach(code => tables.voter_login_codes.remove(code.id));
+            tables.votes.all()
+                .filter(vote => vote.voter_id === id)
+                .forEach(vote => tables.votes.update(vote, { ip_address: null }));
+            tables.vote_flags.all()
+                .filter(flag => flag.voter_id === id)
+                .forEach(flag => {
+                    const { ipAddress: _ipAddress, domain: _domain, ...details } = flag.details;
+                    tables.vote_flags.update(flag, { details });
+                });
+
+            return publicVoter(anonymized);
+        },
+
+        isAnonymizedEmail: async (emailHash) => tables.voters.all().some(voter => voter.email_hash === emailHash),
+
+        remove: async (id) => {
+            if (!tables.voters.get(id)) throw databaseError('EF404', 'Voter not found.', 'NOT_FOUND');
+
+            const voterVotes = tables.votes.all().filter(vote => vote.voter_id === id);
+            const scores = tables.jury_scores.all().filter(score => score.juror_id === id);
+
+            const inPublishedResults = voterVotes.some(vote => {
+                const category = tables.categories.get(vote.category_id);
+                return !vote.invalidated_at && !category.archived_at && category.status === 'published';
+            });
+            if (inPublishedResults) {
+                throw databaseError('EF409', 'This voter has votes in published results. Anonymize the voter instead.', 'VOTES_IN_PUBLISHED_RESULTS');
+            }
+
+            const eventIds = [...new Set([...voterVotes, ...scores].map(row => row.event_id))];
+
+            tables.vote_changes.all().filter(change => change.voter_id === id).forEach(change => tables.vote_changes.remove(change.id));
+            voterVotes.forEach(vote => removeVote(vote.id));
+            scores.forEach(score => tables.jury_scores.remove(score.id));
+            const voterSubmissions = tables.nomination_submissions.all().filter(submission => submission.voter_id === id);
+            voterSubmissions.forEach(submission => tables.nomination_submissions.remove(submission.id));
+            tables.voter_login_codes.all().filter(code => code.voter_id === id).forEach(code => tables.voter_login_codes.remove(code.id));
+            tables.voters.remove(id);
+
+            return { votes: voterVotes.length, juryScores: scores.length, submissions: voterSubmissions.length, eventIds };
+        },
+
+        notificationRecipients: async () => tables.voters.all()
+            .filter(voter => voter.notifications_opt_in && !voter.anonymized_at)
+            .map(voter => pick(voter, ['id', 'name', 'email']))
+    };
+
+    const categories = {
+        ...eventRecords('categories'),
+
+        list: async (eventId, { archived, activeOnly = false, ids, nominationsOpen } = {}) => eventRows('categories', eventId)
+            .filter(category => matchesArchived(category, archived)
+                && (!activeOnly || category.is_active)
+                && (!ids || ids.includes(category.id))
+                && (nominationsOpen === undefined || category.nominations_open === nominationsOpen))
+            .sort(byDisplayOrder)
+            .map(copy),
+
+        page: async (eventId, { archived, ...paging }) => pageOf(
+            eventRows('categories', eventId).filter(category => matchesArchived(category, archived)),
+            'categories',
+            paging),
+
+        updateMany: async (eventId, ids, changes) => {
+            eventRows('categories', eventId)
+                .filter(category => ids.includes(category.id))
+                .forEach(category => tables.categories.update(category, changes));
+        },
+
+        purge: async (eventId, id) => {
+            const category = findEventRow('categories', eventId, id);
+
+            if (!category) throw databaseError('EF404', 'Category not found.', 'NOT_FOUND');
+            if (!category.archived_at) throw databaseError('EF409', 'Only archived categories can be purged.', 'NOT_ARCHIVED');
+
+            const votes = tables.votes.all().filter(vote => vote.category_id === id);
+            const links = tables.nominations.all().filter(link => link.category_id === id);
+
+            votes.forEach(vote => removeVote(vote.id));
+            links.forEach(link => tables.nominations.remove(link.id));
+            tables.vote_changes.all().filter(change => change.category_id === id).forEach(change => tables.vote_changes.remove(change.id));
+            tables.jury_scores.all().filter(score => score.category_id === id).forEach(score => tables.jury_scores.remove(score.id));
+            tables.vote_receipts.all().filter(receipt => receipt.category_id === id).forEach(receipt => tables.vote_receipts.remove(receipt.id));
+            tables.nomination_submissions.all().filter(submission => submission.category_id === id).forEach(submission => tables.nomination_submissions.remove(submission.id));
+            tables.categories.remove(id);
+
+            return { votes: votes.length, nominations: links.length };
+        },
+
+        claimNotices: async (kind, { until }) => {
+            const time = new Date();
+            const deadline = new Date(until);
+            const within = (timestamp) => timestamp && new Date(timestamp) > time && new Date(timestamp) <= deadline;
+
+            const due = {
+                opening: category => category.is_active && category.status === 'draft' && within(category.opens_at),
+                closing: category => category.is_active && effectiveStatus(category, time) === 'open' && within(category.closes_at),
+                results: category => category.status === 'published'
+            }[kind];
+            if (!due) throw databaseError('EF400', 'Unknown notice kind.', 'INVALID_NOTICE');
+
+            const column = `${kind}_notice_sent_at`;
+
+            return tables.categories.all()
+                .filter(category => !category[column] && !category.archived_at && due(category))
+                .map(category => copy(tables.categories.update(category, { [column]: now() })));
+        }
+    };
+
+    const nominees = {
+        ...eventRecords('nominees'),
+
+        list: async (eventId, { archived } = {}) => eventRows('nominees', eventId)
+            .filter(nominee => matchesArchived(nominee, archived))
+            .map(copy),
+
+        page: async (eventId, { archived, ...paging }) => pageOf(
+            eventRows('nominees', eventId).filter(nominee => matchesArchived(nominee, archived)),
+            'nominees',
+            paging),
+
+        purge: async (eventId, id) => {
+            const nominee = findEventRow('nominees', eventId, id);
+
+            if (!nominee) throw databaseError('EF404', 'Nominee not found.', 'NOT_FOUND');
+            if (!nominee.archived_at) throw databaseError('EF409', 'Only archived nominees can be purged.', 'NOT_ARCHIVED');
+
+            // Single-choice votes for the nominee go. Approval and ranked votes
+            // only lose that choice: a vote that had it first moves on to the
+            // next remaining choice, and goes only when no choice is left
+            tables.vote_selections.all().filter(selection => selection.nominee_id === id).forEach(selection => tables.vote_selections.remove(selection.id));
+
+            const votes = [];
+            for (const vote of tables.votes.all().filter(row => row.nominee_id === id)) {
+                const [next] = selectionsOf(vote.id)
+                    .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity) || (a.id < b.id ? -1 : 1));
+
+                if (next) tables.votes.update(vote, { nominee_id: next.nominee_id });
+                else votes.push(vote);
+            }
+
+            const links = tables.nominations.all().filter(link => link.nominee_id === id);
+
+            votes.forEach(vote => removeVote(vote.id));
+            links.forEach(link => tables.nominations.remove(link.id));
+            tables.jury_scores.all().filter(score => score.nominee_id === id).forEach(score => tables.jury_scores.remove(score.id));
+            // Proposals keep their history but lose the link, as with `on delete set null`
+            tables.nomination_submissions.all().forEach(submission => tables.nomination_submissions.update(submission, {
+                matched_nominee_id: submission.matched_nominee_id === id ? null : submission.matched_nominee_id,
+                resolved_nominee_id: submission.resolved_nominee_id === id ? null : submission.resolved_nominee_id
+            }));
+            tables.nominees.remove(id);
+
+            return { votes: votes.length, nominations: links.length };
+        },
+
+        // As merge_nominees() in migrations/020_merge_nominees.sql
+        merge: async ({ eventId, targetId, sourceId, adminId }) => {
+            if (targetId === sourceId) {
+                throw databaseError('EF400', 'A nominee cannot be merged into itself.', 'SAME_NOMINEE');
+            }
+
+            const target = findEventRow('nominees', eventId, targetId);
+            const source = findEventRow('nominees', eventId, sourceId);
+
+            if (!target || !source) throw databaseError('EF404', 'Nominee not found.', 'NOT_FOUND');
+            if (target.archived_at || source.archived_at) {
+                throw databaseError('EF409', 'Archived nominees cannot be merged.', 'NOMINEE_ARCHIVED');
+            }
+
+            // Nominations: a category nominating both keeps the survivor's link,
+            // reactivated if only the duplicate's was active
+            const nominationChanges = { moved: 0, merged: 0, restored: 0 };
+
+            for (const link of tables.nominations.all().filter(row => row.nominee_id === sourceId)) {
+                const kept = tables.nominations.all().find(row => row.category_id === link.category_id && row.nominee_id === targetId);
+
+                if (!kept) {
+                    tables.nominations.update(link, { nominee_id: targetId });
+                    nominationChanges.moved += 1;
+                    continue;
+                }
+                if (kept.archived_at && !link.archived_at) {
+                    tables.nominations.update(kept, { archived_at: null, archived_by: null });
+                    nominationChanges.restored += 1;
+                }
+                tables.nominations.remove(link.id);
+                nominationChanges.merged += 1;
+            }
+
+            // Selections: votes that chose both keep one selection at the better
+            // rank, counted per category and per whose rank was kept
+            const bothChosen = new Map();
+            let selectionsRepointed = 0;
+
+            for (const selection of tables.vote_selections.all().filter(row => row.nominee_id === sourceId)) {
+                const kept = selectionsOf(selection.vote_id).find(row => row.nominee_id === targetId);
+
+                if (kept) {
+                    const keptRank = selection.rank < kept.rank ? 'duplicate' : 'survivor';
+                    const group = `${selection.category_id}:${keptRank}`;
+                    if (!bothChosen.has(group)) bothChosen.set(group, { category_id: selection.category_id, kept_rank: keptRank, votes: 0 });
+                    bothChosen.get(group).votes += 1;
+
+                    if (keptRank === 'survivor') {
+                        tables.vote_selections.remove(selection.id);
+                        continue;
+                    }
+                    tables.vote_selections.remove(kept.id);
+                }
+                tables.vote_selections.update(selection, { nominee_id: targetId });
+                selectionsRepointed += 1;
+            }
+
+            const repointed = tables.votes.all().filter(vote => vote.nominee_id === sourceId);
+            repointed.forEach(vote => tables.votes.update(vote, { nominee_id: targetId }));
+
+            // Jury scores: a juror who scored both keeps the higher score
+            const scoreChanges = { moved: 0, merged: 0 };
+
+            for (const score of tables.jury_scores.all().filter(row => row.nominee_id === sourceId)) {
+                const kept = tables.jury_scores.all().find(row =>
+                    row.nominee_id === targetId && row.juror_id === score.juror_id && row.category_id === score.category_id);
+
+                if (!kept) {
+                    tables.jury_scores.update(score, { nominee_id: targetId });
+                    scoreChanges.moved += 1;
+                    continue;
+                }
+                if (score.score > kept.score) tables.jury_scores.update(kept, { score: score.score, updated_at: now() });
+                tables.jury_scores.remove(score.id);
+                scoreChanges.merged += 1;
+            }
+
+            const proposals = tables.nomination_submissions.all()
+                .filter(submission => submission.matched_nominee_id === sourceId || submission.resolved_nominee_id === sourceId);
+            proposals.forEach(submission => tables.nomination_submissions.update(submission, {
+                matched_nominee_id: submission.matched_nominee_id === sourceId ? targetId : submission.matched_nominee_id,
+                resolved_nominee_id: submission.resolved_nominee_id === sourceId ? targetId : submission.resolved_nominee_id
+            }));
+
+            tables.nominees.update(source, { archived_at: now(), archived_by: adminId, merged_into_id: targetId });
+
+            return {
+                nominations: nominationChanges,
+                votes: {
+                    repointed: repointed.length,
+                    selectionsRepointed,
+                    bothChosen: [...bothChosen.values()].sort((a, b) =>
+                        a.category_id.localeCompare(b.category_id) || a.kept_rank.localeCompare(b.kept_rank))
+                },
+                juryScores: scoreChanges,
+                submissions: proposals.length
+            };
+        }
+    };
+
+    // A link with its `category` and `nominee` records
+    const withLinkedRecords = (link) => ({
+        ...copy(link),
+        category: copy(tables.categories.get(link.category_id)),
+        nominee: copy(tables.nominees.get(link.nominee_id))
+    });
+
+    const nominations = {
+        ...eventRecords('nominations'),
+
+        list: async (eventId, { archived, categoryIds } = {}) => eventRows('nominations', eventId)
+            .filter(link => matchesArchived(link, archived) && (!categoryIds || categoryIds.includes(link.category_id)))
+            .map(withLinkedRecords),
+
+        page: async (eventId, { archived, categoryId, nomineeId, ...paging }) => pageOf(
+            eventRows('nominations', eventId)
+                .filter(link => matchesArchived(link, archived)
+                    && (!categoryId || link.category_id === categoryId)
+                    && (!nomineeId || link.nominee_id === nomineeId))
+                .map(withLinkedRecords),
+            'nominations',
+            paging),
+
+        findLink: async (categoryId, nomineeId) => copy(tables.nominations.all().find(link =>
+            link.category_id === categoryId && link.nominee_id === nomineeId)),
+
+        purge: async (eventId, id) => {
+            const link = findEventRow('nominations', eventId, id);
+            const deleted = link?.archived_at ? tables.nominations.remove(id) : false;
+
+            return { nominations: deleted ? 1 : 0 };
+        }
+    };
+
+    const VOTER_SUBMISSION_COLUMNS = ['id', 'category_id', 'nominee_name', 'reason', 'status', 'rejection_reason', 'created_at', 'reviewed_at'];
+
+    const submissions = {
+        find: async (eventId, id) => copy(findEventRow('nomination_submissions', eventId, id)),
+
+        list: async (eventId, { status, categoryId, limit }) => eventRows('nomination_submissions', eventId)
+            .filter(submission => submission.status === status && (!categoryId || submission.category_id === categoryId))
+            .sort(byCreatedAt)
+            .slice(0, limit)
+            .map(submission => ({
+                ...pick(submission, [
+                    'id', 'nominee_name', 'normalized_name', 'reason', 'status', 'rejection_reason',
+                    'created_at', 'reviewed_at', 'reviewed_by', 'resolved_nominee_id'
+                ]),
+                category: pick(tables.categories.get(submission.category_id), ['id', 'name']),
+                voter: pick(tables.voters.get(submission.voter_id), ['id', 'name', 'email']),
+                matched_nominee: pick(tables.nominees.get(submission.matched_nominee_id), ['id', 'name'])
+            })),
+
+        pendingNames: async (eventId) => eventRows('nomination_submissions', eventId)
+            .filter(submission => submission.status === 'pending')
+            .map(submission => pick(submission, ['category_id', 'normalized_name'])),
+
+        listForVoter: async (eventId, voterId) => eventRows('nomination_submissions', eventId)
+            .filter(submission => submission.voter_id === voterId)
+            .sort((a, b) => byCreatedAt(b, a))
+            .map(submission => pick(submission, VOTER_SUBMISSION_COLUMNS)),
+
+        create: async (fields) => pick(tables.nomination_submissions.insert(fields), VOTER_SUBMISSION_COLUMNS),
+
+        review: async ({ eventId, submissionId, adminId, decision, nomineeId, nomineeName, reason }) => {
+            if (!['approved', 'merged', 'rejected'].includes(decision)) {
+                throw databaseError('EF400', 'Unknown review decision.', 'INVALID_DECISION');
+            }
+
+            const submission = findEventRow('nomination_submissions', eventId, submissionId);
+            if (!submission) throw databaseError('EF404', 'Submission not found.', 'NOT_FOUND');
+            if (submission.status !== 'pending') {
+                throw databaseError('EF409', 'This submission has already been reviewed.', 'SUBMISSION_REVIEWED');
+            }
+            if (decision !== 'rejected' && tables.categories.get(submission.category_id)?.archived_at) {
+                throw databaseError('EF409', 'The category has been archived.', 'CATEGORY_ARCHIVED');
+            }
+
+            let resolvedId = null;
+
+            if (decision === 'approved') {
+                resolvedId = tables.nominees.insert({ event_id: eventId, name: nomineeName ?? submission.nominee_name }).id;
+            } else if (decision === 'merged') {
+                const nominee = findEventRow('nominees', eventId, nomineeId);
+                if (!nominee || nominee.archived_at) throw databaseError('EF404', 'Nominee not found in this event.', 'NOMINEE_NOT_FOUND');
+                resolvedId = nominee.id;
+            }
+
+            const linked = tables.nominations.all().some(link => link.category_id === submission.category_id && link.nominee_id === resolvedId);
+            if (resolvedId && !linked) {
+                tables.nominations.insert({ event_id: eventId, category_id: submission.category_id, nominee_id: resolvedId });
+            }
+
+            return copy(tables.nomination_submissions.update(submission, {
+                status: decision,
+                resolved_nominee_id: resolvedId,
+                rejection_reason: decision === 'rejected' ? reason ?? null : null,
+                reviewed_by: adminId,
+                reviewed_at: now()
+            }));
+        }
+    };
+
+    // date_trunc(interval, time) in UTC, as an ISO timestamp
+    const bucketOf = (timestamp, interval) =>
+        `${timestamp.slice(0, interval === 'hour' ? 13 : 10)}${interval === 'hour' ? ':00:00Z' : 'T00:00:00Z'}`;
+
+    const votes = {
+        ballotOf: async (eventId, voterId) => eventRows('votes', eventId)
+            .filter(vote => vote.voter_id === voterId)
+            .sort(byCreatedAt)
+            .map(vote => {
+                const category = tables.categories.get(vote.category_id);
+
+                return {
+                    ...pick(vote, ['id', 'category_id', 'nominee_id', 'created_at', 'updated_at', 'invalidated_at']),
+                    selections: selectionsOf(vote.id).map(({ nominee_id, rank }) => ({ nominee_id, rank })),
+                    category: pick(category, ['id', 'name', 'voting_mode', 'archived_at'])
+                };
+            }),
+
+        turnout: async (eventId, { interval }) => {
+            const counted = countedVotes(eventId);
+            const activeCategoryIds = eventRows('categories', eventId)
+                .filter(category => !category.archived_at && category.is_active
+                    && (category.status !== 'draft' || (category.opens_at && new Date(category.opens_at) <= new Date())))
+                .map(category => category.id);
+
+            const firstVotes = new Map();
+            const categoriesByVoter = new Map();
+            for (const vote of counted) {
+                if (!firstVotes.has(vote.voter_id) || vote.created_at < firstVotes.get(vote.voter_id)) {
+                    firstVotes.set(vote.voter_id, vote.created_at);
+                }
+                if (!categoriesByVoter.has(vote.voter_id)) categoriesByVoter.set(vote.voter_id, new Set());
+                categoriesByVoter.get(vote.voter_id).add(vote.category_id);
+            }
+
+            const timeline = new Map();
+            const bucketRow = (bucket) => {
+                if (!timeline.has(bucket)) timeline.set(bucket, { bucket, votes: 0, new_voters: 0 });
+                return timeline.get(bucket);
+            };
+            counted.forEach(vote => { bucketRow(bucketOf(vote.created_at, interval)).votes += 1; });
+            firstVotes.forEach(firstAt => { bucketRow(bucketOf(firstAt, interval)).new_voters += 1; });
+
+            const categoryIds = [...new Set(counted.map(vote => vote.category_id))];
+
+            return {
+                voter_count: firstVotes.size,
+                complete_voter_count: [...categoriesByVoter.values()]
+                    .filter(voted => activeCategoryIds.length > 0 && activeCategoryIds.every(id => voted.has(id)))
+                    .length,
+                active_category_ids: activeCategoryIds,
+                timeline: [...timeline.values()].sort((a, b) => a.bucket.localeCompare(b.bucket)),
+                categories: categoryIds.map(categoryId => {
+                    const categoryVotes = counted.filter(vote => vote.category_id === categoryId);
+                    return {
+                        category_id: categoryId,
+                        votes: categoryVotes.length,
+                        voter_count: distinctCount(categoryVotes.map(vote => vote.voter_id))
+                    };
+                })
+            };
+        },
+
+        listForVoter: async (eventId, voterId) => eventRows('votes', eventId)
+            .filter(vote => vote.voter_id === voterId)
+            .map(vote => ({
+                category_id: vote.category_id,
+                nominee_id: vote.nominee_id,
+                selections: selectionsOf(vote.id).map(({ nominee_id, rank }) => ({ nominee_id, rank })),
+                category: { archived_at: tables.categories.get(vote.category_id)?.archived_at ?? null }
+            })),
+
+        countForCategory: async (categoryId) => tables.votes.all().filter(vote => vote.category_id === categoryId).length,
+
+        cast: async (vote) => copy(castVote(vote)),
+
+        change: async ({ eventId, voterId, categoryId, nomineeIds }) => {
+            const vote = findVote(eventId, voterId, categoryId);
+            if (!vote) throw databaseError('EF404', 'You have not voted in this category yet.', 'NO_VOTE');
+
+            const previous = voteChoices(vote);
+            const category = assertValidChoices(eventId, categoryId, nomineeIds);
+
+            // Re-submitting the same choices is not a change (order only matters when ranked)
+            const sameChoices = category.voting_mode === 'approval'
+                ? previous.length === nomineeIds.length && nomineeIds.every(id => previous.includes(id))
+                : previous.join() === nomineeIds.join();
+
+            if (sameChoices) return copy(vote);
+
+            assertVoteChangeAllowed(voterId, categoryId);
+
+            const updated = tables.votes.update(vote, { nominee_id: nomineeIds[0], updated_at: now() });
+            selectionsOf(vote.id).forEach(selection => tables.vote_selections.remove(selection.id));
+            writeSelections(updated, category.voting_mode, nomineeIds);
+
+            tables.vote_changes.insert({
+                event_id: eventId,
+                category_id: categoryId,
+                voter_id: voterId,
+                action: 'changed',
+                from_nominee_id: previous[0],
+                to_nominee_id: nomineeIds[0],
+                from_selection: previous,
+                to_selection: nomineeIds,
+                changed_at: now()
+            });
+
+            return copy(updated);
+        },
+
+        withdraw: async ({ eventId, voterId, categoryId }) => {
+            const vote = findVote(eventId, voterId, categoryId);
+            if (!vote) throw databaseError('EF404', 'You have not voted in this category yet.', 'NO_VOTE');
+
+            assertVoteChangeAllowed(voterId, categoryId);
+
+            const previous = voteChoices(vote);
+            removeVote(vote.id);
+
+            tables.vote_changes.insert({
+                event_id: eventId,
+                category_id: categoryId,
+                voter_id: voterId,
+                action: 'withdrawn',
+                from_nominee_id: previous[0],
+                from_selection: previous,
+                changed_at: now()
+            });
+        },
+
+        // Any invalid choice undoes the votes already recorded for the ballot
+        castBallot: async ({ eventId, voterId, choices, ipAddress }) => {
+            const recorded = [];
+
+            try {
+                return choices.map(({ category_id, nominee_ids }) => {
+                    const existing = tables.votes.all().find(vote => vote.voter_id === voterId && vote.category_id === category_id);
+
+                    if (existing) {
+                        return { category_id, nominee_ids: voteChoices(existing), status: 'already_voted', vote_id: existing.id };
+                    }
+
+                    const vote = castVote({ eventId, voterId, categoryId: category_id, nomineeIds: nominee_ids, ipAddress });
+                    recorded.push(vote.id);
+                    return { category_id, nominee_ids, status: 'recorded', vote_id: vote.id };
+                });
+            } catch (error) {
+                recorded.forEach(removeVote);
+                throw error;
+            }
+        },
+
+        // Approval categories count every selection; single and ranked
+        // categories count each vote's first choice
+        tallies: async (eventId, options) => {
+            const eventVotes = countedVotes(eventId, options);
+            const counts = new Map();
+
+            for (const vote of eventVotes) {
+                const mode = tables.categories.get(vote.category_id).voting_mode;
+                const chosen = mode === 'approval' ? selectionsOf(vote.id).map(selection => selection.nominee_id) : [vote.nominee_id];
+
+                chosen
+                    .filter(nomineeId => isActiveNomination(eventId, vote.category_id, nomineeId))
+                    .forEach(nomineeId => {
+                        const key = `${vote.category_id}:${nomineeId}`;
+                        counts.set(key, (counts.get(key) || 0) + 1);
+                    });
+            }
+
+            const eventVoterCount = distinctCount(eventVotes.map(vote => vote.voter_id));
+
+            return [...counts].map(([key, voteCount]) => {
+                const [categoryId, nomineeId] = key.split(':');
+
+                return {
+                    category_id: categoryId,
+                    nominee_id: nomineeId,
+                    vote_count: voteCount,
+                    category_voter_count: distinctCount(eventVotes
+                        .filter(vote => vote.category_id === categoryId)
+                        .map(vote => vote.voter_id)),
+                    event_voter_count: eventVoterCount
+                };
+            });
+        },
+
+        // A ranked ballot that named an archived nominee moves on to its next
+        // preference. Ids compare as plain strings, like uuids in Postgres
+        rankedBallotBatch: async (eventId, { afterId, limit, ...options }) => countedVotes(eventId, options)
+            .filter(vote => tables.categories.get(vote.category_id).voting_mode === 'ranked' && (!afterId || vote.id > afterId))
+            .sort((a, b) => (a.id < b.id ? -1 : 1))
+            .map(vote => ({
+                vote_id: vote.id,
+                category_id: vote.category_id,
+                ranking: selectionsOf(vote.id)
+                    .filter(selection => isActiveNomination(eventId, vote.category_id, selection.nominee_id))
+                    .sort((a, b) => a.rank - b.rank)
+                    .map(selection => selection.nominee_id)
+            }))
+            .filter(ballot => ballot.ranking.length > 0)
+            .slice(0, limit),
+
+        distinctVotersFromIp: async (eventId, ipAddress, since) => distinctCount(eventRows('votes', eventId)
+            .filter(vote => vote.ip_address === ipAddress && vote.created_at >= since)
+            .map(vote => vote.voter_id)),
+
+        countRecentForNominee: async (categoryId, nomineeId, since) => tables.votes.all()
+            .filter(vote => vote.category_id === categoryId
+                && !vote.invalidated_at
+                && (vote.updated_at || vote.created_at) >= since
+                && voteChoices(vote).includes(nomineeId))
+            .length,
+
+        // Ids compare as plain strings, like uuids in Postgres
+        exportBatch: async (eventId, categoryIds, { afterId, limit }) => eventRows('votes', eventId)
+            .filter(vote => categoryIds.includes(vote.category_id) && (!afterId || vote.id > afterId))
+            .sort((a, b) => (a.id < b.id ? -1 : 1))
+            .slice(0, limit)
+            .map(vote => ({
+                ...pick(vote, ['id', 'category_id', 'voter_id', 'nominee_id', 'created_at', 'invalidated_at']),
+                selections: selectionsOf(vote.id).map(({ nominee_id, rank }) => ({ nominee_id, rank }))
+            }))
+    };
+
+    const voteChanges = {
+        list: async (eventId, { categoryId, limit }) => eventRows('vote_changes', eventId)
+            .filter(change => !categoryId || change.category_id === categoryId)
+            .sort((a, b) => b.changed_at.localeCompare(a.changed_at))
+            .slice(0, limit)
+            .map(change => pick(change, ['id', 'category_id', 'voter_id', 'action', 'from_nominee_id', 'to_nominee_id', 'changed_at'])),
+
+        summary: async (eventId) => {
+            const byCategory = new Map();
+            for (const change of eventRows('vote_changes', eventId)) {
+                byCategory.set(change.category_id, [...(byCategory.get(change.category_id) || []), change]);
+            }
+
+            return [...byCategory].map(([categoryId, changes]) => ({
+                category_id: categoryId,
+                changed_count: changes.filter(change => change.action === 'changed').length,
+                withdrawn_count: changes.filter(change => change.action === 'withdrawn').length,
+                voter_count: distinctCount(changes.map(change => change.voter_id))
+            }));
+        }
+    };
+
+    const voteFlags = {
+        find: async (eventId, id) => copy(findEventRow('vote_flags', eventId, id)),
+
+        list: async (eventId, { status, rule, categoryId, limit }) => eventRows('vote_flags', eventId)
+            .filter(flag => flag.status === status && (!rule || flag.rule === rule) && (!categoryId || flag.category_id === categoryId))
+            .sort((a, b) => byCreatedAt(b, a))
+            .slice(0, limit)
+            .map(flag => ({
+                ...copy(pick(flag, ['id', 'rule', 'details', 'status', 'created_at', 'reviewed_at', 'reviewed_by', 'category_id'])),
+                vote: pick(tables.votes.get(flag.vote_id), ['id', 'nominee_id', 'ip_address', 'created_at', 'invalidated_at']),
+                voter: pick(tables.voters.get(flag.voter_id), ['id', 'name', 'email'])
+            })),
+
+        record: async (flags) => flags.flatMap(flag => {
+            const flagged = tables.vote_flags.all().some(row => row.vote_id === flag.vote_id && row.rule === flag.rule);
+            return flagged ? [] : [copy(tables.vote_flags.insert(flag))];
+        }),
+
+        review: async ({ eventId, flagId, adminId, decision }) => {
+            if (!['dismissed', 'invalidated'].includes(decision)) {
+                throw databaseError('EF400', 'Unknown review decision.', 'INVALID_DECISION');
+            }
+
+            const flag = findEventRow('vote_flags', eventId, flagId);
+            if (!flag) throw databaseError('EF404', 'Flag not found.', 'NOT_FOUND');
+            if (flag.status !== 'open') throw databaseError('EF409', 'This flag has already been reviewed.', 'FLAG_REVIEWED');
+
+            const review = { status: decision, reviewed_at: now(), reviewed_by: adminId };
+
+            // Invalidating the vote also closes every other open flag on it
+            if (decision === 'invalidated') {
+                tables.votes.update(tables.votes.get(flag.vote_id), { invalidated_at: now() });
+                tables.vote_flags.all()
+                    .filter(other => other.vote_id === flag.vote_id && other.status === 'open')
+                    .forEach(other => tables.vote_flags.update(other, review));
+            } else {
+                tables.vote_flags.update(flag, review);
+            }
+
+            return copy(tables.vote_flags.get(flagId));
+        }
+    };
+
+    const juryScores = {
+        list: async (eventId, { categoryId } = {}) => eventRows('jury_scores', eventId)
+            .filter(score => !categoryId || score.category_id === categoryId)
+            .sort(byCreatedAt)
+            .map(({ id, category_id, nominee_id, juror_id, score, created_at, updated_at }) => {
+                const juror = tables.voters.get(juror_id);
+                return {
+                    id,
+                    category_id,
+                    nominee_id,
+                    juror: juror && { id: juror.id, name: juror.name, email: juror.email },
+                    score,
+                    created_at,
+                    updated_at
+                };
+            }),
+
+        listForJuror: async (eventId, jurorId) => eventRows('jury_scores', eventId)
+            .filter(score => score.juror_id === jurorId)
+            .map(({ category_id, nominee_id, score, created_at, updated_at }) => ({ category_id, nominee_id, score, created_at, updated_at })),
+
+        submit: async ({ eventId, jurorId, categoryId, scores }) => {
+            if (tables.voters.get(jurorId)?.role !== 'jury') {
+                throw databaseError('EF409', 'Only jury members can submit scores.', 'NOT_A_JUROR');
+            }
+            if (!scores.every(entry => isActiveNomination(eventId, categoryId, entry.nominee_id))) {
+                throw databaseError('EF400', 'Nominee is not nominated in this category.', 'NOT_NOMINATED');
+            }
+
+            return scores.map(({ nominee_id, score }) => {
+                const existing = tables.jury_scores.all().find(row =>
+                    row.juror_id === jurorId && row.category_id === categoryId && row.nominee_id === nominee_id);
+
+                return copy(existing
+                    ? tables.jury_scores.update(existing, { score, updated_at: now() })
+                    : tables.jury_scores.insert({ event_id: eventId, category_id: categoryId, nominee_id, juror_id: jurorId, score }));
+            });
+        },
+
+        totals: async (eventId) => {
+            const scores = eventRows('jury_scores', eventId)
+                .filter(score => isActiveNomination(eventId, score.category_id, score.nominee_id));
+            const totals = new Map();
+
+            for (const { category_id, nominee_id, score } of scores) {
+                const key = `${category_id}:${nominee_id}`;
+                const total = totals.get(key) || { category_id, nominee_id, total_score: 0, score_count: 0 };
+
+                total.total_score += score;
+                total.score_count += 1;
+                totals.set(key, total);
+            }
+
+            return [...totals.values()].map(total => ({
+                ...total,
+                category_juror_count: distinctCount(scores
+                    .filter(score => score.category_id === total.category_id)
+                    .map(score => score.juror_id))
+            }));
+        }
+    };
+
+    const receipts = {
+        create: async (fields) => copy(tables.vote_receipts.insert(fields)),
+
+        latestForVote: async (voteId) => copy(tables.vote_receipts.all()
+            .filter(receipt => receipt.vote_id === voteId)
+            .sort(byCreatedAt)
+            .pop()),
+
+        findByCode: async (code) => {
+            const receipt = tables.vote_receipts.all().find(row => row.code === code);
+            if (!receipt) return null;
+
+            return {
+                ...pick(receipt, ['id', 'code', 'vote_id', 'vote_updated_at', 'created_at']),
+                event: pick(tables.events.get(receipt.event_id), ['slug', 'name']),
+                category: pick(tables.categories.get(receipt.category_id), ['id', 'name', 'archived_at']),
+                vote: pick(tables.votes.get(receipt.vote_id), ['id', 'updated_at', 'invalidated_at'])
+            };
+        }
+    };
+
+    // Always reachable
+    const ping = async () => {};
+
+    return {
+        events, admins, auditLog, voters, categories, nominees, nominations, submissions, votes, voteChanges, voteFlags,
+        juryScores, receipts, ping
+    };
+};
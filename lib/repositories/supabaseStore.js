@@ -0,0 +1,635 @@
+import { supabase } from '../../supabase.js';
+import { LISTS } from '../pagination.js';
+
+// --------------------------------------------
+// Supabase data store
+// --------------------------------------------
+// The repositories backed by the Postgres tables and functions in migrations/.
+// Votes, ballots and purges run as database functions so every check and
+// write happens in one transaction.
+
+// Resolves a query builder to its data, throwing the PostgREST error if any
+const run = async (query) => {
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+};
+
+const count = async (query) => {
+    const { count: total, error } = await query;
+    if (error) throw error;
+    return total;
+};
+
+// true: archived records only, false: unarchived only, undefined: both
+const byArchived = (query, archived) => {
+    if (archived === true) return query.not('archived_at', 'is', null);
+    if (archived === false) return query.is('archived_at', null);
+    return query;
+};
+
+// PostgREST answers a range that starts past the last row with this error
+const RANGE_NOT_SATISFIABLE = 'PGRST103';
+
+// A dotted field (category.name) orders by an embedded to-one record: category(name)
+const orderColumn = (field) => field.replace(/^(\w+)\.(\w+)$/, '$1($2)');
+
+// Matches the text anywhere; LIKE wildcards in it are taken literally
+const containing = (text) => `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+
+// Case-insensitive search over one or more fields
+const search = (query, fields, text) => {
+    if (fields.length === 1) return query.ilike(fields[0], containing(text));
+
+    // In an or() filter the pattern is double-quoted, so quotes and backslashes are escaped once more
+    const quoted = `"${containing(text).replace(/["\\]/g, '\\$&')}"`;
+    return query.or(fields.map(field => `${field}.ilike.${quoted}`).join(','));
+};
+
+/**
+ * One page of an admin list (see lib/pagination.js) as { items, total }.
+ * `select(columns, options)` builds the filtered query for the table.
+ */
+const fetchPage = async (list, select, columns, { search: text, sort, order, limit, offset }) => {
+    const { search: searchFields, sorts } = LISTS[list];
+
+    const filtered = (...args) => (text ? search(select(...args), searchFields, text) : select(...args));
+
+    let query = filtered(columns, { count: 'exact' });
+    for (const field of sorts[sort]) {
+        query = query.order(orderColumn(field), { ascending: order === 'asc' });
+    }
+
+    const { data, count: total, error } = await query.order('id').range(offset, offset + limit - 1);
+
+    if (error?.code === RANGE_NOT_SATISFIABLE) {
+        return { items: [], total: await count(filtered(columns, { count: 'exact', head: true })) };
+    }
+    if (error) throw error;
+
+    return { items: data, total };
+};
+
+// Repositories for the event-scoped catalogue tables share the same basics
+const eventRecords = (table) => ({
+    find: (eventId, id) => run(supabase.from(table).select('*').eq('id', id).eq('event_id', eventId).maybeSingle()),
+
+    create: (fields) => run(supabase.from(table).insert([fields]).select('*').single()),
+
+    update: (eventId, id, changes) => run(supabase
+        .from(table)
+        .update(changes)
+        .eq('id', id)
+        .eq('event_id', eventId)
+        .select('*')
+        .single())
+});
+
+const events = {
+    list: () => run(supabase.from('events').select('*').order('created_at', { ascending: false })),
+
+    findBySlug: (slug) => run(supabase.from('events').select('*').eq('slug', slug).maybeSingle()),
+
+    findCurrent: () => run(supabase.from('events').select('*').eq('is_current', true).maybeSingle()),
+
+    create: (fields) => run(supabase.from('events').insert([fields]).select('*').single()),
+
+    update: (slug, changes) => run(supabase.from('events').update(changes).eq('slug', slug).select('*').maybeSingle()),
+
+    // Only one edition can be current at a time
+    clearCurrent: async ({ exceptSlug } = {}) => {
+        let query = supabase.from('events').update({ is_current: false }).eq('is_current', true);
+        if (exceptSlug) query = query.neq('slug', exceptSlug);
+        await run(query);
+    },
+
+    // A new edition with copies of the source's active categories, nominees and
+    // nominations; see clone_event in migrations/019_soft_delete.sql
+    clone: ({ sourceEventId, slug, name, year }) => run(supabase
+        .rpc('clone_event', { p_source_event_id: sourceEventId, p_slug: slug, p_name: name, p_year: year ?? null })
+        .single()),
+
+    // Writes a bulk import plan (lib/importer.js) in one transaction; see
+    // migrations/015_import_event_data.sql. Returns the counts written
+    importData: (eventId, plan) => run(supabase.rpc('import_event_data', { p_event_id: eventId, p_plan: plan }))
+};
+
+const ADMIN_COLUMNS = 'id, email, name, role, is_active, created_at, updated_at, last_login_at';
+
+const admins = {
+    list: () => run(supabase.from('admin_users').select(ADMIN_COLUMNS).order('created_at', { ascending: true })),
+
+    findById: (id) => run(supabase.from('admin_users').select(ADMIN_COLUMNS).eq('id', id).maybeSingle()),
+
+    // The only lookup that returns the password hash, for sign-in
+    findByEmailWithPassword: (email) => run(supabase
+        .from('admin_users')
+        .select(`${ADMIN_COLUMNS}, password_hash`)
+        .eq('email', email)
+        .maybeSingle()),
+
+    create: (fields) => run(supabase.from('admin_users').insert([fields]).select(ADMIN_COLUMNS).single()),
+
+    update: (id, changes) => run(supabase.from('admin_users').update(changes).eq('id', id).select(ADMIN_COLUMNS).single())
+};
+
+const auditLog = {
+    append: async (entry) => {
+        await run(supabase.from('admin_audit_log').insert([entry]));
+    },
+
+    list: ({ actorId, action, entityType, entityId, eventId, since, until, limit }) => {
+        let query = supabase
+            .from('admin_audit_log')
+            .select('*')
+            .order('occurred_at', { ascending: false })
+            .limit(limit);
+
+        if (actorId) query = query.eq('actor_id', actorId);
+        if (action) query = query.eq('action', action);
+        if (entityType) query = query.eq('entity_type', entityType);
+        if (entityId) query = query.eq('entity_id', entityId);
+        if (eventId) query = query.eq('event_id', eventId);
+        if (since) query = query.gte('occurred_at', since);
+        if (until) query = query.lt('occurred_at', until);
+
+        return run(query);
+    }
+};
+
+const VOTER_COLUMNS = 'id, name, email, phone, role, notifications_opt_in, created_at, anonymized_at';
+
+// PostgREST returns at most this many rows per request by default
+const BATCH_SIZE = 1000;
+
+const voters = {
+    // { role } narrows the page
+    page: ({ role, ...paging }) => fetchPage('voters',
+        (columns, options) => {
+            const query = supabase.from('voters').select(columns, options);
+            return role ? query.eq('role', role) : query;
+        },
+        VOTER_COLUMNS,
+        paging),
+
+    findById: (id) => run(supabase.from('voters').select(VOTER_COLUMNS).eq('id', id).maybeSingle()),
+
+    findByEmail: (email) => run(supabase.from('voters').select(VOTER_COLUMNS).eq('email', email).maybeSingle()),
+
+    create: (fields) => run(supabase.from('voters').insert([fields]).select(VOTER_COLUMNS).single()),
+
+    update: (id, changes) => run(supabase.from('voters').update(changes).eq('id', id).select(VOTER_COLUMNS).maybeSingle()),
+
+    // Sign-in codes: a new code replaces any the voter has not used yet
+    replaceLoginCode: async (voterId, { codeHash, expiresAt }) => {
+        await run(supabase.from('voter_login_codes').delete().eq('voter_id', voterId).is('consumed_at', null));
+        await run(supabase.from('voter_login_codes').insert([{ voter_id: voterId, code_hash: codeHash, expires_at: expiresAt }]));
+    },
+
+    latestLoginCode: (voterId) => run(supabase
+        .from('voter_login_codes')
+        .select('id, code_hash, attempts, expires_at')
+        .eq('voter_id', voterId)
+        .is('consumed_at', null)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle()),
+
+    updateLoginCode: async (id, changes) => {
+        await run(supabase.from('voter_login_codes').update(changes).eq('id', id));
+    },
+
+    // Privacy requests; see migrations/024_voter_management.sql
+    anonymize: (id, { emailHash }) => run(supabase
+        .rpc('anonymize_voter', { p_voter_id: id, p_email_hash: emailHash })
+        .select(VOTER_COLUMNS)
+        .single()),
+
+    // Whether an anonymized voter signed up with the address behind `emailHash`
+    isAnonymizedEmail: async (emailHash) =>
+        (await count(supabase.from('voters').select('id', { count: 'exact', head: true }).eq('email_hash', emailHash))) > 0,
+
+    // Returns { votes, juryScores, submissions, eventIds }
+    remove: (id) => run(supabase.rpc('delete_voter', { p_voter_id: id })),
+
+    // Voters who opted in to notices (lib/notifications.js), fetched in batches
+    notificationRecipients: async () => {
+        const recipients = [];
+
+        for (let offset = 0; ; offset += BATCH_SIZE) {
+            const batch = await run(supabase
+                .from('voters')
+                .select('id, name, email')
+                .eq('notifications_opt_in', true)
+                .is('anonymized_at', null)
+                .order('id')
+                .range(offset, offset + BATCH_SIZE - 1));
+
+            recipients.push(...batch);
+            if (batch.length < BATCH_SIZE) return recipients;
+        }
+    }
+};
+
+const categories = {
+    ...eventRecords('categories'),
+
+    // Ordered for display. { archived, activeOnly, ids, nominationsOpen } narrow the list.
+    list: (eventId, { archived, activeOnly = false, ids, nominationsOpen } = {}) => {
+        let query = byArchived(supabase.from('categories').select('*').eq('event_id', eventId), archived);
+
+        if (activeOnly) query = query.eq('is_active', true);
+        if (ids) query = query.in('id', ids);
+        if (nominationsOpen !== undefined) query = query.eq('nominations_open', nominationsOpen);
+
+        return run(query.order('display_order', { ascending: true }).order('name', { ascending: true }));
+    },
+
+    page: (eventId, { archived, ...paging }) => fetchPage('categories',
+        (columns, options) => byArchived(supabase.from('categories').select(columns, options).eq('event_id', eventId), archived),
+        '*',
+        paging),
+
+    updateMany: async (eventId, ids, changes) => {
+        await run(supabase.from('categories').update(changes).eq('event_id', eventId).in('id', ids));
+    },
+
+    // Removes an archived category with its nominations and votes
+    purge: (eventId, id) => run(supabase.rpc('delete_category_cascade', { p_event_id: eventId, p_category_id: id })),
+
+    // Stamps and returns the categories of every event whose `kind` notice
+    // ('opening', 'closing' or 'results') is due; see migrations/025_notifications.sql
+    claimNotices: (kind, { until }) => run(supabase.rpc('claim_category_notices', { p_kind: kind, p_until: until }))
+};
+
+const nominees = {
+    ...eventRecords('nominees'),
+
+    list: (eventId, { archived } = {}) =>
+        run(byArchived(supabase.from('nominees').select('*').eq('event_id', eventId), archived)),
+
+    page: (eventId, { archived, ...paging }) => fetchPage('nominees',
+        (columns, options) => byArchived(supabase.from('nominees').select(columns, options).eq('event_id', eventId), archived),
+        '*',
+        paging),
+
+    // Removes an archived nominee with its nominations and votes
+    purge: (eventId, id) => run(supabase.rpc('delete_nominee_cascade', { p_event_id: eventId, p_nominee_id: id })),
+
+    // Moves everything pointing at the source onto the target and archives the
+    // source; returns what changed (see migrations/020_merge_nominees.sql)
+    merge: ({ eventId, targetId, sourceId, adminId }) => run(supabase.rpc('merge_nominees', {
+        p_event_id: eventId,
+        p_target_id: targetId,
+        p_source_id: sourceId,
+        p_admin_id: adminId
+    }))
+};
+
+const nominations = {
+    ...eventRecords('nominations'),
+
+    // Each link comes with its `category` and `nominee` records
+    list: (eventId, { archived, categoryIds } = {}) => {
+        let query = byArchived(supabase
+            .from('nominations')
+            .select('*, category:category_id ( * ), nominee:nominee_id ( * )')
+            .eq('event_id', eventId), archived);
+
+        if (categoryIds) query = query.in('category_id', categoryIds);
+
+        return run(query);
+    },
+
+    // { categoryId, nomineeId } narrow the page to one side of the links
+    page: (eventId, { archived, categoryId, nomineeId, ...paging }) => fetchPage('nominations',
+        (columns, options) => {
+            let query = byArchived(supabase.from('nominations').select(columns, options).eq('event_id', eventId), archived);
+            if (categoryId) query = query.eq('category_id', categoryId);
+            if (nomineeId) query = query.eq('nominee_id', nomineeId);
+            return query;
+        },
+        // Inner joins, so the nominee name search filters the links themselves
+        '*, category:category_id!inner ( * ), nominee:nominee_id!inner ( * )',
+        paging),
+
+    findLink: (categoryId, nomineeId) => run(supabase
+        .from('nominations')
+        .select('*')
+        .eq('category_id', categoryId)
+        .eq('nominee_id', nomineeId)
+        .maybeSingle()),
+
+    // Only archived links are deleted; returns how many were
+    purge: async (eventId, id) => {
+        const deleted = await count(supabase
+            .from('nominations')
+            .delete({ count: 'exact' })
+            .eq('id', id)
+            .eq('event_id', eventId)
+            .not('archived_at', 'is', null));
+
+        return { nominations: deleted };
+    }
+};
+
+// Nominee proposals; see migrations/018_nomination_submissions.sql
+const VOTER_SUBMISSION_COLUMNS = 'id, category_id, nominee_name, reason, status, rejection_reason, created_at, reviewed_at';
+
+const submissions = {
+    find: (eventId, id) => run(supabase.from('nomination_submissions').select('*').eq('id', id).eq('event_id', eventId).maybeSingle()),
+
+    // For review: oldest first, with the category, the proposing voter and the matched nominee
+    list: (eventId, { status, categoryId, limit }) => {
+        let query = supabase
+            .from('nomination_submissions')
+            .select(`
+                id, nominee_name, normalized_name, reason, status, rejection_reason,
+                created_at, reviewed_at, reviewed_by, resolved_nominee_id,
+                category:category_id ( id, name ),
+                voter:voter_id ( id, name, email ),
+                matched_nominee:matched_nominee_id ( id, name )
+            `)
+            .eq('event_id', eventId)
+            .eq('status', status)
+            .order('created_at', { ascending: true })
+            .limit(limit);
+
+        if (categoryId) query = query.eq('category_id', categoryId);
+
+        return run(query);
+    },
+
+    // The category and normalized name of every pending proposal
+    pendingNames: (eventId) => run(supabase
+        .from('nomination_submissions')
+        .select('category_id, normalized_name')
+        .eq('event_id', eventId)
+        .eq('status', 'pending')),
+
+    // The voter's own proposals, newest first
+    listForVoter: (eventId, voterId) => run(supabase
+        .from('nomination_submissions')
+        .select(VOTER_SUBMISSION_COLUMNS)
+        .eq('event_id', eventId)
+        .eq('voter_id', voterId)
+        .order('created_at', { ascending: false })),
+
+    // A second proposal of the same name by the same voter fails with UNIQUE_VIOLATION
+    create: (fields) => run(supabase.from('nomination_submissions').insert([fields]).select(VOTER_SUBMISSION_COLUMNS).single()),
+
+    // decision: 'approved', 'merged' or 'rejected'; returns the reviewed submission
+    review: ({ eventId, submissionId, adminId, decision, nomineeId, nomineeName, reason }) => run(supabase
+        .rpc('review_nomination_submission', {
+            p_event_id: eventId,
+            p_submission_id: submissionId,
+            p_admin_id: adminId,
+            p_decision: decision,
+            p_nominee_id: nomineeId ?? null,
+            p_nominee_name: nomineeName ?? null,
+            p_reason: reason ?? null
+        })
+        .single())
+};
+
+const votes = {
+    // The voter's votes with their selections and category
+    listForVoter: (eventId, voterId) => run(supabase
+        .from('votes')
+        .select('category_id, nominee_id, selections:vote_selections ( nominee_id, rank ), category:category_id ( archived_at )')
+        .eq('event_id', eventId)
+        .eq('voter_id', voterId)),
+
+    // Every vote of the voter in the event, counted or not, for admins
+    ballotOf: (eventId, voterId) => run(supabase
+        .from('votes')
+        .select(`
+            id, category_id, nominee_id, created_at, updated_at, invalidated_at,
+            selections:vote_selections ( nominee_id, rank ),
+            category:category_id ( id, name, voting_mode, archived_at )
+        `)
+        .eq('event_id', eventId)
+        .eq('voter_id', voterId)
+        .order('created_at', { ascending: true })),
+
+    // See event_turnout in migrations/024_voter_management.sql
+    turnout: (eventId, { interval }) => run(supabase.rpc('event_turnout', { p_event_id: eventId, p_interval: interval })),
+
+    countForCategory: (categoryId) =>
+        count(supabase.from('votes').select('id', { count: 'exact', head: true }).eq('category_id', categoryId)),
+
+    // Nomination check and insert in one transaction; the (voter_id, category_id)
+    // unique constraint rejects a second vote with UNIQUE_VIOLATION
+    cast: ({ eventId, voterId, categoryId, nomineeIds, ipAddress }) => run(supabase
+        .rpc('cast_vote', {
+            p_event_id: eventId,
+            p_voter_id: voterId,
+            p_category_id: categoryId,
+            p_nominee_ids: nomineeIds,
+            p_ip_address: ipAddress
+        })
+        .single()),
+
+    change: ({ eventId, voterId, categoryId, nomineeIds }) => run(supabase
+        .rpc('change_vote', {
+            p_event_id: eventId,
+            p_voter_id: voterId,
+            p_category_id: categoryId,
+            p_nominee_ids: nomineeIds
+        })
+        .single()),
+
+    withdraw: async ({ eventId, voterId, categoryId }) => {
+        await run(supabase.rpc('withdraw_vote', { p_event_id: eventId, p_voter_id: voterId, p_category_id: categoryId }));
+    },
+
+    // choices: [{ category_id, nominee_ids }]. Returns one
+    // { category_id, nominee_ids, status, vote_id } per choice
+    castBallot: ({ eventId, voterId, choices, ipAddress }) => run(supabase.rpc('cast_ballot', {
+        p_event_id: eventId,
+        p_voter_id: voterId,
+        p_choices: choices,
+        p_ip_address: ipAddress
+    })),
+
+    // Counted choices per nominee; see event_vote_tallies in migrations/019_soft_delete.sql
+    tallies: (eventId, { excludeFlagged = false } = {}) =>
+        run(supabase.rpc('event_vote_tallies', { p_event_id: eventId, p_exclude_flagged: excludeFlagged })),
+
+    // Up to `limit` counted ranked ballots after `afterId`, ordered by vote id;
+    // see event_ranked_ballots in migrations/019_soft_delete.sql
+    rankedBallotBatch: (eventId, { excludeFlagged = false, afterId, limit }) => {
+        let query = supabase
+            .rpc('event_ranked_ballots', { p_event_id: eventId, p_exclude_flagged: excludeFlagged })
+            .order('vote_id', { ascending: true })
+            .limit(limit);
+
+        if (afterId) query = query.gt('vote_id', afterId);
+
+        return run(query);
+    },
+
+    // For vote screening (lib/fraud.js)
+    distinctVotersFromIp: async (eventId, ipAddress, since) => {
+        const data = await run(supabase
+            .from('votes')
+            .select('voter_id')
+            .eq('event_id', eventId)
+            .eq('ip_address', ipAddress)
+            .gte('created_at', since));
+
+        return new Set(data.map(row => row.voter_id)).size;
+    },
+
+    // Votes choosing the nominee at any rank, cast or changed since `since`;
+    // see count_recent_nominee_votes in migrations/014_vote_screening.sql
+    countRecentForNominee: (categoryId, nomineeId, since) => run(supabase.rpc('count_recent_nominee_votes', {
+        p_category_id: categoryId,
+        p_nominee_id: nomineeId,
+        p_since: since
+    })),
+
+    // Up to `limit` votes of the categories ordered by id, after `afterId`, for
+    // exports that read the votes in batches (lib/exports.js)
+    exportBatch: (eventId, categoryIds, { afterId, limit }) => {
+        let query = supabase
+            .from('votes')
+            .select('id, category_id, voter_id, nominee_id, created_at, invalidated_at, selections:vote_selections ( nominee_id, rank )')
+            .eq('event_id', eventId)
+            .in('category_id', categoryIds)
+            .order('id', { ascending: true })
+            .limit(limit);
+
+        if (afterId) query = query.gt('id', afterId);
+
+        return run(query);
+    }
+};
+
+// Switched and withdrawn votes; see migrations/010_vote_changes.sql
+const voteChanges = {
+    // Newest first
+    list: (eventId, { categoryId, limit }) => {
+        let query = supabase
+            .from('vote_changes')
+            .select('id, category_id, voter_id, action, from_nominee_id, to_nominee_id, changed_at')
+            .eq('event_id', eventId)
+            .order('changed_at', { ascending: false })
+            .limit(limit);
+
+        if (categoryId) query = query.eq('category_id', categoryId);
+
+        return run(query);
+    },
+
+    // Per category: { category_id, changed_count, withdrawn_count, voter_count }
+    summary: (eventId) => run(supabase.rpc('event_vote_change_summary', { p_event_id: eventId }))
+};
+
+// Votes flagged by the anomaly rules in lib/fraud.js; see migrations/014_vote_screening.sql
+const voteFlags = {
+    find: (eventId, id) => run(supabase.from('vote_flags').select('*').eq('id', id).eq('event_id', eventId).maybeSingle()),
+
+    // Newest first, with the vote and the voter
+    list: (eventId, { status, rule, categoryId, limit }) => {
+        let query = supabase
+            .from('vote_flags')
+            .select(`
+                id, rule, details, status, created_at, reviewed_at, reviewed_by,
+                category_id,
+                vote:vote_id ( id, nominee_id, ip_address, created_at, invalidated_at ),
+                voter:voter_id ( id, name, email )
+            `)
+            .eq('event_id', eventId)
+            .eq('status', status)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (rule) query = query.eq('rule', rule);
+        if (categoryId) query = query.eq('category_id', categoryId);
+
+        return run(query);
+    },
+
+    // A vote is flagged once per rule; returns only the flags written now
+    record: (flags) => run(supabase
+        .from('vote_flags')
+        .upsert(flags, { onConflict: 'vote_id,rule', ignoreDuplicates: true })
+        .select('*')),
+
+    // decision: 'invalidated' or 'dismissed'; returns the reviewed flag
+    review: ({ eventId, flagId, adminId, decision }) => run(supabase
+        .rpc('review_vote_flag', {
+            p_event_id: eventId,
+            p_flag_id: flagId,
+            p_admin_id: adminId,
+            p_decision: decision
+        })
+        .single())
+};
+
+const juryScores = {
+    list: (eventId, { categoryId } = {}) => {
+        let query = supabase
+            .from('jury_scores')
+            .select('id, category_id, nominee_id, juror:juror_id ( id, name, email ), score, created_at, updated_at')
+            .eq('event_id', eventId)
+            .order('created_at', { ascending: true });
+
+        if (categoryId) query = query.eq('category_id', categoryId);
+
+        return run(query);
+    },
+
+    listForJuror: (eventId, jurorId) => run(supabase
+        .from('jury_scores')
+        .select('category_id, nominee_id, score, created_at, updated_at')
+        .eq('event_id', eventId)
+        .eq('juror_id', jurorId)),
+
+    // scores: [{ nominee_id, score }], saved together; returns the saved rows
+    submit: ({ eventId, jurorId, categoryId, scores }) => run(supabase.rpc('submit_jury_scores', {
+        p_event_id: eventId,
+        p_juror_id: jurorId,
+        p_category_id: categoryId,
+        p_scores: scores
+    })),
+
+    totals: (eventId) => run(supabase.rpc('event_jury_scores', { p_event_id: eventId }))
+};
+
+// Vote receipts; see migrations/025_notifications.sql
+const receipts = {
+    create: (fields) => run(supabase.from('vote_receipts').insert([fields]).select('*').single()),
+
+    latestForVote: (voteId) => run(supabase
+        .from('vote_receipts')
+        .select('*')
+        .eq('vote_id', voteId)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle()),
+
+    // With the event, category and vote it was issued for (vote is null once withdrawn)
+    findByCode: (code) => run(supabase
+        .from('vote_receipts')
+        .select(`
+            id, code, vote_id, vote_updated_at, created_at,
+            event:event_id ( slug, name ),
+            category:category_id ( id, name, archived_at ),
+            vote:vote_id ( id, updated_at, invalidated_at )
+        `)
+        .eq('code', code)
+        .maybeSingle())
+};
+
+// Readiness check: the same empty query test_connection.js runs, which fails on
+// a bad URL or key, a network problem or a missing schema
+const ping = async () => {
+    await run(supabase.from('categories').select('id').limit(0));
+};
+
+export const createSupabaseStore = () => ({
+    events, admins, auditLog, voters, categories, nominees, nominations, submissions, votes, voteChanges, voteFlags,
+    juryScores, receipts, ping
+});
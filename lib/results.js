@@ -0,0 +1,199 @@
+import { categories as categoryRecords, nominations, votes, juryScores } from './repositories/index.js';
+import { effectiveStatus } from './lifecycle.js';
+import { instantRunoff } from './rankedChoice.js';
+import { EventEmitter } from 'events';
+import voteEvents from './voteEvents.js';
+
+// --------------------------------------------
+// Results engine
+// --------------------------------------------
+// Computes every category's tally for an event from four queries (categories,
+// nominations, grouped vote counts, grouped jury scores), regardless of how many
+// nominees there are, plus one for the full rankings when the event has
+// ranked-choice categories (read in batches, since a single response from the
+// data store is capped). Any failed query rejects the whole computation
+// rather than reporting zeroes.
+//
+// The public vote is counted according to the category's voting mode:
+// - single:   most votes
+// - approval: most approvals (a ballot approves up to max_choices nominees)
+// - ranked:   instant runoff; `rounds` shows each elimination round
+// Percentages are shares of the category's ballots.
+//
+// Categories with a jury_weight blend in the jury: each nominee's publicShare
+// (share of the public vote; final round for ranked) and juryShare (share of
+// all jury points) are combined into a weightedScore, which then decides the
+// winner. With no jury weight the public vote alone decides.
+//
+// Invalidated votes never count. With `excludeFlagged`, votes that still have
+// an open fraud flag (see lib/fraud.js) are left out too.
+
+const cacheTtlMs = () => Number(process.env.RESULTS_CACHE_TTL_MS) || 60 * 1000;
+
+// `${eventId}:${excludeFlagged}` -> { promise, expiresAt }. Storing the promise
+// lets concurrent requests share one computation.
+const cache = new Map();
+
+const cacheKey = (eventId, excludeFlagged) => `${eventId}:${excludeFlagged}`;
+
+const BALLOT_BATCH_SIZE = 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const percentage = (part, whole) => (whole > 0 ? round2((part / whole) * 100) : 0);
+
+const summarizeCategory = (category, nominees, tallies, juryRows, rankedBallots, eventVoterCount) => {
+    const votingMode = category.voting_mode || 'single';
+    const juryWeight = Number(category.jury_weight) || 0;
+    const votesByNominee = new Map(tallies.map(row => [row.nominee_id, Number(row.vote_count)]));
+    const totalVotes = tallies.reduce((sum, row) => sum + Number(row.vote_count), 0);
+    const voterCount = tallies.length > 0 ? Number(tallies[0].category_voter_count) : 0;
+
+    const juryByNominee = new Map(juryRows.map(row => [row.nominee_id, row]));
+    const totalJuryPoints = juryRows.reduce((sum, row) => sum + Number(row.total_score), 0);
+    const jurorCount = juryRows.length > 0 ? Number(juryRows[0].category_juror_count) : 0;
+
+    let runoff;
+    if (votingMode === 'ranked') {
+        runoff = instantRunoff(nominees.map(n => n.id), rankedBallots);
+    }
+
+    // Public votes each nominee holds when the count is decided. A ranked
+    // category without nominees has no rounds at all.
+    const finalTallies = runoff ? runoff.rounds.at(-1)?.tallies ?? {} : Object.fromEntries(votesByNominee);
+    const finalTotal = Object.values(finalTallies).reduce((sum, count) => sum + count, 0);
+
+    const fullTally = nominees
+        .map(nominee => {
+            const voteCount = votesByNominee.get(nominee.id) || 0;
+            const jury = juryByNominee.get(nominee.id);
+            const publicShare = finalTotal > 0 ? ((finalTallies[nominee.id] || 0) / finalTotal) * 100 : 0;
+            const juryShare = totalJuryPoints > 0 && jury ? (Number(jury.total_score) / totalJuryPoints) * 100 : 0;
+
+            return {
+                ...nominee,
+                voteCount,
+                percentage: percentage(voteCount, voterCount),
+                publicShare: round2(publicShare),
+                juryScore: jury ? round2(Number(jury.total_score) / Number(jury.score_count)) : null,
+                juryShare: round2(juryShare),
+                weightedScore: round2((publicShare * (100 - juryWeight) + juryShare * juryWeight) / 100)
+            };
+        })
+        .sort((a, b) => (juryWeight > 0 ? b.weightedScore - a.weightedScore : 0)
+            || b.voteCount - a.voteCount
+            || a.name.localeCompare(b.name));
+
+    let winners;
+
+    if (juryWeight > 0) {
+        const topScore = fullTally.length > 0 ? fullTally[0].weightedScore : 0;
+        winners = topScore > 0 ? fullTally.filter(n => n.weightedScore === topScore) : [];
+    } else if (runoff) {
+        winners = fullTally.filter(n => runoff.winners.includes(n.id));
+    } else {
+        const topCount = fullTally.length > 0 ? fullTally[0].voteCount : 0;
+        winners = topCount > 0 ? fullTally.filter(n => n.voteCount === topCount) : [];
+    }
+
+    return {
+        categoryId: category.id,
+        categoryName: category.name,
+        status: effectiveStatus(category),
+        votingMode,
+        juryWeight,
+        totalVotes,
+        voterCount,
+        jurorCount,
+        turnout: percentage(voterCount, eventVoterCount),
+        isTie: winners.length > 1,
+        winner: winners.length === 1 ? winners[0] : null,
+        winners,
+        fullTally,
+        ...(runoff && { rounds: runoff.rounds })
+    };
+};
+
+// Every counted ranked ballot of the event, batch by batch
+const allRankedBallots = async (eventId, { excludeFlagged }) => {
+    const ballots = [];
+    let lastId = null;
+
+    for (;;) {
+        const batch = await votes.rankedBallotBatch(eventId, { excludeFlagged, afterId: lastId, limit: BALLOT_BATCH_SIZE });
+        ballots.push(...batch);
+
+        if (batch.length < BALLOT_BATCH_SIZE) return ballots;
+        lastId = batch[batch.length - 1].vote_id;
+    }
+};
+
+/**
+ * Computes fresh results for every category of an event.
+ */
+export const computeEventResults = async (eventId, { excludeFlagged = false } = {}) => {
+    const [allCategories, links, tallies, juryTotals] = await Promise.all([
+        categoryRecords.list(eventId, { archived: false }),
+        nominations.list(eventId, { archived: false }),
+        votes.tallies(eventId, { excludeFlagged }),
+        juryScores.totals(eventId)
+    ]);
+
+    const categories = allCategories.sort((a, b) => a.name.localeCompare(b.name));
+    const eventVoterCount = tallies.length > 0 ? Number(tallies[0].event_voter_count) : 0;
+
+    const rankedBallots = categories.some(category => category.voting_mode === 'ranked')
+        ? await allRankedBallots(eventId, { excludeFlagged })
+        : [];
+
+    return categories.map(category => {
+        const nominees = links
+            .filter(link => link.category_id === category.id)
+            .map(link => link.nominee)
+            .filter(n => n && n.id && !n.archived_at)
+            .map(({ id, name }) => ({ id, name }));
+
+        const categoryTallies = tallies.filter(row => row.category_id === category.id);
+        const categoryJury = juryTotals.filter(row => row.category_id === category.id);
+        const categoryBallots = rankedBallots
+            .filter(row => row.category_id === category.id)
+            .map(row => row.ranking);
+
+        return summarizeCategory(category, nominees, categoryTallies, categoryJury, categoryBallots, eventVoterCount);
+    });
+};
+
+/**
+ * Returns the event's results, served from cache until a vote arrives, an admin
+ * edits the event, or the cache TTL passes. Pass `{ refresh: true }` to bypass it.
+ */
+export const getEventResults = (eventId, { refresh = false, excludeFlagged = false } = {}) => {
+    const key = cacheKey(eventId, excludeFlagged);
+    const cached = cache.get(key);
+
+    if (!refresh && cached && cached.expiresAt > Date.now()) {
+        return cached.promise;
+    }
+
+    const promise = computeEventResults(eventId, { excludeFlagged });
+    cache.set(key, { promise, expiresAt: Date.now() + cacheTtlMs() });
+
+    // Never cache a failure
+    promise.catch(() => {
+        if (cache.get(key)?.promise === promise) cache.delete(key);
+    });
+
+    return promise;
+};
+
+// Emits 'stale' with the event id whenever cached results are dropped, so
+// live views know to recompute.
+export const resultsEvents = new EventEmitter();
+resultsEvents.setMaxListeners(0);
+
+export const invalidateEventResults = (eventId) => {
+    cache.delete(cacheKey(eventId, false));
+    cache.delete(cacheKey(eventId, true));
+    resultsEvents.emit('stale', eventId);
+};
+
+voteEvents.on('vote', ({ eventId }) => invalidateEventResults(eventId));
@@ -0,0 +1,174 @@
+import { getEventResults, resultsEvents } from './results.js';
+import { logger } from './logger.js';
+
+// --------------------------------------------
+// Live results over Server-Sent Events
+// --------------------------------------------
+// Each event with connected clients gets a channel. When its results go stale
+// (a vote or an admin change), the channel recomputes them once, diffs them
+// against the previous snapshot and pushes a `tally` message for every category
+// that changed. Recent messages are kept so reconnecting clients can resume
+// from their Last-Event-ID instead of reloading everything.
+//
+// Message ids look like "<epoch>:<seq>"; the epoch changes with every new
+// channel (e.g. after a restart), which forces a fresh snapshot.
+
+const HEARTBEAT_MS = 15 * 1000;
+const RECOMPUTE_DELAY_MS = 250;
+const REPLAY_BUFFER_SIZE = 500;
+const CLIENT_RETRY_MS = 3000;
+// How long a channel outlives its last client, so brief disconnects can resume.
+const IDLE_CHANNEL_MS = 60 * 1000;
+
+const channels = new Map();
+
+const write = (res, { id, event, data }) => {
+    if (id) res.write(`id: ${id}\n`);
+    if (event) res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+const currentId = (channel) => `${channel.epoch}:${channel.seq}`;
+
+const closeChannel = (channel) => {
+    clearInterval(channel.heartbeat);
+    clearTimeout(channel.timer);
+    clearTimeout(channel.idleTimer);
+    channels.delete(channel.eventId);
+};
+
+const publishChanges = async (channel) => {
+    channel.timer = null;
+
+    let results;
+    try {
+        results = await getEventResults(channel.eventId);
+    } catch (error) {
+        logger.error('Error refreshing live results', { eventId: channel.eventId, error });
+        return;
+    }
+
+    const previous = channel.snapshot || new Map();
+    channel.snapshot = new Map(results.map(category => [category.categoryId, JSON.stringify(category)]));
+
+    for (const category of results) {
+        if (previous.get(category.categoryId) === channel.snapshot.get(category.categoryId)) continue;
+
+        channel.seq += 1;
+        const message = { seq: channel.seq, id: currentId(channel), event: 'tally', data: category };
+
+        channel.buffer.push(message);
+        if (channel.buffer.length > REPLAY_BUFFER_SIZE) channel.buffer.shift();
+
+        for (const client of channel.clients) {
+            if (client.filter(category)) write(client.res, message);
+        }
+    }
+};
+
+const scheduleRefresh = (eventId) => {
+    const channel = channels.get(eventId);
+    if (channel && !channel.timer) {
+        channel.timer = setTimeout(() => publishChanges(channel), RECOMPUTE_DELAY_MS);
+    }
+};
+
+resultsEvents.on('stale', scheduleRefresh);
+
+const getChannel = (eventId) => {
+    let channel = channels.get(eventId);
+
+    if (!channel) {
+        channel = {
+            eventId,
+            epoch: Date.now().toString(36),
+            seq: 0,
+            clients: new Set(),
+            buffer: [],
+            snapshot: null,
+            timer: null,
+            idleTimer: null,
+            heartbeat: setInterval(() => {
+                for (const client of channel.clients) client.res.write(': heartbeat\n\n');
+            }, HEARTBEAT_MS).unref()
+        };
+        channels.set(eventId, channel);
+    }
+
+    return channel;
+};
+
+// Messages after `lastEventId`, or null when the client has to start over.
+const missedMessages = (channel, lastEventId) => {
+    const [epoch, seqText] = String(lastEventId || '').split(':');
+    const lastSeq = Number(seqText);
+
+    if (epoch !== channel.epoch || !Number.isInteger(lastSeq) || lastSeq > channel.seq) return null;
+
+    const oldestBuffered = channel.buffer.length > 0 ? channel.buffer[0].seq : channel.seq + 1;
+    if (lastSeq + 1 < oldestBuffered) return null;
+
+    return channel.buffer.filter(message => message.seq > lastSeq);
+};
+
+/**
+ * Serves an SSE results stream for `eventId`. `filter(category)` decides which
+ * categories this client may see (e.g. only published ones on the public stream).
+ */
+export const streamEventResults = async (req, res, eventId, { filter = () => true } = {}) => {
+    const channel = getChannel(eventId);
+    const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+    const client = { res, filter };
+    channel.clients.add(client);
+    clearTimeout(channel.idleTimer);
+
+    req.on('close', () => {
+        channel.clients.delete(client);
+        if (channel.clients.size === 0) {
+            channel.idleTimer = setTimeout(() => closeChannel(channel), IDLE_CHANNEL_MS).unref();
+        }
+    });
+
+    const missed = missedMessages(channel, lastEventId);
+
+    if (missed) {
+        for (const message of missed) {
+            if (filter(message.data)) write(res, message);
+        }
+        return;
+    }
+
+    try {
+        const results = await getEventResults(eventId);
+
+        if (!channel.snapshot) {
+            channel.snapshot = new Map(results.map(category => [category.categoryId, JSON.stringify(category)]));
+        }
+
+        write(res, { id: currentId(channel), event: 'snapshot', data: results.filter(filter) });
+    } catch (error) {
+        logger.error('Error starting live results', { requestId: req.id, eventId, error });
+        write(res, { event: 'error', data: { message: 'Failed to load results.' } });
+    }
+};
+
+/**
+ * Ends every open stream, e.g. on shutdown; clients reconnect after their
+ * retry delay, to this server or another.
+ */
+export const closeAllStreams = () => {
+    for (const channel of [...channels.values()]) {
+        for (const client of channel.clients) client.res.end();
+        closeChannel(channel);
+    }
+};
@@ -0,0 +1,86 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { supabase } from '../supabase.js';
+
+// --------------------------------------------
+// Pluggable media storage
+// --------------------------------------------
+// STORAGE_DRIVER selects where uploaded images go: 'supabase' (Supabase
+// Storage, a public bucket named by STORAGE_BUCKET) or 'local' (files under
+// STORAGE_LOCAL_DIR, served by index.js at /uploads, for development).
+// Records keep both the object path, to remove it later, and its public URL.
+
+const drivers = new Map();
+
+export const registerStorageDriver = (name, driver) => {
+    drivers.set(name, driver);
+};
+
+export const localStorageDir = () => path.resolve(process.env.STORAGE_LOCAL_DIR || './uploads');
+
+registerStorageDriver('local', {
+    async put(objectPath, data) {
+        const filePath = path.join(localStorageDir(), objectPath);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, data);
+        return `${process.env.STORAGE_PUBLIC_URL || ''}/uploads/${objectPath}`;
+    },
+    async remove(objectPath) {
+        await fs.rm(path.join(localStorageDir(), objectPath), { force: true });
+    }
+});
+
+registerStorageDriver('supabase', {
+    async put(objectPath, data, contentType) {
+        const bucket = supabase.storage.from(process.env.STORAGE_BUCKET || 'media');
+
+        const { error } = await bucket.upload(objectPath, data, { contentType, upsert: false });
+        if (error) throw error;
+
+        return bucket.getPublicUrl(objectPath).data.publicUrl;
+    },
+    async remove(objectPath) {
+        const { error } = await supabase.storage.from(process.env.STORAGE_BUCKET || 'media').remove([objectPath]);
+        if (error) throw error;
+    }
+});
+
+const driver = () => {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const selected = drivers.get(name);
+
+    if (!selected) {
+        throw new Error(`Unknown STORAGE_DRIVER "${name}".`);
+    }
+    return selected;
+};
+
+// --- Images ---
+
+// Checked against the file's leading bytes, not just the declared Content-Type
+const IMAGE_SIGNATURES = [
+    { type: 'image/png', extension: 'png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { type: 'image/jpeg', extension: 'jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { type: 'image/gif', extension: 'gif', matches: (b) => b.subarray(0, 4).toString('latin1') === 'GIF8' },
+    { type: 'image/webp', extension: 'webp', matches: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+export const IMAGE_TYPES = IMAGE_SIGNATURES.map(signature => signature.type);
+
+/**
+ * Returns `{ type, extension }` for a PNG, JPEG, GIF or WebP image, or null.
+ */
+export const detectImage = (data) => {
+    const signature = IMAGE_SIGNATURES.find(s => data.length >= 12 && s.matches(data));
+    return signature ? { type: signature.type, extension: signature.extension } : null;
+};
+
+/**
+ * Stores a file and returns its public URL.
+ */
+export const storeObject = (objectPath, data, contentType) => driver().put(objectPath, data, contentType);
+
+/**
+ * Removes a stored file. Missing files are not an error.
+ */
+export const removeObject = (objectPath) => driver().remove(objectPath);
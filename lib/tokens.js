@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+
+// --------------------------------------------
+// Signed session tokens (HS256 JWTs, no external dependency)
+// --------------------------------------------
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decode = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const sign = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+/**
+ * Creates a signed token carrying `payload`, valid for `expiresInSeconds`.
+ * `audience` keeps tokens issued for one purpose from being accepted by another.
+ */
+export const signToken = (payload, { secret, audience, expiresInSeconds }) => {
+    if (!secret) throw new Error('A token secret is required to sign tokens.');
+
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const header = encode({ alg: 'HS256', typ: 'JWT' });
+    const body = encode({ ...payload, aud: audience, iat: issuedAt, exp: issuedAt + expiresInSeconds });
+
+    return `${header}.${body}.${sign(`${header}.${body}`, secret)}`;
+};
+
+/**
+ * Returns the token payload when the signature, audience and expiry check out, otherwise null.
+ */
+export const verifyToken = (token, { secret, audience }) => {
+    if (!secret || typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, body, signature] = parts;
+    const expected = Buffer.from(sign(`${header}.${body}`, secret));
+    const received = Buffer.from(signature);
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    try {
+        const payload = decode(body);
+        if (audience && payload.aud !== audience) return null;
+        if (typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) return null;
+        return payload;
+    } catch {
+        return null;
+    }
+};
@@ -0,0 +1,62 @@
+import { categories as categoryRecords, votes } from './repositories/index.js';
+import { effectiveStatus } from './lifecycle.js';
+
+// --------------------------------------------
+// Turnout analytics
+// --------------------------------------------
+// How many people voted in an event and how far they got, from counted votes
+// only (invalidated votes and archived categories are left out):
+// - timeline:   votes and first-time voters per hour or day (UTC)
+// - categories: votes and voters per category; participation is the share of
+//               the event's voters who voted in it
+// - completion: voters who voted in every active category (is_active,
+//               unarchived and past draft) as a share of all voters
+
+const percentage = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+
+export const getEventTurnout = async (eventId, { interval = 'day' } = {}) => {
+    const [stats, eventCategories] = await Promise.all([
+        votes.turnout(eventId, { interval }),
+        categoryRecords.list(eventId, { archived: false })
+    ]);
+
+    const byCategory = new Map(stats.categories.map(row => [row.category_id, row]));
+    const activeIds = new Set(stats.active_category_ids);
+    const voterCount = Number(stats.voter_count);
+
+    let cumulativeVoters = 0;
+
+    return {
+        interval,
+        voterCount,
+        completion: {
+            activeCategoryCount: activeIds.size,
+            completedVoterCount: Number(stats.complete_voter_count),
+            rate: percentage(Number(stats.complete_voter_count), voterCount)
+        },
+        timeline: stats.timeline.map(row => {
+            cumulativeVoters += Number(row.new_voters);
+
+            return {
+                bucket: row.bucket,
+                votes: Number(row.votes),
+                newVoters: Number(row.new_voters),
+                cumulativeVoters
+            };
+        }),
+        categories: eventCategories.map(category => {
+            const row = byCategory.get(category.id);
+            const categoryVoters = row ? Number(row.voter_count) : 0;
+
+            return {
+                categoryId: category.id,
+                categoryName: category.name,
+                status: effectiveStatus(category),
+                active: activeIds.has(category.id),
+                votes: row ? Number(row.votes) : 0,
+                voterCount: categoryVoters,
+                participation: percentage(categoryVoters, voterCount)
+            };
+        })
+    };
+};
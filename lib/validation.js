@@ -0,0 +1,190 @@
+// --------------------------------------------
+// Declarative request validation
+// --------------------------------------------
+// Schemas are small objects with a `check(value)` that returns either
+// `{ value }` (possibly normalized, e.g. trimmed or coerced from a query string)
+// or `{ error }`. object() collects every failing field instead of stopping at
+// the first, so clients can show all problems at once.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9\s().-]+$/;
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const schema = (check) => ({
+    check,
+    isOptional: false,
+    isNullable: false,
+    // Field may be left out entirely
+    optional() {
+        return { ...this, isOptional: true };
+    },
+    // Field may be sent as null (e.g. to clear a value)
+    nullable() {
+        return { ...this, isNullable: true };
+    }
+});
+
+export const string = ({ min = 0, max = Infinity, pattern, patternMessage, trim = true, lowercase = false } = {}) =>
+    schema((value) => {
+        if (typeof value !== 'string') return { error: 'must be a string.' };
+
+        const trimmed = trim ? value.trim() : value;
+        const text = lowercase ? trimmed.toLowerCase() : trimmed;
+        if (text.length < min) return { error: min === 1 ? 'is required.' : `must be at least ${min} characters.` };
+        if (text.length > max) return { error: `must be at most ${max} characters.` };
+        if (pattern && !pattern.test(text)) return { error: patternMessage || 'has an invalid format.' };
+
+        return { value: text };
+    });
+
+// Lowercased, so every spelling of an address maps to one voter or admin
+export const email = () =>
+    string({ min: 1, max: 254, pattern: EMAIL_PATTERN, patternMessage: 'must be a valid email address.', lowercase: true });
+
+export const phone = () =>
+    schema((value) => {
+        const result = string({ min: 1, max: 32, pattern: PHONE_PATTERN, patternMessage: 'must be a valid phone number.' })
+            .check(value);
+        if (result.error) return result;
+
+        const digits = result.value.replace(/\D/g, '').length;
+        if (digits < 7 || digits > 15) return { error: 'must be a valid phone number.' };
+
+        return result;
+    });
+
+export const slug = () =>
+    string({
+        min: 1,
+        max: 64,
+        pattern: SLUG_PATTERN,
+        patternMessage: 'may only contain lowercase letters, numbers and single dashes.'
+    });
+
+// Absolute http(s) links only, so stored URLs are safe to render as hrefs
+export const url = () =>
+    schema((value) => {
+        const result = string({ min: 1, max: 500 }).check(value);
+        if (result.error) return result;
+
+        let parsed;
+        try {
+            parsed = new URL(result.value);
+        } catch {
+            return { error: 'must be a valid URL.' };
+        }
+
+        return ['http:', 'https:'].includes(parsed.protocol)
+            ? { value: parsed.href }
+            : { error: 'must be an http or https URL.' };
+    });
+
+export const uuid = () =>
+    schema((value) => (typeof value === 'string' && UUID_PATTERN.test(value)
+        ? { value: value.toLowerCase() }
+        : { error: 'must be a valid UUID.' }));
+
+// Record ids are UUIDs throughout the schema.
+export const id = uuid;
+
+export const integer = ({ min = -Infinity, max = Infinity } = {}) =>
+    schema((value) => {
+        // Route params and query strings arrive as text
+        const number = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+
+        if (!Number.isInteger(number)) return { error: 'must be an integer.' };
+        if (number < min) return { error: `must be at least ${min}.` };
+        if (number > max) return { error: `must be at most ${max}.` };
+
+        return { value: number };
+    });
+
+export const boolean = () =>
+    schema((value) => {
+        if (typeof value === 'boolean') return { value };
+        if (value === 'true' || value === 'false') return { value: value === 'true' };
+        return { error: 'must be true or false.' };
+    });
+
+export const timestamp = () =>
+    schema((value) => (typeof value === 'string' && !Number.isNaN(Date.parse(value))
+        ? { value: new Date(value).toISOString() }
+        : { error: 'must be an ISO 8601 timestamp.' }));
+
+export const oneOf = (allowed) =>
+    schema((value) => (allowed.includes(value)
+        ? { value }
+        : { error: `must be one of: ${allowed.join(', ')}.` }));
+
+/**
+ * A plain object with the given fields. Unknown keys are dropped.
+ * Returns `{ value, errors }` where errors is a list of `{ field, message }`.
+ */
+export const object = (shape) => {
+    const objectSchema = schema((input) => {
+        if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+            return { error: 'must be an object.' };
+        }
+
+        const value = {};
+        const errors = [];
+
+        for (const [field, fieldSchema] of Object.entries(shape)) {
+            const raw = input[field];
+
+            if (raw === undefined || raw === '') {
+                if (raw === '' && fieldSchema.isNullable) {
+                    value[field] = null;
+                } else if (!fieldSchema.isOptional) {
+                    errors.push({ field, message: `${field} is required.` });
+                }
+                continue;
+            }
+
+            if (raw === null) {
+                if (fieldSchema.isNullable) value[field] = null;
+                else errors.push({ field, message: `${field} must not be null.` });
+                continue;
+            }
+
+            const result = fieldSchema.check(raw);
+
+            if (result.errors) {
+                errors.push(...result.errors.map(e => ({ ...e, field: `${field}.${e.field}` })));
+            } else if (result.error) {
+                errors.push({ field, message: `${field} ${result.error}` });
+            } else {
+                value[field] = result.value;
+            }
+        }
+
+        return errors.length > 0 ? { errors } : { value };
+    });
+
+    return { ...objectSchema, shape };
+};
+
+export const array = (itemSchema, { min = 0, max = Infinity } = {}) =>
+    schema((input) => {
+        if (!Array.isArray(input)) return { error: 'must be an array.' };
+        if (input.length < min) return { error: `must contain at least ${min} item(s).` };
+        if (input.length > max) return { error: `must contain at most ${max} item(s).` };
+
+        const value = [];
+        const errors = [];
+
+        input.forEach((item, index) => {
+            const result = itemSchema.check(item);
+
+            if (result.errors) {
+                errors.push(...result.errors.map(e => ({ ...e, field: `${index}.${e.field}` })));
+            } else if (result.error) {
+                errors.push({ field: String(index), message: `item ${index} ${result.error}` });
+            } else {
+                value.push(result.value);
+            }
+        });
+
+        return errors.length > 0 ? { errors } : { value };
+    });
@@ -0,0 +1,10 @@
+import { EventEmitter } from 'events';
+
+// In-process notifications about recorded votes. Emitted by the public vote
+// routes with `{ eventId, categoryId, nomineeId }` after a vote is stored.
+const voteEvents = new EventEmitter();
+
+// Every open results stream adds a listener; don't warn about "leaks".
+voteEvents.setMaxListeners(0);
+
+export default voteEvents;
@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import { voters } from './repositories/index.js';
+import { signToken, verifyToken } from './tokens.js';
+
+const VOTER_AUDIENCE = 'voter';
+const MAX_CODE_ATTEMPTS = 5;
+
+const codeTtlSeconds = () => Number(process.env.LOGIN_CODE_TTL_SECONDS) || 10 * 60;
+const sessionTtlSeconds = () => Number(process.env.VOTER_SESSION_TTL_SECONDS) || 24 * 60 * 60;
+const tokenSecret = () => process.env.VOTER_TOKEN_SECRET;
+
+// Codes are stored as keyed hashes so a database leak does not expose live codes.
+const hashCode = (voterId, code) =>
+    crypto.createHmac('sha256', tokenSecret() || '').update(`${voterId}:${code}`).digest('hex');
+
+/**
+ * Keyed hash of an email address, kept when a voter is anonymized so the
+ * address can be recognized without being stored.
+ */
+export const hashEmail = (email) =>
+    crypto.createHmac('sha256', tokenSecret() || '').update(`email:${email}`).digest('hex');
+
+/**
+ * Generates a fresh six-digit code for the voter, replacing any codes
+ * that have not been used yet. Returns the plain code for delivery.
+ */
+export const createLoginCode = async (voterId) => {
+    if (!tokenSecret()) throw new Error('VOTER_TOKEN_SECRET must be set in .env');
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const expiresAt = new Date(Date.now() + codeTtlSeconds() * 1000).toISOString();
+
+    await voters.replaceLoginCode(voterId, { codeHash: hashCode(voterId, code), expiresAt });
+
+    return { code, expiresAt };
+};
+
+/**
+ * Checks a submitted code against the voter's latest unused code.
+ * Returns 'ok', 'invalid', 'expired' or 'locked' (too many wrong attempts).
+ */
+export const consumeLoginCode = async (voterId, code) => {
+    const loginCode = await voters.latestLoginCode(voterId);
+
+    if (!loginCode) return 'invalid';
+    if (new Date(loginCode.expires_at) <= new Date()) return 'expired';
+    if (loginCode.attempts >= MAX_CODE_ATTEMPTS) return 'locked';
+
+    const expected = Buffer.from(loginCode.code_hash);
+    const received = Buffer.from(hashCode(voterId, String(code)));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        await voters.updateLoginCode(loginCode.id, { attempts: loginCode.attempts + 1 });
+        return 'invalid';
+    }
+
+    await voters.updateLoginCode(loginCode.id, { consumed_at: new Date().toISOString() });
+    return 'ok';
+};
+
+/**
+ * Issues the signed session token returned to the voter after verification.
+ */
+export const issueVoterToken = (voter) => {
+    const expiresInSeconds = sessionTtlSeconds();
+    const token = signToken(
+        { sub: voter.id, email: voter.email },
+        { secret: tokenSecret(), audience: VOTER_AUDIENCE, expiresInSeconds }
+    );
+
+    return { token, expiresAt: new Date(Date.now() + expiresInSeconds * 1000).toISOString() };
+};
+
+export const verifyVoterToken = (token) =>
+    verifyToken(token, { secret: tokenSecret(), audience: VOTER_AUDIENCE });
@@ -0,0 +1,35 @@
+import { NotFoundError, toAppError } from '../lib/errors.js';
+import { logger } from '../lib/logger.js';
+
+// Catch-all for requests that matched no route.
+export const notFoundHandler = (req, res, next) => {
+    next(new NotFoundError(`Route ${req.method} ${req.path} not found.`, { code: 'ROUTE_NOT_FOUND' }));
+};
+
+// Central error middleware. Server-side failures are logged with the request id
+// and answered with a generic message; internals never reach the client.
+// Express recognizes error middleware by its four arguments, so `next` stays.
+export const errorHandler = (err, req, res, next) => {
+    const error = toAppError(err);
+
+    if (error.status >= 500) {
+        logger.error('Request failed', {
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl,
+            error: error.cause || error
+        });
+    }
+
+    // A streaming response may already have started
+    if (res.headersSent) {
+        return res.end();
+    }
+
+    res.status(error.status).json({
+        code: error.code,
+        message: error.message,
+        ...error.extra,
+        requestId: req.id
+    });
+};
@@ -0,0 +1,14 @@
+import crypto from 'crypto';
+
+const INCOMING_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// Tags every request with an id (reusing a sane incoming X-Request-Id, e.g. from
+// a proxy) and echoes it back, so client reports can be matched to server logs.
+const requestId = (req, res, next) => {
+    const incoming = req.headers['x-request-id'];
+    req.id = typeof incoming === 'string' && INCOMING_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+};
+
+export default requestId;
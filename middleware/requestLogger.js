@@ -0,0 +1,40 @@
+import { logger } from '../lib/logger.js';
+
+// Query parameters that carry credentials (admin event streams accept the
+// session token as ?access_token=, see middleware/requireAdmin.js)
+const SENSITIVE_PARAMS = new Set(['access_token', 'token', 'code']);
+
+// The request URL with the values of sensitive query parameters redacted
+const loggedPath = (url) => {
+    const [path, query] = url.split(/\?(.*)/s);
+    if (!query) return path;
+
+    const params = new URLSearchParams(query);
+    for (const key of new Set(params.keys())) {
+        if (SENSITIVE_PARAMS.has(key.toLowerCase())) params.set(key, 'REDACTED');
+    }
+    return `${path}?${params}`;
+};
+
+// Logs one line per request once the response is done (or the client went
+// away first, e.g. a closed results stream), tagged with the request id.
+const requestLogger = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+
+    res.once('close', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+        logger.info('request', {
+            requestId: req.id,
+            method: req.method,
+            path: loggedPath(req.originalUrl),
+            status: res.statusCode,
+            durationMs: Math.round(durationMs * 10) / 10,
+            aborted: res.writableFinished ? undefined : true
+        });
+    });
+
+    next();
+};
+
+export default requestLogger;
@@ -0,0 +1,24 @@
+import { verifyAdminToken, loadActiveAdmin } from '../lib/adminAuth.js';
+import { UnauthorizedError } from '../lib/errors.js';
+import asyncHandler from '../lib/asyncHandler.js';
+
+// Middleware for admin routes: resolves the signed-in admin from the
+// `Authorization: Bearer <token>` header issued by /api/admin/login.
+// Browsers' EventSource cannot send headers, so event streams may pass ?access_token= instead.
+const requireAdmin = asyncHandler(async (req, res, next) => {
+    const [scheme, headerToken] = (req.headers.authorization || '').split(' ');
+    const wantsStream = (req.headers.accept || '').includes('text/event-stream');
+    const token = scheme === 'Bearer' ? headerToken : (wantsStream ? req.query.access_token : undefined);
+
+    const payload = verifyAdminToken(token);
+    const admin = payload && await loadActiveAdmin(payload.sub);
+
+    if (!admin) {
+        throw new UnauthorizedError('Unauthorized: Admin sign-in required.');
+    }
+
+    req.admin = admin;
+    next();
+});
+
+export default requireAdmin;
@@ -0,0 +1,21 @@
+import { voters } from '../lib/repositories/index.js';
+import { ForbiddenError } from '../lib/errors.js';
+import asyncHandler from '../lib/asyncHandler.js';
+import requireVoter from './requireVoter.js';
+
+// The role is read on every request rather than stored in the session token,
+// so taking someone off the jury takes effect immediately.
+const checkJuryRole = asyncHandler(async (req, res, next) => {
+    const voter = await voters.findById(req.voter.id);
+
+    if (voter?.role !== 'jury') {
+        throw new ForbiddenError('Forbidden: Only jury members can do this.', { code: 'NOT_A_JUROR' });
+    }
+
+    next();
+});
+
+// Middleware for jury-only routes: a signed-in voter with the 'jury' role.
+const requireJuror = [requireVoter, checkJuryRole];
+
+export default requireJuror;
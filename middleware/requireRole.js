@@ -0,0 +1,13 @@
+import { hasRole } from '../lib/adminAuth.js';
+import { ForbiddenError } from '../lib/errors.js';
+
+// Restricts an admin route to `role` and above (viewer < editor < owner).
+// Use after requireAdmin.
+const requireRole = (role) => (req, res, next) => {
+    if (!hasRole(req.admin, role)) {
+        return next(new ForbiddenError(`Forbidden: This action requires the ${role} role.`, { code: 'INSUFFICIENT_ROLE' }));
+    }
+    next();
+};
+
+export default requireRole;
@@ -0,0 +1,23 @@
+import { verifyVoterToken } from '../lib/voterAuth.js';
+import { voters } from '../lib/repositories/index.js';
+import { UnauthorizedError } from '../lib/errors.js';
+import asyncHandler from '../lib/asyncHandler.js';
+
+// Middleware for voter-only routes: resolves the voter from the
+// `Authorization: Bearer <token>` header issued by /signin/verify. The voter
+// is looked up on every request, so a session ends as soon as the voter is
+// deleted or anonymized rather than when its token expires.
+const requireVoter = asyncHandler(async (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const payload = scheme === 'Bearer' ? verifyVoterToken(token) : null;
+    const voter = payload && await voters.findById(payload.sub);
+
+    if (!voter || voter.anonymized_at) {
+        throw new UnauthorizedError('Unauthorized: Please sign in to continue.');
+    }
+
+    req.voter = { id: voter.id, email: voter.email };
+    next();
+});
+
+export default requireVoter;
@@ -0,0 +1,22 @@
+import { events } from '../lib/repositories/index.js';
+import { NotFoundError } from '../lib/errors.js';
+import asyncHandler from '../lib/asyncHandler.js';
+
+// Loads the awards edition a request is scoped to into req.event: the one named
+// by the :slug route parameter, or the edition flagged as current when there is none.
+const resolveEvent = asyncHandler(async (req, res, next) => {
+    const { slug } = req.params;
+
+    const event = slug ? await events.findBySlug(slug) : await events.findCurrent();
+
+    if (!event) {
+        throw new NotFoundError(slug ? `Event "${slug}" not found.` : 'No current awards event is configured.', {
+            code: 'EVENT_NOT_FOUND'
+        });
+    }
+
+    req.event = event;
+    next();
+});
+
+export default resolveEvent;
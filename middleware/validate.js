@@ -0,0 +1,36 @@
+import { ValidationError } from '../lib/errors.js';
+
+// Validates req.params, req.query and req.body against object() schemas from
+// lib/validation.js. On success the parsed values replace the raw ones (body and
+// query keep only declared fields); otherwise fails with a ValidationError listing every failure.
+const validate = (schemas) => (req, res, next) => {
+    const errors = [];
+    const parsed = {};
+
+    for (const location of ['params', 'query', 'body']) {
+        if (!schemas[location]) continue;
+
+        const result = schemas[location].check(req[location] ?? {});
+
+        if (result.errors) {
+            errors.push(...result.errors.map(e => ({ location, ...e })));
+        } else if (result.error) {
+            errors.push({ location, field: location, message: `Request ${location} ${result.error}` });
+        } else {
+            parsed[location] = result.value;
+        }
+    }
+
+    if (errors.length > 0) {
+        return next(new ValidationError('Validation failed.', errors));
+    }
+
+    // Route params are shared with parent routers (e.g. :slug), so merge rather than replace
+    if (parsed.params) req.params = { ...req.params, ...parsed.params };
+    if (parsed.query) req.query = parsed.query;
+    if (parsed.body) req.body = parsed.body;
+
+    next();
+};
+
+export default validate;
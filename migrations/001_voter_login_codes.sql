@@ -0,0 +1,32 @@
+-- 001: One-time sign-in codes for voter authentication.
+-- Codes are stored as HMAC hashes; plain codes only ever leave the server by mail.
+
+create table if not exists public.voter_login_codes (
+    id uuid primary key default gen_random_uuid(),
+    voter_id uuid not null references public.voters (id) on delete cascade,
+    code_hash text not null,
+    attempts integer not null default 0,
+    expires_at timestamptz not null,
+    consumed_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists voter_login_codes_voter_idx
+    on public.voter_login_codes (voter_id, created_at desc);
+
+-- One voter per mailbox: addresses arrive lowercased from the API, and the
+-- index makes them unique regardless of case. Existing addresses are
+-- lowercased first; if two voters differ only in the case of their address
+-- the migration stops, and they have to be merged by hand before it is re-run.
+do $$
+begin
+    if exists (select 1 from public.voters group by lower(email) having count(*) > 1) then
+        raise exception '001: some voters share an email address that differs only in case; merge them first';
+    end if;
+end;
+$$;
+
+update public.voters set email = lower(email) where email <> lower(email);
+
+create unique index if not exists voters_email_lower_key
+    on public.voters (lower(email));
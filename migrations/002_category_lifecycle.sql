@@ -0,0 +1,15 @@
+-- 002: Voting windows and lifecycle states for categories.
+
+alter table public.categories
+    add column if not exists status text not null default 'draft',
+    add column if not exists opens_at timestamptz,
+    add column if not exists closes_at timestamptz;
+
+alter table public.categories
+    add constraint categories_status_check
+        check (status in ('draft', 'open', 'closed', 'published')),
+    add constraint categories_voting_window_check
+        check (opens_at is null or closes_at is null or closes_at > opens_at);
+
+-- Categories that were already live keep accepting votes after the upgrade.
+update public.categories set status = 'open' where is_active = true;
@@ -0,0 +1,89 @@
+-- 003: Awards editions. Categories, nominees, nominations and votes belong to one event.
+
+create table if not exists public.events (
+    id uuid primary key default gen_random_uuid(),
+    slug text not null unique check (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+    name text not null,
+    year integer,
+    is_current boolean not null default false,
+    created_at timestamptz not null default now()
+);
+
+-- At most one edition is "current"; unscoped legacy routes resolve to it.
+create unique index if not exists events_single_current_idx
+    on public.events (is_current) where is_current;
+
+-- Existing data becomes the first edition.
+insert into public.events (slug, name, year, is_current)
+select 'awards-' || extract(year from now())::int,
+       'Eden Futures Awards ' || extract(year from now())::int,
+       extract(year from now())::int,
+       true
+where not exists (select 1 from public.events);
+
+alter table public.categories  add column if not exists event_id uuid references public.events (id) on delete restrict;
+alter table public.nominees    add column if not exists event_id uuid references public.events (id) on delete restrict;
+alter table public.nominations add column if not exists event_id uuid references public.events (id) on delete restrict;
+alter table public.votes       add column if not exists event_id uuid references public.events (id) on delete restrict;
+
+update public.categories  set event_id = (select id from public.events where is_current) where event_id is null;
+update public.nominees    set event_id = (select id from public.events where is_current) where event_id is null;
+update public.nominations set event_id = (select id from public.events where is_current) where event_id is null;
+update public.votes       set event_id = (select id from public.events where is_current) where event_id is null;
+
+alter table public.categories  alter column event_id set not null;
+alter table public.nominees    alter column event_id set not null;
+alter table public.nominations alter column event_id set not null;
+alter table public.votes       alter column event_id set not null;
+
+create index if not exists categories_event_idx  on public.categories (event_id);
+create index if not exists nominees_event_idx    on public.nominees (event_id);
+create index if not exists nominations_event_idx on public.nominations (event_id);
+create index if not exists votes_event_idx       on public.votes (event_id);
+
+-- Copies an edition's categories, nominees and nominations into a new edition.
+-- Votes are not copied; cloned categories restart as unscheduled drafts.
+create or replace function public.clone_event(
+    p_source_event_id uuid,
+    p_slug text,
+    p_name text,
+    p_year integer default null
+) returns public.events
+language plpgsql
+as $$
+declare
+    v_event public.events;
+begin
+    insert into public.events (slug, name, year)
+    values (p_slug, p_name, p_year)
+    returning * into v_event;
+
+    create temporary table category_map on commit drop as
+    select c.id as old_id, gen_random_uuid() as new_id
+    from public.categories c
+    where c.event_id = p_source_event_id;
+
+    create temporary table nominee_map on commit drop as
+    select n.id as old_id, gen_random_uuid() as new_id
+    from public.nominees n
+    where n.event_id = p_source_event_id;
+
+    insert into public.categories (id, event_id, name, description, is_active, status)
+    select m.new_id, v_event.id, c.name, c.description, c.is_active, 'draft'
+    from public.categories c
+    join category_map m on m.old_id = c.id;
+
+    insert into public.nominees (id, event_id, name)
+    select m.new_id, v_event.id, n.name
+    from public.nominees n
+    join nominee_map m on m.old_id = n.id;
+
+    insert into public.nominations (event_id, category_id, nominee_id)
+    select v_event.id, cm.new_id, nm.new_id
+    from public.nominations nom
+    join category_map cm on cm.old_id = nom.category_id
+    join nominee_map nm on nm.old_id = nom.nominee_id;
+
+    return v_event;
+end;
+$$;
@@ -0,0 +1,40 @@
+-- 004: Aggregated vote tallies for the results engine.
+-- One grouped pass per event instead of one count query per nominee.
+
+create index if not exists votes_event_category_nominee_idx
+    on public.votes (event_id, category_id, nominee_id);
+
+create or replace function public.event_vote_tallies(p_event_id uuid)
+returns table (
+    category_id uuid,
+    nominee_id uuid,
+    vote_count bigint,
+    category_voter_count bigint,
+    event_voter_count bigint
+)
+language sql
+stable
+as $$
+    with event_votes as (
+        select v.category_id, v.nominee_id, v.voter_id
+        from public.votes v
+        where v.event_id = p_event_id
+    ),
+    tallies as (
+        select ev.category_id, ev.nominee_id, count(*) as vote_count
+        from event_votes ev
+        group by ev.category_id, ev.nominee_id
+    ),
+    category_voters as (
+        select ev.category_id, count(distinct ev.voter_id) as voter_count
+        from event_votes ev
+        group by ev.category_id
+    )
+    select t.category_id,
+           t.nominee_id,
+           t.vote_count,
+           cv.voter_count,
+           (select count(distinct ev.voter_id) from event_votes ev)
+    from tallies t
+    join category_voters cv on cv.category_id = t.category_id;
+$$;
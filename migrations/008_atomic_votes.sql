@@ -0,0 +1,159 @@
+-- 008: Race-free vote casting and transactional cascading deletes.
+--
+-- Our own functions raise errors with SQLSTATE EF400 / EF404 / EF409 and put a
+-- stable machine-readable code in HINT; lib/errors.js maps them to HTTP statuses.
+
+-- Uniqueness is enforced by the database, not by check-then-insert in the API.
+-- Existing duplicates (possible under the old race) must go before the
+-- constraints can be added: one row of each (voter, category) vote and
+-- (category, nominee) link stays, and the others are first copied (picked by
+-- the same condition as the deletes) to removed_duplicate_votes /
+-- removed_duplicate_nominations, so nothing is lost. A warning gives the counts; check the rows and
+-- drop the tables once they are no longer needed.
+create table public.removed_duplicate_votes as
+select a.*, now() as removed_at
+from public.votes a
+where exists (
+    select 1 from public.votes b
+    where b.voter_id = a.voter_id
+      and b.category_id = a.category_id
+      and b.ctid < a.ctid
+);
+
+create table public.removed_duplicate_nominations as
+select a.*, now() as removed_at
+from public.nominations a
+where exists (
+    select 1 from public.nominations b
+    where b.category_id = a.category_id
+      and b.nominee_id = a.nominee_id
+      and b.ctid < a.ctid
+);
+
+delete from public.votes a
+using public.votes b
+where a.voter_id = b.voter_id
+  and a.category_id = b.category_id
+  and a.ctid > b.ctid;
+
+alter table public.votes
+    add constraint votes_voter_category_key unique (voter_id, category_id);
+
+delete from public.nominations a
+using public.nominations b
+where a.category_id = b.category_id
+  and a.nominee_id = b.nominee_id
+  and a.ctid > b.ctid;
+
+alter table public.nominations
+    add constraint nominations_category_nominee_key unique (category_id, nominee_id);
+
+do $$
+declare
+    v_votes integer;
+    v_nominations integer;
+begin
+    select count(*) into v_votes from public.removed_duplicate_votes;
+    select count(*) into v_nominations from public.removed_duplicate_nominations;
+
+    if v_votes > 0 or v_nominations > 0 then
+        raise warning '008: removed % duplicate vote(s) and % duplicate nomination(s); they are kept in public.removed_duplicate_votes and public.removed_duplicate_nominations',
+            v_votes, v_nominations;
+    end if;
+end;
+$$;
+
+-- Records one vote. A second vote by the same voter in the same category fails
+-- with unique_violation (23505) from votes_voter_category_key.
+create or replace function public.cast_vote(
+    p_event_id uuid,
+    p_voter_id uuid,
+    p_category_id uuid,
+    p_nominee_id uuid
+) returns public.votes
+language plpgsql
+as $$
+declare
+    v_vote public.votes;
+begin
+    if not exists (
+        select 1 from public.nominations
+        where event_id = p_event_id
+          and category_id = p_category_id
+          and nominee_id = p_nominee_id
+    ) then
+        raise exception using
+            errcode = 'EF400',
+            message = 'Invalid vote: Nominee is not nominated in this category.',
+            hint = 'NOT_NOMINATED';
+    end if;
+
+    insert into public.votes (event_id, voter_id, category_id, nominee_id)
+    values (p_event_id, p_voter_id, p_category_id, p_nominee_id)
+    returning * into v_vote;
+
+    return v_vote;
+end;
+$$;
+
+-- Deletes a category with its nominations and votes, all or nothing.
+create or replace function public.delete_category_cascade(
+    p_event_id uuid,
+    p_category_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_votes integer;
+    v_nominations integer;
+begin
+    perform 1 from public.categories
+    where id = p_category_id and event_id = p_event_id
+    for update;
+
+    if not found then
+        raise exception using errcode = 'EF404', message = 'Category not found.', hint = 'NOT_FOUND';
+    end if;
+
+    delete from public.votes where category_id = p_category_id;
+    get diagnostics v_votes = row_count;
+
+    delete from public.nominations where category_id = p_category_id;
+    get diagnostics v_nominations = row_count;
+
+    delete from public.categories where id = p_category_id;
+
+    return jsonb_build_object('votes', v_votes, 'nominations', v_nominations);
+end;
+$$;
+
+-- Deletes a nominee with its nominations and votes, all or nothing.
+create or replace function public.delete_nominee_cascade(
+    p_event_id uuid,
+    p_nominee_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_votes integer;
+    v_nominations integer;
+begin
+    perform 1 from public.nominees
+    where id = p_nominee_id and event_id = p_event_id
+    for update;
+
+    if not found then
+        raise exception using errcode = 'EF404', message = 'Nominee not found.', hint = 'NOT_FOUND';
+    end if;
+
+    delete from public.votes where nominee_id = p_nominee_id;
+    get diagnostics v_votes = row_count;
+
+    delete from public.nominations where nominee_id = p_nominee_id;
+    get diagnostics v_nominations = row_count;
+
+    delete from public.nominees where id = p_nominee_id;
+
+    return jsonb_build_object('votes', v_votes, 'nominations', v_nominations);
+end;
+$$;
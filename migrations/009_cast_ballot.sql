@@ -0,0 +1,54 @@
+-- 009: Whole-ballot submission. Every choice is checked against nominations and
+-- recorded in one transaction; categories the voter already voted in are skipped
+-- and reported back with their existing choice.
+
+create or replace function public.cast_ballot(
+    p_event_id uuid,
+    p_voter_id uuid,
+    p_choices jsonb -- [{ "category_id": uuid, "nominee_id": uuid }, ...]
+) returns table (category_id uuid, nominee_id uuid, status text)
+language plpgsql
+as $$
+#variable_conflict use_column
+declare
+    v_invalid_category uuid;
+begin
+    select c.category_id into v_invalid_category
+    from jsonb_to_recordset(p_choices) as c (category_id uuid, nominee_id uuid)
+    where not exists (
+        select 1 from public.nominations n
+        where n.event_id = p_event_id
+          and n.category_id = c.category_id
+          and n.nominee_id = c.nominee_id
+    )
+    limit 1;
+
+    if found then
+        raise exception using
+            errcode = 'EF400',
+            message = format('Invalid ballot: Nominee is not nominated in category %s.', v_invalid_category),
+            hint = 'NOT_NOMINATED';
+    end if;
+
+    return query
+    with choices as (
+        select * from jsonb_to_recordset(p_choices) as c (category_id uuid, nominee_id uuid)
+    ),
+    inserted as (
+        insert into public.votes (event_id, voter_id, category_id, nominee_id)
+        select p_event_id, p_voter_id, c.category_id, c.nominee_id
+        from choices c
+        on conflict (voter_id, category_id) do nothing
+        returning votes.category_id, votes.nominee_id
+    )
+    select c.category_id,
+           coalesce(i.nominee_id, existing.nominee_id),
+           case when i.category_id is not null then 'recorded' else 'already_voted' end
+    from choices c
+    left join inserted i on i.category_id = c.category_id
+    left join public.votes existing
+        on i.category_id is null
+       and existing.voter_id = p_voter_id
+       and existing.category_id = c.category_id;
+end;
+$$;
@@ -0,0 +1,163 @@
+-- 010: Per-category policy for changing votes, with a history of every change.
+
+alter table public.categories
+    add column if not exists vote_change_policy text not null default 'immutable',
+    add column if not exists max_vote_changes integer;
+
+alter table public.categories
+    add constraint categories_vote_change_policy_check
+        check (vote_change_policy in ('immutable', 'until_close', 'limited')),
+    add constraint categories_max_vote_changes_check
+        check (
+            (vote_change_policy = 'limited' and max_vote_changes is not null and max_vote_changes >= 0)
+            or (vote_change_policy <> 'limited')
+        );
+
+alter table public.votes
+    add column if not exists updated_at timestamptz;
+
+create table if not exists public.vote_changes (
+    id uuid primary key default gen_random_uuid(),
+    event_id uuid not null references public.events (id) on delete restrict,
+    category_id uuid not null references public.categories (id) on delete cascade,
+    voter_id uuid not null references public.voters (id) on delete cascade,
+    action text not null check (action in ('changed', 'withdrawn')),
+    from_nominee_id uuid,
+    to_nominee_id uuid,
+    changed_at timestamptz not null default now()
+);
+
+create index if not exists vote_changes_event_idx on public.vote_changes (event_id, changed_at desc);
+create index if not exists vote_changes_voter_category_idx on public.vote_changes (voter_id, category_id);
+
+-- Raises if the category's policy does not allow the voter another change.
+create or replace function public.assert_vote_change_allowed(
+    p_voter_id uuid,
+    p_category_id uuid
+) returns void
+language plpgsql
+as $$
+declare
+    v_category public.categories;
+    v_changes integer;
+begin
+    select * into v_category from public.categories where id = p_category_id for share;
+
+    if v_category.vote_change_policy = 'immutable' then
+        raise exception using
+            errcode = 'EF409',
+            message = 'Votes in this category cannot be changed.',
+            hint = 'VOTE_LOCKED';
+    end if;
+
+    if v_category.vote_change_policy = 'limited' then
+        select count(*) into v_changes
+        from public.vote_changes
+        where voter_id = p_voter_id and category_id = p_category_id;
+
+        if v_changes >= v_category.max_vote_changes then
+            raise exception using
+                errcode = 'EF409',
+                message = format('You have used all %s allowed vote changes in this category.', v_category.max_vote_changes),
+                hint = 'CHANGE_LIMIT_REACHED';
+        end if;
+    end if;
+end;
+$$;
+
+-- Switches the voter's choice in a category and records the change.
+create or replace function public.change_vote(
+    p_event_id uuid,
+    p_voter_id uuid,
+    p_category_id uuid,
+    p_nominee_id uuid
+) returns public.votes
+language plpgsql
+as $$
+declare
+    v_vote public.votes;
+    v_previous uuid;
+begin
+    select * into v_vote
+    from public.votes
+    where event_id = p_event_id and voter_id = p_voter_id and category_id = p_category_id
+    for update;
+
+    if not found then
+        raise exception using errcode = 'EF404', message = 'You have not voted in this category yet.', hint = 'NO_VOTE';
+    end if;
+
+    -- Re-submitting the same choice is not a change
+    if v_vote.nominee_id = p_nominee_id then
+        return v_vote;
+    end if;
+
+    perform public.assert_vote_change_allowed(p_voter_id, p_category_id);
+
+    if not exists (
+        select 1 from public.nominations
+        where event_id = p_event_id and category_id = p_category_id and nominee_id = p_nominee_id
+    ) then
+        raise exception using
+            errcode = 'EF400',
+            message = 'Invalid vote: Nominee is not nominated in this category.',
+            hint = 'NOT_NOMINATED';
+    end if;
+
+    v_previous := v_vote.nominee_id;
+
+    update public.votes
+    set nominee_id = p_nominee_id, updated_at = now()
+    where id = v_vote.id
+    returning * into v_vote;
+
+    insert into public.vote_changes (event_id, category_id, voter_id, action, from_nominee_id, to_nominee_id)
+    values (p_event_id, p_category_id, p_voter_id, 'changed', v_previous, p_nominee_id);
+
+    return v_vote;
+end;
+$$;
+
+-- Removes the voter's vote in a category and records the withdrawal.
+create or replace function public.withdraw_vote(
+    p_event_id uuid,
+    p_voter_id uuid,
+    p_category_id uuid
+) returns void
+language plpgsql
+as $$
+declare
+    v_vote public.votes;
+begin
+    select * into v_vote
+    from public.votes
+    where event_id = p_event_id and voter_id = p_voter_id and category_id = p_category_id
+    for update;
+
+    if not found then
+        raise exception using errcode = 'EF404', message = 'You have not voted in this category yet.', hint = 'NO_VOTE';
+    end if;
+
+    perform public.assert_vote_change_allowed(p_voter_id, p_category_id);
+
+    delete from public.votes where id = v_vote.id;
+
+    insert into public.vote_changes (event_id, category_id, voter_id, action, from_nominee_id)
+    values (p_event_id, p_category_id, p_voter_id, 'withdrawn', v_vote.nominee_id);
+end;
+$$;
+
+-- Per-category totals for the admin audit view.
+create or replace function public.event_vote_change_summary(p_event_id uuid)
+returns table (category_id uuid, changed_count bigint, withdrawn_count bigint, voter_count bigint)
+language sql
+stable
+as $$
+    select vc.category_id,
+           count(*) filter (where vc.action = 'changed'),
+           count(*) filter (where vc.action = 'withdrawn'),
+           count(distinct vc.voter_id)
+    from public.vote_changes vc
+    where vc.event_id = p_event_id
+    group by vc.category_id;
+$$;
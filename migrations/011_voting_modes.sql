@@ -0,0 +1,334 @@
+-- 011: Voting modes per category: single choice, approval (pick up to N) and
+-- ranked choice (instant runoff).
+--
+-- A voter still has exactly one `votes` row per category (so uniqueness, vote
+-- changes and ballots work the same in every mode). `votes.nominee_id` holds the
+-- first choice; approval and ranked votes list every choice in `vote_selections`.
+
+alter table public.categories
+    add column if not exists voting_mode text not null default 'single',
+    add column if not exists max_choices integer;
+
+alter table public.categories
+    add constraint categories_voting_mode_check
+        check (voting_mode in ('single', 'approval', 'ranked')),
+    add constraint categories_max_choices_check
+        check (max_choices is null or max_choices >= 1);
+
+create table if not exists public.vote_selections (
+    id uuid primary key default gen_random_uuid(),
+    vote_id uuid not null references public.votes (id) on delete cascade,
+    event_id uuid not null references public.events (id) on delete restrict,
+    category_id uuid not null references public.categories (id) on delete cascade,
+    nominee_id uuid not null references public.nominees (id) on delete cascade,
+    rank smallint check (rank is null or rank >= 1), -- ranked mode only
+    unique (vote_id, nominee_id),
+    unique (vote_id, rank)
+);
+
+create index if not exists vote_selections_event_category_idx
+    on public.vote_selections (event_id, category_id, nominee_id);
+
+alter table public.vote_changes
+    add column if not exists from_selection uuid[],
+    add column if not exists to_selection uuid[];
+
+-- The voter's choices for a vote, in rank order for ranked votes.
+create or replace function public.vote_choices(p_vote_id uuid)
+returns uuid[]
+language sql
+stable
+as $$
+    select coalesce(
+        (select array_agg(s.nominee_id order by s.rank nulls last, s.id)
+         from public.vote_selections s where s.vote_id = p_vote_id),
+        (select array[v.nominee_id] from public.votes v where v.id = p_vote_id)
+    );
+$$;
+
+-- Raises unless p_nominee_ids is a valid choice list for the category's mode.
+create or replace function public.assert_valid_choices(
+    p_event_id uuid,
+    p_category_id uuid,
+    p_nominee_ids uuid[]
+) returns public.categories
+language plpgsql
+as $$
+declare
+    v_category public.categories;
+    v_count integer := coalesce(array_length(p_nominee_ids, 1), 0);
+begin
+    select * into v_category
+    from public.categories
+    where id = p_category_id and event_id = p_event_id;
+
+    if not found then
+        raise exception using errcode = 'EF404', message = 'Category not found.', hint = 'NOT_FOUND';
+    end if;
+
+    if v_count = 0 then
+        raise exception using errcode = 'EF400', message = 'At least one choice is required.', hint = 'NO_CHOICES';
+    end if;
+
+    if v_category.voting_mode = 'single' and v_count > 1 then
+        raise exception using errcode = 'EF400', message = 'This category accepts a single choice.', hint = 'TOO_MANY_CHOICES';
+    end if;
+
+    if v_category.max_choices is not null and v_count > v_category.max_choices then
+        raise exception using
+            errcode = 'EF400',
+            message = format('This category accepts at most %s choices.', v_category.max_choices),
+            hint = 'TOO_MANY_CHOICES';
+    end if;
+
+    if (select count(distinct x) from unnest(p_nominee_ids) as x) <> v_count then
+        raise exception using errcode = 'EF400', message = 'Each nominee can only be chosen once.', hint = 'DUPLICATE_CHOICE';
+    end if;
+
+    if exists (
+        select 1 from unnest(p_nominee_ids) as x
+        where not exists (
+            select 1 from public.nominations n
+            where n.event_id = p_event_id and n.category_id = p_category_id and n.nominee_id = x
+        )
+    ) then
+        raise exception using
+            errcode = 'EF400',
+            message = 'Invalid vote: Nominee is not nominated in this category.',
+            hint = 'NOT_NOMINATED';
+    end if;
+
+    return v_category;
+end;
+$$;
+
+-- Stores the choice list of a multi-choice vote.
+create or replace function public.write_vote_selections(
+    p_vote public.votes,
+    p_mode text,
+    p_nominee_ids uuid[]
+) returns void
+language sql
+as $$
+    insert into public.vote_selections (vote_id, event_id, category_id, nominee_id, rank)
+    select p_vote.id, p_vote.event_id, p_vote.category_id, x.nominee_id,
+           case when p_mode = 'ranked' then x.position::smallint end
+    from unnest(p_nominee_ids) with ordinality as x (nominee_id, position)
+    where p_mode <> 'single';
+$$;
+
+-- cast_vote now takes the full choice list (a single element for single-choice categories).
+drop function if exists public.cast_vote(uuid, uuid, uuid, uuid);
+
+create or replace function public.cast_vote(
+    p_event_id uuid,
+    p_voter_id uuid,
+    p_category_id uuid,
+    p_nominee_ids uuid[]
+) returns public.votes
+language plpgsql
+as $$
+declare
+    v_category public.categories;
+    v_vote public.votes;
+begin
+    v_category := public.assert_valid_choices(p_event_id, p_category_id, p_nominee_ids);
+
+    insert into public.votes (event_id, voter_id, category_id, nominee_id)
+    values (p_event_id, p_voter_id, p_category_id, p_nominee_ids[1])
+    returning * into v_vote;
+
+    perform public.write_vote_selections(v_vote, v_category.voting_mode, p_nominee_ids);
+
+    return v_vote;
+end;
+$$;
+
+drop function if exists public.change_vote(uuid, uuid, uuid, uuid);
+
+create or replace function public.change_vote(
+    p_event_id uuid,
+    p_voter_id uuid,
+    p_category_id uuid,
+    p_nominee_ids uuid[]
+) returns public.votes
+language plpgsql
+as $$
+declare
+    v_category public.categories;
+    v_vote public.votes;
+    v_previous uuid[];
+begin
+    select * into v_vote
+    from public.votes
+    where event_id = p_event_id and voter_id = p_voter_id and category_id = p_category_id
+    for update;
+
+    if not found then
+        raise exception using errcode = 'EF404', message = 'You have not voted in this category yet.', hint = 'NO_VOTE';
+    end if;
+
+    v_previous := public.vote_choices(v_vote.id);
+    v_category := public.assert_valid_choices(p_event_id, p_category_id, p_nominee_ids);
+
+    -- Re-submitting the same choices is not a change (order only matters when ranked)
+    if v_previous = p_nominee_ids
+       or (v_category.voting_mode = 'approval'
+           and v_previous @> p_nominee_ids and v_previous <@ p_nominee_ids) then
+        return v_vote;
+    end if;
+
+    perform public.assert_vote_change_allowed(p_voter_id, p_category_id);
+
+    update public.votes
+    set nominee_id = p_nominee_ids[1], updated_at = now()
+    where id = v_vote.id
+    returning * into v_vote;
+
+    delete from public.vote_selections where vote_id = v_vote.id;
+    perform public.write_vote_selections(v_vote, v_category.voting_mode, p_nominee_ids);
+
+    insert into public.vote_changes
+        (event_id, category_id, voter_id, action, from_nominee_id, to_nominee_id, from_selection, to_selection)
+    values
+        (p_event_id, p_category_id, p_voter_id, 'changed', v_previous[1], p_nominee_ids[1], v_previous, p_nominee_ids);
+
+    return v_vote;
+end;
+$$;
+
+create or replace function public.withdraw_vote(
+    p_event_id uuid,
+    p_voter_id uuid,
+    p_category_id uuid
+) returns void
+language plpgsql
+as $$
+declare
+    v_vote public.votes;
+    v_previous uuid[];
+begin
+    select * into v_vote
+    from public.votes
+    where event_id = p_event_id and voter_id = p_voter_id and category_id = p_category_id
+    for update;
+
+    if not found then
+        raise exception using errcode = 'EF404', message = 'You have not voted in this category yet.', hint = 'NO_VOTE';
+    end if;
+
+    perform public.assert_vote_change_allowed(p_voter_id, p_category_id);
+
+    v_previous := public.vote_choices(v_vote.id);
+
+    delete from public.votes where id = v_vote.id;
+
+    insert into public.vote_changes (event_id, category_id, voter_id, action, from_nominee_id, from_selection)
+    values (p_event_id, p_category_id, p_voter_id, 'withdrawn', v_previous[1], v_previous);
+end;
+$$;
+
+-- Ballots now carry a choice list per category:
+-- [{ "category_id": uuid, "nominee_ids": [uuid, ...] }, ...]
+drop function if exists public.cast_ballot(uuid, uuid, jsonb);
+
+create or replace function public.cast_ballot(
+    p_event_id uuid,
+    p_voter_id uuid,
+    p_choices jsonb
+) returns table (category_id uuid, nominee_ids uuid[], status text)
+language plpgsql
+as $$
+#variable_conflict use_column
+declare
+    v_choice jsonb;
+    v_category_id uuid;
+    v_nominee_ids uuid[];
+    v_existing public.votes;
+begin
+    for v_choice in select * from jsonb_array_elements(p_choices) loop
+        v_category_id := (v_choice ->> 'category_id')::uuid;
+        v_nominee_ids := array(select jsonb_array_elements_text(v_choice -> 'nominee_ids')::uuid);
+
+        select * into v_existing
+        from public.votes v
+        where v.voter_id = p_voter_id and v.category_id = v_category_id;
+
+        if found then
+            category_id := v_category_id;
+            nominee_ids := public.vote_choices(v_existing.id);
+            status := 'already_voted';
+        else
+            -- Any invalid choice raises and rolls back the whole ballot
+            perform public.cast_vote(p_event_id, p_voter_id, v_category_id, v_nominee_ids);
+            category_id := v_category_id;
+            nominee_ids := v_nominee_ids;
+            status := 'recorded';
+        end if;
+
+        return next;
+    end loop;
+end;
+$$;
+
+-- Tallies: approval categories count every selection; single and ranked
+-- categories count each vote's first choice (first preferences for ranked).
+create or replace function public.event_vote_tallies(p_event_id uuid)
+returns table (
+    category_id uuid,
+    nominee_id uuid,
+    vote_count bigint,
+    category_voter_count bigint,
+    event_voter_count bigint
+)
+language sql
+stable
+as $$
+    with event_votes as (
+        select v.id, v.category_id, v.nominee_id, v.voter_id, c.voting_mode
+        from public.votes v
+        join public.categories c on c.id = v.category_id
+        where v.event_id = p_event_id
+    ),
+    counted_choices as (
+        select ev.category_id, ev.nominee_id
+        from event_votes ev
+        where ev.voting_mode <> 'approval'
+        union all
+        select s.category_id, s.nominee_id
+        from public.vote_selections s
+        join event_votes ev on ev.id = s.vote_id
+        where ev.voting_mode = 'approval'
+    ),
+    tallies as (
+        select cc.category_id, cc.nominee_id, count(*) as vote_count
+        from counted_choices cc
+        group by cc.category_id, cc.nominee_id
+    ),
+    category_voters as (
+        select ev.category_id, count(distinct ev.voter_id) as voter_count
+        from event_votes ev
+        group by ev.category_id
+    )
+    select t.category_id,
+           t.nominee_id,
+           t.vote_count,
+           cv.voter_count,
+           (select count(distinct ev.voter_id) from event_votes ev)
+    from tallies t
+    join category_voters cv on cv.category_id = t.category_id;
+$$;
+
+-- Full rankings of every vote in the event's ranked categories, for instant runoff.
+create or replace function public.event_ranked_ballots(p_event_id uuid)
+returns table (category_id uuid, ranking uuid[])
+language sql
+stable
+as $$
+    select s.category_id, array_agg(s.nominee_id order by s.rank)
+    from public.vote_selections s
+    join public.categories c on c.id = s.category_id
+    where s.event_id = p_event_id
+      and c.voting_mode = 'ranked'
+    group by s.category_id, s.vote_id;
+$$;
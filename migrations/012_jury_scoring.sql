@@ -0,0 +1,108 @@
+-- 012: Jury panel scoring, combined with the public vote per category.
+--
+-- Jurors are voters with role 'jury'. They score every nominee of a category
+-- (0-10) instead of voting for one. A category's jury_weight is the percentage
+-- of the combined result that comes from the jury; the rest comes from the
+-- public vote. 0 (the default) keeps the category public-vote only.
+
+alter table public.voters
+    add column if not exists role text not null default 'public';
+
+alter table public.voters
+    add constraint voters_role_check check (role in ('public', 'jury'));
+
+alter table public.categories
+    add column if not exists jury_weight integer not null default 0;
+
+alter table public.categories
+    add constraint categories_jury_weight_check check (jury_weight between 0 and 100);
+
+create table if not exists public.jury_scores (
+    id uuid primary key default gen_random_uuid(),
+    event_id uuid not null references public.events (id) on delete restrict,
+    category_id uuid not null references public.categories (id) on delete cascade,
+    nominee_id uuid not null references public.nominees (id) on delete cascade,
+    juror_id uuid not null references public.voters (id) on delete cascade,
+    score integer not null check (score between 0 and 10),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz,
+    unique (juror_id, category_id, nominee_id)
+);
+
+create index if not exists jury_scores_event_category_idx
+    on public.jury_scores (event_id, category_id, nominee_id);
+
+-- Records a juror's scores for a category in one transaction:
+-- p_scores is [{ "nominee_id": uuid, "score": 0-10 }, ...]. Scoring a nominee
+-- again replaces the earlier score.
+create or replace function public.submit_jury_scores(
+    p_event_id uuid,
+    p_juror_id uuid,
+    p_category_id uuid,
+    p_scores jsonb
+) returns setof public.jury_scores
+language plpgsql
+as $$
+begin
+    if not exists (
+        select 1 from public.voters where id = p_juror_id and role = 'jury'
+    ) then
+        raise exception using errcode = 'EF409', message = 'Only jury members can submit scores.', hint = 'NOT_A_JUROR';
+    end if;
+
+    if exists (
+        select 1 from jsonb_array_elements(p_scores) as s
+        where not exists (
+            select 1 from public.nominations n
+            where n.event_id = p_event_id
+              and n.category_id = p_category_id
+              and n.nominee_id = (s ->> 'nominee_id')::uuid
+        )
+    ) then
+        raise exception using
+            errcode = 'EF400',
+            message = 'Nominee is not nominated in this category.',
+            hint = 'NOT_NOMINATED';
+    end if;
+
+    return query
+    insert into public.jury_scores (event_id, category_id, nominee_id, juror_id, score)
+    select p_event_id, p_category_id, (s ->> 'nominee_id')::uuid, p_juror_id, (s ->> 'score')::integer
+    from jsonb_array_elements(p_scores) as s
+    on conflict (juror_id, category_id, nominee_id)
+    do update set score = excluded.score, updated_at = now()
+    returning *;
+end;
+$$;
+
+-- Jury totals per nominee for the results engine.
+create or replace function public.event_jury_scores(p_event_id uuid)
+returns table (
+    category_id uuid,
+    nominee_id uuid,
+    total_score bigint,
+    score_count bigint,
+    category_juror_count bigint
+)
+language sql
+stable
+as $$
+    with event_scores as (
+        select js.category_id, js.nominee_id, js.juror_id, js.score
+        from public.jury_scores js
+        where js.event_id = p_event_id
+    ),
+    category_jurors as (
+        select es.category_id, count(distinct es.juror_id) as juror_count
+        from event_scores es
+        group by es.category_id
+    )
+    select es.category_id,
+           es.nominee_id,
+           sum(es.score),
+           count(*),
+           cj.juror_count
+    from event_scores es
+    join category_jurors cj on cj.category_id = es.category_id
+    group by es.category_id, es.nominee_id, cj.juror_count;
+$$;
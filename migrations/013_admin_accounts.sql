@@ -0,0 +1,62 @@
+-- 013: Individual admin accounts with roles, and an append-only audit log of
+-- every change made through the admin API.
+--
+-- Roles are cumulative: viewer (results only) < editor (categories, nominees,
+-- nominations) < owner (deletes, lifecycle, events, jury, admin accounts, audit log).
+-- Passwords are stored as scrypt hashes (see lib/passwords.js).
+
+create table if not exists public.admin_users (
+    id uuid primary key default gen_random_uuid(),
+    email text not null unique,
+    name text not null,
+    password_hash text not null,
+    role text not null check (role in ('viewer', 'editor', 'owner')),
+    is_active boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz,
+    last_login_at timestamptz
+);
+
+create table if not exists public.admin_audit_log (
+    id bigint generated always as identity primary key,
+    occurred_at timestamptz not null default now(),
+    actor_id uuid not null references public.admin_users (id) on delete restrict,
+    actor_email text not null,
+    action text not null,
+    entity_type text not null,
+    entity_id text,
+    event_id uuid references public.events (id) on delete set null,
+    before jsonb,
+    after jsonb,
+    request_id text
+);
+
+create index if not exists admin_audit_log_occurred_idx on public.admin_audit_log (occurred_at desc);
+create index if not exists admin_audit_log_actor_idx on public.admin_audit_log (actor_id, occurred_at desc);
+create index if not exists admin_audit_log_entity_idx on public.admin_audit_log (entity_type, entity_id);
+
+-- Entries can be added but never changed or removed. (Deleting an event only
+-- clears event_id through the foreign key, which this trigger allows.)
+create or replace function public.admin_audit_log_append_only()
+returns trigger
+language plpgsql
+as $$
+begin
+    if tg_op = 'UPDATE'
+       and new.event_id is null
+       and (to_jsonb(new) - 'event_id') = (to_jsonb(old) - 'event_id') then
+        return new;
+    end if;
+
+    raise exception using
+        errcode = 'EF409',
+        message = 'The audit log is append-only.',
+        hint = 'AUDIT_LOG_IMMUTABLE';
+end;
+$$;
+
+drop trigger if exists admin_audit_log_append_only on public.admin_audit_log;
+
+create trigger admin_audit_log_append_only
+    before update or delete on public.admin_audit_log
+    for each row execute function public.admin_audit_log_append_only();
@@ -0,0 +1,253 @@
+-- 014: Fraud and abuse screening.
+--
+-- Votes record the client IP. The anomaly rules in lib/fraud.js flag
+-- suspicious votes into vote_flags for review; an admin either dismisses a
+-- flag or invalidates the vote. Invalidated votes are kept for the record but
+-- never counted. Results can also be computed without votes that still have
+-- open flags.
+
+alter table public.votes
+    add column if not exists created_at timestamptz not null default now(),
+    add column if not exists ip_address text,
+    add column if not exists invalidated_at timestamptz;
+
+create index if not exists votes_event_ip_idx on public.votes (event_id, ip_address, created_at);
+create index if not exists votes_category_nominee_created_idx on public.votes (category_id, nominee_id, created_at);
+
+create table if not exists public.vote_flags (
+    id uuid primary key default gen_random_uuid(),
+    event_id uuid not null references public.events (id) on delete restrict,
+    category_id uuid not null references public.categories (id) on delete cascade,
+    vote_id uuid not null references public.votes (id) on delete cascade,
+    voter_id uuid not null references public.voters (id) on delete cascade,
+    rule text not null,
+    details jsonb not null default '{}'::jsonb,
+    status text not null default 'open' check (status in ('open', 'dismissed', 'invalidated')),
+    created_at timestamptz not null default now(),
+    reviewed_at timestamptz,
+    reviewed_by uuid references public.admin_users (id) on delete set null,
+    unique (vote_id, rule)
+);
+
+create index if not exists vote_flags_event_status_idx on public.vote_flags (event_id, status, created_at desc);
+
+-- Votes that count: never invalidated ones, and with p_exclude_flagged also
+-- none that still have an open flag.
+create or replace function public.counted_votes(p_event_id uuid, p_exclude_flagged boolean)
+returns setof public.votes
+language sql
+stable
+as $$
+    select v.*
+    from public.votes v
+    where v.event_id = p_event_id
+      and v.invalidated_at is null
+      and not (
+          p_exclude_flagged
+          and exists (select 1 from public.vote_flags f where f.vote_id = v.id and f.status = 'open')
+      );
+$$;
+
+-- Counted votes in the category that chose the nominee (at any rank) and were
+-- cast or changed since p_since, for the nominee burst rule in lib/fraud.js.
+create or replace function public.count_recent_nominee_votes(
+    p_category_id uuid,
+    p_nominee_id uuid,
+    p_since timestamptz
+) returns integer
+language sql
+stable
+as $$
+    select count(*)::integer
+    from public.votes v
+    where v.category_id = p_category_id
+      and v.invalidated_at is null
+      and coalesce(v.updated_at, v.created_at) >= p_since
+      and (
+          v.nominee_id = p_nominee_id
+          or exists (select 1 from public.vote_selections s where s.vote_id = v.id and s.nominee_id = p_nominee_id)
+      );
+$$;
+
+-- cast_vote and cast_ballot now record the client IP.
+drop function if exists public.cast_vote(uuid, uuid, uuid, uuid[]);
+
+create or replace function public.cast_vote(
+    p_event_id uuid,
+    p_voter_id uuid,
+    p_category_id uuid,
+    p_nominee_ids uuid[],
+    p_ip_address text default null
+) returns public.votes
+language plpgsql
+as $$
+declare
+    v_category public.categories;
+    v_vote public.votes;
+begin
+    v_category := public.assert_valid_choices(p_event_id, p_category_id, p_nominee_ids);
+
+    insert into public.votes (event_id, voter_id, category_id, nominee_id, ip_address)
+    values (p_event_id, p_voter_id, p_category_id, p_nominee_ids[1], p_ip_address)
+    returning * into v_vote;
+
+    perform public.write_vote_selections(v_vote, v_category.voting_mode, p_nominee_ids);
+
+    return v_vote;
+end;
+$$;
+
+drop function if exists public.cast_ballot(uuid, uuid, jsonb);
+
+create or replace function public.cast_ballot(
+    p_event_id uuid,
+    p_voter_id uuid,
+    p_choices jsonb,
+    p_ip_address text default null
+) returns table (category_id uuid, nominee_ids uuid[], status text, vote_id uuid)
+language plpgsql
+as $$
+#variable_conflict use_column
+declare
+    v_choice jsonb;
+    v_category_id uuid;
+    v_nominee_ids uuid[];
+    v_existing public.votes;
+    v_vote public.votes;
+begin
+    for v_choice in select * from jsonb_array_elements(p_choices) loop
+        v_category_id := (v_choice ->> 'category_id')::uuid;
+        v_nominee_ids := array(select jsonb_array_elements_text(v_choice -> 'nominee_ids')::uuid);
+
+        select * into v_existing
+        from public.votes v
+        where v.voter_id = p_voter_id and v.category_id = v_category_id;
+
+        if found then
+            category_id := v_category_id;
+            nominee_ids := public.vote_choices(v_existing.id);
+            status := 'already_voted';
+            vote_id := v_existing.id;
+        else
+            -- Any invalid choice raises and rolls back the whole ballot
+            v_vote := public.cast_vote(p_event_id, p_voter_id, v_category_id, v_nominee_ids, p_ip_address);
+            category_id := v_category_id;
+            nominee_ids := v_nominee_ids;
+            status := 'recorded';
+            vote_id := v_vote.id;
+        end if;
+
+        return next;
+    end loop;
+end;
+$$;
+
+-- Tallies and ranked ballots only count valid votes, optionally without flagged ones.
+drop function if exists public.event_vote_tallies(uuid);
+
+create or replace function public.event_vote_tallies(p_event_id uuid, p_exclude_flagged boolean default false)
+returns table (
+    category_id uuid,
+    nominee_id uuid,
+    vote_count bigint,
+    category_voter_count bigint,
+    event_voter_count bigint
+)
+language sql
+stable
+as $$
+    with event_votes as (
+        select v.id, v.category_id, v.nominee_id, v.voter_id, c.voting_mode
+        from public.counted_votes(p_event_id, p_exclude_flagged) v
+        join public.categories c on c.id = v.category_id
+    ),
+    counted_choices as (
+        select ev.category_id, ev.nominee_id
+        from event_votes ev
+        where ev.voting_mode <> 'approval'
+        union all
+        select s.category_id, s.nominee_id
+        from public.vote_selections s
+        join event_votes ev on ev.id = s.vote_id
+        where ev.voting_mode = 'approval'
+    ),
+    tallies as (
+        select cc.category_id, cc.nominee_id, count(*) as vote_count
+        from counted_choices cc
+        group by cc.category_id, cc.nominee_id
+    ),
+    category_voters as (
+        select ev.category_id, count(distinct ev.voter_id) as voter_count
+        from event_votes ev
+        group by ev.category_id
+    )
+    select t.category_id,
+           t.nominee_id,
+           t.vote_count,
+           cv.voter_count,
+           (select count(distinct ev.voter_id) from event_votes ev)
+    from tallies t
+    join category_voters cv on cv.category_id = t.category_id;
+$$;
+
+drop function if exists public.event_ranked_ballots(uuid);
+
+create or replace function public.event_ranked_ballots(p_event_id uuid, p_exclude_flagged boolean default false)
+returns table (category_id uuid, ranking uuid[])
+language sql
+stable
+as $$
+    select s.category_id, array_agg(s.nominee_id order by s.rank)
+    from public.vote_selections s
+    join public.counted_votes(p_event_id, p_exclude_flagged) v on v.id = s.vote_id
+    join public.categories c on c.id = s.category_id
+    where c.voting_mode = 'ranked'
+    group by s.category_id, s.vote_id;
+$$;
+
+-- Resolves a flag. 'invalidated' also invalidates the vote and closes every
+-- other open flag on it; 'dismissed' only closes this flag.
+create or replace function public.review_vote_flag(
+    p_event_id uuid,
+    p_flag_id uuid,
+    p_admin_id uuid,
+    p_decision text
+) returns public.vote_flags
+language plpgsql
+as $$
+declare
+    v_flag public.vote_flags;
+begin
+    if p_decision not in ('dismissed', 'invalidated') then
+        raise exception using errcode = 'EF400', message = 'Unknown review decision.', hint = 'INVALID_DECISION';
+    end if;
+
+    select * into v_flag
+    from public.vote_flags
+    where id = p_flag_id and event_id = p_event_id
+    for update;
+
+    if not found then
+        raise exception using errcode = 'EF404', message = 'Flag not found.', hint = 'NOT_FOUND';
+    end if;
+
+    if v_flag.status <> 'open' then
+        raise exception using errcode = 'EF409', message = 'This flag has already been reviewed.', hint = 'FLAG_REVIEWED';
+    end if;
+
+    if p_decision = 'invalidated' then
+        update public.votes set invalidated_at = now() where id = v_flag.vote_id;
+
+        update public.vote_flags
+        set status = 'invalidated', reviewed_at = now(), reviewed_by = p_admin_id
+        where vote_id = v_flag.vote_id and status = 'open';
+    else
+        update public.vote_flags
+        set status = 'dismissed', reviewed_at = now(), reviewed_by = p_admin_id
+        where id = p_flag_id;
+    end if;
+
+    select * into v_flag from public.vote_flags where id = p_flag_id;
+    return v_flag;
+end;
+$$;
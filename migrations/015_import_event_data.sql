@@ -0,0 +1,65 @@
+-- 015: Bulk import of categories, nominees and nominations (see lib/importer.js).
+--
+-- p_plan is the plan computed by the API:
+-- {
+--   "create_categories":  [{ "key", "name", "description" }],
+--   "update_categories":  [{ "id", "description" }],
+--   "create_nominees":    [{ "key", "name" }],
+--   "create_nominations": [{ "category_id" | "category_key", "nominee_id" | "nominee_key" }]
+-- }
+-- Keys are placeholders for records created by the same import. Everything is
+-- written in one transaction; nominations that appeared in the meantime are skipped.
+
+create or replace function public.import_event_data(p_event_id uuid, p_plan jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_item jsonb;
+    v_id uuid;
+    v_category_ids jsonb := '{}'::jsonb;
+    v_nominee_ids jsonb := '{}'::jsonb;
+    v_categories_updated integer;
+    v_nominations_created integer;
+begin
+    for v_item in select * from jsonb_array_elements(coalesce(p_plan -> 'create_categories', '[]'::jsonb)) loop
+        insert into public.categories (event_id, name, description)
+        values (p_event_id, v_item ->> 'name', v_item ->> 'description')
+        returning id into v_id;
+
+        v_category_ids := v_category_ids || jsonb_build_object(v_item ->> 'key', v_id);
+    end loop;
+
+    update public.categories c
+    set description = u ->> 'description'
+    from jsonb_array_elements(coalesce(p_plan -> 'update_categories', '[]'::jsonb)) as u
+    where c.id = (u ->> 'id')::uuid
+      and c.event_id = p_event_id;
+
+    get diagnostics v_categories_updated = row_count;
+
+    for v_item in select * from jsonb_array_elements(coalesce(p_plan -> 'create_nominees', '[]'::jsonb)) loop
+        insert into public.nominees (event_id, name)
+        values (p_event_id, v_item ->> 'name')
+        returning id into v_id;
+
+        v_nominee_ids := v_nominee_ids || jsonb_build_object(v_item ->> 'key', v_id);
+    end loop;
+
+    insert into public.nominations (event_id, category_id, nominee_id)
+    select p_event_id,
+           coalesce((n ->> 'category_id')::uuid, (v_category_ids ->> (n ->> 'category_key'))::uuid),
+           coalesce((n ->> 'nominee_id')::uuid, (v_nominee_ids ->> (n ->> 'nominee_key'))::uuid)
+    from jsonb_array_elements(coalesce(p_plan -> 'create_nominations', '[]'::jsonb)) as n
+    on conflict (category_id, nominee_id) do nothing;
+
+    get diagnostics v_nominations_created = row_count;
+
+    return jsonb_build_object(
+        'categoriesCreated', jsonb_array_length(coalesce(p_plan -> 'create_categories', '[]'::jsonb)),
+        'categoriesUpdated', v_categories_updated,
+        'nomineesCreated', jsonb_array_length(coalesce(p_plan -> 'create_nominees', '[]'::jsonb)),
+        'nominationsCreated', v_nominations_created
+    );
+end;
+$$;
@@ -0,0 +1,70 @@
+-- 017: Nominee profiles and category presentation.
+--
+-- Nominees get a bio, an organization, social links ([{ "label", "url" }])
+-- and a photo; categories get an icon and a display order for the voting page.
+-- Images live in storage (see lib/storage.js): *_path is the stored object,
+-- *_url its public address.
+
+alter table public.nominees
+    add column if not exists bio text,
+    add column if not exists organization text,
+    add column if not exists links jsonb not null default '[]'::jsonb,
+    add column if not exists photo_path text,
+    add column if not exists photo_url text;
+
+alter table public.nominees
+    add constraint nominees_links_check check (jsonb_typeof(links) = 'array');
+
+alter table public.categories
+    add column if not exists display_order integer not null default 0,
+    add column if not exists icon_path text,
+    add column if not exists icon_url text;
+
+create index if not exists categories_event_display_order_idx on public.categories (event_id, display_order, name);
+
+-- Cloned editions keep profile text and ordering. Uploaded images are not
+-- shared between editions, so removing one never breaks another.
+create or replace function public.clone_event(
+    p_source_event_id uuid,
+    p_slug text,
+    p_name text,
+    p_year integer default null
+) returns public.events
+language plpgsql
+as $$
+declare
+    v_event public.events;
+begin
+    insert into public.events (slug, name, year)
+    values (p_slug, p_name, p_year)
+    returning * into v_event;
+
+    create temporary table category_map on commit drop as
+    select c.id as old_id, gen_random_uuid() as new_id
+    from public.categories c
+    where c.event_id = p_source_event_id;
+
+    create temporary table nominee_map on commit drop as
+    select n.id as old_id, gen_random_uuid() as new_id
+    from public.nominees n
+    where n.event_id = p_source_event_id;
+
+    insert into public.categories (id, event_id, name, description, is_active, status, display_order)
+    select m.new_id, v_event.id, c.name, c.description, c.is_active, 'draft', c.display_order
+    from public.categories c
+    join category_map m on m.old_id = c.id;
+
+    insert into public.nominees (id, event_id, name, bio, organization, links)
+    select m.new_id, v_event.id, n.name, n.bio, n.organization, n.links
+    from public.nominees n
+    join nominee_map m on m.old_id = n.id;
+
+    insert into public.nominations (event_id, category_id, nominee_id)
+    select v_event.id, cm.new_id, nm.new_id
+    from public.nominations nom
+    join category_map cm on cm.old_id = nom.category_id
+    join nominee_map nm on nm.old_id = nom.nominee_id;
+
+    return v_event;
+end;
+$$;
@@ -0,0 +1,103 @@
+-- 018: Public nomination phase.
+--
+-- While a category is still a draft and has nominations_open set, signed-in
+-- voters may propose nominees for it. Proposals wait in nomination_submissions
+-- until an admin approves them (creating the nominee and nomination), merges
+-- them into an existing nominee, or rejects them with a reason.
+--
+-- normalized_name is lib/names.js normalizeName() of the proposed name; the API
+-- matches it against existing nominees and stores the hit in matched_nominee_id.
+
+alter table public.categories
+    add column if not exists nominations_open boolean not null default false;
+
+create table if not exists public.nomination_submissions (
+    id uuid primary key default gen_random_uuid(),
+    event_id uuid not null references public.events (id) on delete restrict,
+    category_id uuid not null references public.categories (id) on delete cascade,
+    voter_id uuid not null references public.voters (id) on delete cascade,
+    nominee_name text not null,
+    normalized_name text not null,
+    reason text not null,
+    matched_nominee_id uuid references public.nominees (id) on delete set null,
+    status text not null default 'pending' check (status in ('pending', 'approved', 'merged', 'rejected')),
+    resolved_nominee_id uuid references public.nominees (id) on delete set null,
+    rejection_reason text,
+    reviewed_by uuid references public.admin_users (id) on delete set null,
+    reviewed_at timestamptz,
+    created_at timestamptz not null default now(),
+    -- One proposal per voter for the same name in a category
+    unique (voter_id, category_id, normalized_name)
+);
+
+create index if not exists nomination_submissions_event_status_idx
+    on public.nomination_submissions (event_id, status, created_at);
+
+-- Resolves a pending submission in one transaction.
+--   'approved': creates a nominee (p_nominee_name, or the proposed name) and nominates it
+--   'merged':   nominates the existing nominee p_nominee_id instead
+--   'rejected': records p_reason
+create or replace function public.review_nomination_submission(
+    p_event_id uuid,
+    p_submission_id uuid,
+    p_admin_id uuid,
+    p_decision text,
+    p_nominee_id uuid default null,
+    p_nominee_name text default null,
+    p_reason text default null
+) returns public.nomination_submissions
+language plpgsql
+as $$
+declare
+    v_submission public.nomination_submissions;
+    v_nominee_id uuid;
+begin
+    if p_decision not in ('approved', 'merged', 'rejected') then
+        raise exception using errcode = 'EF400', message = 'Unknown review decision.', hint = 'INVALID_DECISION';
+    end if;
+
+    select * into v_submission
+    from public.nomination_submissions
+    where id = p_submission_id and event_id = p_event_id
+    for update;
+
+    if not found then
+        raise exception using errcode = 'EF404', message = 'Submission not found.', hint = 'NOT_FOUND';
+    end if;
+
+    if v_submission.status <> 'pending' then
+        raise exception using errcode = 'EF409', message = 'This submission has already been reviewed.', hint = 'SUBMISSION_REVIEWED';
+    end if;
+
+    if p_decision = 'approved' then
+        insert into public.nominees (event_id, name)
+        values (p_event_id, coalesce(p_nominee_name, v_submission.nominee_name))
+        returning id into v_nominee_id;
+    elsif p_decision = 'merged' then
+        select id into v_nominee_id
+        from public.nominees
+        where id = p_nominee_id and event_id = p_event_id;
+
+        if not found then
+            raise exception using errcode = 'EF404', message = 'Nominee not found in this event.', hint = 'NOMINEE_NOT_FOUND';
+        end if;
+    end if;
+
+    if v_nominee_id is not null then
+        insert into public.nominations (event_id, category_id, nominee_id)
+        values (p_event_id, v_submission.category_id, v_nominee_id)
+        on conflict (category_id, nominee_id) do nothing;
+    end if;
+
+    update public.nomination_submissions
+    set status = p_decision,
+        resolved_nominee_id = v_nominee_id,
+        rejection_reason = case when p_decision = 'rejected' then p_reason end,
+        reviewed_by = p_admin_id,
+        reviewed_at = now()
+    where id = p_submission_id
+    returning * into v_submission;
+
+    return v_submission;
+end;
+$$;
@@ -0,0 +1,440 @@
+-- 019: Soft delete (archive) for categories, nominees and nominations.
+--
+-- Deleting through the API now only sets archived_at / archived_by. Nothing
+-- else changes, so restoring a record brings back its nominations and votes as
+-- they were. Archived records are hidden from voters, never accept votes or
+-- scores and are left out of results; votes for them are kept but not counted.
+-- A nomination is active only while it, its category and its nominee are all
+-- unarchived.
+--
+-- Permanent deletion (purge) is only possible for records archived first.
+
+alter table public.categories
+    add column if not exists archived_at timestamptz,
+    add column if not exists archived_by uuid references public.admin_users (id) on delete set null;
+
+alter table public.nominees
+    add column if not exists archived_at timestamptz,
+    add column if not exists archived_by uuid references public.admin_users (id) on delete set null;
+
+alter table public.nominations
+    add column if not exists archived_at timestamptz,
+    add column if not exists archived_by uuid references public.admin_users (id) on delete set null;
+
+create or replace function public.active_nominations(p_event_id uuid)
+returns setof public.nominations
+language sql
+stable
+as $$
+    select n.*
+    from public.nominations n
+    join public.categories c on c.id = n.category_id
+    join public.nominees e on e.id = n.nominee_id
+    where n.event_id = p_event_id
+      and n.archived_at is null
+      and c.archived_at is null
+      and e.archived_at is null;
+$$;
+
+-- Votes and scores may only name active nominations of an unarchived category.
+create or replace function public.assert_valid_choices(
+    p_event_id uuid,
+    p_category_id uuid,
+    p_nominee_ids uuid[]
+) returns public.categories
+language plpgsql
+as $$
+declare
+    v_category public.categories;
+    v_count integer := coalesce(array_length(p_nominee_ids, 1), 0);
+begin
+    select * into v_category
+    from public.categories
+    where id = p_category_id and event_id = p_event_id and archived_at is null;
+
+    if not found then
+        raise exception using errcode = 'EF404', message = 'Category not found.', hint = 'NOT_FOUND';
+    end if;
+
+    if v_count = 0 then
+        raise exception using errcode = 'EF400', message = 'At least one choice is required.', hint = 'NO_CHOICES';
+    end if;
+
+    if v_category.voting_mode = 'single' and v_count > 1 then
+        raise exception using errcode = 'EF400', message = 'This category accepts a single choice.', hint = 'TOO_MANY_CHOICES';
+    end if;
+
+    if v_category.max_choices is not null and v_count > v_category.max_choices then
+        raise exception using
+            errcode = 'EF400',
+            message = format('This category accepts at most %s choices.', v_category.max_choices),
+            hint = 'TOO_MANY_CHOICES';
+    end if;
+
+    if (select count(distinct x) from unnest(p_nominee_ids) as x) <> v_count then
+        raise exception using errcode = 'EF400', message = 'Each nominee can only be chosen once.', hint = 'DUPLICATE_CHOICE';
+    end if;
+
+    if exists (
+        select 1 from unnest(p_nominee_ids) as x
+        where not exists (
+            select 1 from public.active_nominations(p_event_id) n
+            where n.category_id = p_category_id and n.nominee_id = x
+        )
+    ) then
+        raise exception using
+            errcode = 'EF400',
+            message = 'Invalid vote: Nominee is not nominated in this category.',
+            hint = 'NOT_NOMINATED';
+    end if;
+
+    return v_category;
+end;
+$$;
+
+create or replace function public.submit_jury_scores(
+    p_event_id uuid,
+    p_juror_id uuid,
+    p_category_id uuid,
+    p_scores jsonb
+) returns setof public.jury_scores
+language plpgsql
+as $$
+begin
+    if not exists (
+        select 1 from public.voters where id = p_juror_id and role = 'jury'
+    ) then
+        raise exception using errcode = 'EF409', message = 'Only jury members can submit scores.', hint = 'NOT_A_JUROR';
+    end if;
+
+    if exists (
+        select 1 from jsonb_array_elements(p_scores) as s
+        where not exists (
+            select 1 from public.active_nominations(p_event_id) n
+            where n.category_id = p_category_id
+              and n.nominee_id = (s ->> 'nominee_id')::uuid
+        )
+    ) then
+        raise exception using
+            errcode = 'EF400',
+            message = 'Nominee is not nominated in this category.',
+            hint = 'NOT_NOMINATED';
+    end if;
+
+    return query
+    insert into public.jury_scores (event_id, category_id, nominee_id, juror_id, score)
+    select p_event_id, p_category_id, (s ->> 'nominee_id')::uuid, p_juror_id, (s ->> 'score')::integer
+    from jsonb_array_elements(p_scores) as s
+    on conflict (juror_id, category_id, nominee_id)
+    do update set score = excluded.score, updated_at = now()
+    returning *;
+end;
+$$;
+
+-- Results only count choices of active nominations. A ranked ballot that named
+-- an archived nominee moves on to its next preference.
+create or replace function public.event_vote_tallies(p_event_id uuid, p_exclude_flagged boolean default false)
+returns table (
+    category_id uuid,
+    nominee_id uuid,
+    vote_count bigint,
+    category_voter_count bigint,
+    event_voter_count bigint
+)
+language sql
+stable
+as $$
+    with event_votes as (
+        select v.id, v.category_id, v.nominee_id, v.voter_id, c.voting_mode
+        from public.counted_votes(p_event_id, p_exclude_flagged) v
+        join public.categories c on c.id = v.category_id
+        where c.archived_at is null
+    ),
+    counted_choices as (
+        select ev.category_id, ev.nominee_id
+        from event_votes ev
+        where ev.voting_mode <> 'approval'
+        union all
+        select s.category_id, s.nominee_id
+        from public.vote_selections s
+        join event_votes ev on ev.id = s.vote_id
+        where ev.voting_mode = 'approval'
+    ),
+    tallies as (
+        select cc.category_id, cc.nominee_id, count(*) as vote_count
+        from counted_choices cc
+        join public.active_nominations(p_event_id) an
+          on an.category_id = cc.category_id and an.nominee_id = cc.nominee_id
+        group by cc.category_id, cc.nominee_id
+    ),
+    category_voters as (
+        select ev.category_id, count(distinct ev.voter_id) as voter_count
+        from event_votes ev
+        group by ev.category_id
+    )
+    select t.category_id,
+           t.nominee_id,
+           t.vote_count,
+           cv.voter_count,
+           (select count(distinct ev.voter_id) from event_votes ev)
+    from tallies t
+    join category_voters cv on cv.category_id = t.category_id;
+$$;
+
+-- One row per ballot, so callers read it in batches ordered by vote_id: a
+-- single response stops at PostgREST's max-rows limit
+drop function if exists public.event_ranked_ballots(uuid, boolean);
+
+create or replace function public.event_ranked_ballots(p_event_id uuid, p_exclude_flagged boolean default false)
+returns table (vote_id uuid, category_id uuid, ranking uuid[])
+language sql
+stable
+as $$
+    select s.vote_id, s.category_id, array_agg(s.nominee_id order by s.rank)
+    from public.vote_selections s
+    join public.counted_votes(p_event_id, p_exclude_flagged) v on v.id = s.vote_id
+    join public.categories c on c.id = s.category_id
+    join public.active_nominations(p_event_id) an
+      on an.category_id = s.category_id and an.nominee_id = s.nominee_id
+    where c.voting_mode = 'ranked'
+    group by s.category_id, s.vote_id;
+$$;
+
+create or replace function public.event_jury_scores(p_event_id uuid)
+returns table (
+    category_id uuid,
+    nominee_id uuid,
+    total_score bigint,
+    score_count bigint,
+    category_juror_count bigint
+)
+language sql
+stable
+as $$
+    with event_scores as (
+        select js.category_id, js.nominee_id, js.juror_id, js.score
+        from public.jury_scores js
+        join public.active_nominations(p_event_id) an
+          on an.category_id = js.category_id and an.nominee_id = js.nominee_id
+        where js.event_id = p_event_id
+    ),
+    category_jurors as (
+        select es.category_id, count(distinct es.juror_id) as juror_count
+        from event_scores es
+        group by es.category_id
+    )
+    select es.category_id,
+           es.nominee_id,
+           sum(es.score),
+           count(*),
+           cj.juror_count
+    from event_scores es
+    join category_jurors cj on cj.category_id = es.category_id
+    group by es.category_id, es.nominee_id, cj.juror_count;
+$$;
+
+-- Purge: the cascades now refuse records that have not been archived.
+create or replace function public.delete_category_cascade(
+    p_event_id uuid,
+    p_category_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_category public.categories;
+    v_votes integer;
+    v_nominations integer;
+begin
+    select * into v_category from public.categories
+    where id = p_category_id and event_id = p_event_id
+    for update;
+
+    if not found then
+        raise exception using errcode = 'EF404', message = 'Category not found.', hint = 'NOT_FOUND';
+    end if;
+
+    if v_category.archived_at is null then
+        raise exception using errcode = 'EF409', message = 'Only archived categories can be purged.', hint = 'NOT_ARCHIVED';
+    end if;
+
+    delete from public.votes where category_id = p_category_id;
+    get diagnostics v_votes = row_count;
+
+    delete from public.nominations where category_id = p_category_id;
+    get diagnostics v_nominations = row_count;
+
+    delete from public.categories where id = p_category_id;
+
+    return jsonb_build_object('votes', v_votes, 'nominations', v_nominations);
+end;
+$$;
+
+create or replace function public.delete_nominee_cascade(
+    p_event_id uuid,
+    p_nominee_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_nominee public.nominees;
+    v_votes integer;
+    v_nominations integer;
+begin
+    select * into v_nominee from public.nominees
+    where id = p_nominee_id and event_id = p_event_id
+    for update;
+
+    if not found then
+        raise exception using errcode = 'EF404', message = 'Nominee not found.', hint = 'NOT_FOUND';
+    end if;
+
+    if v_nominee.archived_at is null then
+        raise exception using errcode = 'EF409', message = 'Only archived nominees can be purged.', hint = 'NOT_ARCHIVED';
+    end if;
+
+    -- Single-choice votes for the nominee go. Approval and ranked votes only
+    -- lose that choice: a vote that had it first moves on to the voter's next
+    -- remaining choice, and goes only when no choice is left
+    delete from public.vote_selections where nominee_id = p_nominee_id;
+
+    update public.votes v
+    set nominee_id = (
+        select s.nominee_id
+        from public.vote_selections s
+        where s.vote_id = v.id
+        order by s.rank nulls last, s.id
+        limit 1
+    )
+    where v.nominee_id = p_nominee_id
+      and exists (select 1 from public.vote_selections s where s.vote_id = v.id);
+
+    delete from public.votes where nominee_id = p_nominee_id;
+    get diagnostics v_votes = row_count;
+
+    delete from public.nominations where nominee_id = p_nominee_id;
+    get diagnostics v_nominations = row_count;
+
+    delete from public.nominees where id = p_nominee_id;
+
+    return jsonb_build_object('votes', v_votes, 'nominations', v_nominations);
+end;
+$$;
+
+-- Proposals can no longer be accepted into archived categories or nominees.
+create or replace function public.review_nomination_submission(
+    p_event_id uuid,
+    p_submission_id uuid,
+    p_admin_id uuid,
+    p_decision text,
+    p_nominee_id uuid default null,
+    p_nominee_name text default null,
+    p_reason text default null
+) returns public.nomination_submissions
+language plpgsql
+as $$
+declare
+    v_submission public.nomination_submissions;
+    v_nominee_id uuid;
+begin
+    if p_decision not in ('approved', 'merged', 'rejected') then
+        raise exception using errcode = 'EF400', message = 'Unknown review decision.', hint = 'INVALID_DECISION';
+    end if;
+
+    select * into v_submission
+    from public.nomination_submissions
+    where id = p_submission_id and event_id = p_event_id
+    for update;
+
+    if not found then
+        raise exception using errcode = 'EF404', message = 'Submission not found.', hint = 'NOT_FOUND';
+    end if;
+
+    if v_submission.status <> 'pending' then
+        raise exception using errcode = 'EF409', message = 'This submission has already been reviewed.', hint = 'SUBMISSION_REVIEWED';
+    end if;
+
+    if p_decision <> 'rejected' and exists (
+        select 1 from public.categories where id = v_submission.category_id and archived_at is not null
+    ) then
+        raise exception using errcode = 'EF409', message = 'The category has been archived.', hint = 'CATEGORY_ARCHIVED';
+    end if;
+
+    if p_decision = 'approved' then
+        insert into public.nominees (event_id, name)
+        values (p_event_id, coalesce(p_nominee_name, v_submission.nominee_name))
+        returning id into v_nominee_id;
+    elsif p_decision = 'merged' then
+        select id into v_nominee_id
+        from public.nominees
+        where id = p_nominee_id and event_id = p_event_id and archived_at is null;
+
+        if not found then
+            raise exception using errcode = 'EF404', message = 'Nominee not found in this event.', hint = 'NOMINEE_NOT_FOUND';
+        end if;
+    end if;
+
+    if v_nominee_id is not null then
+        insert into public.nominations (event_id, category_id, nominee_id)
+        values (p_event_id, v_submission.category_id, v_nominee_id)
+        on conflict (category_id, nominee_id) do nothing;
+    end if;
+
+    update public.nomination_submissions
+    set status = p_decision,
+        resolved_nominee_id = v_nominee_id,
+        rejection_reason = case when p_decision = 'rejected' then p_reason end,
+        reviewed_by = p_admin_id,
+        reviewed_at = now()
+    where id = p_submission_id
+    returning * into v_submission;
+
+    return v_submission;
+end;
+$$;
+
+-- New editions start from the active records only.
+create or replace function public.clone_event(
+    p_source_event_id uuid,
+    p_slug text,
+    p_name text,
+    p_year integer default null
+) returns public.events
+language plpgsql
+as $$
+declare
+    v_event public.events;
+begin
+    insert into public.events (slug, name, year)
+    values (p_slug, p_name, p_year)
+    returning * into v_event;
+
+    create temporary table category_map on commit drop as
+    select c.id as old_id, gen_random_uuid() as new_id
+    from public.categories c
+    where c.event_id = p_source_event_id and c.archived_at is null;
+
+    create temporary table nominee_map on commit drop as
+    select n.id as old_id, gen_random_uuid() as new_id
+    from public.nominees n
+    where n.event_id = p_source_event_id and n.archived_at is null;
+
+    insert into public.categories (id, event_id, name, description, is_active, status, display_order)
+    select m.new_id, v_event.id, c.name, c.description, c.is_active, 'draft', c.display_order
+    from public.categories c
+    join category_map m on m.old_id = c.id;
+
+    insert into public.nominees (id, event_id, name, bio, organization, links)
+    select m.new_id, v_event.id, n.name, n.bio, n.organization, n.links
+    from public.nominees n
+    join nominee_map m on m.old_id = n.id;
+
+    insert into public.nominations (event_id, category_id, nominee_id)
+    select v_event.id, cm.new_id, nm.new_id
+    from public.nominations nom
+    join category_map cm on cm.old_id = nom.category_id
+    join nominee_map nm on nm.old_id = nom.nominee_id
+    where nom.archived_at is null;
+
+    return v_event;
+end;
+$$;
@@ -0,0 +1,170 @@
+-- 020: Merging duplicate nominees.
+--
+-- merge_nominees() moves everything that points at a duplicate (source) onto
+-- the surviving nominee (target), in one transaction, and archives the source
+-- with merged_into_id set. Where a voter chose both in the same vote (approval
+-- or ranked), one selection remains, at the better of the two ranks; where a
+-- juror scored both, the higher score is kept. vote_changes rows are history
+-- and keep the ids they were written with.
+
+alter table public.nominees
+    add column if not exists merged_into_id uuid references public.nominees (id) on delete set null;
+
+create or replace function public.merge_nominees(
+    p_event_id uuid,
+    p_target_id uuid,
+    p_source_id uuid,
+    p_admin_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_source public.nominees;
+    v_target public.nominees;
+    v_nominations_moved integer;
+    v_nominations_merged integer;
+    v_nominations_restored integer;
+    v_votes integer;
+    v_selections integer;
+    v_both_chosen jsonb;
+    v_scores_moved integer;
+    v_scores_merged integer;
+    v_submissions integer;
+begin
+    if p_target_id = p_source_id then
+        raise exception using errcode = 'EF400', message = 'A nominee cannot be merged into itself.', hint = 'SAME_NOMINEE';
+    end if;
+
+    -- Lock both rows in a fixed order so concurrent merges cannot deadlock
+    perform 1 from public.nominees
+    where id in (p_target_id, p_source_id) and event_id = p_event_id
+    order by id
+    for update;
+
+    select * into v_target from public.nominees where id = p_target_id and event_id = p_event_id;
+    select * into v_source from public.nominees where id = p_source_id and event_id = p_event_id;
+
+    if v_target.id is null or v_source.id is null then
+        raise exception using errcode = 'EF404', message = 'Nominee not found.', hint = 'NOT_FOUND';
+    end if;
+
+    if v_target.archived_at is not null or v_source.archived_at is not null then
+        raise exception using errcode = 'EF409', message = 'Archived nominees cannot be merged.', hint = 'NOMINEE_ARCHIVED';
+    end if;
+
+    -- Nominations: a category nominating both keeps the survivor's link,
+    -- reactivated if only the duplicate's was active
+    with shared_links as (
+        select t.id as target_link, s.id as source_link, s.archived_at as source_archived_at
+        from public.nominations s
+        join public.nominations t on t.category_id = s.category_id and t.nominee_id = p_target_id
+        where s.nominee_id = p_source_id
+    ), restored as (
+        update public.nominations n
+        set archived_at = null, archived_by = null
+        from shared_links
+        where n.id = shared_links.target_link and n.archived_at is not null and shared_links.source_archived_at is null
+        returning n.id
+    )
+    select count(*) into v_nominations_restored from restored;
+
+    delete from public.nominations s
+    using public.nominations t
+    where s.nominee_id = p_source_id
+      and t.nominee_id = p_target_id
+      and t.category_id = s.category_id;
+    get diagnostics v_nominations_merged = row_count;
+
+    update public.nominations set nominee_id = p_target_id where nominee_id = p_source_id;
+    get diagnostics v_nominations_moved = row_count;
+
+    -- Selections: votes that chose both keep one selection at the better rank.
+    -- Reported as counts per category and per whose rank was kept, so the
+    -- result (and the audit log row it goes into) stays small
+    select coalesce(jsonb_agg(jsonb_build_object(
+               'category_id', category_id,
+               'kept_rank', kept_rank,
+               'votes', votes
+           ) order by category_id, kept_rank), '[]'::jsonb)
+    into v_both_chosen
+    from (
+        select s.category_id,
+               case when s.rank < t.rank then 'duplicate' else 'survivor' end as kept_rank,
+               count(*) as votes
+        from public.vote_selections s
+        join public.vote_selections t on t.vote_id = s.vote_id and t.nominee_id = p_target_id
+        where s.nominee_id = p_source_id
+        group by 1, 2
+    ) both_chosen;
+
+    -- Where the duplicate was ranked higher, its row takes over that rank
+    delete from public.vote_selections t
+    using public.vote_selections s
+    where t.nominee_id = p_target_id
+      and s.nominee_id = p_source_id
+      and s.vote_id = t.vote_id
+      and s.rank < t.rank;
+
+    delete from public.vote_selections s
+    using public.vote_selections t
+    where s.nominee_id = p_source_id
+      and t.nominee_id = p_target_id
+      and t.vote_id = s.vote_id;
+
+    update public.vote_selections set nominee_id = p_target_id where nominee_id = p_source_id;
+    get diagnostics v_selections = row_count;
+
+    -- votes.nominee_id holds the first choice, which now is the survivor
+    update public.votes set nominee_id = p_target_id where nominee_id = p_source_id;
+    get diagnostics v_votes = row_count;
+
+    -- Jury scores: a juror who scored both keeps the higher score
+    update public.jury_scores t
+    set score = s.score, updated_at = now()
+    from public.jury_scores s
+    where t.nominee_id = p_target_id
+      and s.nominee_id = p_source_id
+      and s.juror_id = t.juror_id
+      and s.category_id = t.category_id
+      and s.score > t.score;
+
+    delete from public.jury_scores s
+    using public.jury_scores t
+    where s.nominee_id = p_source_id
+      and t.nominee_id = p_target_id
+      and t.juror_id = s.juror_id
+      and t.category_id = s.category_id;
+    get diagnostics v_scores_merged = row_count;
+
+    update public.jury_scores set nominee_id = p_target_id where nominee_id = p_source_id;
+    get diagnostics v_scores_moved = row_count;
+
+    update public.nomination_submissions
+    set matched_nominee_id = case when matched_nominee_id = p_source_id then p_target_id else matched_nominee_id end,
+        resolved_nominee_id = case when resolved_nominee_id = p_source_id then p_target_id else resolved_nominee_id end
+    where matched_nominee_id = p_source_id or resolved_nominee_id = p_source_id;
+    get diagnostics v_submissions = row_count;
+
+    update public.nominees
+    set archived_at = now(), archived_by = p_admin_id, merged_into_id = p_target_id
+    where id = p_source_id;
+
+    return jsonb_build_object(
+        'nominations', jsonb_build_object(
+            'moved', v_nominations_moved,
+            'merged', v_nominations_merged,
+            'restored', v_nominations_restored
+        ),
+        'votes', jsonb_build_object(
+            'repointed', v_votes,
+            'selectionsRepointed', v_selections,
+            'bothChosen', v_both_chosen
+        ),
+        'juryScores', jsonb_build_object(
+            'moved', v_scores_moved,
+            'merged', v_scores_merged
+        ),
+        'submissions', v_submissions
+    );
+end;
+$$;
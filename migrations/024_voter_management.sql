@@ -0,0 +1,191 @@
+-- 024: Voter management (privacy requests) and turnout analytics.
+--
+-- Voters can be removed in two ways:
+-- - anonymize_voter() erases the voter's personal data but keeps their votes
+--   counted: name, email and phone are replaced, sign-in codes are dropped and
+--   the IP addresses stored with their votes and fraud flags are cleared. A
+--   keyed hash of the old email (computed by the API) is kept in email_hash,
+--   so the address cannot register again and vote a second time.
+-- - delete_voter() removes the voter with everything they submitted: votes,
+--   jury scores, vote change history, fraud flags and nominee proposals. It
+--   refuses while any of their counted votes are in a published category,
+--   because that would change announced results; anonymize instead.
+
+alter table public.voters
+    add column if not exists created_at timestamptz not null default now(),
+    add column if not exists anonymized_at timestamptz,
+    add column if not exists email_hash text;
+
+create index if not exists voters_email_hash_idx on public.voters (email_hash) where email_hash is not null;
+
+create index if not exists votes_voter_idx on public.votes (voter_id);
+
+create or replace function public.anonymize_voter(p_voter_id uuid, p_email_hash text)
+returns public.voters
+language plpgsql
+as $$
+declare
+    v_voter public.voters;
+begin
+    update public.voters
+    set name = 'Anonymized voter',
+        -- Unique and not null, but can never receive a sign-in code
+        email = 'anonymized-' || id || '@invalid',
+        phone = null,
+        email_hash = coalesce(email_hash, p_email_hash),
+        anonymized_at = coalesce(anonymized_at, now())
+    where id = p_voter_id
+    returning * into v_voter;
+
+    if not found then
+        raise exception using errcode = 'EF404', message = 'Voter not found.', hint = 'NOT_FOUND';
+    end if;
+
+    delete from public.voter_login_codes where voter_id = p_voter_id;
+
+    update public.votes set ip_address = null where voter_id = p_voter_id;
+
+    update public.vote_flags
+    set details = details - 'ipAddress' - 'domain'
+    where voter_id = p_voter_id;
+
+    return v_voter;
+end;
+$$;
+
+create or replace function public.delete_voter(p_voter_id uuid)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_event_ids uuid[];
+    v_votes integer;
+    v_scores integer;
+    v_submissions integer;
+begin
+    perform 1 from public.voters where id = p_voter_id for update;
+
+    if not found then
+        raise exception using errcode = 'EF404', message = 'Voter not found.', hint = 'NOT_FOUND';
+    end if;
+
+    if exists (
+        select 1
+        from public.votes v
+        join public.categories c on c.id = v.category_id
+        where v.voter_id = p_voter_id
+          and v.invalidated_at is null
+          and c.archived_at is null
+          and c.status = 'published'
+    ) then
+        raise exception using
+            errcode = 'EF409',
+            message = 'This voter has votes in published results. Anonymize the voter instead.',
+            hint = 'VOTES_IN_PUBLISHED_RESULTS';
+    end if;
+
+    select coalesce(array_agg(distinct event_id), '{}') into v_event_ids
+    from (
+        select event_id from public.votes where voter_id = p_voter_id
+        union
+        select event_id from public.jury_scores where juror_id = p_voter_id
+    ) affected;
+
+    delete from public.vote_flags where voter_id = p_voter_id;
+    delete from public.vote_changes where voter_id = p_voter_id;
+    delete from public.vote_selections where vote_id in (select id from public.votes where voter_id = p_voter_id);
+
+    delete from public.votes where voter_id = p_voter_id;
+    get diagnostics v_votes = row_count;
+
+    delete from public.jury_scores where juror_id = p_voter_id;
+    get diagnostics v_scores = row_count;
+
+    delete from public.nomination_submissions where voter_id = p_voter_id;
+    get diagnostics v_submissions = row_count;
+
+    delete from public.voters where id = p_voter_id;
+
+    return jsonb_build_object(
+        'votes', v_votes,
+        'juryScores', v_scores,
+        'submissions', v_submissions,
+        'eventIds', to_jsonb(v_event_ids)
+    );
+end;
+$$;
+
+-- Turnout of one event, from counted votes (not invalidated, category not
+-- archived). `p_interval` is 'hour' or 'day'; buckets are in UTC.
+-- Completion counts the voters who voted in every active category: unarchived,
+-- is_active and past draft (opened by status or by its schedule).
+create or replace function public.event_turnout(p_event_id uuid, p_interval text)
+returns jsonb
+language sql
+stable
+as $$
+    with counted as (
+        select v.voter_id, v.category_id, v.created_at
+        from public.votes v
+        join public.categories c on c.id = v.category_id
+        where v.event_id = p_event_id
+          and v.invalidated_at is null
+          and c.archived_at is null
+    ),
+    active_categories as (
+        select id
+        from public.categories
+        where event_id = p_event_id
+          and archived_at is null
+          and is_active
+          and (status <> 'draft' or opens_at <= now())
+    ),
+    first_votes as (
+        select voter_id, min(created_at) as first_at
+        from counted
+        group by voter_id
+    ),
+    buckets as (
+        select date_trunc(p_interval, created_at at time zone 'utc') as bucket, count(*) as votes
+        from counted
+        group by 1
+    ),
+    new_voters as (
+        select date_trunc(p_interval, first_at at time zone 'utc') as bucket, count(*) as new_voters
+        from first_votes
+        group by 1
+    ),
+    complete_voters as (
+        select voter_id
+        from counted
+        where category_id in (select id from active_categories)
+        group by voter_id
+        having count(distinct category_id) = (select count(*) from active_categories)
+    )
+    select jsonb_build_object(
+        'voter_count', (select count(*) from first_votes),
+        'complete_voter_count', (select count(*) from complete_voters),
+        'active_category_ids', coalesce((select jsonb_agg(id) from active_categories), '[]'::jsonb),
+        'timeline', coalesce((
+            select jsonb_agg(jsonb_build_object(
+                'bucket', to_char(b.bucket, 'YYYY-MM-DD"T"HH24:MI:SS"Z"'),
+                'votes', b.votes,
+                'new_voters', coalesce(n.new_voters, 0)
+            ) order by b.bucket)
+            from buckets b
+            left join new_voters n on n.bucket = b.bucket
+        ), '[]'::jsonb),
+        'categories', coalesce((
+            select jsonb_agg(jsonb_build_object(
+                'category_id', category_id,
+                'votes', votes,
+                'voter_count', voter_count
+            ))
+            from (
+                select category_id, count(*) as votes, count(distinct voter_id) as voter_count
+                from counted
+                group by category_id
+            ) per_category
+        ), '[]'::jsonb)
+    );
+$$;
@@ -0,0 +1,83 @@
+-- 025: Voter notifications and vote receipts.
+--
+-- Every recorded vote gets a receipt code the voter can check later through
+-- the public API. A receipt stands for one version of the vote (its
+-- updated_at when issued, null before any change): a changed vote gets a new
+-- code and the earlier ones then report that they were superseded. Receipts
+-- never name the nominees voted for.
+--
+-- Voters who opt in at sign-in are told when voting is about to open or close
+-- in a category and when its winners are announced. The notice sweep in
+-- lib/notifications.js claims due categories with claim_category_notices(),
+-- which stamps them so each notice goes out once, even with several servers.
+
+alter table public.voters
+    add column if not exists notifications_opt_in boolean not null default false;
+
+alter table public.categories
+    add column if not exists opening_notice_sent_at timestamptz,
+    add column if not exists closing_notice_sent_at timestamptz,
+    add column if not exists results_notice_sent_at timestamptz;
+
+-- Results published before this migration have been announced already
+update public.categories
+set results_notice_sent_at = now()
+where status = 'published' and results_notice_sent_at is null;
+
+create table if not exists public.vote_receipts (
+    id uuid primary key default gen_random_uuid(),
+    code text not null unique,
+    event_id uuid not null references public.events (id) on delete restrict,
+    category_id uuid not null references public.categories (id) on delete cascade,
+    -- Cleared when the vote is withdrawn or its voter deleted
+    vote_id uuid references public.votes (id) on delete set null,
+    vote_updated_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists vote_receipts_vote_idx on public.vote_receipts (vote_id, created_at desc);
+
+-- Stamps and returns the categories whose `p_kind` notice is due:
+--   'opening': draft categories scheduled to open by p_until
+--   'closing': open categories scheduled to close by p_until
+--   'results': published categories
+create or replace function public.claim_category_notices(p_kind text, p_until timestamptz)
+returns setof public.categories
+language plpgsql
+as $$
+begin
+    if p_kind = 'opening' then
+        return query
+        update public.categories
+        set opening_notice_sent_at = now()
+        where opening_notice_sent_at is null
+          and archived_at is null
+          and is_active
+          and status = 'draft'
+          and opens_at > now()
+          and opens_at <= p_until
+        returning *;
+    elsif p_kind = 'closing' then
+        return query
+        update public.categories
+        set closing_notice_sent_at = now()
+        where closing_notice_sent_at is null
+          and archived_at is null
+          and is_active
+          and (status = 'open' or (status = 'draft' and opens_at <= now()))
+          and closes_at > now()
+          and closes_at <= p_until
+        returning *;
+    elsif p_kind = 'results' then
+        return query
+        update public.categories
+        set results_notice_sent_at = now()
+        where results_notice_sent_at is null
+          and archived_at is null
+          and status = 'published'
+        returning *;
+    else
+        raise exception using errcode = 'EF400', message = 'Unknown notice kind.', hint = 'INVALID_NOTICE';
+    end if;
+end;
+$$;
@@ -1,191 +1,607 @@
+import crypto from 'crypto';
 import express from 'express';
-import { supabase } from '../supabase.js';
+import resolveEvent from '../middleware/resolveEvent.js';
+import { getEventResults, invalidateEventResults } from '../lib/results.js';
+import { streamEventResults } from '../lib/resultsStream.js';
+import validate from '../middleware/validate.js';
+import * as schemas from '../schemas/admin.js';
+import { effectiveStatus, canTransition, validateSchedule } from '../lib/lifecycle.js';
+import { NotFoundError, ConflictError, UnauthorizedError, ValidationError, UNIQUE_VIOLATION } from '../lib/errors.js';
+import asyncHandler from '../lib/asyncHandler.js';
+import requireAdmin from '../middleware/requireAdmin.js';
+import requireRole from '../middleware/requireRole.js';
+import { authenticateAdmin, issueAdminToken } from '../lib/adminAuth.js';
+import { hashEmail } from '../lib/voterAuth.js';
+import { hashPassword } from '../lib/passwords.js';
+import { recordAudit } from '../lib/audit.js';
+import { readCsv, entriesFromCsv, entriesFromJson, planImport, applyImport } from '../lib/importer.js';
+import {
+    exportCategories, resultRows, RESULT_COLUMNS, anonymizedVotes, VOTE_COLUMNS, sendExport, resultsReport
+} from '../lib/exports.js';
+import { IMAGE_TYPES, detectImage, storeObject, removeObject } from '../lib/storage.js';
+import { findNomineeByName, findDuplicateNominees } from '../lib/nominees.js';
+import { logger } from '../lib/logger.js';
+import { pageQuery, listResponse } from '../lib/pagination.js';
+import { getEventTurnout } from '../lib/turnout.js';
+import {
+    events, admins, auditLog, voters, categories, nominees, nominations, submissions, votes, voteChanges, voteFlags, juryScores
+} from '../lib/repositories/index.js';
 
 const adminRouter = express.Router();
 
-// Middleware to protect admin routes (Simple API key check)
-const checkAdminAuth = (req, res, next) => {
-    const adminKey = req.headers['x-admin-key'];
-    if (adminKey !== process.env.ADMIN_SECRET_KEY) {
-        return res.status(403).json({ message: 'Forbidden: Admin access required.' });
+// Roles: viewer (results only) < editor (categories, nominees, nominations)
+// < owner (archive / restore / purge, lifecycle, events, jury, admin accounts, audit log).
+// Every successful change is written to the audit log.
+
+// --------------------------------------------
+// SIGN-IN
+// --------------------------------------------
+
+/**
+ * POST /api/admin/login
+ * Exchanges an admin's email and password for a session token. Body: { email, password }
+ */
+adminRouter.post('/login', validate(schemas.login), asyncHandler(async (req, res) => {
+    const admin = await authenticateAdmin(req.body.email, req.body.password);
+
+    if (!admin) {
+        throw new UnauthorizedError('Invalid email or password.', { code: 'INVALID_CREDENTIALS' });
     }
-    next();
-};
 
-adminRouter.use(checkAdminAuth);
+    const { token, expiresAt } = issueAdminToken(admin);
+
+    res.status(200).json({ token, expiresAt, admin });
+}));
+
+adminRouter.use(requireAdmin);
+
+/**
+ * GET /api/admin/me
+ * The signed-in admin account.
+ */
+adminRouter.get('/me', (req, res) => {
+    res.json(req.admin);
+});
+
+// Loads one of the event's records before it is changed, for checks and the audit log
+const RECORDS = { categories, nominees, nominations, nomination_submissions: submissions };
+
+const findEventRecord = (table, id, eventId) => RECORDS[table].find(eventId, id);
+
+// Removes an uploaded file that is no longer referenced. A leftover file is
+// harmless, so failing to remove one is only logged
+const discardObject = async (req, objectPath) => {
+    if (!objectPath) return;
+
+    try {
+        await removeObject(objectPath);
+    } catch (error) {
+        logger.error('Could not remove stored file', { requestId: req.id, objectPath, error });
+    }
+};
 
 // --------------------------------------------
-// CATEGORY ROUTES
+// ARCHIVE, RESTORE AND PURGE
+// DELETE on a category, nominee or nomination only archives it (see
+// migrations/019_soft_delete.sql): it disappears from voting and results, but
+// its nominations and votes are kept and come back on restore. Purging deletes
+// an archived record for good and must be confirmed by repeating its name
+// (or, for a nomination, its id) in the body: { confirm }.
 // --------------------------------------------
-adminRouter.get('/categories', async (req, res) => {
-    const { data, error } = await supabase.from('categories').select('*');
-    if (error) return res.status(500).json(error);
-    res.json(data);
+
+const archiveRecord = ({ table, entityType, label }) => asyncHandler(async (req, res) => {
+    const before = await findEventRecord(table, req.params.id, req.event.id);
+    if (!before) throw new NotFoundError(`${label} not found.`);
+    if (before.archived_at) throw new ConflictError(`${label} is already archived.`, { code: 'ALREADY_ARCHIVED' });
+
+    const data = await RECORDS[table].update(req.event.id, req.params.id, {
+        archived_at: new Date().toISOString(),
+        archived_by: req.admin.id
+    });
+
+    await recordAudit(req, { action: `${entityType}.archive`, entityType, entityId: data.id, before, after: data });
+    res.status(200).json({ message: `${label} archived. Its votes are kept until it is purged.`, archived: data });
 });
 
-adminRouter.post('/categories', async (req, res) => {
-    const { name } = req.body;
-    const { data, error } = await supabase
-        .from('categories')
-        .insert([{ name }])
-        .select('*');
-    if (error) return res.status(400).json({ message: 'Error adding category.', error });
-    res.status(201).json(data[0]);
+const restoreRecord = ({ table, entityType, label }) => asyncHandler(async (req, res) => {
+    const before = await findEventRecord(table, req.params.id, req.event.id);
+    if (!before) throw new NotFoundError(`${label} not found.`);
+    if (!before.archived_at) throw new ConflictError(`${label} is not archived.`, { code: 'NOT_ARCHIVED' });
+
+    const data = await RECORDS[table].update(req.event.id, req.params.id, { archived_at: null, archived_by: null });
+
+    await recordAudit(req, { action: `${entityType}.restore`, entityType, entityId: data.id, before, after: data });
+    res.status(200).json({ message: `${label} restored.`, restored: data });
+});
+
+const purgeRecord = ({ table, entityType, label, purge }) => asyncHandler(async (req, res) => {
+    const before = await findEventRecord(table, req.params.id, req.event.id);
+    if (!before) throw new NotFoundError(`${label} not found.`);
+
+    if (!before.archived_at) {
+        throw new ConflictError(`Archive the ${label.toLowerCase()} before purging it.`, { code: 'NOT_ARCHIVED' });
+    }
+    if (req.body.confirm !== (before.name ?? before.id)) {
+        throw new ValidationError(`To purge, set confirm to the ${before.name !== undefined ? 'exact name' : 'id'} of the ${label.toLowerCase()}.`, [], {
+            code: 'CONFIRMATION_REQUIRED'
+        });
+    }
+
+    const deleted = await purge(req, before);
+
+    await recordAudit(req, { action: `${entityType}.purge`, entityType, entityId: before.id, before, after: { deleted } });
+    res.status(200).json({ message: `${label} permanently deleted.`, deleted });
+});
+
+const CATEGORY_RECORD = {
+    table: 'categories',
+    entityType: 'category',
+    label: 'Category',
+    // Removes the category with its nominations and votes, in one transaction
+    purge: async (req, category) => {
+        const deleted = await categories.purge(req.event.id, category.id);
+        await discardObject(req, category.icon_path);
+        return deleted;
+    }
+};
+
+const NOMINEE_RECORD = {
+    table: 'nominees',
+    entityType: 'nominee',
+    label: 'Nominee',
+    // Removes the nominee with its nominations and votes, in one transaction
+    purge: async (req, nominee) => {
+        const deleted = await nominees.purge(req.event.id, nominee.id);
+        await discardObject(req, nominee.photo_path);
+        return deleted;
+    }
+};
+
+const NOMINATION_RECORD = {
+    table: 'nominations',
+    entityType: 'nomination',
+    label: 'Nomination',
+    purge: (req, nomination) => nominations.purge(req.event.id, nomination.id)
+};
+
+// Routes below are scoped to one awards edition (req.event). They are mounted
+// under /events/:slug and, for existing clients, at the root for the current event.
+const eventAdminRouter = express.Router({ mergeParams: true });
+
+// Any successful change to an event's data makes its cached results stale
+eventAdminRouter.use((req, res, next) => {
+    if (req.method !== 'GET') {
+        res.on('finish', () => {
+            if (res.statusCode < 400) invalidateEventResults(req.event.id);
+        });
+    }
+    next();
 });
 
-adminRouter.patch('/categories/:id', async (req, res) => {
+// --------------------------------------------
+// CATEGORY ROUTES
+// --------------------------------------------
+// Adds the schedule-aware lifecycle state next to the stored one
+const withEffectiveStatus = (category) => ({ ...category, effective_status: effectiveStatus(category) });
+
+// Lists hide archived records; ?archived=true lists only the archived ones.
+// Paging, sorting and search are described in lib/pagination.js.
+const listOptions = (list, req) => ({ ...pageQuery(list, req.query), archived: Boolean(req.query.archived) });
+
+/**
+ * GET /api/admin/categories
+ * Query: ?q=&sort=display_order|name|created_at&order=&limit=&offset=&archived=
+ */
+eventAdminRouter.get('/categories', requireRole('editor'), validate(schemas.categoryList), asyncHandler(async (req, res) => {
+    const options = listOptions('categories', req);
+    const { items, total } = await categories.page(req.event.id, options);
+
+    res.json(listResponse({ items: items.map(withEffectiveStatus), total }, options));
+}));
+
+eventAdminRouter.post('/categories', requireRole('editor'), validate(schemas.createCategory), asyncHandler(async (req, res) => {
+    const { name, display_order } = req.body;
+    const data = await categories.create({ name, display_order, event_id: req.event.id });
+    await recordAudit(req, { action: 'category.create', entityType: 'category', entityId: data.id, after: data });
+    res.status(201).json(data);
+}));
+
+eventAdminRouter.patch('/categories/:id', requireRole('editor'), validate(schemas.updateCategory), asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { name, description } = req.body;
+    const {
+        name, description, vote_change_policy, max_vote_changes, voting_mode, max_choices, jury_weight, display_order, nominations_open
+    } = req.body;
 
     const updateData = {};
     if (name !== undefined) updateData.name = name;
     if (description !== undefined) updateData.description = description;
+    if (vote_change_policy !== undefined) updateData.vote_change_policy = vote_change_policy;
+    if (max_vote_changes !== undefined) updateData.max_vote_changes = max_vote_changes;
+    if (voting_mode !== undefined) updateData.voting_mode = voting_mode;
+    if (max_choices !== undefined) updateData.max_choices = max_choices;
+    if (jury_weight !== undefined) updateData.jury_weight = jury_weight;
+    if (display_order !== undefined) updateData.display_order = display_order;
+    if (nominations_open !== undefined) updateData.nominations_open = nominations_open;
 
     if (Object.keys(updateData).length === 0) {
-        return res.status(400).json({ message: 'At least one field (name or description) is required to update.' });
+        throw new ValidationError('At least one field (name, description, vote_change_policy, max_vote_changes, voting_mode, max_choices, jury_weight, display_order or nominations_open) is required to update.');
+    }
+
+    if (vote_change_policy === 'limited' && max_vote_changes == null) {
+        throw new ValidationError('max_vote_changes is required when vote_change_policy is "limited".');
     }
 
-    const { data, error } = await supabase
-        .from('categories')
-        .update(updateData)
-        .eq('id', id)
-        .select('*')
-        .single();
+    const before = await findEventRecord('categories', id, req.event.id);
+    if (!before) throw new NotFoundError('Category not found.');
 
-    if (error) {
-        return res.status(500).json({ message: 'Failed to update category.', error });
+    // Ballots already cast were shaped for the old mode, so the mode is fixed once voting starts
+    if (voting_mode !== undefined) {
+        if (before.voting_mode !== voting_mode) {
+            if (await votes.countForCategory(id) > 0) {
+                throw new ConflictError('The voting mode cannot be changed after votes have been cast.', {
+                    code: 'VOTING_MODE_LOCKED'
+                });
+            }
+        }
     }
 
+    const data = await categories.update(req.event.id, id, updateData);
+
+    await recordAudit(req, { action: 'category.update', entityType: 'category', entityId: id, before, after: data });
     res.status(200).json(data);
-});
+}));
 
 // --------------------------------------------
-// DELETE CATEGORY (Updates for Nominations table)
+// DELETE CATEGORY (archives it; see ARCHIVE, RESTORE AND PURGE above)
 // --------------------------------------------
-adminRouter.delete('/categories/:id', async (req, res) => {
-    const { id: categoryId } = req.params;
+eventAdminRouter.delete('/categories/:id', requireRole('owner'), validate(schemas.byId), archiveRecord(CATEGORY_RECORD));
 
-    // 1. Delete all Votes associated with this Category ID (since votes table has category_id)
-    const { error: votesError } = await supabase
-        .from('votes')
-        .delete()
-        .eq('category_id', categoryId);
+/**
+ * POST /api/admin/categories/:id/restore
+ */
+eventAdminRouter.post('/categories/:id/restore', requireRole('owner'), validate(schemas.byId), restoreRecord(CATEGORY_RECORD));
+
+/**
+ * POST /api/admin/categories/:id/purge
+ * Permanently deletes an archived category with its nominations and votes. Body: { confirm }
+ */
+eventAdminRouter.post('/categories/:id/purge', requireRole('owner'), validate(schemas.purge), purgeRecord(CATEGORY_RECORD));
+
+
+// --------------------------------------------
+// CATEGORY LIFECYCLE (draft → open → closed → published)
+// --------------------------------------------
+
+/**
+ * POST /api/admin/categories/:id/status
+ * Moves a single category forward in its lifecycle. Body: { status }
+ */
+eventAdminRouter.post('/categories/:id/status', requireRole('owner'), validate(schemas.categoryStatus), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { status } = req.body;
 
-    if (votesError) {
-        console.error('Error deleting associated votes:', votesError);
-        return res.status(500).json({ message: 'Failed to delete associated votes.', error: votesError });
+    const category = await findEventRecord('categories', id, req.event.id);
+    if (!category) throw new NotFoundError('Category not found.');
+
+    const current = effectiveStatus(category);
+    if (!canTransition(current, status)) {
+        throw new ConflictError(`Cannot move category from "${current}" to "${status}".`, { code: 'INVALID_TRANSITION' });
     }
-    
-    // 2. Delete all links in the new nominations table for this category
-    const { error: nominationsError } = await supabase
-        .from('nominations')
-        .delete()
-        .eq('category_id', categoryId);
 
-    if (nominationsError) {
-        console.error('Error deleting associated nominations:', nominationsError);
-        return res.status(500).json({ message: 'Failed to delete associated nominations.', error: nominationsError });
+    const data = await categories.update(req.event.id, id, { status });
+    await recordAudit(req, { action: 'category.status', entityType: 'category', entityId: id, before: category, after: data });
+    res.status(200).json(withEffectiveStatus(data));
+}));
+
+/**
+ * PUT /api/admin/categories/:id/schedule
+ * Schedules the automatic open/close transitions. Body: { opens_at, closes_at } (null clears)
+ */
+eventAdminRouter.put('/categories/:id/schedule', requireRole('owner'), validate(schemas.categorySchedule), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { opens_at, closes_at } = req.body;
+
+    const updateData = {};
+    if (opens_at !== undefined) updateData.opens_at = opens_at;
+    if (closes_at !== undefined) updateData.closes_at = closes_at;
+
+    if (Object.keys(updateData).length === 0) {
+        throw new ValidationError('At least one field (opens_at or closes_at) is required.');
     }
 
-    // 3. Finally, delete the Category itself
-    const { error: categoryError } = await supabase
-        .from('categories')
-        .delete()
-        .eq('id', categoryId);
+    const category = await findEventRecord('categories', id, req.event.id);
+    if (!category) throw new NotFoundError('Category not found.');
 
-    if (categoryError) {
-        console.log('Final Category Deletion Error:', categoryError);
-        return res.status(500).json({ message: 'Failed to delete category (final step).', error: categoryError });
+    const current = effectiveStatus(category);
+    if (current === 'closed' || current === 'published') {
+        throw new ConflictError(`Cannot reschedule a category that is already ${current}.`, { code: 'INVALID_TRANSITION' });
     }
 
-    res.status(200).json({ message: 'Category, associated nominations, and votes deleted successfully.' });
-});
+    const scheduleError = validateSchedule({ ...category, ...updateData });
+    if (scheduleError) throw new ValidationError(scheduleError);
+
+    const data = await categories.update(req.event.id, id, updateData);
+    await recordAudit(req, { action: 'category.schedule', entityType: 'category', entityId: id, before: category, after: data });
+    res.status(200).json(withEffectiveStatus(data));
+}));
+
+/**
+ * POST /api/admin/lifecycle/status
+ * Moves every category of the awards forward to the given state. Categories
+ * that are already at or past that state are left untouched. Body: { status }
+ */
+eventAdminRouter.post('/lifecycle/status', requireRole('owner'), validate(schemas.lifecycleStatus), asyncHandler(async (req, res) => {
+    const { status } = req.body;
+
+    const eventCategories = await categories.list(req.event.id);
+
+    const movable = eventCategories.filter(cat => canTransition(effectiveStatus(cat), status));
+
+    if (movable.length > 0) {
+        await categories.updateMany(req.event.id, movable.map(cat => cat.id), { status });
+    }
+
+    await recordAudit(req, {
+        action: 'event.lifecycle_status',
+        entityType: 'event',
+        entityId: req.event.id,
+        before: movable.map(cat => ({ id: cat.id, status: effectiveStatus(cat) })),
+        after: movable.map(cat => ({ id: cat.id, status }))
+    });
+
+    res.status(200).json({
+        message: `${movable.length} ${movable.length === 1 ? 'category' : 'categories'} moved to "${status}".`,
+        updated: movable.map(cat => cat.id),
+        skipped: eventCategories.length - movable.length
+    });
+}));
+
+/**
+ * PUT /api/admin/lifecycle/schedule
+ * Applies one voting window to every category that has not closed yet.
+ * Body: { opens_at, closes_at } (null clears)
+ */
+eventAdminRouter.put('/lifecycle/schedule', requireRole('owner'), validate(schemas.lifecycleSchedule), asyncHandler(async (req, res) => {
+    const { opens_at, closes_at } = req.body;
+
+    const updateData = {};
+    if (opens_at !== undefined) updateData.opens_at = opens_at;
+    if (closes_at !== undefined) updateData.closes_at = closes_at;
+
+    if (Object.keys(updateData).length === 0) {
+        throw new ValidationError('At least one field (opens_at or closes_at) is required.');
+    }
+
+    const eventCategories = await categories.list(req.event.id);
+
+    const schedulable = eventCategories.filter(cat => ['draft', 'open'].includes(effectiveStatus(cat)));
+
+    for (const cat of schedulable) {
+        const scheduleError = validateSchedule({ ...cat, ...updateData });
+        if (scheduleError) {
+            throw new ValidationError(`Category "${cat.name}": ${scheduleError}`);
+        }
+    }
+
+    if (schedulable.length > 0) {
+        await categories.updateMany(req.event.id, schedulable.map(cat => cat.id), updateData);
+    }
+
+    await recordAudit(req, {
+        action: 'event.lifecycle_schedule',
+        entityType: 'event',
+        entityId: req.event.id,
+        before: schedulable.map(({ id, opens_at, closes_at }) => ({ id, opens_at, closes_at })),
+        after: schedulable.map(({ id, opens_at, closes_at }) => ({ id, opens_at, closes_at, ...updateData }))
+    });
+
+    res.status(200).json({
+        message: `Voting window applied to ${schedulable.length} categories.`,
+        updated: schedulable.map(cat => cat.id),
+        skipped: eventCategories.length - schedulable.length
+    });
+}));
 
 
 // --------------------------------------------
 // NOMINEE ROUTES (Person/Entity Management - NO category_id)
 // --------------------------------------------
-adminRouter.get('/nominees', async (req, res) => {
-    // Now just fetching the list of unique people/entities
-    const { data, error } = await supabase.from('nominees').select('*');
-    if (error) return res.status(500).json(error);
-    res.json(data);
-});
 
-adminRouter.post('/nominees', async (req, res) => {
-    // Only accepts 'name' now
-    const { name } = req.body;
-    const { data, error } = await supabase
-        .from('nominees')
-        .insert([{ name }]) // No category_id field here anymore
-        .select('*');
-    if (error) return res.status(400).json({ message: 'Error adding nominee.', error });
-    res.status(201).json(data[0]);
-});
+/**
+ * GET /api/admin/nominees
+ * Query: ?q=&sort=name|organization|created_at&order=&limit=&offset=&archived=
+ */
+eventAdminRouter.get('/nominees', requireRole('editor'), validate(schemas.nomineeList), asyncHandler(async (req, res) => {
+    const options = listOptions('nominees', req);
+
+    res.json(listResponse(await nominees.page(req.event.id, options), options));
+}));
+
+eventAdminRouter.post('/nominees', requireRole('editor'), validate(schemas.createNominee), asyncHandler(async (req, res) => {
+    // A person/entity and their profile; photos are uploaded separately
+    const { name, bio, organization, links } = req.body;
+    const data = await nominees.create({ name, bio, organization, links, event_id: req.event.id }); // No category_id field here anymore
+    await recordAudit(req, { action: 'nominee.create', entityType: 'nominee', entityId: data.id, after: data });
+    res.status(201).json(data);
+}));
 
-adminRouter.patch('/nominees/:id', async (req, res) => {
+eventAdminRouter.patch('/nominees/:id', requireRole('editor'), validate(schemas.updateNominee), asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { name } = req.body; // Only update name
-    
-    if (name === undefined) {
-        return res.status(400).json({ message: 'The name field is required to update.' });
-    }
+    const { name, bio, organization, links } = req.body;
 
-    const { data, error } = await supabase
-        .from('nominees')
-        .update({ name })
-        .eq('id', id)
-        .select('*')
-        .single();
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (bio !== undefined) updateData.bio = bio;
+    if (organization !== undefined) updateData.organization = organization;
+    if (links !== undefined) updateData.links = links;
 
-    if (error) {
-        return res.status(500).json({ message: 'Failed to update nominee.', error });
+    if (Object.keys(updateData).length === 0) {
+        throw new ValidationError('At least one field (name, bio, organization or links) is required to update.');
     }
+
+    const before = await findEventRecord('nominees', id, req.event.id);
+    if (!before) throw new NotFoundError('Nominee not found.');
+
+    const data = await nominees.update(req.event.id, id, updateData);
+    await recordAudit(req, { action: 'nominee.update', entityType: 'nominee', entityId: id, before, after: data });
     res.status(200).json(data);
-});
+}));
 
 // --------------------------------------------
-// DELETE NOMINEE (Deletes the person/entity and related data)
+// DELETE NOMINEE (archives the person/entity; see ARCHIVE, RESTORE AND PURGE above)
 // --------------------------------------------
-adminRouter.delete('/nominees/:id', async (req, res) => {
-    const { id } = req.params;
+eventAdminRouter.delete('/nominees/:id', requireRole('owner'), validate(schemas.byId), archiveRecord(NOMINEE_RECORD));
 
-    // 1. Delete all votes associated with this nominee
-    const { error: votesError } = await supabase
-        .from('votes')
-        .delete()
-        .eq('nominee_id', id);
+/**
+ * POST /api/admin/nominees/:id/restore
+ */
+eventAdminRouter.post('/nominees/:id/restore', requireRole('owner'), validate(schemas.byId), restoreRecord(NOMINEE_RECORD));
+
+/**
+ * POST /api/admin/nominees/:id/purge
+ * Permanently deletes an archived nominee with its nominations and votes. Approval
+ * and ranked votes keep the voter's other choices. Body: { confirm }
+ */
+eventAdminRouter.post('/nominees/:id/purge', requireRole('owner'), validate(schemas.purge), purgeRecord(NOMINEE_RECORD));
+
+// --------------------------------------------
+// DUPLICATE NOMINEES
+// --------------------------------------------
+
+/**
+ * GET /api/admin/nominees/duplicates
+ * Groups of active nominees whose names suggest they are the same person or
+ * entity, with how many categories each is nominated in. Query: ?threshold=0.85
+ */
+eventAdminRouter.get('/nominees/duplicates', requireRole('editor'), validate(schemas.nomineeDuplicates), asyncHandler(async (req, res) => {
+    const [activeNominees, links] = await Promise.all([
+        nominees.list(req.event.id, { archived: false }),
+        nominations.list(req.event.id, { archived: false })
+    ]);
 
-    if (votesError) {
-        console.error('Error deleting associated votes:', votesError);
-        return res.status(500).json({ message: 'Failed to delete associated votes.', error: votesError });
+    const nominationCounts = new Map();
+    for (const { nominee_id } of links) {
+        nominationCounts.set(nominee_id, (nominationCounts.get(nominee_id) || 0) + 1);
     }
 
-    // 2. Delete all links in the nominations table for this nominee
-    const { error: nominationsError } = await supabase
-        .from('nominations')
-        .delete()
-        .eq('nominee_id', id);
+    const candidates = activeNominees.map(({ id, name, created_at }) => ({
+        id, name, created_at, nomination_count: nominationCounts.get(id) || 0
+    }));
+    const threshold = req.query.threshold === undefined ? undefined : Number(req.query.threshold);
+
+    res.json(findDuplicateNominees(candidates, { threshold }));
+}));
+
+/**
+ * POST /api/admin/nominees/:id/merge
+ * Merges a duplicate into this nominee: its nominations, votes, jury scores and
+ * nomination submissions move here and the duplicate is archived. Body: { duplicateId }
+ * Responds with counts of what changed; see migrations/020_merge_nominees.sql.
+ */
+eventAdminRouter.post('/nominees/:id/merge', requireRole('owner'), validate(schemas.mergeNominee), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { duplicateId } = req.body;
+
+    const [survivor, duplicate] = await Promise.all([
+        findEventRecord('nominees', id, req.event.id),
+        findEventRecord('nominees', duplicateId, req.event.id)
+    ]);
+    if (!survivor || !duplicate) throw new NotFoundError('Nominee not found.');
+
+    const changes = await nominees.merge({ eventId: req.event.id, targetId: id, sourceId: duplicateId, adminId: req.admin.id });
+
+    await recordAudit(req, {
+        action: 'nominee.merge',
+        entityType: 'nominee',
+        entityId: id,
+        before: { survivor, duplicate },
+        after: { mergedNomineeId: duplicateId, changes }
+    });
+
+    res.status(200).json({
+        message: `"${duplicate.name}" merged into "${survivor.name}".`,
+        survivorId: id,
+        mergedNomineeId: duplicateId,
+        changes
+    });
+}));
+
+// --------------------------------------------
+// MEDIA UPLOADS (nominee photos, category icons)
+// The image is the raw request body, e.g.
+//   curl -X PUT -H 'Content-Type: image/png' --data-binary @photo.png .../nominees/:id/photo
+// Files go to the storage driver configured in lib/storage.js.
+// --------------------------------------------
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const imageBody = express.raw({ type: IMAGE_TYPES, limit: MAX_IMAGE_BYTES });
+
+// Stores the uploaded image and points `<field>_path` / `<field>_url` at it,
+// then removes the image it replaces
+const uploadImage = ({ table, entityType, field, label }) => asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-    if (nominationsError) {
-        console.error('Error deleting associated nominations:', nominationsError);
-        return res.status(500).json({ message: 'Failed to delete associated nominations.', error: nominationsError });
+    const image = Buffer.isBuffer(req.body) ? detectImage(req.body) : null;
+    if (!image) {
+        throw new ValidationError('The request body must be a PNG, JPEG, GIF or WebP image with a matching Content-Type.', [], {
+            code: 'INVALID_IMAGE'
+        });
     }
 
-    // 3. Now delete the nominee (person/entity)
-    const { error: nomineeError } = await supabase
-        .from('nominees')
-        .delete()
-        .eq('id', id);
+    const before = await findEventRecord(table, id, req.event.id);
+    if (!before) throw new NotFoundError(`${label} not found.`);
 
-    if (nomineeError) {
-        console.error('Error deleting nominee:', nomineeError);
-        return res.status(500).json({ message: 'Failed to delete nominee.', error: nomineeError });
+    const objectPath = `${req.event.id}/${table}/${id}/${crypto.randomUUID()}.${image.extension}`;
+    const publicUrl = await storeObject(objectPath, req.body, image.type);
+
+    let data;
+    try {
+        data = await RECORDS[table].update(req.event.id, id, { [`${field}_path`]: objectPath, [`${field}_url`]: publicUrl });
+    } catch (error) {
+        await discardObject(req, objectPath);
+        throw error;
     }
 
-    res.status(200).json({ message: 'Nominee, all associated nominations, and votes deleted successfully.' });
+    await recordAudit(req, { action: `${entityType}.${field}`, entityType, entityId: id, before, after: data });
+    await discardObject(req, before[`${field}_path`]);
+    res.status(200).json(data);
+});
+
+const removeImage = ({ table, entityType, field, label }) => asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const before = await findEventRecord(table, id, req.event.id);
+    if (!before) throw new NotFoundError(`${label} not found.`);
+
+    const data = await RECORDS[table].update(req.event.id, id, { [`${field}_path`]: null, [`${field}_url`]: null });
+
+    await recordAudit(req, { action: `${entityType}.${field}_remove`, entityType, entityId: id, before, after: data });
+    await discardObject(req, before[`${field}_path`]);
+    res.status(200).json(data);
 });
 
+const NOMINEE_PHOTO = { table: 'nominees', entityType: 'nominee', field: 'photo', label: 'Nominee' };
+const CATEGORY_ICON = { table: 'categories', entityType: 'category', field: 'icon', label: 'Category' };
+
+/**
+ * PUT /api/admin/nominees/:id/photo
+ */
+eventAdminRouter.put('/nominees/:id/photo', requireRole('editor'), validate(schemas.byId), imageBody, uploadImage(NOMINEE_PHOTO));
+
+/**
+ * DELETE /api/admin/nominees/:id/photo
+ */
+eventAdminRouter.delete('/nominees/:id/photo', requireRole('editor'), validate(schemas.byId), removeImage(NOMINEE_PHOTO));
+
+/**
+ * PUT /api/admin/categories/:id/icon
+ */
+eventAdminRouter.put('/categories/:id/icon', requireRole('editor'), validate(schemas.byId), imageBody, uploadImage(CATEGORY_ICON));
+
+/**
+ * DELETE /api/admin/categories/:id/icon
+ */
+eventAdminRouter.delete('/categories/:id/icon', requireRole('editor'), validate(schemas.byId), removeImage(CATEGORY_ICON));
+
 
 // --------------------------------------------
 // NEW NOMINATIONS ROUTES (The Joining Links - Fixes the 404 Error)
@@ -193,140 +609,739 @@ adminRouter.delete('/nominees/:id', async (req, res) => {
 
 /**
  * GET /api/admin/nominations
- * Fetches ALL nominee-category links. This is the endpoint that was causing the 404 error.
+ * Nominee-category links with the names of both sides; ?q= searches nominee names.
+ * Query: ?categoryId=&nomineeId=&q=&sort=category|nominee|created_at&order=&limit=&offset=&archived=
  */
-adminRouter.get('/nominations', async (req, res) => {
-    // Fetch all nominations and join to get nominee/category names for display
-    const { data, error } = await supabase
-        .from('nominations')
-        .select(`
+eventAdminRouter.get('/nominations', requireRole('editor'), validate(schemas.nominationList), asyncHandler(async (req, res) => {
+    const options = {
+        ...listOptions('nominations', req),
+        categoryId: req.query.categoryId,
+        nomineeId: req.query.nomineeId
+    };
+    const { items, total } = await nominations.page(req.event.id, options);
+
+    // A link is only active while its category and nominee are not archived either
+    res.json(listResponse({
+        items: items.map(({ id, archived_at, category, nominee }) => ({
             id,
-            category:category_id ( id, name ),
-            nominee:nominee_id ( id, name )
-        `);
-        
-    if (error) return res.status(500).json({ message: 'Failed to retrieve nominations.', error });
-    res.json(data);
-});
+            archived_at,
+            category: category && { id: category.id, name: category.name, archived_at: category.archived_at },
+            nominee: nominee && { id: nominee.id, name: nominee.name, archived_at: nominee.archived_at }
+        })),
+        total
+    }, options));
+}));
 
 /**
  * POST /api/admin/nominations
  * Creates a new link between a nominee and a category.
  */
-adminRouter.post('/nominations', async (req, res) => {
+eventAdminRouter.post('/nominations', requireRole('editor'), validate(schemas.createNomination), asyncHandler(async (req, res) => {
     const { nominee_id, category_id } = req.body;
-    
-    // Check for existing nomination to prevent duplicates (optional but recommended)
-    const { count: existingCount, error: checkError } = await supabase
-        .from('nominations')
-        .select('*', { count: 'exact', head: true })
-        .eq('nominee_id', nominee_id)
-        .eq('category_id', category_id);
-
-    if (checkError) return res.status(500).json({ message: 'Error checking nomination existence.', error: checkError });
-    if (existingCount > 0) {
-         return res.status(409).json({ message: 'This nominee is already nominated in this category.' });
-    }
-
-    const { data, error } = await supabase
-        .from('nominations')
-        .insert([{ nominee_id, category_id }])
-        .select('*');
-        
-    if (error) return res.status(400).json({ message: 'Error adding nomination.', error });
-    res.status(201).json(data[0]);
-});
+
+    // Both sides of the link must belong to this event
+    const [nominee, category] = await Promise.all([
+        nominees.find(req.event.id, nominee_id),
+        categories.find(req.event.id, category_id)
+    ]);
+
+    if (!nominee || nominee.archived_at || !category || category.archived_at) {
+        throw new NotFoundError('Nominee or category not found in this event.');
+    }
+
+    // Duplicates are rejected by the (category_id, nominee_id) unique constraint
+    let data;
+    try {
+        data = await nominations.create({ nominee_id, category_id, event_id: req.event.id });
+    } catch (error) {
+        if (error.code !== UNIQUE_VIOLATION) throw error;
+
+        const existing = await nominations.findLink(category_id, nominee_id);
+
+        if (existing?.archived_at) {
+            throw new ConflictError('This nomination is archived. Restore it instead.', {
+                code: 'NOMINATION_ARCHIVED',
+                extra: { nominationId: existing.id }
+            });
+        }
+        throw new ConflictError('This nominee is already nominated in this category.', { code: 'ALREADY_NOMINATED' });
+    }
+
+    await recordAudit(req, { action: 'nomination.create', entityType: 'nomination', entityId: data.id, after: data });
+    res.status(201).json(data);
+}));
 
 /**
  * DELETE /api/admin/nominations/:id
- * Deletes a specific nominee-category link.
+ * Archives a specific nominee-category link; votes through it stop counting until it is restored.
  */
-adminRouter.delete('/nominations/:id', async (req, res) => {
-    const { id } = req.params;
-    
-    const { error } = await supabase
-        .from('nominations')
-        .delete()
-        .eq('id', id);
-        
-    if (error) return res.status(500).json({ message: 'Failed to delete nomination.', error });
-    res.status(200).json({ message: 'Nomination deleted successfully.' });
-});
+eventAdminRouter.delete('/nominations/:id', requireRole('owner'), validate(schemas.byId), archiveRecord(NOMINATION_RECORD));
+
+/**
+ * POST /api/admin/nominations/:id/restore
+ */
+eventAdminRouter.post('/nominations/:id/restore', requireRole('owner'), validate(schemas.byId), restoreRecord(NOMINATION_RECORD));
+
+/**
+ * POST /api/admin/nominations/:id/purge
+ * Permanently deletes an archived link. Body: { confirm: <nomination id> }
+ */
+eventAdminRouter.post('/nominations/:id/purge', requireRole('owner'), validate(schemas.purge), purgeRecord(NOMINATION_RECORD));
+
+
+// --------------------------------------------
+// BULK IMPORT
+// --------------------------------------------
+
+// CSV bodies arrive as text; JSON bodies are checked against their schema
+const validateJsonImport = validate(schemas.importJson);
+const validateImportBody = (req, res, next) =>
+    (typeof req.body === 'string' ? next() : validateJsonImport(req, res, next));
 
+// Checks every CSV row against schemas.importCsvRow; failures name their row
+const validateCsvRows = (rows) => {
+    const errors = [];
+    const valid = [];
+
+    for (const row of rows) {
+        const result = schemas.importCsvRow.check(row);
+        if (result.errors) {
+            errors.push(...result.errors.map(e => ({ location: 'body', row: row.row, ...e, message: `Row ${row.row}: ${e.message}` })));
+        } else {
+            valid.push({ row: row.row, ...result.value });
+        }
+    }
+
+    if (errors.length > 0) throw new ValidationError('Validation failed.', errors);
+    return valid;
+};
+
+/**
+ * POST /api/admin/import
+ * Sets up categories, nominees and nominations from a CSV file (Content-Type: text/csv)
+ * or a JSON body; both formats are described in lib/importer.js.
+ * Responds with the dry-run diff. With ?apply=true the changes are also written,
+ * in one transaction, unless the file has invalid entries, unknown references or
+ * conflicts (names of archived categories or nominees).
+ */
+eventAdminRouter.post(
+    '/import',
+    requireRole('editor'),
+    express.text({ type: 'text/csv', limit: '1mb' }),
+    validate(schemas.importQuery),
+    validateImportBody,
+    asyncHandler(async (req, res) => {
+        let entries;
+
+        if (typeof req.body === 'string') {
+            let rows;
+            try {
+                rows = readCsv(req.body);
+            } catch (error) {
+                throw new ValidationError(`The CSV file could not be read: ${error.message}`, [], { code: 'INVALID_CSV' });
+            }
+            entries = entriesFromCsv(validateCsvRows(rows));
+        } else {
+            entries = entriesFromJson(req.body);
+        }
+
+        if (entries.length === 0) {
+            throw new ValidationError('The import contains no categories.', [], { code: 'EMPTY_IMPORT' });
+        }
+
+        const plan = await planImport(req.event.id, entries);
+
+        if (!req.query.apply) {
+            return res.status(200).json({ dryRun: true, ...plan });
+        }
+
+        if (plan.invalidEntries.length > 0 || plan.unknownReferences.length > 0 || plan.conflicts.length > 0) {
+            throw new ValidationError('Import rejected: nothing was written.', [], {
+                code: 'IMPORT_REJECTED',
+                extra: { dryRun: false, ...plan }
+            });
+        }
+
+        const applied = await applyImport(req.event.id, plan);
+
+        await recordAudit(req, {
+            action: 'event.import',
+            entityType: 'event',
+            entityId: req.event.id,
+            after: { summary: plan.summary, applied }
+        });
+        res.status(200).json({ dryRun: false, ...plan, applied });
+    })
+);
 
 // --------------------------------------------
-// GET WINNERS / RESULTS (Optimized for New Nominations Structure)
+// VOTE CHANGE AUDIT
 // --------------------------------------------
-adminRouter.get('/winners', async (req, res) => {
-    // 1. Fetch Categories
-    const { data: allCategories, error: catError } = await supabase.from('categories').select('*');
 
-    if (catError) {
-        console.error('Error fetching categories:', catError);
-        return res.status(500).json({ message: 'Failed to retrieve categories for results.', error: catError });
+/**
+ * GET /api/admin/vote-changes
+ * Per-category counts of switched and withdrawn votes, plus the most recent
+ * changes (newest first). Query: ?categoryId=&limit= (default 100)
+ */
+eventAdminRouter.get('/vote-changes', requireRole('editor'), validate(schemas.voteChanges), asyncHandler(async (req, res) => {
+    const { categoryId, limit = 100 } = req.query;
+
+    const [changes, summaryRows] = await Promise.all([
+        voteChanges.list(req.event.id, { categoryId, limit }),
+        voteChanges.summary(req.event.id)
+    ]);
+
+    const summary = summaryRows
+        .filter(row => !categoryId || row.category_id === categoryId)
+        .map(row => ({
+            categoryId: row.category_id,
+            changed: Number(row.changed_count),
+            withdrawn: Number(row.withdrawn_count),
+            voters: Number(row.voter_count)
+        }));
+
+    res.json({ summary, changes });
+}));
+
+// --------------------------------------------
+// NOMINATION SUBMISSIONS
+// Nominees proposed by voters during the nomination phase (see routes/public.js).
+// --------------------------------------------
+
+/**
+ * GET /api/admin/submissions
+ * Oldest first. Query: ?status= (default pending) &categoryId=&limit= (default 100)
+ * matched_nominee is an existing nominee with the same name; similar_pending
+ * counts pending proposals of the same name in the category (including this one).
+ */
+eventAdminRouter.get('/submissions', requireRole('editor'), validate(schemas.submissions), asyncHandler(async (req, res) => {
+    const { status = 'pending', categoryId, limit = 100 } = req.query;
+
+    const [data, pending] = await Promise.all([
+        submissions.list(req.event.id, { status, categoryId, limit }),
+        submissions.pendingNames(req.event.id)
+    ]);
+
+    const pendingCounts = new Map();
+    for (const { category_id, normalized_name } of pending) {
+        const key = `${category_id}:${normalized_name}`;
+        pendingCounts.set(key, (pendingCounts.get(key) || 0) + 1);
     }
 
-    // FIX: Guard against allCategories being null
-    const categories = allCategories || [];
+    res.json(data.map(submission => ({
+        ...submission,
+        similar_pending: pendingCounts.get(`${submission.category?.id}:${submission.normalized_name}`) || 0
+    })));
+}));
+
+const findSubmission = async (req) => {
+    const submission = await findEventRecord('nomination_submissions', req.params.id, req.event.id);
+    if (!submission) throw new NotFoundError('Submission not found.');
+    return submission;
+};
+
+const SUBMISSION_ACTIONS = { approved: 'submission.approve', merged: 'submission.merge', rejected: 'submission.reject' };
+
+// Resolves a submission in one transaction and records the decision in the audit log
+const reviewSubmission = async (req, before, decision, { nomineeId, nomineeName, reason } = {}) => {
+    const submission = await submissions.review({
+        eventId: req.event.id,
+        submissionId: req.params.id,
+        adminId: req.admin.id,
+        decision,
+        nomineeId,
+        nomineeName,
+        reason
+    });
+
+    await recordAudit(req, {
+        action: SUBMISSION_ACTIONS[decision],
+        entityType: 'nomination_submission',
+        entityId: submission.id,
+        before,
+        after: submission
+    });
+    return submission;
+};
 
-    // 2. Process Categories and Count Votes for each Nominee
-    const resultsPromises = categories.map(async cat => {
-        // Fetch ALL nominees and their details nominated in THIS category via the nominations table
-        const { data: nominatedLinks, error: linkError } = await supabase
-            .from('nominations')
-            .select(`
-                nominee:nominee_id ( id, name ) 
-            `)
-            .eq('category_id', cat.id);
+/**
+ * POST /api/admin/submissions/:id/approve
+ * Creates the proposed nominee and nominates it. Body: { name, allowDuplicate } (both optional;
+ * name corrects the proposed spelling). A nominee with the same name already existing
+ * fails with POSSIBLE_DUPLICATE unless allowDuplicate is true; merge instead.
+ */
+eventAdminRouter.post('/submissions/:id/approve', requireRole('editor'), validate(schemas.approveSubmission), asyncHandler(async (req, res) => {
+    const { name, allowDuplicate } = req.body;
+    const submission = await findSubmission(req);
 
-        if (linkError) {
-             console.error(`Error fetching nominees for category ${cat.id}:`, linkError);
-             return { categoryName: cat.name, winner: { name: 'Error', voteCount: 0 }, fullTally: [] };
+    if (!allowDuplicate) {
+        const match = await findNomineeByName(req.event.id, name ?? submission.nominee_name);
+        if (match) {
+            throw new ConflictError(`A nominee named "${match.name}" already exists. Merge the submission into it instead.`, {
+                code: 'POSSIBLE_DUPLICATE',
+                extra: { nominee: match }
+            });
         }
+    }
 
-        // FIX: Ensure nomineesInCat is safely extracted and filters out any null nominees
-        const nomineesInCat = (nominatedLinks || [])
-            .map(link => link.nominee)
-            .filter(n => n && n.id); // Ensures nominee exists and has an ID
-        
-        const tallyPromises = nomineesInCat.map(async n => {
-            // Count votes for this specific nominee ID directly on the database
-            const { count, error } = await supabase
-                .from('votes')
-                .select('id', { count: 'exact', head: true })
-                .eq('nominee_id', n.id) // Filter by nominee ID
-                .eq('category_id', cat.id); // Filter by category ID (VOTES MUST HAVE category_id!)
-
-            if (error) {
-                console.error(`Error counting votes for nominee ${n.id}:`, error);
-                return { ...n, voteCount: 0 }; 
-            }
+    res.status(200).json(await reviewSubmission(req, submission, 'approved', { nomineeName: name }));
+}));
+
+/**
+ * POST /api/admin/submissions/:id/merge
+ * Nominates an existing nominee instead of creating a new one.
+ * Body: { nomineeId } (defaults to the nominee the submission was matched to)
+ */
+eventAdminRouter.post('/submissions/:id/merge', requireRole('editor'), validate(schemas.mergeSubmission), asyncHandler(async (req, res) => {
+    const submission = await findSubmission(req);
+    const nomineeId = req.body.nomineeId || submission.matched_nominee_id;
+
+    if (!nomineeId) {
+        throw new ValidationError('nomineeId is required: this submission matches no existing nominee.', [
+            { location: 'body', field: 'nomineeId', message: 'nomineeId is required.' }
+        ]);
+    }
+
+    res.status(200).json(await reviewSubmission(req, submission, 'merged', { nomineeId }));
+}));
+
+/**
+ * POST /api/admin/submissions/:id/reject
+ * Body: { reason } (shown to the voter who proposed it)
+ */
+eventAdminRouter.post('/submissions/:id/reject', requireRole('editor'), validate(schemas.rejectSubmission), asyncHandler(async (req, res) => {
+    const submission = await findSubmission(req);
+    res.status(200).json(await reviewSubmission(req, submission, 'rejected', { reason: req.body.reason }));
+}));
+
+// --------------------------------------------
+// FRAUD REVIEW QUEUE
+// Votes flagged by the anomaly rules in lib/fraud.js.
+// --------------------------------------------
+
+/**
+ * GET /api/admin/flags
+ * Newest first. Query: ?status= (default open) &rule=&categoryId=&limit= (default 100)
+ */
+eventAdminRouter.get('/flags', requireRole('editor'), validate(schemas.voteFlags), asyncHandler(async (req, res) => {
+    const { status = 'open', rule, categoryId, limit = 100 } = req.query;
+
+    res.json(await voteFlags.list(req.event.id, { status, rule, categoryId, limit }));
+}));
+
+// Resolves a flag in one transaction and records the decision in the audit log
+const reviewFlag = (decision) => asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const before = await voteFlags.find(req.event.id, id);
+    if (!before) throw new NotFoundError('Flag not found.');
+
+    const flag = await voteFlags.review({ eventId: req.event.id, flagId: id, adminId: req.admin.id, decision });
+
+    await recordAudit(req, {
+        action: decision === 'invalidated' ? 'vote.invalidate' : 'vote_flag.dismiss',
+        entityType: 'vote_flag',
+        entityId: id,
+        before,
+        after: flag
+    });
+    res.status(200).json(flag);
+});
+
+/**
+ * POST /api/admin/flags/:id/invalidate
+ * Invalidates the flagged vote: it stays on record but is no longer counted.
+ */
+eventAdminRouter.post('/flags/:id/invalidate', requireRole('owner'), validate(schemas.byId), reviewFlag('invalidated'));
+
+/**
+ * POST /api/admin/flags/:id/dismiss
+ * Marks the flag as a false alarm; the vote keeps counting.
+ */
+eventAdminRouter.post('/flags/:id/dismiss', requireRole('owner'), validate(schemas.byId), reviewFlag('dismissed'));
+
+// --------------------------------------------
+// JURY SCORES
+// --------------------------------------------
+
+/**
+ * GET /api/admin/jury-scores
+ * Every jury score of the event, per juror. Query: ?categoryId=
+ */
+eventAdminRouter.get('/jury-scores', requireRole('editor'), validate(schemas.juryScores), asyncHandler(async (req, res) => {
+    res.json(await juryScores.list(req.event.id, { categoryId: req.query.categoryId }));
+}));
+
+// --------------------------------------------
+// GET WINNERS / RESULTS
+// Served by the results engine: one aggregated pass per event, cached until
+// the next vote or admin change. ?refresh=true forces a recount;
+// ?excludeFlagged=true leaves out votes with open fraud flags.
+// --------------------------------------------
+eventAdminRouter.get('/winners', requireRole('viewer'), validate(schemas.winners), asyncHandler(async (req, res) => {
+    const results = await getEventResults(req.event.id, {
+        refresh: req.query.refresh === true,
+        excludeFlagged: req.query.excludeFlagged === true
+    });
+    res.json(results);
+}));
+
+/**
+ * GET /api/admin/winners/stream
+ * Server-Sent Events: a `snapshot` of all results, then a `tally` message per
+ * category whenever its numbers change. Supports Last-Event-ID resumption.
+ */
+eventAdminRouter.get('/winners/stream', requireRole('viewer'), validate(schemas.winnersStream), (req, res) => {
+    streamEventResults(req, res, req.event.id);
+});
+
+// --------------------------------------------
+// VOTER BALLOTS AND TURNOUT
+// --------------------------------------------
+
+/**
+ * GET /api/admin/voters/:id/ballot
+ * Every vote the voter cast in this event, with nominee names. `counted` is
+ * false for invalidated votes and votes in archived categories.
+ */
+eventAdminRouter.get('/voters/:id/ballot', requireRole('owner'), validate(schemas.byId), asyncHandler(async (req, res) => {
+    const voter = await voters.findById(req.params.id);
+    if (!voter) throw new NotFoundError('Voter not found.');
+
+    const [ballot, eventNominees] = await Promise.all([
+        votes.ballotOf(req.event.id, voter.id),
+        nominees.list(req.event.id)
+    ]);
+    const nomineeNames = new Map(eventNominees.map(nominee => [nominee.id, nominee.name]));
+
+    res.json({
+        voter,
+        votes: ballot.map(vote => {
+            const choices = vote.selections.length > 0
+                ? [...vote.selections].sort((a, b) => a.rank - b.rank)
+                : [{ nominee_id: vote.nominee_id, rank: 1 }];
 
             return {
-                ...n,
-                voteCount: count
+                voteId: vote.id,
+                categoryId: vote.category_id,
+                categoryName: vote.category.name,
+                votingMode: vote.category.voting_mode,
+                nominees: choices.map(({ nominee_id, rank }) => ({ id: nominee_id, name: nomineeNames.get(nominee_id) ?? null, rank })),
+                createdAt: vote.created_at,
+                updatedAt: vote.updated_at,
+                invalidatedAt: vote.invalidated_at,
+                counted: !vote.invalidated_at && !vote.category.archived_at
             };
-        });
+        })
+    });
+}));
+
+/**
+ * GET /api/admin/analytics/turnout
+ * Votes and new voters over time, participation per category and the share of
+ * voters who voted in every active category. Query: ?interval=day|hour (UTC)
+ */
+eventAdminRouter.get('/analytics/turnout', requireRole('viewer'), validate(schemas.turnout), asyncHandler(async (req, res) => {
+    res.json(await getEventTurnout(req.event.id, { interval: req.query.interval }));
+}));
+
+// --------------------------------------------
+// EXPORTS
+// Downloads for archiving and independent recounts. Every export accepts
+// ?categoryId= and ?status= (a lifecycle state) to narrow the categories.
+// --------------------------------------------
+
+const filteredResults = async (req) => {
+    const { categoryId, status } = req.query;
+    const results = await getEventResults(req.event.id);
 
-        const tally = await Promise.all(tallyPromises);
+    return results.filter(category =>
+        (!categoryId || category.categoryId === categoryId) && (!status || category.status === status));
+};
+
+/**
+ * GET /api/admin/exports/results
+ * Full tallies, one row per nominee per category. Query: ?format=csv|json (default csv)
+ */
+eventAdminRouter.get('/exports/results', requireRole('viewer'), validate(schemas.exportData), asyncHandler(async (req, res) => {
+    const results = await filteredResults(req);
 
-        // Sort by vote count descending
-        tally.sort((a, b) => b.voteCount - a.voteCount);
+    await sendExport(res, {
+        format: req.query.format || 'csv',
+        filename: `${req.event.slug}-results`,
+        columns: RESULT_COLUMNS,
+        rows: resultRows(results)
+    });
+}));
+
+/**
+ * GET /api/admin/exports/votes
+ * Every vote with the voter replaced by a per-event hash, for recounting.
+ * Invalidated votes are included with counted=false. Query: ?format=csv|json (default csv)
+ */
+eventAdminRouter.get('/exports/votes', requireRole('owner'), validate(schemas.exportData), asyncHandler(async (req, res) => {
+    const categories = await exportCategories(req.event.id, req.query);
 
-        return {
-            categoryName: cat.name,
-            winner: tally[0] || { name: 'No nominees', voteCount: 0 },
-            fullTally: tally
-        };
+    await sendExport(res, {
+        format: req.query.format || 'csv',
+        filename: `${req.event.slug}-votes`,
+        columns: VOTE_COLUMNS,
+        rows: anonymizedVotes(req.event.id, categories)
     });
+}));
+
+/**
+ * GET /api/admin/exports/report
+ * Printable HTML results report with a page per category.
+ */
+eventAdminRouter.get('/exports/report', requireRole('viewer'), validate(schemas.exportReport), asyncHandler(async (req, res) => {
+    const results = await filteredResults(req);
+
+    res.set('Content-Disposition', `inline; filename="${req.event.slug}-results.html"`);
+    res.type('html').send(resultsReport(req.event, results));
+}));
+
+// --------------------------------------------
+// EVENT ROUTES (Awards editions)
+// --------------------------------------------
+
+/**
+ * GET /api/admin/events
+ * Lists every awards edition, newest first.
+ */
+adminRouter.get('/events', requireRole('viewer'), asyncHandler(async (req, res) => {
+    res.json(await events.list());
+}));
+
+/**
+ * POST /api/admin/events
+ * Creates a new, empty awards edition. Body: { slug, name, year, is_current }
+ */
+adminRouter.post('/events', requireRole('owner'), validate(schemas.createEvent), asyncHandler(async (req, res) => {
+    const { slug, name, year, is_current = false } = req.body;
+
+    if (is_current) await events.clearCurrent();
+
+    const data = await events.create({ slug, name, year, is_current });
+    await recordAudit(req, { action: 'event.create', entityType: 'event', entityId: data.id, after: data });
+    res.status(201).json(data);
+}));
+
+/**
+ * PATCH /api/admin/events/:slug
+ * Updates an edition's details or makes it the current one. Body: { name, year, is_current }
+ */
+adminRouter.patch('/events/:slug', requireRole('owner'), validate(schemas.updateEvent), asyncHandler(async (req, res) => {
+    const { slug } = req.params;
+    const { name, year, is_current } = req.body;
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (year !== undefined) updateData.year = year;
+    if (is_current !== undefined) updateData.is_current = is_current;
+
+    if (Object.keys(updateData).length === 0) {
+        throw new ValidationError('At least one field (name, year or is_current) is required to update.');
+    }
+
+    const before = await events.findBySlug(slug);
+    if (!before) throw new NotFoundError(`Event "${slug}" not found.`, { code: 'EVENT_NOT_FOUND' });
+
+    // Only one edition can be current at a time
+    if (is_current === true) await events.clearCurrent({ exceptSlug: slug });
+
+    const data = await events.update(slug, updateData);
+    if (!data) throw new NotFoundError(`Event "${slug}" not found.`, { code: 'EVENT_NOT_FOUND' });
+    await recordAudit(req, { action: 'event.update', entityType: 'event', entityId: data.id, before, after: data });
+    res.status(200).json(data);
+}));
+
+/**
+ * POST /api/admin/events/:slug/clone
+ * Starts a new edition from an existing one: copies its categories, nominees and
+ * nominations (but no votes). Cloned categories start over as drafts with no schedule.
+ * Body: { slug, name, year }
+ */
+adminRouter.post('/events/:slug/clone', requireRole('owner'), validate(schemas.cloneEvent), resolveEvent, asyncHandler(async (req, res) => {
+    const { slug, name, year } = req.body;
+
+    const data = await events.clone({ sourceEventId: req.event.id, slug, name, year });
+    await recordAudit(req, { action: 'event.clone', entityType: 'event', entityId: data.id, before: { source_event_id: req.event.id }, after: data });
+    res.status(201).json(data);
+}));
+
+// --------------------------------------------
+// VOTERS
+// Privacy requests: anonymize erases a voter's personal data and keeps their
+// votes counted; delete removes the voter with their votes, jury scores and
+// proposals, and is refused once their votes are in published results.
+// Both need { confirm } set to the voter's current email. Audit entries for
+// voters record only the id and role, never personal data.
+// --------------------------------------------
+
+const auditableVoter = (voter) => voter && { id: voter.id, role: voter.role, anonymized_at: voter.anonymized_at };
+
+const findConfirmedVoter = async (req) => {
+    const voter = await voters.findById(req.params.id);
+    if (!voter) throw new NotFoundError('Voter not found.');
+
+    if (req.body.confirm.trim().toLowerCase() !== voter.email.toLowerCase()) {
+        throw new ValidationError('To confirm, set confirm to the voter\'s email address.', [], { code: 'CONFIRMATION_REQUIRED' });
+    }
+    return voter;
+};
+
+/**
+ * GET /api/admin/voters
+ * Paginated voter accounts. Query: ?q= (name or email), ?role=, ?sort=created_at|name|email,
+ * ?order=, ?limit=, ?offset=
+ */
+adminRouter.get('/voters', requireRole('owner'), validate(schemas.voterList), asyncHandler(async (req, res) => {
+    const paging = pageQuery('voters', req.query);
+    res.json(listResponse(await voters.page({ ...paging, role: req.query.role }), paging));
+}));
+
+/**
+ * GET /api/admin/voters/:id
+ */
+adminRouter.get('/voters/:id', requireRole('owner'), validate(schemas.byId), asyncHandler(async (req, res) => {
+    const voter = await voters.findById(req.params.id);
+    if (!voter) throw new NotFoundError('Voter not found.');
+    res.json(voter);
+}));
+
+/**
+ * PUT /api/admin/voters/:id/role
+ * Adds a voter to the jury panel ({ role: 'jury' }) or removes them ({ role: 'public' }).
+ * Scores already submitted are kept.
+ */
+adminRouter.put('/voters/:id/role', requireRole('owner'), validate(schemas.voterRole), asyncHandler(async (req, res) => {
+    const before = await voters.findById(req.params.id);
+    if (!before) throw new NotFoundError('Voter not found.');
+
+    const data = await voters.update(req.params.id, { role: req.body.role });
+    if (!data) throw new NotFoundError('Voter not found.');
+
+    await recordAudit(req, { action: 'voter.role', entityType: 'voter', entityId: data.id, before: auditableVoter(before), after: auditableVoter(data) });
+    res.status(200).json(data);
+}));
 
+/**
+ * POST /api/admin/voters/:id/anonymize
+ * Replaces the voter's name, email and phone, drops their sign-in codes and
+ * clears the IP addresses stored with their votes. Votes stay counted, so the
+ * email address cannot be used to register again.
+ * Body: { confirm: <voter email> }
+ */
+adminRouter.post('/voters/:id/anonymize', requireRole('owner'), validate(schemas.removeVoter), asyncHandler(async (req, res) => {
+    const before = await findConfirmedVoter(req);
+    const data = await voters.anonymize(before.id, { emailHash: hashEmail(before.email) });
+
+    await recordAudit(req, { action: 'voter.anonymize', entityType: 'voter', entityId: data.id, before: auditableVoter(before), after: auditableVoter(data) });
+    res.status(200).json(data);
+}));
+
+/**
+ * DELETE /api/admin/voters/:id
+ * Deletes the voter and everything they submitted. 409 VOTES_IN_PUBLISHED_RESULTS
+ * while any of their counted votes are in a published category.
+ * Body: { confirm: <voter email> }
+ */
+adminRouter.delete('/voters/:id', requireRole('owner'), validate(schemas.removeVoter), asyncHandler(async (req, res) => {
+    const before = await findConfirmedVoter(req);
+    const { eventIds, ...deleted } = await voters.remove(before.id);
+
+    eventIds.forEach(invalidateEventResults);
+
+    await recordAudit(req, { action: 'voter.delete', entityType: 'voter', entityId: before.id, before: auditableVoter(before), after: { deleted } });
+    res.status(200).json({ message: 'Voter deleted.', deleted });
+}));
+
+// --------------------------------------------
+// ADMIN ACCOUNTS
+// --------------------------------------------
+/**
+ * GET /api/admin/admin-users
+ */
+adminRouter.get('/admin-users', requireRole('owner'), asyncHandler(async (req, res) => {
+    res.json(await admins.list());
+}));
+
+/**
+ * POST /api/admin/admin-users
+ * Body: { email, name, role, password }
+ */
+adminRouter.post('/admin-users', requireRole('owner'), validate(schemas.createAdminUser), asyncHandler(async (req, res) => {
+    const { email, name, role, password } = req.body;
+
+    let data;
     try {
-        const results = await Promise.all(resultsPromises);
-        res.json(results);
-    } catch (finalError) {
-        console.error('Final error processing results:', finalError);
-        res.status(500).json({ message: 'Failed to process final results.', error: finalError });
+        data = await admins.create({ email: email.toLowerCase(), name, role, password_hash: await hashPassword(password) });
+    } catch (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+            throw new ConflictError('An admin with this email already exists.', { code: 'ADMIN_EXISTS' });
+        }
+        throw error;
     }
-});
+
+    await recordAudit(req, { action: 'admin_user.create', entityType: 'admin_user', entityId: data.id, after: data });
+    res.status(201).json(data);
+}));
+
+/**
+ * PATCH /api/admin/admin-users/:id
+ * Changes an account's name, role, password or active flag. Owners cannot
+ * demote or deactivate themselves, so there is always an owner left.
+ */
+adminRouter.patch('/admin-users/:id', requireRole('owner'), validate(schemas.updateAdminUser), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { name, role, is_active, password } = req.body;
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (role !== undefined) updateData.role = role;
+    if (is_active !== undefined) updateData.is_active = is_active;
+    if (password !== undefined) updateData.password_hash = await hashPassword(password);
+
+    if (Object.keys(updateData).length === 0) {
+        throw new ValidationError('At least one field (name, role, is_active or password) is required to update.');
+    }
+
+    if (id === req.admin.id && ((role !== undefined && role !== 'owner') || is_active === false)) {
+        throw new ConflictError('You cannot demote or deactivate your own account.', { code: 'CANNOT_MODIFY_SELF' });
+    }
+
+    const before = await admins.findById(id);
+    if (!before) throw new NotFoundError('Admin user not found.');
+
+    const data = await admins.update(id, { ...updateData, updated_at: new Date().toISOString() });
+
+    // Password hashes never go into the log; only the fact that it changed
+    await recordAudit(req, {
+        action: 'admin_user.update',
+        entityType: 'admin_user',
+        entityId: id,
+        before,
+        after: password !== undefined ? { ...data, password_changed: true } : data
+    });
+    res.status(200).json(data);
+}));
+
+// --------------------------------------------
+// AUDIT LOG
+// --------------------------------------------
+
+/**
+ * GET /api/admin/audit-log
+ * Newest first. Query: ?actorId=&action=&entityType=&entityId=&eventId=&since=&until=&limit= (default 100)
+ */
+adminRouter.get('/audit-log', requireRole('owner'), validate(schemas.auditLog), asyncHandler(async (req, res) => {
+    const { limit = 100, ...filters } = req.query;
+
+    res.json(await auditLog.list({ ...filters, limit }));
+}));
+
+adminRouter.use('/events/:slug', validate({ params: schemas.eventParams }), resolveEvent, eventAdminRouter);
+adminRouter.use(resolveEvent, eventAdminRouter); // Legacy unscoped routes target the current event
 
 export default adminRouter;
\ No newline at end of file
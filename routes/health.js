@@ -0,0 +1,53 @@
+import express from 'express';
+import { ping } from '../lib/repositories/index.js';
+import { logger } from '../lib/logger.js';
+
+const healthRouter = express.Router();
+
+// --------------------------------------------
+// GET /healthz
+// Liveness: the process is up and serving requests. Never touches the database,
+// so a database outage does not get the server restarted.
+// --------------------------------------------
+healthRouter.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms.`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// --------------------------------------------
+// GET /readyz
+// Readiness: 200 when the data store answers, 503 while it does not or while
+// the server is shutting down, so load balancers stop sending traffic.
+// --------------------------------------------
+healthRouter.get('/readyz', async (req, res) => {
+    const { config, shuttingDown } = req.app.locals;
+
+    if (shuttingDown) {
+        return res.status(503).json({ status: 'shutting_down' });
+    }
+
+    const startedAt = Date.now();
+    try {
+        await withTimeout(ping(), config.readinessTimeoutMs);
+    } catch (error) {
+        logger.warn('Readiness check failed', { requestId: req.id, error });
+        return res.status(503).json({
+            status: 'unavailable',
+            checks: { database: { status: 'failed', store: config.dataStore } }
+        });
+    }
+
+    res.json({
+        status: 'ready',
+        checks: { database: { status: 'ok', store: config.dataStore, durationMs: Date.now() - startedAt } }
+    });
+});
+
+export default healthRouter;
@@ -1,188 +1,641 @@
 import express from 'express';
-import { supabase } from '../supabase.js';
+import { notify } from '../lib/notifications.js';
+import { issueReceipts, checkReceipt, normalizeReceiptCode } from '../lib/receipts.js';
+import { createLoginCode, consumeLoginCode, issueVoterToken, hashEmail } from '../lib/voterAuth.js';
+import { effectiveStatus, votingUnavailableReason } from '../lib/lifecycle.js';
+import { ForbiddenError, NotFoundError, ConflictError, UnauthorizedError, TooManyRequestsError, ValidationError, UNIQUE_VIOLATION } from '../lib/errors.js';
+import asyncHandler from '../lib/asyncHandler.js';
+import requireVoter from '../middleware/requireVoter.js';
+import requireJuror from '../middleware/requireJuror.js';
+import resolveEvent from '../middleware/resolveEvent.js';
+import validate from '../middleware/validate.js';
+import * as schemas from '../schemas/public.js';
+import voteEvents from '../lib/voteEvents.js';
+import { streamEventResults } from '../lib/resultsStream.js';
+import { rateLimit } from '../lib/rateLimit.js';
+import { screenVotes } from '../lib/fraud.js';
+import { normalizeName } from '../lib/names.js';
+import { findNomineeByName } from '../lib/nominees.js';
+import { logger } from '../lib/logger.js';
+import {
+    events, voters, categories as categoryRecords, nominations, submissions, votes, juryScores
+} from '../lib/repositories/index.js';
 
 const publicRouter = express.Router();
 
+// Routes scoped to one awards edition (req.event), mounted under /events/:slug
+// and, for existing clients, at the root for the current event.
+const eventRouter = express.Router({ mergeParams: true });
+
 // --------------------------------------------
-// GET /api/public/categories-nominees
+// Abuse limits (per client IP and per email / voter; see .env.example)
 // --------------------------------------------
-publicRouter.get('/categories-nominees', async (req, res) => {
-    try {
-        const { data: categories, error: catError } = await supabase
-            .from('categories')
-            .select('id, name, description')
-            .eq('is_active', true)
-            .order('name', { ascending: true });
+const MINUTE_MS = 60 * 1000;
 
-        if (catError) throw catError;
+const limitSigninByIp = rateLimit({
+    name: 'signin:ip',
+    windowMs: 15 * MINUTE_MS,
+    max: () => Number(process.env.RATE_LIMIT_SIGNIN_PER_IP) || 20,
+    key: req => req.ip
+});
 
-        // If no categories, return empty result
-        if (!categories || categories.length === 0) {
-            return res.json([]);
-        }
+const limitSigninByEmail = rateLimit({
+    name: 'signin:email',
+    windowMs: 15 * MINUTE_MS,
+    max: () => Number(process.env.RATE_LIMIT_SIGNIN_PER_EMAIL) || 5,
+    key: req => req.body.email?.toLowerCase()
+});
 
-        const categoryIds = categories.map(c => c.id);
-
-        const { data: nominations, error: nomError } = await supabase
-            .from('nominations')
-            .select(`
-                id,
-                category_id,
-                nominee_id (
-                    id,
-                    name
-                )
-            `)
-            .in('category_id', categoryIds);
-
-        if (nomError) throw nomError;
-
-        const categoriesWithNominees = categories.map(cat => {
-            const nominees = nominations
-                .filter(n => n.category_id === cat.id)
-                .map(n => n.nominee_id)
-                .filter(n => n && n.id);
-
-            return {
-                id: cat.id,
-                name: cat.name,
-                description: cat.description,
-                nominees
-            };
-        });
+const limitVotesByIp = rateLimit({
+    name: 'vote:ip',
+    windowMs: MINUTE_MS,
+    max: () => Number(process.env.RATE_LIMIT_VOTE_PER_IP) || 60,
+    key: req => req.ip
+});
 
-        res.json(categoriesWithNominees);
+const limitVotesByVoter = rateLimit({
+    name: 'vote:voter',
+    windowMs: MINUTE_MS,
+    max: () => Number(process.env.RATE_LIMIT_VOTE_PER_VOTER) || 20,
+    key: req => req.voter?.id
+});
 
-    } catch (error) {
-        console.error('Error fetching categories with nominees:', error);
-        res.status(500).json({ 
-            message: 'Failed to load voting data.', 
-            error: error.message || error 
+const voteLimits = [limitVotesByIp, requireVoter, limitVotesByVoter];
+
+const limitReceiptChecksByIp = rateLimit({
+    name: 'receipt:ip',
+    windowMs: MINUTE_MS,
+    max: () => Number(process.env.RATE_LIMIT_RECEIPT_CHECKS_PER_IP) || 30,
+    key: req => req.ip
+});
+
+const limitSubmissionsByVoter = rateLimit({
+    name: 'submission:voter',
+    windowMs: 60 * MINUTE_MS,
+    max: () => Number(process.env.RATE_LIMIT_SUBMISSIONS_PER_VOTER) || 10,
+    key: req => req.voter?.id
+});
+
+// Screening must never undo a recorded vote, so failures are only logged.
+const screenRecordedVotes = async (req, votes) => {
+    try {
+        await screenVotes({
+            eventId: req.event.id,
+            voterId: req.voter.id,
+            voterEmail: req.voter.email,
+            ipAddress: req.ip,
+            votes
         });
+    } catch (error) {
+        logger.error('Vote screening failed', { requestId: req.id, error });
     }
-});
+};
+
+// Loads an active category of the event and makes sure it is accepting votes.
+const loadOpenCategory = async (eventId, categoryId) => {
+    const category = await categoryRecords.find(eventId, categoryId);
+
+    if (!category || !category.is_active || category.archived_at) {
+        throw new NotFoundError('Category not found.');
+    }
+
+    const unavailable = votingUnavailableReason(category);
+    if (unavailable) {
+        const { code, message, ...extra } = unavailable;
+        throw new ForbiddenError(message, { code, extra });
+    }
+
+    return category;
+};
+
+// The request field that carries a vote's choices in each voting mode
+const CHOICE_FIELDS = { single: 'nomineeId', approval: 'nomineeIds', ranked: 'ranking' };
+
+// Reads the choices from a vote or ballot entry in the shape the category's
+// voting mode expects. Returns `{ nomineeIds }` or `{ error: { field, code, message } }`.
+const readChoices = (category, input) => {
+    const mode = category.voting_mode || 'single';
+    const field = CHOICE_FIELDS[mode];
+
+    if (input[field] === undefined) {
+        return { error: { field, code: 'WRONG_BALLOT_SHAPE', message: `This category uses ${mode} voting: send ${field}.` } };
+    }
+
+    const nomineeIds = mode === 'single' ? [input[field]] : input[field];
+
+    if (new Set(nomineeIds).size !== nomineeIds.length) {
+        return { error: { field, code: 'DUPLICATE_CHOICE', message: 'Each nominee can only be chosen once.' } };
+    }
+    if (category.max_choices && nomineeIds.length > category.max_choices) {
+        return { error: { field, code: 'TOO_MANY_CHOICES', message: `This category accepts at most ${category.max_choices} choices.` } };
+    }
+
+    return { nomineeIds };
+};
+
+const choicesOrThrow = (category, input) => {
+    const { nomineeIds, error } = readChoices(category, input);
+
+    if (error) {
+        const { field, code, message } = error;
+        throw new ValidationError(message, [{ location: 'body', field, message }], { code });
+    }
+
+    return nomineeIds;
+};
+
+// --------------------------------------------
+// GET /api/public/events/:slug/categories-nominees
+// --------------------------------------------
+eventRouter.get('/categories-nominees', asyncHandler(async (req, res) => {
+    const activeCategories = await categoryRecords.list(req.event.id, { archived: false, activeOnly: true });
+
+    // Draft categories stay hidden until they open
+    const now = new Date();
+    const categories = (activeCategories || [])
+        .map(cat => ({ ...cat, status: effectiveStatus(cat, now) }))
+        .filter(cat => cat.status !== 'draft');
+
+    if (categories.length === 0) {
+        const upcoming = (activeCategories || [])
+            .map(cat => cat.opens_at)
+            .filter(opensAt => opensAt && new Date(opensAt) > now)
+            .sort();
+
+        if (upcoming.length > 0) {
+            throw new ForbiddenError('Voting is not open yet.', {
+                code: 'VOTING_NOT_OPEN',
+                extra: { opensAt: upcoming[0] }
+            });
+        }
+
+        return res.json([]);
+    }
+
+    const categoryIds = categories.map(c => c.id);
+
+    const links = await nominations.list(req.event.id, { archived: false, categoryIds });
+
+    const categoriesWithNominees = categories.map(cat => {
+        const nominees = links
+            .filter(n => n.category_id === cat.id)
+            .map(n => n.nominee)
+            .filter(n => n && n.id && !n.archived_at)
+            .map(({ id, name, bio, organization, links: profileLinks, photo_url }) => ({
+                id, name, bio, organization, links: profileLinks, photoUrl: photo_url
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        return {
+            id: cat.id,
+            name: cat.name,
+            description: cat.description,
+            iconUrl: cat.icon_url,
+            displayOrder: cat.display_order,
+            status: cat.status,
+            opensAt: cat.opens_at,
+            closesAt: cat.closes_at,
+            voteChangePolicy: cat.vote_change_policy,
+            maxVoteChanges: cat.max_vote_changes,
+            votingMode: cat.voting_mode,
+            maxChoices: cat.max_choices,
+            nominees
+        };
+    });
+
+    res.json(categoriesWithNominees);
+}));
 
 // --------------------------------------------
 // POST /api/public/signin
+// Step 1 of sign-in: registers the voter if needed and mails a one-time code.
+// A new voter can opt in to voting and results notices with `notifications: true`.
+// The code is not verified yet, so an existing voter's choice is left alone
+// here; they change it through PUT /notification-preferences.
+// The address of an anonymized voter cannot register again: their votes still count.
 // --------------------------------------------
-publicRouter.post('/signin', async (req, res) => {
-    const { name, email, phone } = req.body;
+publicRouter.post('/signin', limitSigninByIp, validate(schemas.signin), limitSigninByEmail, asyncHandler(async (req, res) => {
+    const { name, email, phone, notifications } = req.body;
 
-    try {
-        const { data: voter, error: selectError } = await supabase
-            .from('voters')
-            .select('id')
-            .eq('email', email)
-            .maybeSingle();
+    let voter = await voters.findByEmail(email);
 
-        if (selectError && selectError.code !== 'PGRST116') throw selectError;
+    if (!voter) {
+        if (await voters.isAnonymizedEmail(hashEmail(email))) {
+            throw new ForbiddenError('This email address can no longer be used to sign in.', { code: 'VOTER_REMOVED' });
+        }
+        voter = await voters.create({ name, email, phone, notifications_opt_in: notifications ?? false });
+    }
 
-        let voterId;
+    const { code, expiresAt } = await createLoginCode(voter.id);
 
-        if (voter) {
-            voterId = voter.id;
-        } else {
-            const { data: newVoter, error: insertError } = await supabase
-                .from('voters')
-                .insert([{ name, email, phone }])
-                .select('id')
-                .single();
+    await notify('signinCode', email, { code, expiresAt });
 
-            if (insertError) throw insertError;
+    res.status(200).json({ message: 'A sign-in code has been sent to your email.', expiresAt });
+}));
 
-            voterId = newVoter.id;
-        }
+// --------------------------------------------
+// POST /api/public/signin/verify
+// Step 2 of sign-in: exchanges the emailed code for a session token.
+// --------------------------------------------
+publicRouter.post('/signin/verify', limitSigninByIp, validate(schemas.verifySignin), limitSigninByEmail, asyncHandler(async (req, res) => {
+    const { email, code } = req.body;
 
-        res.status(200).json({ voterId, message: 'Sign-in successful.' });
+    const voter = await voters.findByEmail(email);
 
-    } catch (error) {
-        console.error('Error in /signin:', error);
-        res.status(500).json({ 
-            message: 'Failed to sign in.', 
-            error: error.message || error 
-        });
+    if (!voter) {
+        throw new UnauthorizedError('Invalid or expired sign-in code.', { code: 'INVALID_CODE' });
     }
-});
+
+    const outcome = await consumeLoginCode(voter.id, code);
+
+    if (outcome === 'locked') {
+        throw new TooManyRequestsError('Too many attempts. Please request a new sign-in code.', { code: 'CODE_LOCKED' });
+    }
+
+    if (outcome !== 'ok') {
+        throw new UnauthorizedError('Invalid or expired sign-in code.', { code: 'INVALID_CODE' });
+    }
+
+    const { token, expiresAt } = issueVoterToken(voter);
+
+    res.status(200).json({ token, expiresAt, voterId: voter.id, message: 'Sign-in successful.' });
+}));
 
 // --------------------------------------------
-// GET /api/public/voter-votes/:voterId
+// PUT /api/public/notification-preferences
+// Opts the signed-in voter in to or out of notices: { notifications: true|false }
 // --------------------------------------------
-publicRouter.get('/voter-votes/:voterId', async (req, res) => {
-    const { voterId } = req.params;
+publicRouter.put('/notification-preferences', requireVoter, validate(schemas.notificationPreferences), asyncHandler(async (req, res) => {
+    const voter = await voters.update(req.voter.id, { notifications_opt_in: req.body.notifications });
+    if (!voter) throw new NotFoundError('Voter not found.');
 
-    try {
-        const { data, error } = await supabase
-            .from('votes')
-            .select('category_id, nominee_id')
-            .eq('voter_id', voterId);
+    res.status(200).json({ notifications: voter.notifications_opt_in });
+}));
+
+// --------------------------------------------
+// GET /api/public/receipts/:code
+// Confirms that a vote receipt is recorded and whether the vote still counts.
+// Never reveals the nominees voted for (see lib/receipts.js).
+// --------------------------------------------
+publicRouter.get('/receipts/:code', limitReceiptChecksByIp, validate(schemas.receipt), asyncHandler(async (req, res) => {
+    const code = normalizeReceiptCode(req.params.code);
+    if (!code) {
+        throw new ValidationError('Receipt codes look like 7KQ2-M9XD-4TRA.', [], { code: 'INVALID_RECEIPT_CODE' });
+    }
 
-        if (error) throw error;
+    const receipt = await checkReceipt(code);
+    if (!receipt) throw new NotFoundError('No vote is recorded with this receipt code.', { code: 'RECEIPT_NOT_FOUND' });
 
-        res.json(data);
+    res.json(receipt);
+}));
 
-    } catch (error) {
-        console.error('Error fetching voter votes:', error);
-        res.status(500).json({
-            message: 'Failed to retrieve past votes.',
-            error: error.message || error
-        });
+// --------------------------------------------
+// GET /api/public/events/:slug/voter-votes
+// The voter comes from the session token; the legacy :voterId segment
+// is still accepted but must match the signed-in voter. nominee_ids lists
+// every choice of approval and ranked votes (in rank order).
+// --------------------------------------------
+eventRouter.get('/voter-votes/:voterId?', requireVoter, validate(schemas.voterVotes), asyncHandler(async (req, res) => {
+    const voterId = req.voter.id;
+
+    if (req.params.voterId && req.params.voterId !== voterId) {
+        throw new ForbiddenError('Forbidden: You can only view your own votes.');
     }
-});
+
+    const data = await votes.listForVoter(req.event.id, voterId);
+
+    // Votes in archived categories are kept, but the categories are hidden from voters
+    const visible = data.filter(vote => !vote.category?.archived_at);
+
+    res.json(visible.map(({ selections, category, ...vote }) => ({
+        ...vote,
+        nominee_ids: selections && selections.length > 0
+            ? [...selections].sort((a, b) => (a.rank ?? 0) - (b.rank ?? 0)).map(s => s.nominee_id)
+            : [vote.nominee_id]
+    })));
+}));
 
 // --------------------------------------------
-// POST /api/public/vote
+// POST /api/public/events/:slug/vote
+// Body: { categoryId, nomineeId } for single-choice categories,
+// { categoryId, nomineeIds: [...] } for approval and
+// { categoryId, ranking: [...] } (best first) for ranked ones.
 // --------------------------------------------
-publicRouter.post('/vote', async (req, res) => {
-    const { voterId, categoryId, nomineeId } = req.body;
+eventRouter.post('/vote', voteLimits, validate(schemas.vote), asyncHandler(async (req, res) => {
+    const voterId = req.voter.id;
+    const { categoryId } = req.body;
 
+    const category = await loadOpenCategory(req.event.id, categoryId);
+    const nomineeIds = choicesOrThrow(category, req.body);
+
+    // Nomination check and insert happen in one transaction; the
+    // (voter_id, category_id) unique constraint rejects duplicate votes.
+    let vote;
     try {
-        // Validate nomination
-        const { count: isNominated, error: checkNomErr } = await supabase
-            .from('nominations')
-            .select('id', { count: 'exact', head: true })
-            .eq('category_id', categoryId)
-            .eq('nominee_id', nomineeId);
-
-        if (checkNomErr) throw checkNomErr;
-
-        if (isNominated === 0) {
-            return res.status(400).json({
-                message: 'Invalid vote: Nominee is not nominated in this category.'
+        vote = await votes.cast({ eventId: req.event.id, voterId, categoryId, nomineeIds, ipAddress: req.ip });
+    } catch (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+            throw new ConflictError('You have already voted in this category.', {
+                code: 'ALREADY_VOTED',
+                extra: { canChange: category.vote_change_policy !== 'immutable' }
             });
         }
+        throw error;
+    }
 
-        // Prevent duplicates
-        const { data: existingVote, error: voteCheckErr } = await supabase
-            .from('votes')
-            .select('id')
-            .eq('voter_id', voterId)
-            .eq('category_id', categoryId)
-            .maybeSingle();
+    voteEvents.emit('vote', { eventId: req.event.id, categoryId, nomineeId: nomineeIds[0] });
+    await screenRecordedVotes(req, [{ id: vote.id, categoryId, nomineeIds }]);
+    const [receipt] = await issueReceipts(req, [{ vote, category, nomineeIds }]);
 
-        if (voteCheckErr && voteCheckErr.code !== 'PGRST116') throw voteCheckErr;
+    res.status(201).json({ message: 'Vote recorded successfully!', receipt });
+}));
 
-        if (existingVote) {
-            return res.status(409).json({
-                message: 'You have already voted in this category.'
-            });
+// --------------------------------------------
+// PUT /api/public/events/:slug/votes/:categoryId
+// Changes the voter's choice, if the category's vote change policy allows it.
+// The body takes the same choice field as POST /vote.
+// --------------------------------------------
+eventRouter.put('/votes/:categoryId', voteLimits, validate(schemas.changeVote), asyncHandler(async (req, res) => {
+    const { categoryId } = req.params;
+
+    const category = await loadOpenCategory(req.event.id, categoryId);
+    const nomineeIds = choicesOrThrow(category, req.body);
+
+    const vote = await votes.change({
+        eventId: req.event.id,
+        voterId: req.voter.id,
+        categoryId,
+        nomineeIds
+    });
+
+    voteEvents.emit('vote', { eventId: req.event.id, categoryId, nomineeId: nomineeIds[0] });
+    await screenRecordedVotes(req, [{ id: vote.id, categoryId, nomineeIds }]);
+    const [receipt] = await issueReceipts(req, [{ vote, category, nomineeIds }]);
+
+    res.status(200).json({
+        message: 'Vote updated successfully!',
+        vote: { categoryId: vote.category_id, nomineeId: vote.nominee_id, nomineeIds, updatedAt: vote.updated_at },
+        receipt
+    });
+}));
+
+// --------------------------------------------
+// DELETE /api/public/events/:slug/votes/:categoryId
+// Withdraws the voter's vote, if the category's vote change policy allows it.
+// --------------------------------------------
+eventRouter.delete('/votes/:categoryId', voteLimits, validate(schemas.withdrawVote), asyncHandler(async (req, res) => {
+    const { categoryId } = req.params;
+
+    await loadOpenCategory(req.event.id, categoryId);
+
+    await votes.withdraw({ eventId: req.event.id, voterId: req.voter.id, categoryId });
+
+    voteEvents.emit('vote', { eventId: req.event.id, categoryId, nomineeId: null });
+
+    res.status(200).json({ message: 'Vote withdrawn successfully.' });
+}));
+
+// --------------------------------------------
+// POST /api/public/events/:slug/ballot
+// Casts a whole ballot at once: { choices: [{ categoryId, nomineeId }, ...] },
+// with nomineeIds or ranking instead of nomineeId for approval and ranked
+// categories (see POST /vote). Either every new choice is recorded or none is; categories the voter has
+// already voted in are skipped and listed separately.
+// --------------------------------------------
+eventRouter.post('/ballot', voteLimits, validate(schemas.ballot), asyncHandler(async (req, res) => {
+    const voterId = req.voter.id;
+    const { choices } = req.body;
+    const categoryIds = choices.map(choice => choice.categoryId);
+
+    const [ballotCategories, links] = await Promise.all([
+        categoryRecords.list(req.event.id, { archived: false, activeOnly: true, ids: categoryIds }),
+        nominations.list(req.event.id, { archived: false, categoryIds })
+    ]);
+
+    const categoriesById = new Map(ballotCategories.map(cat => [cat.id, cat]));
+    const nominated = new Set(links
+        .filter(n => !n.nominee?.archived_at)
+        .map(n => `${n.category_id}:${n.nominee_id}`));
+    const seen = new Set();
+
+    // Report every bad choice at once rather than failing on the first
+    const errors = [];
+    const ballotChoices = [];
+    choices.forEach((choice, index) => {
+        const { categoryId } = choice;
+        const field = `choices.${index}`;
+        const category = categoriesById.get(categoryId);
+        const unavailable = category && votingUnavailableReason(category);
+        const { nomineeIds, error } = category ? readChoices(category, choice) : {};
+
+        if (seen.has(categoryId)) {
+            errors.push({ location: 'body', field, code: 'DUPLICATE_CATEGORY', message: 'Only one choice per category is allowed.' });
+        } else if (!category) {
+            errors.push({ location: 'body', field, code: 'NOT_FOUND', message: 'Category not found.' });
+        } else if (unavailable) {
+            errors.push({ location: 'body', field, code: unavailable.code, message: unavailable.message });
+        } else if (error) {
+            errors.push({ location: 'body', field: `${field}.${error.field}`, code: error.code, message: error.message });
+        } else if (!nomineeIds.every(nomineeId => nominated.has(`${categoryId}:${nomineeId}`))) {
+            errors.push({ location: 'body', field, code: 'NOT_NOMINATED', message: 'Nominee is not nominated in this category.' });
+        } else {
+            ballotChoices.push({ category_id: categoryId, nominee_ids: nomineeIds });
         }
 
-        // Insert vote
-        const { error: insertErr } = await supabase
-            .from('votes')
-            .insert([{ voter_id: voterId, category_id: categoryId, nominee_id: nomineeId }]);
+        seen.add(categoryId);
+    });
 
-        if (insertErr) throw insertErr;
+    if (errors.length > 0) {
+        throw new ValidationError('Ballot rejected: no votes were recorded.', errors, { code: 'INVALID_BALLOT' });
+    }
 
-        res.status(201).json({ message: 'Vote recorded successfully!' });
+    const outcomes = await votes.castBallot({
+        eventId: req.event.id,
+        voterId,
+        choices: ballotChoices,
+        ipAddress: req.ip
+    });
+
+    const results = outcomes.map(outcome => ({
+        categoryId: outcome.category_id,
+        nomineeId: outcome.nominee_ids[0],
+        nomineeIds: outcome.nominee_ids,
+        status: outcome.status,
+        voteId: outcome.vote_id
+    }));
+    const recorded = results.filter(result => result.status === 'recorded');
+    const alreadyVoted = results.filter(result => result.status === 'already_voted');
+
+    for (const { categoryId, nomineeId } of recorded) {
+        voteEvents.emit('vote', { eventId: req.event.id, categoryId, nomineeId });
+    }
+    if (recorded.length > 0) {
+        await screenRecordedVotes(req, recorded.map(({ voteId, categoryId, nomineeIds }) => ({ id: voteId, categoryId, nomineeIds })));
+    }
 
-    } catch (error) {
-        console.error('Error submitting vote:', error);
-        res.status(500).json({
-            message: 'Vote submission failed.',
-            error: error.message || error
+    // One receipt per new vote, mailed together
+    const receipts = recorded.length > 0
+        ? await issueReceipts(req, recorded.map(({ voteId, categoryId, nomineeIds }) => ({
+            vote: { id: voteId, category_id: categoryId, updated_at: null },
+            category: categoriesById.get(categoryId),
+            nomineeIds
+        })))
+        : [];
+    const receiptsByCategory = new Map(recorded.map((result, index) => [result.categoryId, receipts[index]]));
+
+    res.status(recorded.length > 0 ? 201 : 200).json({
+        message: `${recorded.length} vote(s) recorded, ${alreadyVoted.length} category(ies) already voted.`,
+        results: results.map(({ voteId, ...result }) => (result.status === 'recorded'
+            ? { ...result, receipt: receiptsByCategory.get(result.categoryId) }
+            : result)),
+        recorded: recorded.map(result => result.categoryId),
+        alreadyVoted: alreadyVoted.map(result => result.categoryId)
+    });
+}));
+
+// --------------------------------------------
+// NOMINATION PHASE
+// Before voting opens, voters can propose nominees for categories that accept
+// them. Proposals are reviewed by an admin (see the submissions routes in
+// routes/admin.js) before they appear on the ballot.
+// --------------------------------------------
+// Draft categories stay hidden from voting, but can be open for nominations
+const acceptsNominations = (category) => category.nominations_open && effectiveStatus(category) === 'draft';
+
+// --------------------------------------------
+// GET /api/public/events/:slug/nomination-categories
+// Categories currently accepting nominee proposals.
+// --------------------------------------------
+eventRouter.get('/nomination-categories', asyncHandler(async (req, res) => {
+    const data = await categoryRecords.list(req.event.id, { archived: false, activeOnly: true, nominationsOpen: true });
+
+    res.json(data.filter(acceptsNominations).map(category => ({
+        id: category.id,
+        name: category.name,
+        description: category.description,
+        iconUrl: category.icon_url,
+        opensAt: category.opens_at
+    })));
+}));
+
+// --------------------------------------------
+// GET /api/public/events/:slug/nominations/mine
+// The signed-in voter's proposals and how they were decided.
+// --------------------------------------------
+eventRouter.get('/nominations/mine', requireVoter, asyncHandler(async (req, res) => {
+    res.json(await submissions.listForVoter(req.event.id, req.voter.id));
+}));
+
+// --------------------------------------------
+// POST /api/public/events/:slug/nominations
+// Proposes a nominee for a category. Body: { categoryId, nomineeName, reason }
+// --------------------------------------------
+eventRouter.post('/nominations', requireVoter, limitSubmissionsByVoter, validate(schemas.submitNomination), asyncHandler(async (req, res) => {
+    const { categoryId, nomineeName, reason } = req.body;
+
+    const category = await categoryRecords.find(req.event.id, categoryId);
+    if (!category || !category.is_active || category.archived_at) throw new NotFoundError('Category not found.');
+
+    if (!acceptsNominations(category)) {
+        throw new ForbiddenError('This category is not accepting nominations.', { code: 'NOMINATIONS_CLOSED' });
+    }
+
+    // Proposing someone who is already on this category's ballot achieves nothing
+    const match = await findNomineeByName(req.event.id, nomineeName);
+
+    if (match) {
+        const link = await nominations.findLink(categoryId, match.id);
+
+        if (link && !link.archived_at) {
+            throw new ConflictError(`${match.name} is already nominated in this category.`, {
+                code: 'ALREADY_NOMINATED',
+                extra: { nominee: match }
+            });
+        }
+    }
+
+    let data;
+    try {
+        data = await submissions.create({
+            event_id: req.event.id,
+            category_id: categoryId,
+            voter_id: req.voter.id,
+            nominee_name: nomineeName,
+            normalized_name: normalizeName(nomineeName),
+            reason,
+            matched_nominee_id: match?.id ?? null
         });
+    } catch (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+            throw new ConflictError('You have already proposed this nominee for this category.', { code: 'DUPLICATE_SUBMISSION' });
+        }
+        throw error;
+    }
+
+    res.status(201).json(data);
+}));
+
+// --------------------------------------------
+// GET /api/public/events/:slug/jury/scores
+// The signed-in juror's scores for this event.
+// --------------------------------------------
+eventRouter.get('/jury/scores', requireJuror, asyncHandler(async (req, res) => {
+    res.json(await juryScores.listForJuror(req.event.id, req.voter.id));
+}));
+
+// --------------------------------------------
+// PUT /api/public/events/:slug/jury/scores/:categoryId
+// Jury members score nominees 0-10: { scores: [{ nomineeId, score }, ...] }.
+// All scores are saved together; scoring a nominee again replaces the old score.
+// --------------------------------------------
+eventRouter.put('/jury/scores/:categoryId', requireJuror, validate(schemas.submitJuryScores), asyncHandler(async (req, res) => {
+    const { categoryId } = req.params;
+    const { scores } = req.body;
+
+    await loadOpenCategory(req.event.id, categoryId);
+
+    const nomineeIds = scores.map(entry => entry.nomineeId);
+    if (new Set(nomineeIds).size !== nomineeIds.length) {
+        throw new ValidationError('Each nominee can only be scored once per submission.', [], { code: 'DUPLICATE_CHOICE' });
+    }
+
+    const saved = await juryScores.submit({
+        eventId: req.event.id,
+        jurorId: req.voter.id,
+        categoryId,
+        scores: scores.map(entry => ({ nominee_id: entry.nomineeId, score: entry.score }))
+    });
+
+    voteEvents.emit('vote', { eventId: req.event.id, categoryId, nomineeId: null });
+
+    res.status(200).json({
+        message: `${saved.length} score(s) saved.`,
+        scores: saved.map(row => ({ nomineeId: row.nominee_id, score: row.score }))
+    });
+}));
+
+// --------------------------------------------
+// GET /api/public/events/:slug/results/stream
+// Live results for published categories only (enable with PUBLIC_RESULTS_STREAM=true).
+// --------------------------------------------
+eventRouter.get('/results/stream', validate(schemas.resultsStream), (req, res) => {
+    if (!req.app.locals.config.features.publicResultsStream) {
+        throw new NotFoundError('Public results stream is not enabled.');
     }
+
+    streamEventResults(req, res, req.event.id, { filter: category => category.status === 'published' });
 });
 
+// --------------------------------------------
+// GET /api/public/events
+// --------------------------------------------
+publicRouter.get('/events', asyncHandler(async (req, res) => {
+    const data = await events.list();
+
+    res.json(data.map(({ slug, name, year, is_current }) => ({ slug, name, year, is_current })));
+}));
+
+publicRouter.use('/events/:slug', validate({ params: schemas.eventParams }), resolveEvent, eventRouter);
+publicRouter.use(resolveEvent, eventRouter); // Legacy unscoped routes target the current event
+
 export default publicRouter;
@@ -0,0 +1,392 @@
+import { object, array, string, email, slug, url, id, integer, boolean, timestamp, oneOf } from '../lib/validation.js';
+import { LIFECYCLE_STATES } from '../lib/lifecycle.js';
+import { ADMIN_ROLES } from '../lib/adminAuth.js';
+import { LISTS, SORT_ORDERS, MAX_PAGE_SIZE } from '../lib/pagination.js';
+
+// --------------------------------------------
+// Request schemas for routes/admin.js
+// --------------------------------------------
+
+const name = () => string({ min: 1, max: 150 });
+const description = () => string({ max: 1000 });
+const year = () => integer({ min: 1900, max: 2200 });
+
+const idParams = object({ id: id() });
+
+export const eventParams = object({
+    slug: slug()
+});
+
+// --- Admin accounts ---
+
+const password = () => string({ min: 12, max: 200, trim: false });
+
+export const login = {
+    body: object({
+        email: email(),
+        password: string({ min: 1, max: 200, trim: false })
+    })
+};
+
+export const createAdminUser = {
+    body: object({
+        email: email(),
+        name: name(),
+        role: oneOf(ADMIN_ROLES),
+        password: password()
+    })
+};
+
+export const updateAdminUser = {
+    params: idParams,
+    body: object({
+        name: name().optional(),
+        role: oneOf(ADMIN_ROLES).optional(),
+        is_active: boolean().optional(),
+        password: password().optional()
+    })
+};
+
+export const auditLog = {
+    query: object({
+        actorId: id().optional(),
+        action: string({ max: 100 }).optional(),
+        entityType: string({ max: 50 }).optional(),
+        entityId: string({ max: 100 }).optional(),
+        eventId: id().optional(),
+        since: timestamp().optional(),
+        until: timestamp().optional(),
+        limit: integer({ min: 1, max: 500 }).optional()
+    })
+};
+
+// --- Events ---
+
+export const createEvent = {
+    body: object({
+        slug: slug(),
+        name: name(),
+        year: year().optional().nullable(),
+        is_current: boolean().optional()
+    })
+};
+
+export const updateEvent = {
+    params: eventParams,
+    body: object({
+        name: name().optional(),
+        year: year().optional().nullable(),
+        is_current: boolean().optional()
+    })
+};
+
+export const cloneEvent = {
+    params: eventParams,
+    body: object({
+        slug: slug(),
+        name: name(),
+        year: year().optional().nullable()
+    })
+};
+
+// --- Categories ---
+
+const displayOrder = () => integer({ min: -10000, max: 10000 });
+
+export const createCategory = {
+    body: object({
+        name: name(),
+        display_order: displayOrder().optional()
+    })
+};
+
+export const VOTE_CHANGE_POLICIES = ['immutable', 'until_close', 'limited'];
+export const VOTING_MODES = ['single', 'approval', 'ranked'];
+
+export const updateCategory = {
+    params: idParams,
+    body: object({
+        name: name().optional(),
+        description: description().optional().nullable(),
+        vote_change_policy: oneOf(VOTE_CHANGE_POLICIES).optional(),
+        max_vote_changes: integer({ min: 0, max: 100 }).optional().nullable(),
+        voting_mode: oneOf(VOTING_MODES).optional(),
+        max_choices: integer({ min: 1, max: 50 }).optional().nullable(),
+        jury_weight: integer({ min: 0, max: 100 }).optional(),
+        display_order: displayOrder().optional(),
+        nominations_open: boolean().optional()
+    })
+};
+
+export const categoryStatus = {
+    params: idParams,
+    body: object({
+        status: oneOf(LIFECYCLE_STATES)
+    })
+};
+
+const schedule = object({
+    opens_at: timestamp().optional().nullable(),
+    closes_at: timestamp().optional().nullable()
+});
+
+export const categorySchedule = {
+    params: idParams,
+    body: schedule
+};
+
+export const lifecycleStatus = {
+    body: object({
+        status: oneOf(LIFECYCLE_STATES)
+    })
+};
+
+export const lifecycleSchedule = {
+    body: schedule
+};
+
+// --- Nominees ---
+
+const profile = {
+    bio: string({ max: 2000 }).optional().nullable(),
+    organization: string({ max: 150 }).optional().nullable(),
+    links: array(object({
+        label: string({ min: 1, max: 50 }),
+        url: url()
+    }), { max: 10 }).optional()
+};
+
+export const createNominee = {
+    body: object({
+        name: name(),
+        ...profile
+    })
+};
+
+export const updateNominee = {
+    params: idParams,
+    body: object({
+        name: name().optional(),
+        ...profile
+    })
+};
+
+export const nomineeDuplicates = {
+    query: object({
+        // Minimum name similarity (0.5-1) for a fuzzy match; see lib/nominees.js
+        threshold: string({ pattern: /^(0\.[5-9]\d*|1(\.0+)?)$/, patternMessage: 'must be a number from 0.5 to 1.' }).optional()
+    })
+};
+
+export const mergeNominee = {
+    params: idParams,
+    body: object({
+        duplicateId: id()
+    })
+};
+
+// --- Nominations ---
+
+export const createNomination = {
+    body: object({
+        nominee_id: id(),
+        category_id: id()
+    })
+};
+
+// --- Bulk import (format described in lib/importer.js) ---
+
+export const importQuery = {
+    query: object({
+        apply: boolean().optional()
+    })
+};
+
+export const importJson = {
+    body: object({
+        categories: array(object({
+            id: id().optional(),
+            name: name().optional(),
+            description: description().optional().nullable(),
+            nominees: array(object({
+                id: id().optional(),
+                name: name().optional()
+            }), { max: 500 }).optional()
+        }), { min: 1, max: 500 })
+    })
+};
+
+// One row of a CSV import, held to the same limits as the JSON body
+export const importCsvRow = object({
+    category_id: id().optional(),
+    category: name().optional(),
+    description: description().optional(),
+    category_description: description().optional(),
+    nominee_id: id().optional(),
+    nominee: name().optional()
+});
+
+// --- Vote changes ---
+
+export const voteChanges = {
+    query: object({
+        categoryId: id().optional(),
+        limit: integer({ min: 1, max: 500 }).optional()
+    })
+};
+
+// --- Fraud review ---
+
+export const FLAG_STATUSES = ['open', 'dismissed', 'invalidated'];
+
+export const voteFlags = {
+    query: object({
+        status: oneOf(FLAG_STATUSES).optional(),
+        rule: string({ max: 50 }).optional(),
+        categoryId: id().optional(),
+        limit: integer({ min: 1, max: 500 }).optional()
+    })
+};
+
+// --- Nomination submissions ---
+
+export const SUBMISSION_STATUSES = ['pending', 'approved', 'merged', 'rejected'];
+
+export const submissions = {
+    query: object({
+        status: oneOf(SUBMISSION_STATUSES).optional(),
+        categoryId: id().optional(),
+        limit: integer({ min: 1, max: 500 }).optional()
+    })
+};
+
+export const approveSubmission = {
+    params: idParams,
+    body: object({
+        name: name().optional(),
+        allowDuplicate: boolean().optional()
+    })
+};
+
+export const mergeSubmission = {
+    params: idParams,
+    body: object({
+        nomineeId: id().optional()
+    })
+};
+
+export const rejectSubmission = {
+    params: idParams,
+    body: object({
+        reason: string({ min: 1, max: 500 })
+    })
+};
+
+// --- Jury ---
+
+export const VOTER_ROLES = ['public', 'jury'];
+
+export const voterRole = {
+    params: idParams,
+    body: object({
+        role: oneOf(VOTER_ROLES)
+    })
+};
+
+export const juryScores = {
+    query: object({
+        categoryId: id().optional()
+    })
+};
+
+// --- Shared ---
+
+export const byId = {
+    params: idParams
+};
+
+// Query options shared by the paginated admin lists (see lib/pagination.js)
+const listQuery = (list, filters = {}) => ({
+    query: object({
+        q: string({ min: 1, max: 100 }).optional(),
+        sort: oneOf(Object.keys(LISTS[list].sorts)).optional(),
+        order: oneOf(SORT_ORDERS).optional(),
+        limit: integer({ min: 1, max: MAX_PAGE_SIZE }).optional(),
+        offset: integer({ min: 0, max: 1000000 }).optional(),
+        ...filters
+    })
+});
+
+const archived = () => boolean().optional();
+
+export const categoryList = listQuery('categories', { archived: archived() });
+export const nomineeList = listQuery('nominees', { archived: archived() });
+export const nominationList = listQuery('nominations', {
+    archived: archived(),
+    categoryId: id().optional(),
+    nomineeId: id().optional()
+});
+
+// --- Voters ---
+
+export const voterList = listQuery('voters', {
+    role: oneOf(VOTER_ROLES).optional()
+});
+
+// Deleting or anonymizing a voter cannot be undone and is confirmed by
+// repeating the voter's email in the body: { confirm }
+export const removeVoter = {
+    params: idParams,
+    body: object({
+        confirm: string({ min: 1, max: 254 })
+    })
+};
+
+export const TURNOUT_INTERVALS = ['hour', 'day'];
+
+export const turnout = {
+    query: object({
+        interval: oneOf(TURNOUT_INTERVALS).optional()
+    })
+};
+
+export const purge = {
+    params: idParams,
+    body: object({
+        confirm: string({ min: 1, max: 150 })
+    })
+};
+
+export const winners = {
+    query: object({
+        refresh: boolean().optional(),
+        excludeFlagged: boolean().optional()
+    })
+};
+
+export const winnersStream = {
+    query: object({
+        access_token: string({ max: 2048 }).optional(),
+        lastEventId: string({ max: 64 }).optional()
+    })
+};
+
+// --- Exports ---
+
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+const exportFilters = {
+    categoryId: id().optional(),
+    status: oneOf(LIFECYCLE_STATES).optional()
+};
+
+export const exportData = {
+    query: object({
+        format: oneOf(EXPORT_FORMATS).optional(),
+        ...exportFilters
+    })
+};
+
+export const exportReport = {
+    query: object(exportFilters)
+};
@@ -0,0 +1,109 @@
+import { object, array, string, email, phone, slug, id, integer, boolean } from '../lib/validation.js';
+
+// --------------------------------------------
+// Request schemas for routes/public.js
+// --------------------------------------------
+
+export const eventParams = object({
+    slug: slug()
+});
+
+export const signin = {
+    body: object({
+        name: string({ min: 1, max: 100 }),
+        email: email(),
+        phone: phone().optional().nullable(),
+        // Opts a new voter in to voting and results notices; ignored for existing voters
+        notifications: boolean().optional()
+    })
+};
+
+export const verifySignin = {
+    body: object({
+        email: email(),
+        code: string({ min: 1, pattern: /^\d{6}$/, patternMessage: 'must be the 6-digit code from your email.' })
+    })
+};
+
+export const notificationPreferences = {
+    body: object({
+        notifications: boolean()
+    })
+};
+
+export const voterVotes = {
+    params: object({
+        voterId: id().optional()
+    })
+};
+
+// A vote's choices, in the field that matches the category's voting mode:
+// nomineeId (single), nomineeIds (approval) or ranking (ranked, best first).
+const choiceFields = {
+    nomineeId: id().optional(),
+    nomineeIds: array(id(), { min: 1, max: 50 }).optional(),
+    ranking: array(id(), { min: 1, max: 50 }).optional()
+};
+
+export const vote = {
+    body: object({
+        categoryId: id(),
+        ...choiceFields
+    })
+};
+
+export const changeVote = {
+    params: object({
+        categoryId: id()
+    }),
+    body: object(choiceFields)
+};
+
+export const withdrawVote = {
+    params: object({
+        categoryId: id()
+    })
+};
+
+export const ballot = {
+    body: object({
+        choices: array(object({
+            categoryId: id(),
+            ...choiceFields
+        }), { min: 1, max: 100 })
+    })
+};
+
+export const submitNomination = {
+    body: object({
+        categoryId: id(),
+        nomineeName: string({ min: 1, max: 150 }),
+        reason: string({ min: 1, max: 1000 })
+    })
+};
+
+const JURY_SCORE_MAX = 10; // Matches the jury_scores.score check constraint
+
+export const submitJuryScores = {
+    params: object({
+        categoryId: id()
+    }),
+    body: object({
+        scores: array(object({
+            nomineeId: id(),
+            score: integer({ min: 0, max: JURY_SCORE_MAX })
+        }), { min: 1, max: 100 })
+    })
+};
+
+export const resultsStream = {
+    query: object({
+        lastEventId: string({ max: 64 }).optional()
+    })
+};
+
+export const receipt = {
+    params: object({
+        code: string({ min: 1, max: 32 })
+    })
+};
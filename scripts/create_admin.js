@@ -0,0 +1,52 @@
+// scripts/create_admin.js
+//
+// Creates an admin account, or resets the password and role of an existing one.
+// Use it to bootstrap the first owner; after that, owners manage accounts
+// through /api/admin/admin-users.
+//
+//   ADMIN_PASSWORD='...' node scripts/create_admin.js <email> <name> [viewer|editor|owner]
+//
+// Without ADMIN_PASSWORD the password is read from stdin.
+
+import readline from 'readline';
+import { supabase } from '../supabase.js';
+import { hashPassword } from '../lib/passwords.js';
+import { ADMIN_ROLES } from '../lib/adminAuth.js';
+
+const [email, name, role = 'owner'] = process.argv.slice(2);
+
+if (!email || !name || !ADMIN_ROLES.includes(role)) {
+    console.error(`Usage: node scripts/create_admin.js <email> <name> [${ADMIN_ROLES.join('|')}]`);
+    process.exit(1);
+}
+
+const readPassword = () => new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question('Password (min 12 characters): ', (answer) => {
+        rl.close();
+        resolve(answer);
+    });
+});
+
+const password = process.env.ADMIN_PASSWORD || await readPassword();
+
+if (password.length < 12) {
+    console.error('❌ The password must be at least 12 characters.');
+    process.exit(1);
+}
+
+const { data, error } = await supabase
+    .from('admin_users')
+    .upsert(
+        [{ email: email.toLowerCase(), name, role, password_hash: await hashPassword(password), is_active: true }],
+        { onConflict: 'email' }
+    )
+    .select('id, email, role')
+    .single();
+
+if (error) {
+    console.error('❌ Could not save the admin account:', error.message);
+    process.exit(1);
+}
+
+console.log(`✅ Admin ${data.email} (${data.role}) is ready. id: ${data.id}`);
@@ -2,15 +2,31 @@ import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 dotenv.config({ path: './.env' }); // Look up one directory for the .env file
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY; 
+let client;
 
-if (!supabaseUrl || !supabaseKey) {
-    throw new Error("SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set in .env");
-}
+// The client is created on first use, so the server can start without
+// Supabase credentials when DATA_STORE=memory (see lib/repositories/)
+const getClient = () => {
+    if (!client) {
+        const supabaseUrl = process.env.SUPABASE_URL;
+        const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-export const supabase = createClient(supabaseUrl, supabaseKey, {
-    auth: {
-        persistSession: false, // Ensure no session persistence for the server client
+        if (!supabaseUrl || !supabaseKey) {
+            throw new Error("SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set in .env");
+        }
+
+        client = createClient(supabaseUrl, supabaseKey, {
+            auth: {
+                persistSession: false, // Ensure no session persistence for the server client
+            }
+        });
+    }
+    return client;
+};
+
+export const supabase = new Proxy({}, {
+    get: (target, property) => {
+        const value = getClient()[property];
+        return typeof value === 'function' ? value.bind(getClient()) : value;
     }
-});
\ No newline at end of file
+});
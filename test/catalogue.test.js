@@ -0,0 +1,166 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, signInAdmin, signInVoter, createOpenCategory, EVENT_SLUG } from './support/server.js';
+
+let server;
+let adminToken;
+
+before(async () => {
+    server = await startServer();
+    adminToken = await signInAdmin(server);
+    process.env.EXPORT_HASH_SECRET = 'test-export-secret';
+});
+
+after(() => server.stop());
+
+const admin = (method, url, body) => server.request(method, `/api/admin${url}`, { token: adminToken, body });
+
+const vote = (token, categoryId, nomineeId) => server.request('POST', '/api/public/vote', { token, body: { categoryId, nomineeId } });
+
+test('an import is previewed first and then applied', async () => {
+    const body = {
+        categories: [{
+            name: 'Best Debut',
+            description: 'First published works',
+            nominees: [{ name: 'Mary Shelley' }, { name: 'Emily Bronte' }]
+        }]
+    };
+
+    const preview = await admin('POST', '/import', body);
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body.dryRun, true);
+    assert.equal(preview.body.summary.nominations.create, 2);
+    assert.ok(!(await admin('GET', '/categories')).body.items.some(category => category.name === 'Best Debut'));
+
+    const { body: applied } = await admin('POST', '/import?apply=true', body);
+    assert.deepEqual(applied.applied, { categoriesCreated: 1, categoriesUpdated: 0, nomineesCreated: 2, nominationsCreated: 2 });
+
+    // Everything now exists, so the same file changes nothing
+    const { body: again } = await admin('POST', '/import', body);
+    assert.equal(again.summary.nominations.create, 0);
+    assert.equal(again.summary.nominations.existing, 2);
+});
+
+const importCsv = async (csv) => {
+    const response = await fetch(`${server.baseUrl}/api/admin/import`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${adminToken}`, 'Content-Type': 'text/csv' },
+        body: csv
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('CSV rows are held to the same limits as a JSON import', async () => {
+    const { status, body } = await importCsv(`category,nominee\nCSV Limits,${'x'.repeat(151)}\n`);
+    assert.equal(status, 400);
+    assert.equal(body.errors[0].row, 2);
+    assert.match(body.errors[0].message, /^Row 2: nominee must be at most 150 characters\.$/);
+
+    const valid = await importCsv('category,nominee\nCSV Limits,Ada Lovelace\n');
+    assert.equal(valid.status, 200);
+    assert.equal(valid.body.summary.nominations.create, 1);
+});
+
+test('names of archived categories and nominees are conflicts, not new records', async () => {
+    const { category, nominees: [retired] } = await createOpenCategory(server, adminToken, { name: 'Retired Award', nominees: ['Retired Nominee'] });
+    await admin('DELETE', `/categories/${category.id}`);
+    await admin('DELETE', `/nominees/${retired.id}`);
+
+    const body = { categories: [{ name: 'retired award' }, { name: 'Live Award', nominees: [{ name: 'Retired Nominee' }] }] };
+
+    const { body: preview } = await admin('POST', '/import', body);
+    assert.deepEqual(preview.conflicts.map(conflict => [conflict.type, conflict.archived.id]), [
+        ['category', category.id],
+        ['nominee', retired.id]
+    ]);
+    assert.equal(preview.summary.categories.create, 1);
+    assert.equal(preview.summary.nominees.create, 0);
+
+    const applied = await admin('POST', '/import?apply=true', body);
+    assert.equal(applied.status, 400);
+    assert.equal(applied.body.code, 'IMPORT_REJECTED');
+});
+
+test('merging a duplicate nominee moves its votes to the survivor', async () => {
+    const { category, nominees: [survivor, duplicate] } = await createOpenCategory(server, adminToken, {
+        name: 'Merged Nominees',
+        nominees: ['Ada Lovelace', 'A. Lovelace']
+    });
+    const token = await signInVoter(server, 'merge-voter@example.com');
+    await vote(token, category.id, duplicate.id);
+
+    const { status, body } = await admin('POST', `/nominees/${survivor.id}/merge`, { duplicateId: duplicate.id });
+    assert.equal(status, 200);
+    assert.equal(body.changes.nominations.merged, 1);
+    assert.equal(body.changes.votes.repointed, 1);
+
+    const { body: archived } = await admin('GET', '/nominees?archived=true&limit=100');
+    assert.equal(archived.items.find(nominee => nominee.id === duplicate.id).merged_into_id, survivor.id);
+
+    const { body: results } = await admin('GET', '/winners?refresh=true');
+    assert.equal(results.find(result => result.categoryId === category.id).winner.id, survivor.id);
+
+    const self = await admin('POST', `/nominees/${survivor.id}/merge`, { duplicateId: survivor.id });
+    assert.equal(self.body.code, 'SAME_NOMINEE');
+});
+
+test('a merge reports votes that chose both nominees as counts', async () => {
+    const { category, nominees: [survivor, duplicate, other] } = await createOpenCategory(server, adminToken, {
+        name: 'Merged Rankings',
+        nominees: ['Hedy Lamarr', 'H. Lamarr', 'Grace Hopper'],
+        voting_mode: 'ranked'
+    });
+    const rankings = [[duplicate.id, survivor.id], [survivor.id, duplicate.id], [other.id, survivor.id, duplicate.id]];
+    for (const [index, ranking] of rankings.entries()) {
+        const token = await signInVoter(server, `merge-ranker-${index}@example.com`);
+        await server.request('POST', '/api/public/vote', { token, body: { categoryId: category.id, ranking } });
+    }
+
+    const { body } = await admin('POST', `/nominees/${survivor.id}/merge`, { duplicateId: duplicate.id });
+    assert.deepEqual(body.changes.votes.bothChosen, [
+        { category_id: category.id, kept_rank: 'duplicate', votes: 1 },
+        { category_id: category.id, kept_rank: 'survivor', votes: 2 }
+    ]);
+
+    const { body: audit } = await admin('GET', `/audit-log?entityId=${survivor.id}`);
+    assert.deepEqual(audit[0].after.changes.votes.bothChosen, body.changes.votes.bothChosen);
+});
+
+test('the vote export lists every vote under a voter pseudonym', async () => {
+    const { category, nominees } = await createOpenCategory(server, adminToken, { name: 'Exported' });
+    const token = await signInVoter(server, 'exported@example.com');
+    await vote(token, category.id, nominees[1].id);
+
+    const { status, body } = await admin('GET', `/exports/votes?format=json&categoryId=${category.id}`);
+    assert.equal(status, 200);
+    assert.equal(body.length, 1);
+    assert.deepEqual(body[0].choices, [nominees[1].id]);
+    assert.equal(body[0].counted, true);
+    assert.match(body[0].voter_hash, /^[0-9a-f]{64}$/);
+});
+
+test('a cloned edition starts from the active catalogue without votes', async () => {
+    const { category, nominees } = await createOpenCategory(server, adminToken, { name: 'Carried Over' });
+    const { category: dropped } = await createOpenCategory(server, adminToken, { name: 'Dropped', nominees: ['Left Behind'] });
+    await admin('DELETE', `/categories/${dropped.id}`);
+    const token = await signInVoter(server, 'clone-voter@example.com');
+    await vote(token, category.id, nominees[0].id);
+
+    const { status, body: edition } = await admin('POST', `/events/${EVENT_SLUG}/clone`, { slug: 'awards-2027', name: 'Awards 2027', year: 2027 });
+    assert.equal(status, 201);
+    assert.equal(edition.slug, 'awards-2027');
+
+    const { body: categories } = await admin('GET', '/events/awards-2027/categories?limit=100');
+    const carried = categories.items.find(item => item.name === 'Carried Over');
+    assert.equal(carried.status, 'draft');
+    assert.ok(!categories.items.some(item => item.name === 'Dropped'));
+
+    const { body: links } = await admin('GET', `/events/awards-2027/nominations?categoryId=${carried.id}`);
+    assert.deepEqual(links.items.map(link => link.nominee.name).sort(), ['Ada', 'Grace']);
+
+    const { body: results } = await admin('GET', '/events/awards-2027/winners?refresh=true');
+    assert.equal(results.find(result => result.categoryId === carried.id).totalVotes, 0);
+
+    const taken = await admin('POST', `/events/${EVENT_SLUG}/clone`, { slug: 'awards-2027', name: 'Again' });
+    assert.equal(taken.status, 409);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig, ConfigError, DEFAULT_CORS_ORIGINS } from '../lib/config.js';
+
+const SECRETS = { ADMIN_TOKEN_SECRET: 'a', VOTER_TOKEN_SECRET: 'v' };
+
+test('defaults fill in everything optional', () => {
+    const config = loadConfig({ ...SECRETS, DATA_STORE: 'memory' });
+
+    assert.equal(config.port, 3001);
+    assert.deepEqual(config.corsOrigins, DEFAULT_CORS_ORIGINS);
+    assert.equal(config.trustProxy, false);
+    assert.equal(config.features.publicResultsStream, false);
+    assert.equal(config.features.serveUploads, true);
+    assert.equal(config.logLevel, 'info');
+});
+
+test('settings are parsed from the environment', () => {
+    const config = loadConfig({
+        ...SECRETS,
+        DATA_STORE: 'supabase',
+        SUPABASE_URL: 'https://project.supabase.co',
+        SUPABASE_SERVICE_ROLE_KEY: 'key',
+        PORT: '8080',
+        CORS_ORIGINS: 'https://awards.example.com, http://localhost:5173',
+        TRUST_PROXY: '2',
+        PUBLIC_RESULTS_STREAM: 'true',
+        STORAGE_DRIVER: 'supabase'
+    });
+
+    assert.equal(config.port, 8080);
+    assert.deepEqual(config.corsOrigins, ['https://awards.example.com', 'http://localhost:5173']);
+    assert.equal(config.trustProxy, 2);
+    assert.equal(config.features.publicResultsStream, true);
+    assert.equal(config.features.serveUploads, false);
+});
+
+test('every problem is reported at once', () => {
+    assert.throws(() => loadConfig({
+        PORT: 'eighty',
+        CORS_ORIGINS: 'https://awards.example.com/',
+        PUBLIC_RESULTS_STREAM: 'yes',
+        LOG_LEVEL: 'loud'
+    }), (error) => {
+        assert.ok(error instanceof ConfigError);
+        // DATA_STORE defaults to supabase, which then needs its credentials
+        assert.deepEqual(error.problems.map(problem => problem.split(' ')[0]), [
+            'PORT',
+            'CORS_ORIGINS',
+            'SUPABASE_URL',
+            'SUPABASE_SERVICE_ROLE_KEY',
+            'ADMIN_TOKEN_SECRET',
+            'VOTER_TOKEN_SECRET',
+            'PUBLIC_RESULTS_STREAM',
+            'LOG_LEVEL'
+        ]);
+        return true;
+    });
+});
+
+test('Supabase credentials are only required when Supabase is used', () => {
+    assert.doesNotThrow(() => loadConfig({ ...SECRETS, DATA_STORE: 'memory' }));
+    assert.throws(
+        () => loadConfig({ ...SECRETS, DATA_STORE: 'memory', STORAGE_DRIVER: 'supabase' }),
+        /SUPABASE_URL is required with STORAGE_DRIVER=supabase/
+    );
+});
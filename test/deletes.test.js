@@ -0,0 +1,132 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, signInAdmin, signInVoter, createOpenCategory } from './support/server.js';
+
+let server;
+let adminToken;
+
+before(async () => {
+    server = await startServer();
+    adminToken = await signInAdmin(server);
+});
+
+after(() => server.stop());
+
+const admin = (method, url, body) => server.request(method, `/api/admin${url}`, { token: adminToken, body });
+
+const publicCategoryIds = async () => {
+    const { body } = await server.request('GET', '/api/public/categories-nominees');
+    return body.map(category => category.id);
+};
+
+test('archiving a category hides it and keeps its votes until it is purged', async () => {
+    const { category, nominees } = await createOpenCategory(server, adminToken, { name: 'Short Lived' });
+    const token = await signInVoter(server, 'archived@example.com');
+    await server.request('POST', '/api/public/vote', { token, body: { categoryId: category.id, nomineeId: nominees[0].id } });
+
+    assert.equal((await admin('DELETE', `/categories/${category.id}`)).status, 200);
+    assert.ok(!(await publicCategoryIds()).includes(category.id));
+    assert.ok((await admin('GET', '/categories?archived=true')).body.items.some(c => c.id === category.id));
+
+    const restored = await admin('POST', `/categories/${category.id}/restore`);
+    assert.equal(restored.status, 200);
+    assert.ok((await publicCategoryIds()).includes(category.id));
+
+    const voterVotes = await server.request('GET', '/api/public/voter-votes', { token });
+    assert.equal(voterVotes.body.length, 1);
+});
+
+test('only archived categories can be purged, by name', async () => {
+    const { category } = await createOpenCategory(server, adminToken, { name: 'Guarded' });
+
+    const active = await admin('POST', `/categories/${category.id}/purge`, { confirm: 'Guarded' });
+    assert.equal(active.status, 409);
+    assert.equal(active.body.code, 'NOT_ARCHIVED');
+
+    await admin('DELETE', `/categories/${category.id}`);
+
+    const unconfirmed = await admin('POST', `/categories/${category.id}/purge`, { confirm: 'guarded' });
+    assert.equal(unconfirmed.status, 400);
+    assert.equal(unconfirmed.body.code, 'CONFIRMATION_REQUIRED');
+});
+
+test('purging a category deletes its nominations and votes', async () => {
+    const { category, nominees } = await createOpenCategory(server, adminToken, { name: 'Purged' });
+    const token = await signInVoter(server, 'purged@example.com');
+    await server.request('POST', '/api/public/vote', { token, body: { categoryId: category.id, nomineeId: nominees[1].id } });
+
+    await admin('DELETE', `/categories/${category.id}`);
+    const purged = await admin('POST', `/categories/${category.id}/purge`, { confirm: 'Purged' });
+
+    assert.equal(purged.status, 200);
+    assert.deepEqual(purged.body.deleted, { votes: 1, nominations: 2 });
+
+    const links = await admin('GET', '/nominations');
+    assert.ok(!links.body.items.some(link => link.category.id === category.id));
+    assert.equal((await server.request('GET', '/api/public/voter-votes', { token })).body.length, 0);
+    assert.equal((await admin('POST', `/categories/${category.id}/restore`)).status, 404);
+});
+
+test('purging a nominee removes it from every category with its votes', async () => {
+    const first = await createOpenCategory(server, adminToken, { name: 'Nominee Purge A', nominees: ['Edsger'] });
+    const second = await createOpenCategory(server, adminToken, { name: 'Nominee Purge B', nominees: ['Barbara'] });
+    const [nominee] = first.nominees;
+    await admin('POST', '/nominations', { nominee_id: nominee.id, category_id: second.category.id });
+
+    const token = await signInVoter(server, 'nominee-purge@example.com');
+    await server.request('POST', '/api/public/vote', { token, body: { categoryId: second.category.id, nomineeId: nominee.id } });
+
+    await admin('DELETE', `/nominees/${nominee.id}`);
+    const purged = await admin('POST', `/nominees/${nominee.id}/purge`, { confirm: 'Edsger' });
+
+    assert.equal(purged.status, 200);
+    assert.deepEqual(purged.body.deleted, { votes: 1, nominations: 2 });
+
+    const { body: listed } = await server.request('GET', '/api/public/categories-nominees');
+    const remaining = listed.find(category => category.id === second.category.id).nominees.map(n => n.name);
+    assert.deepEqual(remaining, ['Barbara']);
+});
+
+test('purging a nominee keeps the other choices of ranked votes', async () => {
+    const { category, nominees: [first, second, third] } = await createOpenCategory(server, adminToken, {
+        name: 'Ranked Purge',
+        nominees: ['Niklaus', 'Tony', 'Frances'],
+        voting_mode: 'ranked'
+    });
+    const rankings = {
+        'ranked-purge-first@example.com': [first.id, second.id],
+        'ranked-purge-later@example.com': [third.id, first.id],
+        'ranked-purge-only@example.com': [first.id]
+    };
+    const tokens = {};
+    for (const [email, ranking] of Object.entries(rankings)) {
+        tokens[email] = await signInVoter(server, email);
+        await server.request('POST', '/api/public/vote', { token: tokens[email], body: { categoryId: category.id, ranking } });
+    }
+
+    await admin('DELETE', `/nominees/${first.id}`);
+    const purged = await admin('POST', `/nominees/${first.id}/purge`, { confirm: 'Niklaus' });
+    assert.deepEqual(purged.body.deleted, { votes: 1, nominations: 1 });
+
+    const choicesOf = async (email) => {
+        const { body } = await server.request('GET', '/api/public/voter-votes', { token: tokens[email] });
+        return body.filter(vote => vote.category_id === category.id).map(vote => [vote.nominee_id, vote.nominee_ids]);
+    };
+    assert.deepEqual(await choicesOf('ranked-purge-first@example.com'), [[second.id, [second.id]]]);
+    assert.deepEqual(await choicesOf('ranked-purge-later@example.com'), [[third.id, [third.id]]]);
+    assert.deepEqual(await choicesOf('ranked-purge-only@example.com'), []);
+});
+
+test('purging a nomination reports the link it deleted', async () => {
+    const { category, nominees: [nominee] } = await createOpenCategory(server, adminToken, { name: 'Link Purge', nominees: ['Ken'] });
+    const { body: links } = await admin('GET', `/nominations?categoryId=${category.id}`);
+    const [link] = links.items;
+
+    await admin('DELETE', `/nominations/${link.id}`);
+    const purged = await admin('POST', `/nominations/${link.id}/purge`, { confirm: link.id });
+
+    assert.equal(purged.status, 200);
+    assert.deepEqual(purged.body.deleted, { nominations: 1 });
+    const { body: archived } = await admin('GET', `/nominations?nomineeId=${nominee.id}&archived=true`);
+    assert.equal(archived.total, 0);
+});
@@ -0,0 +1,110 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, signInAdmin } from './support/server.js';
+
+let server;
+let adminToken;
+const ids = {};
+
+const admin = (method, url, body) => server.request(method, `/api/admin${url}`, { token: adminToken, body });
+
+before(async () => {
+    server = await startServer();
+    adminToken = await signInAdmin(server);
+
+    for (const [index, name] of ['Zeta Prize', 'Alpha Prize', 'Mid Prize'].entries()) {
+        ids[name] = (await admin('POST', '/categories', { name, display_order: index })).body.id;
+    }
+    for (const name of ['Charles Babbage', 'Ada Lovelace', 'Alan Turing', 'Grace Hopper', '100% Effort']) {
+        ids[name] = (await admin('POST', '/nominees', { name })).body.id;
+    }
+    for (const [category, nominee] of [
+        ['Alpha Prize', 'Ada Lovelace'],
+        ['Alpha Prize', 'Alan Turing'],
+        ['Zeta Prize', 'Ada Lovelace'],
+        ['Mid Prize', 'Grace Hopper']
+    ]) {
+        await admin('POST', '/nominations', { category_id: ids[category], nominee_id: ids[nominee] });
+    }
+});
+
+after(() => server.stop());
+
+test('lists share one paginated shape', async () => {
+    for (const url of ['/categories', '/nominees', '/nominations']) {
+        const { status, body } = await admin('GET', url);
+        assert.equal(status, 200);
+        assert.deepEqual(Object.keys(body).sort(), ['items', 'limit', 'nextOffset', 'offset', 'total']);
+        assert.equal(body.items.length, body.total);
+        assert.equal(body.nextOffset, null);
+    }
+});
+
+test('pages follow each other until nextOffset is null', async () => {
+    const first = await admin('GET', '/nominees?limit=2');
+    assert.deepEqual(first.body.items.map(n => n.name), ['100% Effort', 'Ada Lovelace']);
+    assert.equal(first.body.total, 5);
+    assert.equal(first.body.nextOffset, 2);
+
+    const last = await admin('GET', '/nominees?limit=2&offset=4');
+    assert.deepEqual(last.body.items.map(n => n.name), ['Grace Hopper']);
+    assert.equal(last.body.nextOffset, null);
+
+    const past = await admin('GET', '/nominees?offset=50');
+    assert.deepEqual(past.body.items, []);
+    assert.equal(past.body.total, 5);
+});
+
+test('lists sort by the requested field and order', async () => {
+    const byDisplayOrder = await admin('GET', '/categories');
+    assert.deepEqual(byDisplayOrder.body.items.map(c => c.name), ['Zeta Prize', 'Alpha Prize', 'Mid Prize']);
+
+    const byName = await admin('GET', '/categories?sort=name&order=desc');
+    assert.deepEqual(byName.body.items.map(c => c.name), ['Zeta Prize', 'Mid Prize', 'Alpha Prize']);
+
+    const byNominee = await admin('GET', '/nominations?sort=nominee');
+    assert.deepEqual(byNominee.body.items.map(n => `${n.nominee.name} / ${n.category.name}`), [
+        'Ada Lovelace / Alpha Prize',
+        'Ada Lovelace / Zeta Prize',
+        'Alan Turing / Alpha Prize',
+        'Grace Hopper / Mid Prize'
+    ]);
+});
+
+test('search matches names case-insensitively, wildcards included literally', async () => {
+    const search = await admin('GET', '/nominees?q=OVE');
+    assert.deepEqual(search.body.items.map(n => n.name), ['Ada Lovelace']);
+    assert.equal(search.body.total, 1);
+
+    const literal = await admin('GET', `/nominees?q=${encodeURIComponent('100%')}`);
+    assert.deepEqual(literal.body.items.map(n => n.name), ['100% Effort']);
+
+    const nominations = await admin('GET', '/nominations?q=lovelace');
+    assert.equal(nominations.body.total, 2);
+});
+
+test('nominations filter by category or nominee', async () => {
+    const inAlpha = await admin('GET', `/nominations?categoryId=${ids['Alpha Prize']}`);
+    assert.deepEqual(inAlpha.body.items.map(n => n.nominee.name), ['Ada Lovelace', 'Alan Turing']);
+
+    const forAda = await admin('GET', `/nominations?nomineeId=${ids['Ada Lovelace']}`);
+    assert.deepEqual(forAda.body.items.map(n => n.category.name), ['Alpha Prize', 'Zeta Prize']);
+});
+
+test('archived records are listed separately', async () => {
+    await admin('DELETE', `/nominees/${ids['Charles Babbage']}`);
+
+    const active = await admin('GET', '/nominees');
+    assert.ok(!active.body.items.some(n => n.name === 'Charles Babbage'));
+
+    const archived = await admin('GET', '/nominees?archived=true');
+    assert.deepEqual(archived.body.items.map(n => n.name), ['Charles Babbage']);
+    assert.equal(archived.body.total, 1);
+});
+
+test('invalid list options are rejected', async () => {
+    for (const query of ['sort=votes', 'order=up', 'limit=0', 'limit=500', 'offset=-1']) {
+        const { status } = await admin('GET', `/nominees?${query}`);
+        assert.equal(status, 400, query);
+    }
+});
@@ -0,0 +1,188 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { startServer, signInAdmin, signInVoter, createOpenCategory } from './support/server.js';
+
+let server;
+let adminToken;
+let sendDueNotices;
+let notify;
+
+before(async () => {
+    server = await startServer();
+    adminToken = await signInAdmin(server);
+    // Imported once the test server has set the environment up
+    ({ sendDueNotices, notify } = await import('../lib/notifications.js'));
+});
+
+after(() => server.stop());
+
+const admin = (method, url, body) => server.request(method, `/api/admin${url}`, { token: adminToken, body });
+
+const checkReceipt = (code) => server.request('GET', `/api/public/receipts/${encodeURIComponent(code)}`);
+
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+const templatesTo = async (email) => (await server.mailTo(email)).map(message => message.template);
+
+test('a vote gets a receipt code that is mailed and can be checked', async () => {
+    const { category, nominees: [ada] } = await createOpenCategory(server, adminToken, { name: 'Receipts' });
+    const token = await signInVoter(server, 'receipt@example.com', 'Rita');
+
+    const { status, body } = await server.request('POST', '/api/public/vote', { token, body: { categoryId: category.id, nomineeId: ada.id } });
+    assert.equal(status, 201);
+    assert.match(body.receipt.code, /^[0-9A-Z]{4}-[0-9A-Z]{4}-[0-9A-Z]{4}$/);
+
+    const mail = (await server.mailTo('receipt@example.com')).find(message => message.template === 'voteReceipt');
+    assert.ok(mail.text.includes(body.receipt.code));
+    assert.ok(mail.text.includes('Receipts: Ada'));
+
+    // Codes are accepted in any case, with or without dashes
+    const check = await checkReceipt(body.receipt.code.replace(/-/g, '').toLowerCase());
+    assert.equal(check.status, 200);
+    assert.equal(check.body.status, 'counted');
+    assert.equal(check.body.counted, true);
+    assert.equal(check.body.category.name, 'Receipts');
+    assert.ok(!JSON.stringify(check.body).includes(ada.id));
+
+    assert.equal((await checkReceipt('0000-0000-0000')).status, 404);
+    assert.equal((await checkReceipt('not a code')).body.code, 'INVALID_RECEIPT_CODE');
+});
+
+test('changing a vote supersedes its receipt and withdrawing it is reported', async () => {
+    const { category, nominees: [ada, grace] } = await createOpenCategory(server, adminToken, {
+        name: 'Changeable',
+        vote_change_policy: 'until_close'
+    });
+    const token = await signInVoter(server, 'changer@example.com');
+
+    const cast = await server.request('POST', '/api/public/vote', { token, body: { categoryId: category.id, nomineeId: ada.id } });
+    const changed = await server.request('PUT', `/api/public/votes/${category.id}`, { token, body: { nomineeId: grace.id } });
+    assert.equal(changed.status, 200);
+    assert.notEqual(changed.body.receipt.code, cast.body.receipt.code);
+
+    assert.equal((await checkReceipt(cast.body.receipt.code)).body.status, 'superseded');
+    assert.equal((await checkReceipt(changed.body.receipt.code)).body.status, 'counted');
+
+    // Re-sending the same choice is not a change and keeps the receipt
+    const unchanged = await server.request('PUT', `/api/public/votes/${category.id}`, { token, body: { nomineeId: grace.id } });
+    assert.equal(unchanged.body.receipt.code, changed.body.receipt.code);
+
+    await server.request('DELETE', `/api/public/votes/${category.id}`, { token });
+    const withdrawn = await checkReceipt(changed.body.receipt.code);
+    assert.equal(withdrawn.body.status, 'withdrawn');
+    assert.equal(withdrawn.body.counted, false);
+});
+
+test('a ballot gets one receipt per recorded vote in one message', async () => {
+    const first = await createOpenCategory(server, adminToken, { name: 'Ballot One' });
+    const second = await createOpenCategory(server, adminToken, { name: 'Ballot Two' });
+    const token = await signInVoter(server, 'ballot-receipts@example.com');
+
+    const { status, body } = await server.request('POST', '/api/public/ballot', {
+        token,
+        body: {
+            choices: [
+                { categoryId: first.category.id, nomineeId: first.nominees[0].id },
+                { categoryId: second.category.id, nomineeId: second.nominees[1].id }
+            ]
+        }
+    });
+    assert.equal(status, 201);
+
+    const codes = body.results.map(result => result.receipt.code);
+    assert.equal(new Set(codes).size, 2);
+
+    const receipts = (await server.mailTo('ballot-receipts@example.com')).filter(message => message.template === 'voteReceipt');
+    assert.equal(receipts.length, 1);
+    assert.ok(codes.every(code => receipts[0].text.includes(code)));
+});
+
+test('opted-in voters are told when voting opens and closes soon and when winners are announced', async () => {
+    await signInVoter(server, 'subscriber@example.com', 'Sam', { notifications: true });
+    await signInVoter(server, 'quiet@example.com', 'Quinn');
+    // Notices already due from the earlier tests
+    await sendDueNotices();
+
+    const { body: upcoming } = await admin('POST', '/categories', { name: 'Opening Soon' });
+    await admin('PUT', `/categories/${upcoming.id}/schedule`, { opens_at: inMinutes(30), closes_at: inMinutes(180) });
+
+    const { category: closing } = await createOpenCategory(server, adminToken, { name: 'Closing Soon' });
+    await admin('PUT', `/categories/${closing.id}/schedule`, { closes_at: inMinutes(30) });
+
+    const { category: decided } = await createOpenCategory(server, adminToken, { name: 'Decided' });
+    await admin('POST', `/categories/${decided.id}/status`, { status: 'closed' });
+    await admin('POST', `/categories/${decided.id}/status`, { status: 'published' });
+
+    await sendDueNotices();
+
+    const received = await server.mailTo('subscriber@example.com');
+    const notice = (template) => received.find(message => message.template === template);
+    assert.ok(notice('votingOpensSoon').text.includes('Opening Soon'));
+    assert.ok(notice('votingClosesSoon').text.includes('Closing Soon'));
+    assert.ok(notice('winnersAnnounced').text.includes('Decided'));
+    assert.deepEqual(await templatesTo('quiet@example.com'), ['signinCode']);
+
+    // Each notice goes out once
+    assert.equal(await sendDueNotices(), 0);
+});
+
+test('voters can opt out of notices', async () => {
+    const token = await signInVoter(server, 'leaver@example.com', 'Lee', { notifications: true });
+
+    const { status, body } = await server.request('PUT', '/api/public/notification-preferences', { token, body: { notifications: false } });
+    assert.equal(status, 200);
+    assert.equal(body.notifications, false);
+
+    const { category } = await createOpenCategory(server, adminToken, { name: 'After Opt Out' });
+    await admin('POST', `/categories/${category.id}/status`, { status: 'published' });
+    await sendDueNotices();
+
+    assert.deepEqual(await templatesTo('leaver@example.com'), ['signinCode']);
+});
+
+test('signing in again cannot change an existing voter\'s choice', async () => {
+    await signInVoter(server, 'steady@example.com', 'Stella', { notifications: true });
+    // The sign-in request is not authenticated, so anyone could send it
+    await server.request('POST', '/api/public/signin', { body: { name: 'Stella', email: 'steady@example.com', notifications: false } });
+
+    const { body } = await admin('GET', '/voters?q=steady@example.com');
+    assert.equal(body.items[0].notifications_opt_in, true);
+});
+
+test('the webhook transport posts signed JSON messages', async () => {
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ signature: req.headers['x-signature'], body });
+            res.end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+    Object.assign(process.env, {
+        MAIL_TRANSPORT: 'webhook',
+        MAIL_WEBHOOK_URL: `http://127.0.0.1:${receiver.address().port}/hooks/mail`,
+        MAIL_WEBHOOK_SECRET: 'hook-secret'
+    });
+
+    try {
+        await notify('signinCode', 'hooked@example.com', { code: '123456', expiresAt: inMinutes(10) });
+    } finally {
+        process.env.MAIL_TRANSPORT = 'file';
+        delete process.env.MAIL_WEBHOOK_URL;
+        delete process.env.MAIL_WEBHOOK_SECRET;
+        await new Promise(resolve => receiver.close(resolve));
+    }
+
+    const [{ signature, body }] = received;
+    assert.equal(signature, `sha256=${crypto.createHmac('sha256', 'hook-secret').update(body).digest('hex')}`);
+
+    const message = JSON.parse(body);
+    assert.equal(message.to, 'hooked@example.com');
+    assert.equal(message.template, 'signinCode');
+    assert.equal(message.data.code, '123456');
+});
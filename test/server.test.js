@@ -0,0 +1,117 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startServer } from './support/server.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+test('/healthz answers without touching the data store', async () => {
+    const { status, body } = await server.request('GET', '/healthz');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ok');
+});
+
+test('/readyz reports the data store and turns 503 during shutdown', async () => {
+    const ready = await server.request('GET', '/readyz');
+    assert.equal(ready.status, 200);
+    assert.deepEqual(ready.body.checks.database.status, 'ok');
+
+    server.app.locals.shuttingDown = true;
+    try {
+        const draining = await server.request('GET', '/readyz');
+        assert.equal(draining.status, 503);
+        assert.equal(draining.body.status, 'shutting_down');
+    } finally {
+        server.app.locals.shuttingDown = false;
+    }
+});
+
+test('CORS allows only the configured origins', async () => {
+    const allowed = await fetch(`${server.baseUrl}/api/public/events`, { headers: { Origin: 'http://localhost:5173' } });
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'http://localhost:5173');
+
+    const other = await fetch(`${server.baseUrl}/api/public/events`, { headers: { Origin: 'https://elsewhere.example' } });
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+});
+
+test('responses carry the request id', async () => {
+    const response = await fetch(`${server.baseUrl}/api/public/events`, { headers: { 'X-Request-Id': 'trace-123' } });
+    assert.equal(response.headers.get('x-request-id'), 'trace-123');
+});
+
+// Starts index.js and resolves with its parsed log lines once it is listening
+const startProcess = (env) => new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['index.js'], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            DATA_STORE: 'memory',
+            MEMORY_STORE_SEED: '',
+            ADMIN_TOKEN_SECRET: 'test-admin-secret',
+            VOTER_TOKEN_SECRET: 'test-voter-secret',
+            PORT: '0',
+            LOG_LEVEL: 'info',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    const lines = [];
+    let stderr = '';
+
+    child.stdout.on('data', (chunk) => {
+        lines.push(...chunk.toString().trim().split('\n').map(line => JSON.parse(line)));
+        if (lines.some(line => line.msg.startsWith('Express server running'))) resolve({ child, lines });
+    });
+    child.stderr.on('data', (chunk) => {
+        stderr += chunk;
+    });
+    child.once('close', (code) => reject(Object.assign(new Error(`index.js exited with code ${code}`), { code, stderr })));
+});
+
+test('the server stops cleanly on SIGTERM', async () => {
+    const { child, lines } = await startProcess({});
+    child.removeAllListeners('close');
+
+    // 'close' waits for the output too, so the shutdown log is complete
+    const exitCode = new Promise(resolve => child.once('close', resolve));
+    child.kill('SIGTERM');
+
+    assert.equal(await exitCode, 0);
+    assert.ok(lines.some(line => line.msg === 'Shutting down' && line.signal === 'SIGTERM'));
+});
+
+test('request logs leave out tokens passed in the query string', async () => {
+    const { child, lines } = await startProcess({});
+    child.removeAllListeners('close');
+    const { port } = lines.find(line => line.msg.startsWith('Express server running'));
+
+    await fetch(`http://127.0.0.1:${port}/api/admin/winners/stream?access_token=secret-admin-token&refresh=true`, {
+        headers: { Accept: 'text/event-stream' }
+    });
+
+    const exited = new Promise(resolve => child.once('close', resolve));
+    child.kill('SIGTERM');
+    await exited;
+
+    const logged = lines.find(line => line.msg === 'request');
+    assert.equal(logged.path, '/api/admin/winners/stream?access_token=REDACTED&refresh=true');
+    assert.ok(!JSON.stringify(lines).includes('secret-admin-token'));
+});
+
+test('the server refuses to start with an invalid configuration', async () => {
+    await assert.rejects(startProcess({ PORT: 'eighty' }), (error) => {
+        assert.equal(error.code, 1);
+        assert.match(error.stderr, /PORT must be a whole number/);
+        return true;
+    });
+});
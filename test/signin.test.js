@@ -0,0 +1,88 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startServer, OWNER } from './support/server.js';
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+test('a voter signs in with the emailed code', async () => {
+    const email = 'voter@example.com';
+
+    const signin = await server.request('POST', '/api/public/signin', { body: { name: 'Voter', email } });
+    assert.equal(signin.status, 200);
+
+    const code = await server.lastCodeFor(email);
+    assert.match(code, /^\d{6}$/);
+
+    const verify = await server.request('POST', '/api/public/signin/verify', { body: { email, code } });
+    assert.equal(verify.status, 200);
+    assert.ok(verify.body.token);
+    assert.ok(verify.body.voterId);
+});
+
+test('a code works only once', async () => {
+    const email = 'once@example.com';
+    await server.request('POST', '/api/public/signin', { body: { name: 'Once', email } });
+    const code = await server.lastCodeFor(email);
+
+    assert.equal((await server.request('POST', '/api/public/signin/verify', { body: { email, code } })).status, 200);
+
+    const reused = await server.request('POST', '/api/public/signin/verify', { body: { email, code } });
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.code, 'INVALID_CODE');
+});
+
+test('a wrong code is rejected', async () => {
+    const email = 'wrong@example.com';
+    await server.request('POST', '/api/public/signin', { body: { name: 'Wrong', email } });
+    const code = await server.lastCodeFor(email);
+    const wrong = code === '000000' ? '000001' : '000000';
+
+    const response = await server.request('POST', '/api/public/signin/verify', { body: { email, code: wrong } });
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'INVALID_CODE');
+});
+
+test('signing in again keeps the same voter', async () => {
+    const email = 'again@example.com';
+
+    const verifyOnce = async () => {
+        await server.request('POST', '/api/public/signin', { body: { name: 'Again', email } });
+        const code = await server.lastCodeFor(email);
+        return (await server.request('POST', '/api/public/signin/verify', { body: { email, code } })).body.voterId;
+    };
+
+    assert.equal(await verifyOnce(), await verifyOnce());
+});
+
+test('an address in another case is the same voter', async () => {
+    const verify = async (email) => {
+        await server.request('POST', '/api/public/signin', { body: { name: 'Casey', email } });
+        const code = await server.lastCodeFor(email.toLowerCase());
+        return (await server.request('POST', '/api/public/signin/verify', { body: { email, code } })).body.voterId;
+    };
+
+    assert.equal(await verify('Casey@Example.com'), await verify('casey@example.com'));
+});
+
+test('voting requires a voter session', async () => {
+    const response = await server.request('POST', '/api/public/vote', { body: { categoryId: crypto.randomUUID(), nomineeId: crypto.randomUUID() } });
+    assert.equal(response.status, 401);
+});
+
+test('an admin signs in with email and password', async () => {
+    const ok = await server.request('POST', '/api/admin/login', { body: OWNER });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.admin.role, 'owner');
+    assert.equal(ok.body.admin.password_hash, undefined);
+
+    const bad = await server.request('POST', '/api/admin/login', { body: { ...OWNER, password: 'not the password' } });
+    assert.equal(bad.status, 401);
+    assert.equal(bad.body.code, 'INVALID_CREDENTIALS');
+});
@@ -0,0 +1,100 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, signInAdmin, signInVoter } from './support/server.js';
+
+let server;
+let adminToken;
+let voterToken;
+
+before(async () => {
+    server = await startServer();
+    adminToken = await signInAdmin(server);
+    voterToken = await signInVoter(server, 'proposer@example.com', 'Pat');
+});
+
+after(() => server.stop());
+
+const admin = (method, url, body) => server.request(method, `/api/admin${url}`, { token: adminToken, body });
+
+// A draft category taking proposals
+const nominationCategory = async (name) => {
+    const { body: category } = await admin('POST', '/categories', { name });
+    await admin('PATCH', `/categories/${category.id}`, { nominations_open: true });
+    return category;
+};
+
+const propose = (categoryId, nomineeName) => server.request('POST', '/api/public/nominations', {
+    token: voterToken,
+    body: { categoryId, nomineeName, reason: 'Did great work this year.' }
+});
+
+const nomineeNamesIn = async (categoryId) => {
+    const { body } = await admin('GET', `/nominations?categoryId=${categoryId}`);
+    return body.items.map(link => link.nominee.name).sort();
+};
+
+test('voters propose nominees and see how their proposals were decided', async () => {
+    const category = await nominationCategory('Proposals');
+
+    const { status, body } = await propose(category.id, 'Margaret Hamilton');
+    assert.equal(status, 201);
+    assert.equal(body.status, 'pending');
+
+    assert.equal((await propose(category.id, '  margaret hamilton ')).body.code, 'DUPLICATE_SUBMISSION');
+
+    const { body: mine } = await server.request('GET', '/api/public/nominations/mine', { token: voterToken });
+    assert.deepEqual(mine.map(submission => submission.nominee_name), ['Margaret Hamilton']);
+});
+
+test('approving a submission creates and nominates the nominee', async () => {
+    const category = await nominationCategory('Approvals');
+    const { body: submission } = await propose(category.id, 'Katherine Johnson');
+
+    const { body: queue } = await admin('GET', `/submissions?categoryId=${category.id}`);
+    assert.equal(queue[0].voter.email, 'proposer@example.com');
+    assert.equal(queue[0].similar_pending, 1);
+
+    const { status, body } = await admin('POST', `/submissions/${submission.id}/approve`, { name: 'Katherine G. Johnson' });
+    assert.equal(status, 200);
+    assert.equal(body.status, 'approved');
+    assert.deepEqual(await nomineeNamesIn(category.id), ['Katherine G. Johnson']);
+
+    // A submission is reviewed once
+    const again = await admin('POST', `/submissions/${submission.id}/reject`, { reason: 'Changed our mind.' });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'SUBMISSION_REVIEWED');
+
+    const { body: audit } = await admin('GET', `/audit-log?entityId=${submission.id}`);
+    assert.equal(audit[0].action, 'submission.approve');
+});
+
+test('merging a submission nominates the nominee it matched', async () => {
+    const category = await nominationCategory('Merges');
+    const { body: existing } = await admin('POST', '/nominees', { name: 'Dorothy Vaughan' });
+    const { body: submission } = await propose(category.id, 'dorothy vaughan');
+
+    const duplicate = await admin('POST', `/submissions/${submission.id}/approve`, {});
+    assert.equal(duplicate.body.code, 'POSSIBLE_DUPLICATE');
+
+    const { status, body } = await admin('POST', `/submissions/${submission.id}/merge`, {});
+    assert.equal(status, 200);
+    assert.equal(body.status, 'merged');
+    assert.equal(body.resolved_nominee_id, existing.id);
+    assert.deepEqual(await nomineeNamesIn(category.id), ['Dorothy Vaughan']);
+});
+
+test('rejecting a submission tells the voter why', async () => {
+    const category = await nominationCategory('Rejections');
+    const { body: submission } = await propose(category.id, 'Nobody In Particular');
+
+    const { status, body } = await admin('POST', `/submissions/${submission.id}/reject`, { reason: 'Not eligible this year.' });
+    assert.equal(status, 200);
+    assert.equal(body.status, 'rejected');
+    assert.deepEqual(await nomineeNamesIn(category.id), []);
+
+    const { body: mine } = await server.request('GET', '/api/public/nominations/mine', { token: voterToken });
+    const rejected = mine.find(entry => entry.id === submission.id);
+    assert.equal(rejected.rejection_reason, 'Not eligible this year.');
+
+    assert.equal((await admin('POST', '/submissions/00000000-0000-4000-8000-000000000000/reject', { reason: 'x' })).status, 404);
+});
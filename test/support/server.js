@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { hashPassword } from '../../lib/passwords.js';
+
+// --------------------------------------------
+// Test server
+// --------------------------------------------
+// Runs the app from app.js inside the test process on the in-memory data
+// store, seeded with a current event and an owner account, so the HTTP tests
+// need no Supabase project and no network. Sign-in codes go to a mail outbox
+// file the tests read back.
+//
+// The memory store is created with the first app and shared by later ones in
+// the same process, so each test file (node --test runs every file in its own
+// process) starts one server.
+
+export const EVENT_SLUG = 'awards-2026';
+export const OWNER = { email: 'owner@example.com', password: 'correct horse battery' };
+
+/**
+ * Starts a server with its own data, outbox and uploads directory. Call
+ * `stop()` when done; it also removes the temporary files.
+ */
+export const startServer = async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'awards-test-'));
+    const seedFile = path.join(dir, 'seed.json');
+    const outbox = path.join(dir, 'outbox.jsonl');
+    const fraudRules = path.join(dir, 'fraud-rules.json');
+
+    await fs.writeFile(seedFile, JSON.stringify({
+        events: [{ id: crypto.randomUUID(), slug: EVENT_SLUG, name: 'Awards 2026', year: 2026, is_current: true }],
+        admin_users: [{
+            id: crypto.randomUUID(),
+            email: OWNER.email,
+            name: 'Owner',
+            role: 'owner',
+            password_hash: await hashPassword(OWNER.password)
+        }]
+    }));
+
+    // Every test voter shares 127.0.0.1, which the shared IP rule would flag
+    await fs.writeFile(fraudRules, JSON.stringify({ sharedIp: { enabled: false } }));
+
+    Object.assign(process.env, {
+        DATA_STORE: 'memory',
+        MEMORY_STORE_SEED: seedFile,
+        ADMIN_TOKEN_SECRET: 'test-admin-secret',
+        VOTER_TOKEN_SECRET: 'test-voter-secret',
+        MAIL_TRANSPORT: 'file',
+        MAIL_FILE_PATH: outbox,
+        STORAGE_DRIVER: 'local',
+        STORAGE_LOCAL_DIR: path.join(dir, 'uploads'),
+        FRAUD_RULES_FILE: fraudRules,
+        LOG_LEVEL: 'silent',
+        RATE_LIMIT_SIGNIN_PER_IP: '1000',
+        RATE_LIMIT_SIGNIN_PER_EMAIL: '1000',
+        RATE_LIMIT_VOTE_PER_IP: '1000',
+        RATE_LIMIT_VOTE_PER_VOTER: '1000',
+        RATE_LIMIT_RECEIPT_CHECKS_PER_IP: '1000'
+    });
+
+    const { loadConfig } = await import('../../lib/config.js');
+    const { createApp } = await import('../../app.js');
+
+    const app = createApp(loadConfig());
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const { port } = server.address();
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    /**
+     * Sends a JSON request; resolves to { status, body }.
+     */
+    const request = async (method, url, { token, body } = {}) => {
+        const headers = {};
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+        const response = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+
+    // Every message sent so far to `email`, oldest first
+    const mailTo = async (email) => (await fs.readFile(outbox, 'utf8'))
+        .trim()
+        .split('\n')
+        .map(line => JSON.parse(line))
+        .filter(message => message.to === email);
+
+    // The sign-in code from the latest sign-in message mailed to `email`
+    const lastCodeFor = async (email) => {
+        const message = (await mailTo(email)).filter(line => line.template === 'signinCode').pop();
+        return message?.data.code;
+    };
+
+    const stop = async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await fs.rm(dir, { recursive: true, force: true });
+    };
+
+    return { app, baseUrl, request, mailTo, lastCodeFor, stop };
+};
+
+// --------------------------------------------
+// Common steps
+// --------------------------------------------
+
+export const signInAdmin = async (server) => {
+    const { body } = await server.request('POST', '/api/admin/login', { body: OWNER });
+    return body.token;
+};
+
+export const signInVoter = async (server, email, name = 'Test Voter', { notifications } = {}) => {
+    await server.request('POST', '/api/public/signin', { body: { name, email, notifications } });
+    const code = await server.lastCodeFor(email);
+    const { body } = await server.request('POST', '/api/public/signin/verify', { body: { email, code } });
+    return body.token;
+};
+
+/**
+ * Creates an open category with the given nominees. Returns
+ * { category, nominees } as the admin API returned them.
+ */
+export const createOpenCategory = async (server, token, { name = 'Best Newcomer', nominees = ['Ada', 'Grace'], ...settings } = {}) => {
+    const admin = (method, url, body) => server.request(method, `/api/admin${url}`, { token, body });
+
+    let { body: category } = await admin('POST', '/categories', { name });
+    if (Object.keys(settings).length > 0) {
+        ({ body: category } = await admin('PATCH', `/categories/${category.id}`, settings));
+    }
+
+    const created = [];
+    for (const nomineeName of nominees) {
+        const { body: nominee } = await admin('POST', '/nominees', { name: nomineeName });
+        await admin('POST', '/nominations', { nominee_id: nominee.id, category_id: category.id });
+        created.push(nominee);
+    }
+
+    await admin('POST', `/categories/${category.id}/status`, { status: 'open' });
+
+    return { category, nominees: created };
+};
@@ -0,0 +1,163 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, signInAdmin, signInVoter, createOpenCategory } from './support/server.js';
+
+let server;
+let adminToken;
+
+before(async () => {
+    server = await startServer();
+    adminToken = await signInAdmin(server);
+});
+
+after(() => server.stop());
+
+const admin = (method, url, body) => server.request(method, `/api/admin${url}`, { token: adminToken, body });
+
+const vote = async (token, categoryId, nomineeId) => {
+    const { status } = await server.request('POST', '/api/public/vote', { token, body: { categoryId, nomineeId } });
+    assert.equal(status, 201);
+};
+
+const voterByEmail = async (email) => {
+    const { body } = await admin('GET', `/voters?q=${encodeURIComponent(email)}`);
+    return body.items.find(voter => voter.email === email);
+};
+
+const winnerVotes = async (categoryId) => {
+    const { body } = await admin('GET', '/winners?refresh=true');
+    return body.find(result => result.categoryId === categoryId).totalVotes;
+};
+
+// Runs first: completion counts every active category of the event
+test('turnout reports votes over time, participation and completion', async () => {
+    const first = await createOpenCategory(server, adminToken, { name: 'Turnout A' });
+    const second = await createOpenCategory(server, adminToken, { name: 'Turnout B' });
+
+    const both = await signInVoter(server, 'turnout-both@example.com');
+    const one = await signInVoter(server, 'turnout-one@example.com');
+    await vote(both, first.category.id, first.nominees[0].id);
+    await vote(both, second.category.id, second.nominees[1].id);
+    await vote(one, first.category.id, first.nominees[1].id);
+
+    const { status, body } = await admin('GET', '/analytics/turnout?interval=hour');
+    assert.equal(status, 200);
+    assert.equal(body.interval, 'hour');
+    assert.equal(body.voterCount, 2);
+    assert.deepEqual(body.completion, { activeCategoryCount: 2, completedVoterCount: 1, rate: 50 });
+
+    assert.equal(body.timeline.length, 1);
+    assert.match(body.timeline[0].bucket, /^\d{4}-\d{2}-\d{2}T\d{2}:00:00Z$/);
+    assert.equal(body.timeline[0].votes, 3);
+    assert.equal(body.timeline[0].cumulativeVoters, 2);
+
+    const byName = Object.fromEntries(body.categories.map(category => [category.categoryName, category]));
+    assert.equal(byName['Turnout A'].voterCount, 2);
+    assert.equal(byName['Turnout A'].participation, 100);
+    assert.equal(byName['Turnout B'].participation, 50);
+    assert.equal(byName['Turnout B'].status, 'open');
+
+    const invalid = await admin('GET', '/analytics/turnout?interval=week');
+    assert.equal(invalid.status, 400);
+});
+
+test('voters can be listed, searched and filtered by role', async () => {
+    await signInVoter(server, 'list-grace@example.com', 'Grace Hopper');
+    await signInVoter(server, 'list-alan@example.com', 'Alan Turing');
+
+    const { status, body } = await admin('GET', '/voters?q=hopper');
+    assert.equal(status, 200);
+    assert.deepEqual(body.items.map(voter => voter.email), ['list-grace@example.com']);
+    assert.equal(body.total, 1);
+
+    const byEmail = await admin('GET', '/voters?q=LIST-&sort=name&order=asc');
+    assert.deepEqual(byEmail.body.items.map(voter => voter.name), ['Alan Turing', 'Grace Hopper']);
+
+    const alan = byEmail.body.items[0];
+    await admin('PUT', `/voters/${alan.id}/role`, { role: 'jury' });
+    const jury = await admin('GET', '/voters?role=jury');
+    assert.deepEqual(jury.body.items.map(voter => voter.id), [alan.id]);
+
+    const profile = await admin('GET', `/voters/${alan.id}`);
+    assert.equal(profile.body.role, 'jury');
+});
+
+test('a voter\'s ballot lists their votes with nominee names', async () => {
+    const { category, nominees: [, grace] } = await createOpenCategory(server, adminToken, { name: 'Ballot' });
+    const token = await signInVoter(server, 'ballot@example.com');
+    await vote(token, category.id, grace.id);
+
+    const voter = await voterByEmail('ballot@example.com');
+    const { status, body } = await admin('GET', `/voters/${voter.id}/ballot`);
+    assert.equal(status, 200);
+    assert.equal(body.voter.id, voter.id);
+    assert.equal(body.votes.length, 1);
+    assert.equal(body.votes[0].categoryName, 'Ballot');
+    assert.deepEqual(body.votes[0].nominees, [{ id: grace.id, name: 'Grace', rank: 1 }]);
+    assert.equal(body.votes[0].counted, true);
+});
+
+test('anonymizing a voter erases their details and keeps their votes counted', async () => {
+    const { category, nominees: [ada] } = await createOpenCategory(server, adminToken, { name: 'Anonymize' });
+    const token = await signInVoter(server, 'private@example.com', 'Private Person');
+    await vote(token, category.id, ada.id);
+    const voter = await voterByEmail('private@example.com');
+
+    const unconfirmed = await admin('POST', `/voters/${voter.id}/anonymize`, { confirm: 'someone@example.com' });
+    assert.equal(unconfirmed.status, 400);
+    assert.equal(unconfirmed.body.code, 'CONFIRMATION_REQUIRED');
+
+    const { status, body } = await admin('POST', `/voters/${voter.id}/anonymize`, { confirm: 'Private@Example.com' });
+    assert.equal(status, 200);
+    assert.equal(body.name, 'Anonymized voter');
+    assert.notEqual(body.email, 'private@example.com');
+    assert.ok(body.anonymized_at);
+
+    assert.equal(await voterByEmail('private@example.com'), undefined);
+    assert.equal(await winnerVotes(category.id), 1);
+
+    // The session ends, and the address cannot register again to vote twice
+    assert.equal((await server.request('GET', '/api/public/voter-votes', { token })).status, 401);
+    const again = await server.request('POST', '/api/public/signin', { body: { name: 'Private Person', email: 'Private@example.com' } });
+    assert.equal(again.status, 403);
+    assert.equal(again.body.code, 'VOTER_REMOVED');
+    assert.equal(await voterByEmail('private@example.com'), undefined);
+
+    const { body: entries } = await admin('GET', `/audit-log?entityId=${voter.id}`);
+    const entry = entries.find(row => row.action === 'voter.anonymize');
+    assert.ok(entry);
+    assert.ok(!JSON.stringify(entry).includes('private@example.com'));
+});
+
+test('deleting a voter removes their votes', async () => {
+    const { category, nominees: [ada] } = await createOpenCategory(server, adminToken, { name: 'Delete' });
+    const token = await signInVoter(server, 'leaving@example.com');
+    await vote(token, category.id, ada.id);
+    const voter = await voterByEmail('leaving@example.com');
+    assert.equal(await winnerVotes(category.id), 1);
+
+    const { status, body } = await admin('DELETE', `/voters/${voter.id}`, { confirm: 'leaving@example.com' });
+    assert.equal(status, 200);
+    assert.deepEqual(body.deleted, { votes: 1, juryScores: 0, submissions: 0 });
+
+    assert.equal(await winnerVotes(category.id), 0);
+    assert.equal((await admin('GET', `/voters/${voter.id}`)).status, 404);
+
+    // The deleted voter's session ends with them
+    const late = await server.request('POST', '/api/public/vote', { token, body: { categoryId: category.id, nomineeId: ada.id } });
+    assert.equal(late.status, 401);
+});
+
+test('a voter with votes in published results cannot be deleted', async () => {
+    const { category, nominees: [ada] } = await createOpenCategory(server, adminToken, { name: 'Published' });
+    const token = await signInVoter(server, 'published@example.com');
+    await vote(token, category.id, ada.id);
+    await admin('POST', `/categories/${category.id}/status`, { status: 'closed' });
+    await admin('POST', `/categories/${category.id}/status`, { status: 'published' });
+    const voter = await voterByEmail('published@example.com');
+
+    const { status, body } = await admin('DELETE', `/voters/${voter.id}`, { confirm: 'published@example.com' });
+    assert.equal(status, 409);
+    assert.equal(body.code, 'VOTES_IN_PUBLISHED_RESULTS');
+    assert.equal(await winnerVotes(category.id), 1);
+});
@@ -0,0 +1,151 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, signInAdmin, signInVoter, createOpenCategory } from './support/server.js';
+
+let server;
+let adminToken;
+
+before(async () => {
+    server = await startServer();
+    adminToken = await signInAdmin(server);
+});
+
+after(() => server.stop());
+
+const admin = (method, url, body) => server.request(method, `/api/admin${url}`, { token: adminToken, body });
+
+const vote = (token, body) => server.request('POST', '/api/public/vote', { token, body });
+
+const countedVotes = async (categoryId, query = '') => {
+    const { body } = await admin('GET', `/winners?refresh=true${query}`);
+    return body.find(result => result.categoryId === categoryId).totalVotes;
+};
+
+test('a vote is recorded and listed for the voter', async () => {
+    const { category, nominees } = await createOpenCategory(server, adminToken, { name: 'Recorded' });
+    const token = await signInVoter(server, 'recorded@example.com');
+
+    const response = await vote(token, { categoryId: category.id, nomineeId: nominees[0].id });
+    assert.equal(response.status, 201);
+
+    const mine = await server.request('GET', '/api/public/voter-votes', { token });
+    assert.deepEqual(mine.body.map(v => [v.category_id, v.nominee_ids]), [[category.id, [nominees[0].id]]]);
+});
+
+test('a second vote in the same category is rejected', async () => {
+    const { category, nominees } = await createOpenCategory(server, adminToken, { name: 'Duplicate' });
+    const token = await signInVoter(server, 'duplicate@example.com');
+
+    assert.equal((await vote(token, { categoryId: category.id, nomineeId: nominees[0].id })).status, 201);
+
+    const again = await vote(token, { categoryId: category.id, nomineeId: nominees[1].id });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'ALREADY_VOTED');
+    assert.equal(again.body.canChange, false);
+
+    const mine = await server.request('GET', '/api/public/voter-votes', { token });
+    assert.deepEqual(mine.body.map(v => v.nominee_id), [nominees[0].id]);
+});
+
+test('votes are changed only where the category allows it', async () => {
+    const locked = await createOpenCategory(server, adminToken, { name: 'Locked' });
+    const changeable = await createOpenCategory(server, adminToken, { name: 'Changeable', vote_change_policy: 'until_close' });
+    const token = await signInVoter(server, 'changer@example.com');
+
+    await vote(token, { categoryId: locked.category.id, nomineeId: locked.nominees[0].id });
+    await vote(token, { categoryId: changeable.category.id, nomineeId: changeable.nominees[0].id });
+
+    const refused = await server.request('PUT', `/api/public/votes/${locked.category.id}`, {
+        token,
+        body: { nomineeId: locked.nominees[1].id }
+    });
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.code, 'VOTE_LOCKED');
+
+    const changed = await server.request('PUT', `/api/public/votes/${changeable.category.id}`, {
+        token,
+        body: { nomineeId: changeable.nominees[1].id }
+    });
+    assert.equal(changed.status, 200);
+    assert.equal(changed.body.vote.nomineeId, changeable.nominees[1].id);
+});
+
+test('only nominees of the category can be voted for', async () => {
+    const first = await createOpenCategory(server, adminToken, { name: 'First', nominees: ['Alan'] });
+    const second = await createOpenCategory(server, adminToken, { name: 'Second', nominees: ['Barbara'] });
+    const token = await signInVoter(server, 'crossed@example.com');
+
+    const response = await vote(token, { categoryId: first.category.id, nomineeId: second.nominees[0].id });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'NOT_NOMINATED');
+});
+
+test('closed categories do not accept votes', async () => {
+    const { category, nominees } = await createOpenCategory(server, adminToken, { name: 'Closing' });
+    await server.request('POST', `/api/admin/categories/${category.id}/status`, { token: adminToken, body: { status: 'closed' } });
+    const token = await signInVoter(server, 'late@example.com');
+
+    const response = await vote(token, { categoryId: category.id, nomineeId: nominees[0].id });
+    assert.equal(response.status, 403);
+});
+
+test('changed and withdrawn votes are logged for admins', async () => {
+    const { category, nominees } = await createOpenCategory(server, adminToken, { name: 'Change Log', vote_change_policy: 'until_close' });
+    const token = await signInVoter(server, 'second-thoughts@example.com');
+
+    await vote(token, { categoryId: category.id, nomineeId: nominees[0].id });
+    await server.request('PUT', `/api/public/votes/${category.id}`, { token, body: { nomineeId: nominees[1].id } });
+    await server.request('DELETE', `/api/public/votes/${category.id}`, { token });
+
+    const { status, body } = await admin('GET', `/vote-changes?categoryId=${category.id}`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.summary, [{ categoryId: category.id, changed: 1, withdrawn: 1, voters: 1 }]);
+    assert.deepEqual(body.changes.map(change => change.action).sort(), ['changed', 'withdrawn']);
+});
+
+test('votes from throwaway addresses are flagged for review', async () => {
+    const { category, nominees } = await createOpenCategory(server, adminToken, { name: 'Screened' });
+    const suspect = await signInVoter(server, 'suspect@mailinator.com');
+    const cleared = await signInVoter(server, 'cleared@yopmail.com');
+
+    await vote(suspect, { categoryId: category.id, nomineeId: nominees[0].id });
+    await vote(cleared, { categoryId: category.id, nomineeId: nominees[1].id });
+
+    const { body: flags } = await admin('GET', `/flags?categoryId=${category.id}`);
+    assert.deepEqual(flags.map(flag => flag.rule), ['disposable_email', 'disposable_email']);
+    assert.equal(await countedVotes(category.id, '&excludeFlagged=true'), 0);
+
+    const flagOf = (email) => flags.find(flag => flag.voter.email === email);
+
+    const invalidated = await admin('POST', `/flags/${flagOf('suspect@mailinator.com').id}/invalidate`);
+    assert.equal(invalidated.body.status, 'invalidated');
+    const dismissed = await admin('POST', `/flags/${flagOf('cleared@yopmail.com').id}/dismiss`);
+    assert.equal(dismissed.body.status, 'dismissed');
+
+    // The invalidated vote stays on record but no longer counts
+    assert.equal(await countedVotes(category.id), 1);
+    assert.equal(await countedVotes(category.id, '&excludeFlagged=true'), 1);
+
+    const again = await admin('POST', `/flags/${flagOf('cleared@yopmail.com').id}/invalidate`);
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'FLAG_REVIEWED');
+});
+
+test('a burst of votes for a nominee is flagged whatever rank they give it', async () => {
+    const { category, nominees: [ada, grace] } = await createOpenCategory(server, adminToken, { name: 'Burst', voting_mode: 'ranked' });
+
+    // Cast straight into the data store: one more than the rule allows, all ranking Grace second
+    const { voters, votes } = await import('../lib/repositories/index.js');
+    for (let i = 0; i < 50; i += 1) {
+        const voter = await voters.create({ name: 'Burst Voter', email: `burst-${i}@example.com` });
+        await votes.cast({ eventId: category.event_id, voterId: voter.id, categoryId: category.id, nomineeIds: [ada.id, grace.id] });
+    }
+
+    const token = await signInVoter(server, 'burst-last@example.com');
+    assert.equal((await vote(token, { categoryId: category.id, ranking: [grace.id] })).status, 201);
+
+    const { body: flags } = await admin('GET', `/flags?categoryId=${category.id}`);
+    assert.deepEqual(flags.map(flag => [flag.rule, flag.details.nominees]), [
+        ['nominee_burst', [{ nomineeId: grace.id, voteCount: 51 }]]
+    ]);
+});
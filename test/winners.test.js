@@ -0,0 +1,128 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, signInAdmin, signInVoter, createOpenCategory } from './support/server.js';
+
+let server;
+let adminToken;
+
+before(async () => {
+    server = await startServer();
+    adminToken = await signInAdmin(server);
+});
+
+after(() => server.stop());
+
+let voterCount = 0;
+
+// Each ballot is cast by a new voter
+const castVotes = async (categoryId, ballots) => {
+    for (const choice of ballots) {
+        voterCount += 1;
+        const token = await signInVoter(server, `winner-voter-${voterCount}@example.com`);
+        const { status } = await server.request('POST', '/api/public/vote', { token, body: { categoryId, ...choice } });
+        assert.equal(status, 201);
+    }
+};
+
+const resultFor = async (categoryId) => {
+    const { status, body } = await server.request('GET', '/api/admin/winners?refresh=true', { token: adminToken });
+    assert.equal(status, 200);
+    return body.find(result => result.categoryId === categoryId);
+};
+
+test('the nominee with the most votes wins', async () => {
+    const { category, nominees: [ada, grace] } = await createOpenCategory(server, adminToken, { name: 'Single' });
+    await castVotes(category.id, [{ nomineeId: grace.id }, { nomineeId: ada.id }, { nomineeId: grace.id }]);
+
+    const result = await resultFor(category.id);
+    assert.equal(result.totalVotes, 3);
+    assert.equal(result.winner.id, grace.id);
+    assert.equal(result.isTie, false);
+    assert.deepEqual(result.fullTally.map(n => [n.name, n.voteCount]), [['Grace', 2], ['Ada', 1]]);
+});
+
+test('an even split is reported as a tie', async () => {
+    const { category, nominees: [ada, grace] } = await createOpenCategory(server, adminToken, { name: 'Tied' });
+    await castVotes(category.id, [{ nomineeId: ada.id }, { nomineeId: grace.id }]);
+
+    const result = await resultFor(category.id);
+    assert.equal(result.isTie, true);
+    assert.equal(result.winner, null);
+    assert.deepEqual(result.winners.map(n => n.id).sort(), [ada.id, grace.id].sort());
+});
+
+test('approval votes count every approved nominee', async () => {
+    const { category, nominees: [ada, grace, alan] } = await createOpenCategory(server, adminToken, {
+        name: 'Approval',
+        nominees: ['Ada', 'Grace', 'Alan'],
+        voting_mode: 'approval',
+        max_choices: 2
+    });
+    await castVotes(category.id, [
+        { nomineeIds: [ada.id, alan.id] },
+        { nomineeIds: [alan.id] },
+        { nomineeIds: [grace.id, ada.id] }
+    ]);
+
+    const result = await resultFor(category.id);
+    assert.equal(result.voterCount, 3);
+    assert.deepEqual(result.winners.map(n => n.id).sort(), [ada.id, alan.id].sort());
+    assert.equal(result.fullTally.find(n => n.id === grace.id).voteCount, 1);
+});
+
+test('ranked votes are decided by instant runoff', async () => {
+    const { category, nominees: [ada, grace, alan] } = await createOpenCategory(server, adminToken, {
+        name: 'Ranked',
+        nominees: ['Ada', 'Grace', 'Alan'],
+        voting_mode: 'ranked'
+    });
+    // Ada leads on first choices, but Alan's voters prefer Grace
+    await castVotes(category.id, [
+        { ranking: [ada.id, grace.id] },
+        { ranking: [ada.id, alan.id] },
+        { ranking: [grace.id, ada.id] },
+        { ranking: [grace.id, alan.id] },
+        { ranking: [alan.id, grace.id] }
+    ]);
+
+    const result = await resultFor(category.id);
+    assert.equal(result.winner.id, grace.id);
+    assert.equal(result.rounds.length, 2);
+});
+
+test('every ranked ballot is counted, however many there are', async () => {
+    const { category, nominees: [ada, grace] } = await createOpenCategory(server, adminToken, { name: 'Crowded Ranked', voting_mode: 'ranked' });
+    // Cast straight into the data store: more ballots than one batch of reads
+    const { voters, votes } = await import('../lib/repositories/index.js');
+    for (let i = 0; i < 1500; i += 1) {
+        const voter = await voters.create({ name: 'Bulk Voter', email: `bulk-ranked-${i}@example.com` });
+        const nomineeIds = i < 800 ? [ada.id, grace.id] : [grace.id, ada.id];
+        await votes.cast({ eventId: category.event_id, voterId: voter.id, categoryId: category.id, nomineeIds });
+    }
+
+    const result = await resultFor(category.id);
+    assert.deepEqual(result.rounds[0].tallies, { [ada.id]: 800, [grace.id]: 700 });
+    assert.equal(result.winner.id, ada.id);
+});
+
+test('a ranked category without nominees reports no winner', async () => {
+    const { category } = await createOpenCategory(server, adminToken, { name: 'Empty Ranked', nominees: [], voting_mode: 'ranked' });
+
+    const result = await resultFor(category.id);
+    assert.equal(result.winner, null);
+    assert.deepEqual(result.fullTally, []);
+    assert.deepEqual(result.rounds, []);
+});
+
+test('archived categories and nominees are left out of the results', async () => {
+    const { category, nominees: [ada, grace] } = await createOpenCategory(server, adminToken, { name: 'Archived Results' });
+    await castVotes(category.id, [{ nomineeId: ada.id }, { nomineeId: ada.id }, { nomineeId: grace.id }]);
+
+    await server.request('DELETE', `/api/admin/nominees/${ada.id}`, { token: adminToken });
+    const result = await resultFor(category.id);
+    assert.equal(result.winner.id, grace.id);
+    assert.ok(!result.fullTally.some(n => n.id === ada.id));
+
+    await server.request('DELETE', `/api/admin/categories/${category.id}`, { token: adminToken });
+    assert.equal(await resultFor(category.id), undefined);
+});